@@ -0,0 +1,116 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Support for the `signal` request option, to cancel calls.
+ *
+ * A signal is an `AbortSignal` (from an `AbortController`), or any object
+ * like it: with an `aborted` boolean, and either `addEventListener` and
+ * `removeEventListener` methods or (as an EventEmitter) `on` and
+ * `removeListener` methods, for an 'abort' event.
+ *
+ * A cancelled call aborts its HTTP request and any pending poll or retry
+ * timer, and calls back with an `AbortedError`.
+ */
+
+var assert = require('assert-plus');
+
+var errors = require('./errors');
+
+
+
+// --- API
+
+/**
+ * Assert that `signal` is undefined or a signal.
+ *
+ * @param {Object} signal
+ * @param {String} name : the name of the argument, for the error message.
+ */
+function assertOptionalSignal(signal, name) {
+    if (signal === undefined) {
+        return;
+    }
+
+    assert.object(signal, name);
+    if (typeof (signal.addEventListener) !== 'function' &&
+        typeof (signal.on) !== 'function') {
+        throw new TypeError(name + ' must be an AbortSignal');
+    }
+}
+
+
+/**
+ * Call `fn` once when `signal` is aborted.
+ *
+ * @param {Object} signal : Optional.
+ * @param {Function} fn : of the form f().
+ * @return {Function} to call to stop listening, e.g. once the call is done.
+ */
+function onAbort(signal, fn) {
+    if (!signal) {
+        return function () {};
+    }
+
+    var called = false;
+    function listener() {
+        if (!called) {
+            called = true;
+            fn();
+        }
+    }
+
+    if (typeof (signal.addEventListener) === 'function') {
+        signal.addEventListener('abort', listener);
+        return function () {
+            signal.removeEventListener('abort', listener);
+        };
+    }
+
+    signal.on('abort', listener);
+    return function () {
+        signal.removeListener('abort', listener);
+    };
+}
+
+
+/**
+ * Wait for `delay` ms, unless `signal` is aborted first.
+ *
+ * @param {Object} signal : Optional.
+ * @param {Number} delay : in ms.
+ * @param {Function} callback : of the form f(err), with `err` an
+ *        AbortedError if the signal was aborted.
+ */
+function sleep(signal, delay, callback) {
+    if (signal && signal.aborted) {
+        process.nextTick(function () {
+            callback(new errors.AbortedError());
+        });
+        return;
+    }
+
+    var stopListening = onAbort(signal, function () {
+        clearTimeout(timer);
+        callback(new errors.AbortedError());
+    });
+    var timer = setTimeout(function () {
+        stopListening();
+        callback();
+    }, delay);
+}
+
+
+
+module.exports = {
+    assertOptionalSignal: assertOptionalSignal,
+    onAbort: onAbort,
+    sleep: sleep
+};
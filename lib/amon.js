@@ -12,7 +12,9 @@ var format = require('util').format;
 var qs = require('querystring');
 
 var assert = require('assert-plus');
-var restify = require('restify');
+
+var JsonClient = require('./jsonclient').JsonClient;
+var promises = require('./promises');
 
 
 
@@ -26,6 +28,7 @@ var restify = require('restify');
  *
  * @param {Object} options
  *    - url {String} Amon Master location.
+ *    - log {Object} Optional. Bunyan logger, see "lib/logging.js".
  *    - ... any other options allowed to `restify.createJsonClient`
  *
  */
@@ -35,7 +38,8 @@ function Amon(options) {
     if (!options.url)
         throw new TypeError('options.url (String) is required');
 
-    this.client = restify.createJsonClient(options);
+    this.client = new JsonClient(options);
+    this.log = this.client.log;
 }
 
 
@@ -44,6 +48,14 @@ Amon.prototype.close = function close() {
 };
 
 
+/**
+ * Queued and in flight request counts, see `queueStats` in "jsonclient.js".
+ */
+Amon.prototype.queueStats = function queueStats() {
+    return this.client.queueStats();
+};
+
+
 /**
  * Ping Amon server.
  *
@@ -438,4 +450,6 @@ Amon.prototype.deleteAlarm = function deleteAlarm(user, id, callback) {
 
 
 
+promises.promisifyAll(Amon.prototype);
+
 module.exports = Amon;
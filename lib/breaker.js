@@ -0,0 +1,228 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * A circuit breaker for an API endpoint.
+ *
+ * The breaker starts 'closed', letting all requests through. After
+ * `threshold` consecutive failed requests (connection errors, timeouts and
+ * 5xx responses, retries included) it opens: calls then fail fast with a
+ * `CircuitOpenError` without making a request. Once `resetTimeout` ms have
+ * passed it goes 'half-open' on the next call, and probes the endpoint (i.e.
+ * pings it). If the probe succeeds the breaker closes again, otherwise it
+ * stays open for another `resetTimeout`.
+ *
+ * Breakers are shared by all the clients for the same base URL (see
+ * `getCircuitBreaker`), so that an API that is down is only probed once
+ * however many clients the caller creates for it.
+ */
+
+var assert = require('assert-plus');
+
+var errors = require('./errors');
+
+
+
+// --- Globals
+
+var DEFAULT_THRESHOLD = 5;
+var DEFAULT_RESET_TIMEOUT = 30000;
+
+// The `err.code`s of the call failures that count towards opening a breaker.
+var FAILURE_CODES = ['Internal', 'Timeout', 'Unavailable'];
+
+// The breakers of all the clients, keyed by base URL.
+var BREAKERS = {};
+
+
+
+// --- Exported CircuitBreaker
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - url {String} The base URL of the endpoint.
+ *    - threshold {Number} Optional. Number of consecutive failures after which
+ *      the breaker opens. Default 5.
+ *    - resetTimeout {Number} Optional. Time in ms the breaker stays open
+ *      before probing the endpoint. Default 30000.
+ *    - probe {Function} Optional. Checks whether the endpoint is back, of the
+ *      form f(callback), with callback of the form f(err). If there is none,
+ *      the first call made when half-open is let through as the probe.
+ *    - log {Object} Optional. Bunyan logger for the state changes.
+ */
+function CircuitBreaker(options) {
+    assert.object(options, 'options');
+    assert.string(options.url, 'options.url');
+    assert.optionalNumber(options.threshold, 'options.threshold');
+    assert.optionalNumber(options.resetTimeout, 'options.resetTimeout');
+    assert.optionalFunc(options.probe, 'options.probe');
+    assert.optionalObject(options.log, 'options.log');
+
+    this.url = options.url;
+    this.threshold = options.threshold || DEFAULT_THRESHOLD;
+    this.resetTimeout = (options.resetTimeout !== undefined ?
+        options.resetTimeout : DEFAULT_RESET_TIMEOUT);
+    this.probe = options.probe;
+    this.log = options.log;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this._trial = false;
+}
+
+
+CircuitBreaker.prototype._setState = function _setState(state) {
+    if (this.state === state) {
+        return;
+    }
+
+    if (this.log) {
+        this.log.info({url: this.url, from: this.state, to: state},
+            'circuit breaker is %s', state);
+    }
+    this.state = state;
+    if (state === 'open') {
+        this.openedAt = Date.now();
+    } else if (state === 'closed') {
+        this.failures = 0;
+    }
+};
+
+
+/**
+ * Is a call allowed through?
+ *
+ * When the breaker is half-open, only one call is: the probe's, which the
+ * probe must make synchronously (as the clients' `ping` methods do).
+ *
+ * @return {Boolean}
+ */
+CircuitBreaker.prototype.allowRequest = function allowRequest() {
+    var self = this;
+
+    if (self.state === 'closed') {
+        return true;
+    }
+
+    if (self.state === 'open') {
+        if (Date.now() - self.openedAt < self.resetTimeout) {
+            return false;
+        }
+
+        self._setState('half-open');
+        self._trial = true;
+        if (!self.probe) {
+            self._trial = false;
+            return true;
+        }
+
+        try {
+            self.probe(function onProbe(err) {
+                self.onResult(err);
+            });
+        } catch (err) {
+            self.onResult(err);
+        }
+        return false;
+    }
+
+    // Half-open: let the probe's call through.
+    if (self._trial) {
+        self._trial = false;
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Record the outcome of a request to the endpoint.
+ *
+ * @param {Error} err : the (translated) error the request failed with, or
+ *        null.
+ */
+CircuitBreaker.prototype.onResult = function onResult(err) {
+    var failed = Boolean(err && FAILURE_CODES.indexOf(err.code) !== -1);
+
+    if (this.state === 'half-open') {
+        this._trial = false;
+        this._setState(failed ? 'open' : 'closed');
+    } else if (this.state === 'closed') {
+        if (!failed) {
+            this.failures = 0;
+        } else if (++this.failures >= this.threshold) {
+            this._setState('open');
+        }
+    }
+};
+
+
+/**
+ * A request to the endpoint was cancelled (see "abort.js") before its
+ * outcome was known. If it was the trial call of a half-open breaker, the
+ * next call is let through instead.
+ */
+CircuitBreaker.prototype.onCancel = function onCancel() {
+    if (this.state === 'half-open') {
+        this._trial = true;
+    }
+};
+
+
+/**
+ * The error for a call that is not allowed through.
+ *
+ * @return {CircuitOpenError}
+ */
+CircuitBreaker.prototype.openError = function openError() {
+    return new errors.CircuitOpenError({
+        message: 'circuit breaker for ' + this.url + ' is open',
+        url: this.url
+    });
+};
+
+
+
+// --- Registry
+
+/**
+ * Get the circuit breaker for a base URL, creating it with `options` if
+ * there is none yet.
+ *
+ * The first client to ask for the breaker of a URL sets its threshold and
+ * reset timeout. Its probe is used until a client gives one when there is
+ * none.
+ *
+ * @param {Object} options : As for the CircuitBreaker constructor.
+ * @return {CircuitBreaker}
+ */
+function getCircuitBreaker(options) {
+    assert.object(options, 'options');
+    assert.string(options.url, 'options.url');
+
+    var breaker = BREAKERS[options.url];
+    if (!breaker) {
+        breaker = BREAKERS[options.url] = new CircuitBreaker(options);
+    } else if (!breaker.probe && options.probe) {
+        breaker.probe = options.probe;
+    }
+
+    return breaker;
+}
+
+
+
+module.exports = {
+    CircuitBreaker: CircuitBreaker,
+    getCircuitBreaker: getCircuitBreaker
+};
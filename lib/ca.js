@@ -10,9 +10,11 @@
 
 var assert = require('assert');
 
-var restify = require('restify');
 var sprintf = require('util').format;
 
+var JsonClient = require('./jsonclient').JsonClient;
+var promises = require('./promises');
+
 
 
 // --- Globals
@@ -36,49 +38,10 @@ if (!String.prototype.capitalize) {
 }
 
 
-function translateError(err) {
-    assert.ok(err);
-
-    if (err instanceof restify.RestError) {
-        if (err.body && err.body.error) {
-            switch (err.body.error.code) {
-            case 'ECA_INVAL':
-            case 'ECA_EXISTS':
-            case 'ECA_INCOMPAT':
-                return new restify.InvalidArgumentError(err.body.error.message);
-
-            case 'ECA_NOENT':
-                return new restify.ResourceNotFoundError(
-                    err.body.error.message);
-
-            default:
-              // noop
-                break;
-            }
-        }
-    } else if (err instanceof restify.HttpError) {
-        switch (err.statusCode) {
-        case 400:
-            return new restify.RestError(400, 'BadRequest',
-                                       err.message || 'bad request');
-        case 404:
-            return new restify.ResourceNotFoundError(err.message ||
-                                                   'resource not found');
-
-        default:
-          // noop
-            break;
-        }
-    }
-
-    return new restify.InternalError('An unknown error occurred');
-}
-
-
 function commonCallback(callback) {
     return function (err, req, res, data) {
         if (err)
-          return callback(translateError(err));
+          return callback(err);
 
         return callback(null, data);
     };
@@ -101,6 +64,8 @@ function assertArg(name, type, arg) {
  *
  * @param {Object} options
  *                  - url {String} CA location.
+ *                  - log {Object} Optional. Bunyan logger, see
+ *                    "lib/logging.js".
  *
  */
 function CA(options) {
@@ -108,7 +73,8 @@ function CA(options) {
 
     options.headers = options.headers || {};
     options.headers['x-api-version'] = 'ca/0.1.8';
-    this.client = restify.createJsonClient(options);
+    this.client = new JsonClient(options);
+    this.log = this.client.log;
 }
 module.exports = CA;
 
@@ -121,6 +87,14 @@ CA.prototype.close = function close() {
 };
 
 
+/**
+ * Queued and in flight request counts, see `queueStats` in "jsonclient.js".
+ */
+CA.prototype.queueStats = function queueStats() {
+    return this.client.queueStats();
+};
+
+
 /**
  * Does a listing of the "root" CA endpoint.
  *
@@ -336,3 +310,6 @@ CA.prototype.deleteInstrumentation = function (customer,
     return this.client.del(request, commonCallback(callback));
 };
 CA.prototype.destroyInstrumentation = CA.prototype.deleteInstrumentation;
+
+
+promises.promisifyAll(CA.prototype);
@@ -0,0 +1,586 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Record and replay of the HTTP traffic of the clients.
+ *
+ * A cassette given as the `cassette` option of a client either records the
+ * calls the client makes ('record' mode), to be saved to a JSON file, or
+ * serves the calls from such a file without making any request ('replay'
+ * mode). This lets orchestration code be run once against a real headnode,
+ * then regression-tested deterministically without one:
+ *
+ *      var cassette = new Cassette({
+ *          path: __dirname + '/cassettes/provision.json',
+ *          mode: (process.env.RECORD ? 'record' : 'replay')
+ *      });
+ *      var vmapi = new VMAPI({ url: url, cassette: cassette });
+ *      var napi = new NAPI({ url: napiUrl, cassette: cassette });
+ *      ...
+ *      cassette.save(callback);    // in record mode
+ *
+ * Calls are matched on their method, path, query and JSON body, and each
+ * recorded call is replayed once, in the order they were made: repeated
+ * calls (e.g. polling a job) get the successive recorded responses. A call
+ * that matches none of the calls left fails with an `UnmatchedRequestError`.
+ *
+ * Every attempt is recorded, so retries and failovers replay as they
+ * happened. Connection errors are recorded too. The base URL of the API
+ * is not, so that a cassette can be replayed against any URL, and neither
+ * are the request headers, which may have credentials. The bodies of the
+ * requests of raw clients (e.g. IMGAPI file uploads) are not recorded
+ * either, only those of their responses.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var mod_url = require('url');
+var querystring = require('querystring');
+var restify = require('restify');
+var stream = require('stream');
+
+var errors = require('./errors');
+
+
+
+// --- Globals
+
+var CASSETTE_VERSION = 1;
+
+var MODES = ['record', 'replay'];
+
+// restify client method names and the HTTP methods they make.
+var HTTP_METHODS = {
+    del: 'DELETE',
+    get: 'GET',
+    head: 'HEAD',
+    patch: 'PATCH',
+    post: 'POST',
+    put: 'PUT'
+};
+
+
+
+// --- Internal support
+
+/*
+ * JSON with the keys of objects sorted, to compare values regardless of the
+ * order their keys were set in.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJson).join(',') + ']';
+    } else if (value && typeof (value) === 'object') {
+        return '{' + Object.keys(value).sort().filter(function (k) {
+            return (value[k] !== undefined);
+        }).map(function (k) {
+            return JSON.stringify(k) + ':' + canonicalJson(value[k]);
+        }).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+
+/*
+ * The request of a call as it is recorded: method, path and the query and
+ * body, if any. The query is taken out of the path so that the order of its
+ * parameters does not matter.
+ */
+function describeRequest(method, opts, body) {
+    var reqOpts = (typeof (opts) === 'string' ? {path: opts} : opts);
+    var parsed = mod_url.parse(reqOpts.path || '/', true);
+    var query = {};
+    var request = {
+        method: HTTP_METHODS[method],
+        path: parsed.pathname
+    };
+
+    [parsed.query, reqOpts.query].forEach(function (q) {
+        if (typeof (q) === 'string') {
+            q = querystring.parse(q);
+        }
+        Object.keys(q || {}).forEach(function (k) {
+            query[k] = q[k];
+        });
+    });
+    if (Object.keys(query).length) {
+        request.query = query;
+    }
+    if (body !== undefined) {
+        request.body = body;
+    }
+
+    return request;
+}
+
+
+function sameRequest(recorded, request) {
+    return (recorded.method === request.method &&
+        recorded.path === request.path &&
+        canonicalJson(recorded.query || {}) ===
+            canonicalJson(request.query || {}) &&
+        canonicalJson(recorded.body) === canonicalJson(request.body));
+}
+
+
+/*
+ * The connection error of a recorded call, as the restify client would have
+ * given it.
+ */
+function connectionError(recorded) {
+    var err = new Error(recorded.message);
+    err.name = recorded.name;
+    if (recorded.code) {
+        err.code = recorded.code;
+    }
+    return err;
+}
+
+
+/*
+ * A stand-in for an http.IncomingMessage: a stream of the recorded body,
+ * with its status code and headers.
+ */
+function responseStream(response, data) {
+    var res = new stream.PassThrough();
+    res.statusCode = response.statusCode;
+    res.headers = response.headers || {};
+    res.end(data);
+    return res;
+}
+
+
+/*
+ * The error of a recorded JSON response, upcast as the restify JSON client
+ * does it, to a RestError if the body has an error code.
+ */
+function responseError(response, obj, data) {
+    var err;
+    var details = (obj.error && typeof (obj.error) === 'object' ?
+        obj.error : obj);
+
+    if (details.code) {
+        err = new restify.RestError({
+            message: details.message || '',
+            restCode: details.code,
+            statusCode: response.statusCode
+        });
+        err.name = details.code;
+        if (!/Error$/.test(err.name)) {
+            err.name += 'Error';
+        }
+    } else {
+        err = restify.codeToHttpError(response.statusCode,
+            obj.message || '', data);
+    }
+    err.body = obj;
+
+    return err;
+}
+
+
+/*
+ * A stand-in for the http.ClientRequest of a replayed call.
+ */
+function replayRequest(request) {
+    var req = new stream.PassThrough();
+    req.method = request.method;
+    req.path = request.path;
+    req.abort = function abort() {};
+    return req;
+}
+
+
+
+// --- Exported Cassette
+
+/**
+ * Constructor
+ *
+ * In 'replay' mode the cassette file is read here, and an error is thrown if
+ * it can't be.
+ *
+ * @param {Object} options
+ *    - path {String} Path of the cassette (JSON) file.
+ *    - mode {String} 'record' or 'replay'.
+ *    - match {Function} Optional. Replaces the matching of calls with the
+ *      recorded ones, of the form f(recorded, request) returning true if the
+ *      recorded request matches the request. Both are of the form
+ *      `{method: <HTTP method>, path: <path>, query: <query>, body: <body>}`.
+ *    - log {Object} Optional. Bunyan logger.
+ */
+function Cassette(options) {
+    assert.object(options, 'options');
+    assert.string(options.path, 'options.path');
+    assert.string(options.mode, 'options.mode');
+    assert.optionalFunc(options.match, 'options.match');
+    assert.optionalObject(options.log, 'options.log');
+    if (MODES.indexOf(options.mode) === -1) {
+        throw new TypeError('options.mode must be one of: ' +
+            MODES.join(', '));
+    }
+
+    this.path = options.path;
+    this.mode = options.mode;
+    this.match = options.match || sameRequest;
+    this.log = options.log;
+    this.interactions = [];
+
+    if (this.mode === 'replay') {
+        var cassette = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        assert.arrayOfObject(cassette.interactions,
+            this.path + ': interactions');
+        this.interactions = cassette.interactions;
+        this.interactions.forEach(function (interaction) {
+            interaction.played = false;
+        });
+    }
+}
+
+
+/**
+ * Start recording a call. Calls are recorded in the order they are made.
+ *
+ * @param {Object} request : the recorded request (see `describeRequest`).
+ * @return {Function} to call with the response, of the form f(err, response)
+ *         where `err` is a connection error, and `response` has the
+ *         `statusCode`, `headers` and either the JSON `body`, the `data`
+ *         string or the `base64` data of the response.
+ */
+Cassette.prototype._record = function _record(request) {
+    var interaction = { request: request };
+    this.interactions.push(interaction);
+
+    return function recorded(err, response) {
+        if (err && !response) {
+            interaction.error = {
+                name: err.name,
+                code: err.code,
+                message: err.message
+            };
+        } else {
+            interaction.response = response;
+        }
+    };
+};
+
+
+/**
+ * Find the first recorded call left that matches a request, and mark it as
+ * played.
+ *
+ * @param {Object} request : the request (see `describeRequest`).
+ * @return {Object} the recorded call, of the form
+ *         `{request: ..., response: ...}` or `{request: ..., error: ...}`.
+ * @throws {UnmatchedRequestError} if there is none.
+ */
+Cassette.prototype._play = function _play(request) {
+    for (var i = 0; i < this.interactions.length; i++) {
+        var interaction = this.interactions[i];
+        if (!interaction.played && this.match(interaction.request, request)) {
+            interaction.played = true;
+            return interaction;
+        }
+    }
+
+    if (this.log) {
+        this.log.debug({request: request, cassette: this.path},
+            'no recorded call matches request');
+    }
+    throw new errors.UnmatchedRequestError({ request: request });
+};
+
+
+/**
+ * The restify JSON client the JsonClient (see "jsonclient.js") uses for a
+ * URL: in 'record' mode a restify client that records its calls, in
+ * 'replay' mode an object with the same methods that replays them.
+ *
+ * @param {Object} options : the options for `restify.createJsonClient`.
+ * @return {Object} the client.
+ */
+Cassette.prototype.jsonClient = function jsonClient(options) {
+    assert.object(options, 'options');
+    assert.string(options.url, 'options.url');
+
+    var self = this;
+    var client;
+
+    if (self.mode === 'record') {
+        client = restify.createJsonClient(options);
+    } else {
+        client = {
+            url: mod_url.parse(options.url),
+            basicAuth: function basicAuth() {},
+            close: function close() {}
+        };
+    }
+
+    Object.keys(HTTP_METHODS).forEach(function (name) {
+        var orig = client[name];
+        var hasBody = (['patch', 'post', 'put'].indexOf(name) !== -1);
+
+        client[name] = function (opts, body, callback) {
+            if (!hasBody || typeof (body) === 'function') {
+                callback = body;
+                body = undefined;
+            }
+            var request = describeRequest(name, opts, body);
+
+            if (self.mode === 'record') {
+                var recorded = self._record(request);
+                var args = [opts];
+                if (body !== undefined) {
+                    args.push(body);
+                }
+                args.push(function (err, req, res, obj) {
+                    recorded(err, res && jsonResponse(res));
+                    callback(err, req, res, obj);
+                });
+                return orig.apply(client, args);
+            }
+
+            var interaction;
+            try {
+                interaction = self._play(request);
+            } catch (playErr) {
+                process.nextTick(function () {
+                    callback(playErr);
+                });
+                return undefined;
+            }
+            var req = replayRequest(request);
+            process.nextTick(function () {
+                replayJson(interaction, req, callback);
+            });
+            return req;
+        };
+    });
+
+    return client;
+};
+
+
+/**
+ * Write the recorded calls to the cassette file. Calls that had not
+ * completed yet are left out.
+ *
+ * @param {Function} callback : of the form f(err).
+ */
+Cassette.prototype.save = function save(callback) {
+    assert.func(callback, 'callback');
+    if (this.mode !== 'record') {
+        process.nextTick(function () {
+            callback(new Error('cassette is not in record mode'));
+        });
+        return;
+    }
+
+    var cassette = {
+        version: CASSETTE_VERSION,
+        interactions: this.interactions.filter(function (interaction) {
+            return (interaction.response || interaction.error);
+        })
+    };
+    fs.writeFile(this.path, JSON.stringify(cassette, null, 2) + '\n',
+        'utf8', callback);
+};
+
+
+/**
+ * The recorded requests that were not played (in 'replay' mode), e.g. to
+ * check that the code under test made all the calls it made when they
+ * were recorded.
+ *
+ * @return {Array} of requests (see the `match` option).
+ */
+Cassette.prototype.unplayed = function unplayed() {
+    return this.interactions.filter(function (interaction) {
+        return !interaction.played;
+    }).map(function (interaction) {
+        return interaction.request;
+    });
+};
+
+
+
+// --- Raw clients
+
+/**
+ * Record or replay the calls of a raw (i.e. not JSON) restify client, such
+ * as the one IMGAPI uses for image files, by wrapping its request methods.
+ * Nothing is done to the client for a `cassette` that is undefined.
+ *
+ * @param {Cassette} cassette : the cassette, or undefined for none.
+ * @param {Object} client : the restify client, modified in place.
+ */
+function wrapRawClient(cassette, client) {
+    if (!cassette) {
+        return;
+    }
+    assert.object(client, 'client');
+
+    Object.keys(HTTP_METHODS).forEach(function (name) {
+        var orig = client[name];
+        if (typeof (orig) !== 'function') {
+            return;
+        }
+
+        client[name] = function (opts, callback) {
+            var request = describeRequest(name, opts);
+
+            if (cassette.mode === 'record') {
+                var recorded = cassette._record(request);
+                return orig.call(client, opts, function (connectErr, req) {
+                    if (connectErr) {
+                        recorded(connectErr);
+                    } else {
+                        req.once('result', function (resultErr, res) {
+                            if (res) {
+                                recordRawResponse(res, recorded);
+                            } else {
+                                recorded(resultErr);
+                            }
+                        });
+                    }
+                    callback(connectErr, req);
+                });
+            }
+
+            var interaction;
+            try {
+                interaction = cassette._play(request);
+            } catch (playErr) {
+                process.nextTick(function () {
+                    callback(playErr);
+                });
+                return undefined;
+            }
+            var req = replayRequest(request);
+            var writable = (name === 'post' || name === 'put');
+            // The body of a request being written (e.g. a file upload) is
+            // thrown away, and the response is given once it is written.
+            if (writable) {
+                req.on('finish', function () {
+                    replayRaw(interaction, req);
+                });
+                req.resume();
+            }
+            process.nextTick(function () {
+                callback(null, req);
+                if (!writable) {
+                    process.nextTick(function () {
+                        replayRaw(interaction, req);
+                    });
+                }
+            });
+            return req;
+        };
+    });
+}
+
+
+
+
+// --- Recording and replaying responses
+
+/*
+ * The recorded form of the response of a JSON client: its body as JSON if
+ * it can be parsed, as the `data` string otherwise.
+ */
+function jsonResponse(res) {
+    var response = {
+        statusCode: res.statusCode,
+        headers: res.headers
+    };
+    var data = (typeof (res.body) === 'string' ? res.body : '');
+
+    if (data && !/^\s*$/.test(data)) {
+        try {
+            response.body = JSON.parse(data);
+        } catch (e) {
+            response.data = data;
+        }
+    }
+
+    return response;
+}
+
+
+function replayJson(interaction, req, callback) {
+    if (interaction.error) {
+        callback(connectionError(interaction.error), req);
+        return;
+    }
+
+    var response = interaction.response;
+    var data = (response.data !== undefined ? response.data :
+        (response.body !== undefined ? JSON.stringify(response.body) : ''));
+    var obj = (response.body && typeof (response.body) === 'object' ?
+        response.body : {});
+    var res = responseStream(response, data);
+    var err = null;
+
+    res.body = data;
+    if (response.statusCode >= 400) {
+        err = responseError(response, obj, data);
+    }
+    callback(err, req, res, obj);
+}
+
+
+/*
+ * Record the response of a raw client, once it has been read by the caller.
+ * Its data is captured as it is emitted, so as not to change how the caller
+ * reads it (e.g. paused).
+ */
+function recordRawResponse(res, recorded) {
+    var chunks = [];
+    var emit = res.emit;
+
+    res.emit = function (event, chunk) {
+        if (event === 'data') {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk :
+                new Buffer(chunk, 'utf8'));
+        } else if (event === 'end') {
+            recorded(null, {
+                statusCode: res.statusCode,
+                headers: res.headers,
+                base64: Buffer.concat(chunks).toString('base64')
+            });
+        }
+        return emit.apply(this, arguments);
+    };
+}
+
+
+function replayRaw(interaction, req) {
+    if (interaction.error) {
+        req.emit('result', connectionError(interaction.error), null);
+        return;
+    }
+
+    var response = interaction.response;
+    var res = responseStream(response,
+        new Buffer(response.base64 || '', 'base64'));
+    var err = null;
+
+    if (response.statusCode >= 400) {
+        err = restify.codeToHttpError(response.statusCode);
+    }
+    req.emit('result', err, res);
+}
+
+
+
+module.exports = {
+    Cassette: Cassette,
+    wrapRawClient: wrapRawClient
+};
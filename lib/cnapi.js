@@ -15,7 +15,11 @@
 var util = require('util');
 var format = util.format;
 
+var abort = require('./abort');
+var errors = require('./errors');
+var promises = require('./promises');
 var RestifyClient = require('./restifyclient');
+var schemas = require('./schemas');
 
 
 
@@ -33,6 +37,8 @@ function CNAPI(options) {
 
 util.inherits(CNAPI, RestifyClient);
 
+CNAPI.prototype.schemaRoutes = schemas.ROUTES.cnapi;
+
 
 /**
  * Gets boot params for the given CN
@@ -50,9 +56,7 @@ CNAPI.prototype.getBootParams = function (uuid, options, callback) {
     }
 
     var opts = { path: format('/boot/%s', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -75,9 +79,7 @@ CNAPI.prototype.setBootParams = function (uuid, params, options, callback) {
     }
 
     var opts = { path: format('/boot/%s', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -101,9 +103,7 @@ CNAPI.prototype.listServers = function (params, options, callback) {
     }
 
     var opts = { path: '/servers', query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -126,9 +126,7 @@ CNAPI.prototype.getServer = function (uuid, options, callback) {
     }
 
     var opts = { path: format('/servers/%s', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -155,9 +153,7 @@ CNAPI.prototype.setupServer = function (uuid, params, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/setup', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -180,9 +176,7 @@ CNAPI.prototype.getTask = function (id, options, callback) {
     }
 
     var opts = { path: format('/tasks/%s', id) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -213,9 +207,7 @@ CNAPI.prototype.waitTask = function (id, options, callback) {
         opts.path = format('%s?timeout=%d', opts.path, options.timeout);
     }
 
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -225,7 +217,8 @@ CNAPI.prototype.waitTask = function (id, options, callback) {
 /**
  * Periodically check if a task has completed.
  *
- * @param {Object} options : Request options.
+ * @param {Object} options : Request options. An `options.signal` cancels the
+ *        polling, see "abort.js".
  * @param {Function} callback : of the form f(err, task).
  */
 
@@ -235,6 +228,11 @@ CNAPI.prototype.pollTask = function (id, options, callback) {
     if (!id) {
         throw new TypeError('task id is required');
     }
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    var signal = options && options.signal;
 
     // Repeat checkTask until task has finished
     checkTask();
@@ -246,11 +244,20 @@ CNAPI.prototype.pollTask = function (id, options, callback) {
             if (err) {
                 callback(err);
             } else if (task.status === 'failure') {
-                callback(new Error('task failed'), task);
+                callback(new errors.TaskFailedError({
+                    message: 'task failed',
+                    task: task
+                }), task);
             } else if (task.status === 'complete') {
                 callback(null, task);
             } else {
-                setTimeout(checkTask, 1000);
+                abort.sleep(signal, 1000, function (sleepErr) {
+                    if (sleepErr) {
+                        callback(sleepErr);
+                    } else {
+                        checkTask();
+                    }
+                });
             }
         }
     }
@@ -277,9 +284,7 @@ CNAPI.prototype.createVm = function (server, params, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/vms', server) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -305,9 +310,7 @@ CNAPI.prototype.getVm = function (server, uuid, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/vms/%s', server, uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -333,9 +336,7 @@ CNAPI.prototype.stopVm = function (server, uuid, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/vms/%s/stop', server, uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, {}, callback);
 };
@@ -361,9 +362,7 @@ CNAPI.prototype.startVm = function (server, uuid, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/vms/%s/start', server, uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, {}, callback);
 };
@@ -389,9 +388,7 @@ CNAPI.prototype.rebootVm = function (server, uuid, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/vms/%s/reboot', server, uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, {}, callback);
 };
@@ -417,9 +414,7 @@ CNAPI.prototype.updateServer = function (uuid, params, options, callback) {
     }
 
     var opts = { path: format('/servers/%s', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -442,9 +437,7 @@ CNAPI.prototype.rebootServer = function (server, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/reboot', server) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, {}, callback);
 };
@@ -470,9 +463,7 @@ CNAPI.prototype.deleteVm = function (server, uuid, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/vms/%s', server, uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.del(opts, callback);
 };
@@ -499,9 +490,7 @@ CNAPI.prototype.updateNics = function (uuid, params, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/nics', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -535,9 +524,7 @@ function (server, script, params, options, callback) {
     params.script = script;
 
     var opts = { path: format('/servers/%s/execute', server) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -655,9 +642,7 @@ CNAPI.prototype.capacity = function (serverUuids, options, callback) {
         params.servers = serverUuids;
     }
 
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -677,9 +662,7 @@ CNAPI.prototype.listPlatforms = function (options, callback) {
         options = undefined;
     }
     var opts = { path: '/platforms' };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
     this.get(opts, callback);
 };
 
@@ -707,9 +690,7 @@ function (server, uuid, params, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/vms/%s/docker-exec', server, uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -739,9 +720,7 @@ function (server, uuid, params, options, callback) {
     }
 
     var opts = { path: format('/servers/%s/vms/%s/docker-copy', server, uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -772,9 +751,7 @@ function (server, uuid, params, options, callback) {
 
     var path = format('/servers/%s/vms/%s/docker-stats', server, uuid);
     var opts = { path: path };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -795,4 +772,6 @@ CNAPI.prototype.ping = function (callback) {
 
 
 
+promises.promisifyAll(CNAPI.prototype);
+
 module.exports = CNAPI;
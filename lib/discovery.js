@@ -0,0 +1,369 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Discovery of the URLs of the SDC APIs through SAPI:
+ *
+ *      var discovery = new sdc.Discovery({url: sapiUrl, log: log});
+ *
+ *      discovery.createClients({log: log}, function (err, clients) {
+ *          clients.vmapi.listVms(...);
+ *      });
+ *
+ * The URLs are read from the metadata of the 'sdc' application (e.g.
+ * VMAPI_SERVICE), or else from the SERVICE_DOMAIN metadata of its services,
+ * and are cached. Clients given a `resolver()` as their `url` look their
+ * API's URL up again when connections to it fail (see "jsonclient.js").
+ */
+
+var assert = require('assert-plus');
+
+var createCache = require('./cache').createCache;
+var errors = require('./errors');
+var logging = require('./logging');
+var SAPI = require('./sapi');
+var createSdcClients = require('./sdc').createSdcClients;
+
+
+
+// --- Globals
+
+/*
+ * The APIs, by the names of their clients in `createSdcClients`, with the
+ * key of their domain name in the 'sdc' application's metadata and the
+ * name of their SAPI service.
+ */
+var APIS = {
+    amon: { metadata: 'AMON_SERVICE', service: 'amon' },
+    cnapi: { metadata: 'CNAPI_SERVICE', service: 'cnapi' },
+    fwapi: { metadata: 'FWAPI_SERVICE', service: 'fwapi' },
+    imgapi: { metadata: 'IMGAPI_SERVICE', service: 'imgapi' },
+    napi: { metadata: 'NAPI_SERVICE', service: 'napi' },
+    papi: { metadata: 'PAPI_SERVICE', service: 'papi' },
+    vmapi: { metadata: 'VMAPI_SERVICE', service: 'vmapi' },
+    wfapi: { metadata: 'WORKFLOW_SERVICE', service: 'workflow' }
+};
+
+/*
+ * The APIs whose clients take a single URL string, rather than a resolver
+ * function.
+ */
+var STATIC_URL_APIS = ['imgapi', 'papi'];
+
+// How long discovered URLs are cached, in seconds.
+var DEFAULT_AGE = 300;
+
+
+
+// --- Internal support
+
+function serviceUrl(domain) {
+    return (/^https?:\/\//.test(domain) ? domain : 'http://' + domain);
+}
+
+
+
+// --- Discovery
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - url {String} The SAPI URL. Either this or `sapi` is required.
+ *    - sapi {SAPI} A SAPI client to use instead.
+ *    - application {String} Optional. The name of the SAPI application of
+ *      the APIs, 'sdc' by default.
+ *    - age {Number} Optional. How long to cache the URLs, in seconds
+ *      (default 300). When they are looked up again and SAPI cannot be
+ *      reached, the old URLs are used.
+ *    - log {Object} Optional. Bunyan logger.
+ *    - agent {http.Agent|Boolean} Optional. The HTTP agent of the SAPI
+ *      client created for `url`.
+ */
+function Discovery(options) {
+    assert.object(options, 'options');
+    assert.optionalString(options.url, 'options.url');
+    assert.optionalObject(options.sapi, 'options.sapi');
+    assert.ok(options.url || options.sapi,
+        'options.url or options.sapi is required');
+    assert.optionalString(options.application, 'options.application');
+    assert.optionalNumber(options.age, 'options.age');
+    assert.optionalObject(options.log, 'options.log');
+
+    this.log = logging.clientLogger(options.log);
+    this.application = options.application || 'sdc';
+
+    if (options.sapi) {
+        this.sapi = options.sapi;
+        this._ownSapi = false;
+    } else {
+        this.sapi = new SAPI({
+            url: options.url,
+            log: this.log,
+            agent: options.agent
+        });
+        this._ownSapi = true;
+    }
+    this.sapiUrl = options.url;
+
+    this._cache = createCache({ size: 1, age: options.age || DEFAULT_AGE });
+    this._urls = null;
+    this._looking = null;
+}
+
+
+/**
+ * Look the URLs of the APIs up in SAPI.
+ *
+ * @param {Function} callback : of the form f(err, urls).
+ */
+Discovery.prototype._lookup = function _lookup(callback) {
+    var self = this;
+    var sapi = self.sapi;
+
+    sapi.listApplications({ name: self.application }, function (err, apps) {
+        if (err) {
+            callback(err);
+            return;
+        } else if (!apps || apps.length === 0) {
+            callback(new errors.NotFoundError(
+                'no SAPI application named ' + self.application));
+            return;
+        }
+
+        sapi.getApplication(apps[0].uuid, function (aErr, app) {
+            if (aErr) {
+                callback(aErr);
+                return;
+            }
+
+            var urls = {};
+            var metadata = app.metadata || {};
+            Object.keys(APIS).forEach(function (name) {
+                var domain = metadata[APIS[name].metadata];
+                if (domain) {
+                    urls[name] = serviceUrl(domain);
+                }
+            });
+
+            if (Object.keys(urls).length === Object.keys(APIS).length) {
+                callback(null, urls);
+                return;
+            }
+
+            sapi.listServices({ application_uuid: app.uuid },
+                    function (sErr, svcs) {
+                if (sErr) {
+                    callback(sErr);
+                    return;
+                }
+
+                Object.keys(APIS).forEach(function (name) {
+                    if (urls[name]) {
+                        return;
+                    }
+                    (svcs || []).forEach(function (svc) {
+                        var domain = (svc.metadata &&
+                            svc.metadata.SERVICE_DOMAIN);
+                        if (svc.name === APIS[name].service && domain) {
+                            urls[name] = serviceUrl(domain);
+                        }
+                    });
+                });
+                callback(null, urls);
+            });
+        });
+    });
+};
+
+
+/**
+ * Look the URLs of the APIs up again, ignoring the cached ones. Concurrent
+ * calls share one lookup.
+ *
+ * @param {Function} callback : of the form f(err, urls).
+ */
+Discovery.prototype.refresh = function refresh(callback) {
+    assert.func(callback, 'callback');
+    var self = this;
+
+    if (self._looking) {
+        self._looking.push(callback);
+        return;
+    }
+
+    self._looking = [callback];
+    self._lookup(function (err, urls) {
+        var callbacks = self._looking;
+        self._looking = null;
+
+        if (err) {
+            if (self._urls) {
+                self.log.warn({err: err},
+                    'could not look up API URLs in SAPI, using old ones');
+                err = null;
+                urls = self._urls;
+            }
+        } else {
+            self.log.debug({urls: urls}, 'looked up API URLs in SAPI');
+            self._urls = urls;
+            self._cache.put('urls', urls);
+        }
+
+        callbacks.forEach(function (cb) {
+            cb(err, urls);
+        });
+    });
+};
+
+
+/**
+ * Get the URLs of the APIs, from the cache if they were looked up recently.
+ *
+ * @param {Function} callback : of the form f(err, urls), where `urls` has
+ *        the URLs by the name of their client in `createSdcClients`: amon,
+ *        cnapi, fwapi, imgapi, napi, papi, vmapi and wfapi. APIs that are
+ *        not in SAPI are left out.
+ */
+Discovery.prototype.getUrls = function getUrls(callback) {
+    assert.func(callback, 'callback');
+
+    var urls = this._cache.get('urls');
+    if (urls) {
+        callback(null, urls);
+        return;
+    }
+    this.refresh(callback);
+};
+
+
+/**
+ * Get the URL of an API.
+ *
+ * @param {String} name : the API, e.g. 'vmapi'.
+ * @param {Function} callback : of the form f(err, url). The error is a
+ *        NotFoundError if the API is not in SAPI.
+ */
+Discovery.prototype.getUrl = function getUrl(name, callback) {
+    assert.string(name, 'name');
+    assert.func(callback, 'callback');
+    assert.ok(APIS[name], 'unknown API: ' + name);
+
+    this.getUrls(function (err, urls) {
+        if (err) {
+            callback(err);
+        } else if (!urls[name]) {
+            callback(new errors.NotFoundError(
+                'no URL for ' + name + ' in SAPI'));
+        } else {
+            callback(null, urls[name]);
+        }
+    });
+};
+
+
+/**
+ * Get a function to give a client as its `url` option, to look the API's
+ * URL up. The client calls it for its first request, which gets the cached
+ * URL, and again when connections to the URL fail, which looks it up in
+ * SAPI again.
+ *
+ * @param {String} name : the API, e.g. 'vmapi'.
+ * @return {Function} of the form f(callback).
+ */
+Discovery.prototype.resolver = function resolver(name) {
+    assert.string(name, 'name');
+    assert.ok(APIS[name], 'unknown API: ' + name);
+
+    var self = this;
+    var resolved = false;
+
+    return function resolveUrl(callback) {
+        if (!resolved) {
+            resolved = true;
+            self.getUrl(name, callback);
+            return;
+        }
+
+        self.refresh(function (err, urls) {
+            if (err) {
+                callback(err);
+            } else if (!urls[name]) {
+                callback(new errors.NotFoundError(
+                    'no URL for ' + name + ' in SAPI'));
+            } else {
+                callback(null, urls[name]);
+            }
+        });
+    };
+};
+
+
+/**
+ * Create the clients of the APIs in SAPI with `createSdcClients` (see
+ * "sdc.js"). Their clients look the URLs up again when connections fail,
+ * except for the IMGAPI and PAPI clients, which take a single URL.
+ *
+ * @param {Object} config : the config for `createSdcClients`. APIs in it
+ *        are not looked up.
+ * @param {Function} callback : of the form f(err, clients).
+ */
+Discovery.prototype.createClients = function createClients(config, callback) {
+    assert.object(config, 'config');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.getUrls(function (err, urls) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var cfg = {};
+        Object.keys(config).forEach(function (k) {
+            cfg[k] = config[k];
+        });
+
+        Object.keys(urls).forEach(function (name) {
+            if (cfg[name] || cfg[APIS[name].metadata]) {
+                return;
+            }
+            cfg[name] = (STATIC_URL_APIS.indexOf(name) !== -1 ?
+                urls[name] : { url: self.resolver(name) });
+        });
+        if (!cfg.sapi && !cfg.SAPI_SERVICE && self.sapiUrl) {
+            cfg.sapi = { url: self.sapiUrl, wfapiUrl: urls.wfapi };
+        }
+
+        var clients;
+        try {
+            clients = createSdcClients(cfg);
+        } catch (e) {
+            callback(e);
+            return;
+        }
+        callback(null, clients);
+    });
+};
+
+
+/**
+ * Close the SAPI client, if it was created for this.
+ */
+Discovery.prototype.close = function close() {
+    if (this._ownSapi) {
+        this.sapi.close();
+    }
+};
+
+
+
+module.exports = Discovery;
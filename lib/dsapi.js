@@ -21,6 +21,13 @@ var util = require('util'),
     qs = require('querystring');
 var assert = require('assert-plus');
 
+var cassette = require('./cassette');
+var errors = require('./errors');
+var JsonClient = require('./jsonclient').JsonClient;
+var logging = require('./logging');
+var metrics = require('./metrics');
+var promises = require('./promises');
+
 
 
 // ---- internal support stuff
@@ -84,11 +91,17 @@ function DSAPI(options) {
         throw new TypeError('options.url (String) required');
     }
 
-    this.client = restify.createJsonClient(options);
+    // Have the raw client log with the same redacting logger.
+    options.log = logging.clientLogger(options.log);
+    this.client = new JsonClient(options);
+    this.log = this.client.log;
     // Work around <https://github.com/mcavage/node-restify/pull/291>.
     // Switch to `restify.clientHttpClient` when that pull is in.
     options.type = 'http';
     this.rawClient = restify.createClient(options);
+    cassette.wrapRawClient(options.cassette, this.rawClient);
+    metrics.instrumentRawClient(this.rawClient, options.url, options.metrics,
+        this.client.log);
     if (options.username && options.password) {
         this.client.basicAuth(options.username, options.password);
         this.rawClient.basicAuth(options.username, options.password);
@@ -104,6 +117,14 @@ DSAPI.prototype.close = function close() {
 };
 
 
+/**
+ * Queued and in flight request counts, see `queueStats` in "jsonclient.js".
+ */
+DSAPI.prototype.queueStats = function queueStats() {
+    return this.client.queueStats();
+};
+
+
 /**
  * Ping
  */
@@ -207,31 +228,14 @@ DSAPI.prototype.getImageFileStream = function getImageFileStream(
         var path = image.files[0].url;
         self.rawClient.get(path, function (connectErr, req) {
             if (connectErr) {
-                callback(connectErr);
+                callback(errors.translateError(connectErr));
                 return;
             }
             req.on('result', function (resultErr, res) {
                 if (resultErr) {
-                    if (!res) {
-                        callback(resultErr);
-                    } else {
-                        var finished = false;
-                        function finish(err) {
-                            if (finished)
-                                return;
-                            finished = true;
-                            if (!resultErr.body.message && errMessage) {
-                                resultErr.body.message = errMessage;
-                            }
-                            callback(resultErr, res);
-                        }
-                        var errMessage = '';
-                        res.on('data', function (chunk) {
-                            errMessage += chunk;
-                        });
-                        res.on('error', finish);
-                        res.on('end', finish);
-                    }
+                    errors.translateRawError(resultErr, res, function (err) {
+                        callback(err, res);
+                    });
                     return;
                 }
                 pauseStream(res);
@@ -244,6 +248,8 @@ DSAPI.prototype.getImageFileStream = function getImageFileStream(
 
 // ---- exports
 
+promises.promisifyAll(DSAPI.prototype);
+
 module.exports = DSAPI;
 
 module.exports.createClient = function createClient(options) {
@@ -0,0 +1,472 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * The errors returned by the SDC clients.
+ *
+ * Error responses from all the APIs are translated (see `translateError`)
+ * into one of the classes here, based on the response status code and the
+ * service's own error code, so that callers can branch on `err.code` without
+ * knowing which service responded:
+ *
+ *      vmapi.getVm({uuid: uuid}, function (err, vm) {
+ *          if (err && err.code === 'NotFound') {
+ *              ...
+ *          }
+ *      });
+ *
+ * All errors are `SdcError`s (a verror WError) and keep the original error
+ * as their `cause()`, along with the `statusCode`, `restCode` (the service's
+ * error code) and `body` of the response.
+ */
+
+var assert = require('assert-plus');
+var once = require('once');
+var util = require('util');
+var WError = require('verror').WError;
+var format = util.format;
+
+
+
+// --- Base error
+
+/**
+ * Base class for all the client errors.
+ *
+ * Used as is for error responses that none of the subclasses below cover,
+ * with a `code` of 'Internal' for a 5xx response and 'Request' otherwise.
+ *
+ * @param {Object|String} options : Options, or just the message.
+ *    - cause {Error} Optional. The underlying error.
+ *    - message {String} Optional. Defaults to the cause's message.
+ *    - statusCode {Number} Optional. The HTTP response status code.
+ *    - restCode {String} Optional. The service's error code.
+ *    - body {Object} Optional. The error response body.
+ */
+function SdcError(options) {
+    if (typeof (options) === 'string') {
+        options = { message: options };
+    }
+    assert.object(options, 'options');
+    assert.optionalObject(options.cause, 'options.cause');
+    assert.optionalString(options.message, 'options.message');
+    assert.optionalNumber(options.statusCode, 'options.statusCode');
+    assert.optionalString(options.restCode, 'options.restCode');
+
+    var message = options.message ||
+        (options.cause && options.cause.message) || this.name;
+    var args = (options.cause ? [options.cause] : []);
+    WError.apply(this, args.concat('%s', message));
+
+    if (!this.code) {
+        this.code = 'Internal';
+    }
+    if (options.statusCode !== undefined) {
+        this.statusCode = options.statusCode;
+    }
+    if (options.restCode !== undefined) {
+        this.restCode = options.restCode;
+    }
+    if (options.body !== undefined) {
+        this.body = options.body;
+    }
+}
+util.inherits(SdcError, WError);
+SdcError.prototype.name = 'SdcError';
+
+
+
+// --- Errors for API responses
+
+/**
+ * The resource does not exist (e.g. a 404).
+ */
+function NotFoundError(options) {
+    this.code = 'NotFound';
+    SdcError.call(this, options);
+}
+util.inherits(NotFoundError, SdcError);
+NotFoundError.prototype.name = 'NotFoundError';
+
+
+/**
+ * The request conflicts with the current state of the resource (e.g. a 409).
+ */
+function ConflictError(options) {
+    this.code = 'Conflict';
+    SdcError.call(this, options);
+}
+util.inherits(ConflictError, SdcError);
+ConflictError.prototype.name = 'ConflictError';
+
+
+/**
+ * The resource changed since it was fetched: its ETag does not match the
+ * `ifMatch` option of the call (a 412).
+ */
+function PreconditionFailedError(options) {
+    this.code = 'PreconditionFailed';
+    SdcError.call(this, options);
+}
+util.inherits(PreconditionFailedError, SdcError);
+PreconditionFailedError.prototype.name = 'PreconditionFailedError';
+
+
+/**
+ * The request parameters are invalid.
+ *
+ * `err.errors` holds the field-level details the service gave, if any, as an
+ * array of objects of the form `{field: <name>, code: <code>, message: <msg>}`.
+ *
+ * @param {Object} options : As for SdcError, plus:
+ *    - errors {Array} Optional. The field-level details.
+ */
+function ValidationError(options) {
+    this.code = 'Validation';
+    SdcError.call(this, options);
+    this.errors = (options && options.errors) || [];
+}
+util.inherits(ValidationError, SdcError);
+ValidationError.prototype.name = 'ValidationError';
+
+
+/**
+ * The service could not be reached, or is temporarily unable to handle the
+ * request (e.g. a connection refused, or a 503).
+ */
+function UnavailableError(options) {
+    this.code = 'Unavailable';
+    SdcError.call(this, options);
+}
+util.inherits(UnavailableError, SdcError);
+UnavailableError.prototype.name = 'UnavailableError';
+
+
+/**
+ * The client's circuit breaker for the service is open (see "breaker.js"),
+ * so the call failed fast without making a request. The service's base URL
+ * is `err.url`.
+ *
+ * @param {Object} options : As for SdcError, plus:
+ *    - url {String} Optional. The service's base URL.
+ */
+function CircuitOpenError(options) {
+    UnavailableError.call(this, options);
+    this.code = 'CircuitOpen';
+    this.url = options && options.url;
+}
+util.inherits(CircuitOpenError, UnavailableError);
+CircuitOpenError.prototype.name = 'CircuitOpenError';
+
+
+/**
+ * The request, or an operation the client was waiting on, timed out.
+ */
+function TimeoutError(options) {
+    this.code = 'Timeout';
+    SdcError.call(this, options);
+}
+util.inherits(TimeoutError, SdcError);
+TimeoutError.prototype.name = 'TimeoutError';
+
+
+/**
+ * The call was cancelled through its `signal` option (see "abort.js").
+ */
+function AbortedError(options) {
+    this.code = 'Aborted';
+    SdcError.call(this, options || 'the call was aborted');
+}
+util.inherits(AbortedError, SdcError);
+AbortedError.prototype.name = 'AbortedError';
+
+
+
+// --- Errors for workflow jobs and CNAPI tasks
+
+/**
+ * A workflow job failed. The job is `err.job`.
+ *
+ * @param {Object} options : As for SdcError, plus:
+ *    - job {Object} Optional. The job.
+ */
+function JobFailedError(options) {
+    this.code = 'JobFailed';
+    SdcError.call(this, options);
+    this.job = options && options.job;
+}
+util.inherits(JobFailedError, SdcError);
+JobFailedError.prototype.name = 'JobFailedError';
+
+
+/**
+ * A CNAPI task failed. The task is `err.task`.
+ *
+ * @param {Object} options : As for SdcError, plus:
+ *    - task {Object} Optional. The task.
+ */
+function TaskFailedError(options) {
+    this.code = 'TaskFailed';
+    SdcError.call(this, options);
+    this.task = options && options.task;
+}
+util.inherits(TaskFailedError, SdcError);
+TaskFailedError.prototype.name = 'TaskFailedError';
+
+
+
+// --- Client-side errors
+
+/**
+ * The checksum of downloaded content does not match the expected one.
+ */
+function ChecksumError(cause, actual, expected) {
+    this.code = 'ChecksumError';
+    if (expected === undefined) {
+        expected = actual;
+        actual = cause;
+        cause = undefined;
+    }
+    assert.optionalObject(cause);
+    assert.string(actual);
+    assert.string(expected);
+
+    SdcError.call(this, {
+        cause: cause,
+        message: format('content-md5 expected to be %s, but was %s',
+            expected, actual)
+    });
+}
+util.inherits(ChecksumError, SdcError);
+ChecksumError.prototype.name = 'ChecksumError';
+
+
+/**
+ * An error signing a request.
+ */
+function SigningError(cause) {
+    this.code = 'SigningError';
+    assert.optionalObject(cause);
+    SdcError.call(this, { cause: cause, message: 'error signing request' });
+}
+util.inherits(SigningError, SdcError);
+SigningError.prototype.name = 'SigningError';
+
+
+/**
+ * A call made in replay mode matches none of the calls left in the cassette
+ * (see "cassette.js"). The call's request is `err.request`.
+ *
+ * @param {Object} options
+ *    - request {Object} The request: method, path, query and body.
+ */
+function UnmatchedRequestError(options) {
+    this.code = 'UnmatchedRequest';
+    assert.object(options, 'options');
+    assert.object(options.request, 'options.request');
+
+    SdcError.call(this, {
+        message: format('no recorded call matches %s %s',
+            options.request.method, options.request.path)
+    });
+    this.request = options.request;
+}
+util.inherits(UnmatchedRequestError, SdcError);
+UnmatchedRequestError.prototype.name = 'UnmatchedRequestError';
+
+
+/**
+ * A response body does not match the schema of the object the API was
+ * expected to respond with (see "schemas"). This is only checked by clients
+ * given the `validate` option.
+ *
+ * `err.errors` holds the field-level details, as for a ValidationError.
+ *
+ * @param {Object} options : As for SdcError, plus:
+ *    - errors {Array} Optional. The field-level details.
+ */
+function InvalidResponseError(options) {
+    this.code = 'InvalidResponse';
+    SdcError.call(this, options);
+    this.errors = (options && options.errors) || [];
+}
+util.inherits(InvalidResponseError, SdcError);
+InvalidResponseError.prototype.name = 'InvalidResponseError';
+
+
+
+// --- Translation of restify errors
+
+// Service error codes (`restCode`) and the errors they map to. These take
+// precedence over the status code.
+var REST_CODES = {
+    // restify
+    BadRequest: ValidationError,
+    InvalidArgument: ValidationError,
+    InvalidContent: ValidationError,
+    InvalidHeader: ValidationError,
+    MissingParameter: ValidationError,
+    PreconditionFailed: PreconditionFailedError,
+    RequestTimeout: TimeoutError,
+    ResourceNotFound: NotFoundError,
+    ServiceUnavailable: UnavailableError,
+    // SDC APIs (e.g. NAPI, VMAPI, IMGAPI)
+    InvalidParameters: ValidationError,
+    ValidationFailed: ValidationError,
+    NotFound: NotFoundError,
+    // CA
+    ECA_EXISTS: ConflictError,
+    ECA_INCOMPAT: ValidationError,
+    ECA_INVAL: ValidationError,
+    ECA_NOENT: NotFoundError
+};
+
+var STATUS_CODES = {
+    400: ValidationError,
+    404: NotFoundError,
+    408: TimeoutError,
+    409: ConflictError,
+    412: PreconditionFailedError,
+    422: ValidationError,
+    502: UnavailableError,
+    503: UnavailableError,
+    504: TimeoutError
+};
+
+// Connection-level errors, without a response.
+var TIMEOUT_ERRORS = ['ConnectTimeoutError', 'RequestTimeoutError',
+    'ETIMEDOUT'];
+var UNAVAILABLE_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH',
+    'ENETUNREACH', 'ENOTFOUND', 'EPIPE'];
+
+
+/**
+ * Translate an error from a restify client into one of the errors here.
+ *
+ * Errors that already are `SdcError`s, and errors that are neither error
+ * responses nor connection errors (e.g. a bad argument), are returned as is.
+ *
+ * @param {Error} err : the error, or null.
+ * @return {Error} the translated error, or `err`.
+ */
+function translateError(err) {
+    if (!err || err instanceof SdcError) {
+        return err;
+    }
+
+    var body = (err.body && typeof (err.body) === 'object' ?
+        err.body : undefined);
+    // CA nests its error details as `{error: {code: ..., message: ...}}`.
+    var details = (body && body.error && typeof (body.error) === 'object' ?
+        body.error : body);
+    var options = {
+        cause: err,
+        message: (details && details.message) || err.message,
+        statusCode: err.statusCode,
+        restCode: err.restCode || (details && details.code) || undefined,
+        body: err.body,
+        errors: (details && Array.isArray(details.errors) ?
+            details.errors : undefined)
+    };
+
+    if (typeof (options.restCode) !== 'string') {
+        delete options.restCode;
+    }
+
+    if (!err.statusCode) {
+        if (TIMEOUT_ERRORS.indexOf(err.name) !== -1 ||
+            TIMEOUT_ERRORS.indexOf(err.code) !== -1) {
+            return new TimeoutError(options);
+        } else if (UNAVAILABLE_ERRORS.indexOf(err.code) !== -1) {
+            return new UnavailableError(options);
+        }
+        return err;
+    }
+
+    var Ctor = (Object.prototype.hasOwnProperty.call(REST_CODES,
+        options.restCode) && REST_CODES[options.restCode]) ||
+        STATUS_CODES[err.statusCode];
+
+    if (Ctor) {
+        return new Ctor(options);
+    }
+
+    var other = new SdcError(options);
+    other.code = (err.statusCode >= 500 ? 'Internal' : 'Request');
+    return other;
+}
+
+
+/**
+ * Translate an error from a raw (i.e. not JSON) restify client request.
+ *
+ * The error body of such requests is not parsed by restify, so this reads it
+ * from the response first, to get the message and error code from it.
+ *
+ * @param {Error} err : the error.
+ * @param {http.IncomingMessage} res : Optional. The response.
+ * @param {Function} callback : of the form f(translatedErr).
+ */
+function translateRawError(err, res, callback) {
+    assert.object(err, 'err');
+    assert.func(callback, 'callback');
+
+    if (!res) {
+        callback(translateError(err));
+        return;
+    }
+
+    function finish_() {
+        if (!err.body || typeof (err.body) !== 'object') {
+            err.body = {};
+        }
+        if (errBody && (!err.body.message || !err.body.code)) {
+            try {
+                var data = JSON.parse(errBody);
+                err.message = data.message;
+                err.body.message = data.message;
+                err.body.code = data.code;
+            } catch (e) {
+                err.message = errBody;
+                err.body.message = errBody;
+            }
+        }
+        callback(translateError(err));
+    }
+    var finish = once(finish_);
+
+    var errBody = '';
+    res.on('data', function (chunk) { errBody += chunk; });
+    res.on('error', finish);
+    res.on('end', finish);
+}
+
+
+
+module.exports = {
+    SdcError: SdcError,
+    NotFoundError: NotFoundError,
+    ConflictError: ConflictError,
+    PreconditionFailedError: PreconditionFailedError,
+    ValidationError: ValidationError,
+    UnavailableError: UnavailableError,
+    CircuitOpenError: CircuitOpenError,
+    TimeoutError: TimeoutError,
+    AbortedError: AbortedError,
+    JobFailedError: JobFailedError,
+    TaskFailedError: TaskFailedError,
+    ChecksumError: ChecksumError,
+    SigningError: SigningError,
+    UnmatchedRequestError: UnmatchedRequestError,
+    InvalidResponseError: InvalidResponseError,
+
+    translateError: translateError,
+    translateRawError: translateRawError
+};
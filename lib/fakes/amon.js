@@ -0,0 +1,252 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Fake Amon: users' probe groups, probes and alarms.
+ *
+ * Nothing is monitored, so alarms are only opened by `addAlarm`.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var common = require('./common');
+var FakeServer = common.FakeServer;
+
+
+
+// --- Globals
+
+// How long closed alarms are listed in the default 'recent' state.
+var RECENT_MS = 60 * 60 * 1000;
+
+
+
+// --- FakeAmon
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ */
+function FakeAmon(options) {
+    options = options || {};
+
+    this.probeGroups = {};
+    this.probes = {};
+    this.alarms = [];
+
+    FakeServer.call(this, { name: 'amon', log: options.log });
+}
+
+util.inherits(FakeAmon, FakeServer);
+
+
+/**
+ * Open an alarm for a user, as if one of their probes had faulted.
+ *
+ * @param {Object} params
+ *    - user {String} the user UUID.
+ *    - probe {String} Optional. The UUID of the faulted probe.
+ *    - probeGroup {String} Optional. Its probe group UUID.
+ *    - event {Object} Optional. The fault event.
+ * @return {Object} the alarm.
+ */
+FakeAmon.prototype.addAlarm = function addAlarm(params) {
+    assert.object(params, 'params');
+    assert.string(params.user, 'params.user');
+    assert.optionalString(params.probe, 'params.probe');
+    assert.optionalString(params.probeGroup, 'params.probeGroup');
+
+    var now = Date.now();
+    var probe = params.probe && this.probes[params.probe];
+    var alarm = {
+        user: params.user,
+        id: this.alarms.length + 1,
+        probeGroup: params.probeGroup || (probe && probe.group) || null,
+        closed: false,
+        suppressed: false,
+        timeOpened: now,
+        timeClosed: null,
+        timeLastEvent: now,
+        numEvents: 1,
+        faults: (params.probe ? [ {
+            type: 'probe',
+            probe: params.probe,
+            event: params.event || {}
+        } ] : []),
+        maintFaults: []
+    };
+    this.alarms.push(alarm);
+    return alarm;
+};
+
+
+FakeAmon.prototype._routes = function _routes(server) {
+    var self = this;
+
+    /*
+     * CRUD routes for a user's probe groups or probes.
+     */
+    function objectRoutes(type, name, collection, required) {
+        var path = '/pub/:user/' + type;
+
+        function getObject(req, res, next) {
+            var obj = collection[req.params.uuid];
+            if (!obj || obj.user !== req.params.user) {
+                common.notFound(res, next,
+                    format('%s "%s" not found', name, req.params.uuid));
+                return null;
+            }
+            return obj;
+        }
+
+        server.get(path, function listObjects(req, res, next) {
+            res.send(Object.keys(collection).map(function (k) {
+                return collection[k];
+            }).filter(function (obj) {
+                return (obj.user === req.params.user);
+            }));
+            next();
+        });
+
+        server.post(path, function createObject(req, res, next) {
+            if (common.missingParams(req, res, next, required)) {
+                return;
+            }
+            var obj = common.copy(req.body);
+            obj.uuid = common.uuid();
+            obj.user = req.params.user;
+            collection[obj.uuid] = obj;
+            res.send(obj);
+            next();
+        });
+
+        server.get(path + '/:uuid', function getO(req, res, next) {
+            var obj = getObject(req, res, next);
+            if (obj) {
+                res.send(obj);
+                next();
+            }
+        });
+
+        server.put(path + '/:uuid', function putObject(req, res, next) {
+            var obj = getObject(req, res, next);
+            if (obj) {
+                Object.keys(req.body).forEach(function (k) {
+                    if (k !== 'uuid' && k !== 'user') {
+                        obj[k] = req.body[k];
+                    }
+                });
+                res.send(obj);
+                next();
+            }
+        });
+
+        server.del(path + '/:uuid', function deleteObject(req, res, next) {
+            var obj = getObject(req, res, next);
+            if (obj) {
+                delete collection[obj.uuid];
+                res.send(204);
+                next();
+            }
+        });
+    }
+
+    objectRoutes('probegroups', 'probe group', this.probeGroups, ['contacts']);
+    objectRoutes('probes', 'probe', this.probes, ['type', 'agent']);
+
+    // -- Alarms
+
+    function getAlarm(req, res, next) {
+        var alarm = self.alarms[Number(req.params.id) - 1];
+        if (!alarm || alarm.user !== req.params.user) {
+            common.notFound(res, next,
+                format('alarm %s not found', req.params.id));
+            return null;
+        }
+        return alarm;
+    }
+
+    server.get('/alarms', function listAllAlarms(req, res, next) {
+        res.send(self.alarms.filter(Boolean));
+        next();
+    });
+
+    server.get('/pub/:user/alarms', function listAlarms(req, res, next) {
+        var state = req.query.state || 'recent';
+        var since = Date.now() - RECENT_MS;
+
+        res.send(self.alarms.filter(function (alarm) {
+            if (!alarm || alarm.user !== req.params.user ||
+                (req.query.probeGroup &&
+                alarm.probeGroup !== req.query.probeGroup)) {
+                return false;
+            }
+            switch (state) {
+            case 'open':
+                return !alarm.closed;
+            case 'closed':
+                return alarm.closed;
+            case 'recent':
+                return (!alarm.closed || alarm.timeClosed > since);
+            default:
+                return true;
+            }
+        }));
+        next();
+    });
+
+    server.get('/pub/:user/alarms/:id', function getA(req, res, next) {
+        var alarm = getAlarm(req, res, next);
+        if (alarm) {
+            res.send(alarm);
+            next();
+        }
+    });
+
+    server.post('/pub/:user/alarms/:id', function alarmAction(req, res,
+            next) {
+        var alarm = getAlarm(req, res, next);
+        if (!alarm) {
+            return;
+        }
+        if (req.query.action === 'close') {
+            alarm.closed = true;
+            alarm.timeClosed = Date.now();
+        } else if (req.query.action === 'reopen') {
+            alarm.closed = false;
+            alarm.timeClosed = null;
+        } else {
+            common.sendError(res, next, 409, 'InvalidArgument',
+                format('invalid action: %s', req.query.action));
+            return;
+        }
+        res.send(202);
+        next();
+    });
+
+    server.del('/pub/:user/alarms/:id', function deleteAlarm(req, res,
+            next) {
+        var alarm = getAlarm(req, res, next);
+        if (alarm) {
+            // Keep the ids of the other alarms.
+            self.alarms[alarm.id - 1] = null;
+            res.send(204);
+            next();
+        }
+    });
+};
+
+
+
+module.exports = FakeAmon;
@@ -0,0 +1,430 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Fake CNAPI: servers and their VMs, tasks, boot params, waitlist tickets
+ * and capacity.
+ *
+ * Tasks complete as soon as they are created. Commands sent with
+ * `commandExecute` are not run: they exit 0 with no output. The docker
+ * endpoints are not implemented.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+
+var common = require('./common');
+var FakeServer = common.FakeServer;
+
+
+
+// --- Globals
+
+var PLATFORM = '20150101T000000Z';
+
+var VM_ACTIONS = {
+    start: 'running',
+    stop: 'stopped',
+    reboot: 'running'
+};
+
+
+
+// --- FakeCNAPI
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ *    - servers {Array} Optional. Servers to start with, instead of the
+ *      default headnode (see "common.js"). Each needs a `uuid`, and can have
+ *      a `vms` object of VMs by UUID.
+ */
+function FakeCNAPI(options) {
+    options = options || {};
+    assert.optionalArrayOfObject(options.servers, 'options.servers');
+
+    this.servers = {};
+    this.tasks = {};
+    this.tickets = {};
+    this.bootParams = {
+        'default': { platform: PLATFORM, kernel_args: {} }
+    };
+    this._taskCount = 0;
+
+    FakeServer.call(this, { name: 'cnapi', log: options.log });
+
+    var self = this;
+    (options.servers || [ {
+        uuid: common.HEADNODE_UUID,
+        hostname: 'headnode',
+        headnode: true
+    } ]).forEach(function (server) {
+        self.addServer(server);
+    });
+}
+
+util.inherits(FakeCNAPI, FakeServer);
+
+
+/**
+ * Add a server.
+ *
+ * @param {Object} params : the server's fields, with at least `uuid`.
+ * @return {Object} the server.
+ */
+FakeCNAPI.prototype.addServer = function addServer(params) {
+    assert.object(params, 'params');
+    assert.string(params.uuid, 'params.uuid');
+
+    var server = common.copy(params);
+    server.hostname = server.hostname || server.uuid;
+    server.headnode = Boolean(server.headnode);
+    server.setup = (server.setup !== undefined ? server.setup : true);
+    server.status = server.status || 'running';
+    server.reserved = Boolean(server.reserved);
+    server.datacenter = server.datacenter || 'coal';
+    server.current_platform = server.current_platform || PLATFORM;
+    server.boot_platform = server.boot_platform || PLATFORM;
+    server.ram = server.ram || 16384;
+    server.disk = server.disk || 512000;
+    server.cpus = server.cpus || 8;
+    server.sysinfo = server.sysinfo || {
+        'UUID': server.uuid,
+        'Hostname': server.hostname,
+        'Live Image': server.current_platform,
+        'MiB of Memory': String(server.ram),
+        'CPU Total Cores': server.cpus
+    };
+    server.vms = server.vms || {};
+
+    this.servers[server.uuid] = server;
+    return server;
+};
+
+
+/*
+ * Create a task, which has already completed.
+ */
+FakeCNAPI.prototype._task = function _task(serverUuid, name) {
+    var now = new Date().toISOString();
+    var task = {
+        id: String(++this._taskCount),
+        req_id: common.uuid(),
+        task: name,
+        server_uuid: serverUuid,
+        status: 'complete',
+        timestamp: now,
+        history: [ {
+            name: 'finish',
+            timestamp: now,
+            event: {}
+        } ]
+    };
+    this.tasks[task.id] = task;
+    return task;
+};
+
+
+FakeCNAPI.prototype._routes = function _routes(server) {
+    var self = this;
+
+    function getServer(req, res, next) {
+        var s = self.servers[req.params.uuid];
+        if (!s) {
+            common.notFound(res, next, 'server not found');
+        }
+        return s;
+    }
+
+    function getVm(req, res, next) {
+        var s = getServer(req, res, next);
+        if (!s) {
+            return null;
+        }
+        var vm = s.vms[req.params.vm];
+        if (!vm) {
+            common.notFound(res, next, 'VM ' + req.params.vm + ' not found');
+        }
+        return vm;
+    }
+
+    function sendTask(res, next, serverUuid, name) {
+        res.send(202, { id: self._task(serverUuid, name).id });
+        next();
+    }
+
+    function serverObject(s) {
+        var obj = common.copy(s);
+        delete obj.vms;
+        return obj;
+    }
+
+    function capacity(s) {
+        var used = Object.keys(s.vms).reduce(function (sum, k) {
+            return sum + (Number(s.vms[k].ram) || 0);
+        }, 0);
+        return {
+            cpu: s.cpus * 100,
+            ram: s.ram - used,
+            disk: s.disk
+        };
+    }
+
+    // -- Servers
+
+    server.get('/servers', function listServers(req, res, next) {
+        var servers = Object.keys(self.servers).map(function (k) {
+            return self.servers[k];
+        }).filter(function (s) {
+            var query = common.copy(req.query);
+            if (query.uuids) {
+                if (String(query.uuids).split(',').indexOf(s.uuid) === -1) {
+                    return false;
+                }
+                delete query.uuids;
+            }
+            return common.matches(s, query, ['extras']);
+        });
+        res.send(common.paginate(servers, req.query).map(serverObject));
+        next();
+    });
+
+    server.get('/servers/:uuid', function getS(req, res, next) {
+        var s = getServer(req, res, next);
+        if (s) {
+            res.send(serverObject(s));
+            next();
+        }
+    });
+
+    server.post('/servers/:uuid', function updateServer(req, res, next) {
+        var s = getServer(req, res, next);
+        if (s) {
+            Object.keys(req.body).forEach(function (k) {
+                if (k !== 'uuid' && k !== 'vms') {
+                    s[k] = req.body[k];
+                }
+            });
+            res.send(204);
+            next();
+        }
+    });
+
+    server.put('/servers/:uuid/setup', function setupServer(req, res, next) {
+        var s = getServer(req, res, next);
+        if (s) {
+            s.setup = true;
+            if (req.body.hostname) {
+                s.hostname = req.body.hostname;
+            }
+            sendTask(res, next, s.uuid, 'server_setup');
+        }
+    });
+
+    server.post('/servers/:uuid/reboot', function rebootS(req, res, next) {
+        var s = getServer(req, res, next);
+        if (s) {
+            sendTask(res, next, s.uuid, 'server_reboot');
+        }
+    });
+
+    server.put('/servers/:uuid/nics', function updateNics(req, res, next) {
+        var s = getServer(req, res, next);
+        if (s) {
+            sendTask(res, next, s.uuid, 'server_update_nics');
+        }
+    });
+
+    server.post('/servers/:uuid/execute', function execute(req, res, next) {
+        var s = getServer(req, res, next);
+        if (!s || common.missingParams(req, res, next, ['script'])) {
+            return;
+        }
+        res.send({ exitCode: 0, stdout: '', stderr: '' });
+        next();
+    });
+
+    server.post('/servers/:uuid/ensure-image',
+            function ensureImage(req, res, next) {
+        var s = getServer(req, res, next);
+        if (s && !common.missingParams(req, res, next, ['image_uuid'])) {
+            sendTask(res, next, s.uuid, 'image_ensure_present');
+        }
+    });
+
+    // -- VMs
+
+    server.post('/servers/:uuid/vms', function createVm(req, res, next) {
+        var s = getServer(req, res, next);
+        if (!s) {
+            return;
+        }
+        var vm = common.copy(req.body);
+        vm.uuid = vm.uuid || common.uuid();
+        vm.server_uuid = s.uuid;
+        vm.state = 'running';
+        vm.zone_state = 'running';
+        s.vms[vm.uuid] = vm;
+        sendTask(res, next, s.uuid, 'machine_create');
+    });
+
+    server.get('/servers/:uuid/vms/:vm', function getV(req, res, next) {
+        var vm = getVm(req, res, next);
+        if (vm) {
+            res.send(vm);
+            next();
+        }
+    });
+
+    Object.keys(VM_ACTIONS).forEach(function (action) {
+        server.post('/servers/:uuid/vms/:vm/' + action,
+                function vmAction(req, res, next) {
+            var vm = getVm(req, res, next);
+            if (vm) {
+                vm.state = vm.zone_state = VM_ACTIONS[action];
+                sendTask(res, next, vm.server_uuid, 'machine_' + action);
+            }
+        });
+    });
+
+    server.del('/servers/:uuid/vms/:vm', function deleteVm(req, res, next) {
+        var vm = getVm(req, res, next);
+        if (vm) {
+            delete self.servers[vm.server_uuid].vms[vm.uuid];
+            sendTask(res, next, vm.server_uuid, 'machine_destroy');
+        }
+    });
+
+    // -- Tasks
+
+    server.get('/tasks/:id', function getTask(req, res, next) {
+        var task = self.tasks[req.params.id];
+        if (!task) {
+            common.notFound(res, next, 'no such task found');
+            return;
+        }
+        res.send(task);
+        next();
+    });
+
+    server.get('/tasks/:id/wait', function waitTask(req, res, next) {
+        var task = self.tasks[req.params.id];
+        if (!task) {
+            common.notFound(res, next, 'no such task found');
+            return;
+        }
+        res.send(task);
+        next();
+    });
+
+    // -- Boot params
+
+    server.get('/boot/:uuid', function getBootParams(req, res, next) {
+        var params = self.bootParams[req.params.uuid];
+        if (!params && !self.servers[req.params.uuid]) {
+            common.notFound(res, next, 'server not found');
+            return;
+        }
+        res.send(params || self.bootParams['default']);
+        next();
+    });
+
+    server.post('/boot/:uuid', function setBootParams(req, res, next) {
+        if (req.params.uuid !== 'default' && !self.servers[req.params.uuid]) {
+            common.notFound(res, next, 'server not found');
+            return;
+        }
+        self.bootParams[req.params.uuid] = common.copy(req.body);
+        res.send(204);
+        next();
+    });
+
+    // -- Waitlist tickets
+
+    server.post('/servers/:uuid/tickets', function createTicket(req, res,
+            next) {
+        var s = getServer(req, res, next);
+        if (!s) {
+            return;
+        }
+        var ticket = common.copy(req.body);
+        ticket.uuid = common.uuid();
+        ticket.server_uuid = s.uuid;
+        ticket.status = 'active';
+        ticket.created_at = new Date().toISOString();
+        self.tickets[ticket.uuid] = ticket;
+        res.send(202, { uuid: ticket.uuid, queue: [ ticket ] });
+        next();
+    });
+
+    function getTicket(req, res, next) {
+        var ticket = self.tickets[req.params.uuid];
+        if (!ticket) {
+            common.notFound(res, next, 'ticket not found');
+        }
+        return ticket;
+    }
+
+    server.get('/tickets/:uuid', function getT(req, res, next) {
+        var ticket = getTicket(req, res, next);
+        if (ticket) {
+            res.send(ticket);
+            next();
+        }
+    });
+
+    server.get('/tickets/:uuid/wait', function waitTicket(req, res, next) {
+        if (getTicket(req, res, next)) {
+            res.send(204);
+            next();
+        }
+    });
+
+    server.put('/tickets/:uuid/release', function releaseTicket(req, res,
+            next) {
+        var ticket = getTicket(req, res, next);
+        if (ticket) {
+            ticket.status = 'finished';
+            res.send(204);
+            next();
+        }
+    });
+
+    // -- Capacity and platforms
+
+    server.post('/capacity', function getCapacity(req, res, next) {
+        var result = { capacities: {}, errors: {} };
+        (req.body.servers || Object.keys(self.servers)).forEach(function (u) {
+            if (self.servers[u]) {
+                result.capacities[u] = capacity(self.servers[u]);
+            } else {
+                result.errors[u] = 'server not found';
+            }
+        });
+        res.send(result);
+        next();
+    });
+
+    server.get('/platforms', function listPlatforms(req, res, next) {
+        var platforms = {};
+        Object.keys(self.servers).forEach(function (k) {
+            platforms[self.servers[k].current_platform] = {};
+        });
+        platforms[PLATFORM] = { latest: true };
+        res.send(platforms);
+        next();
+    });
+};
+
+
+
+module.exports = FakeCNAPI;
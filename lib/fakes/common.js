@@ -0,0 +1,481 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Support for the in-process fake SDC APIs (see "index.js").
+ *
+ * Each fake is a restify server, listening on 127.0.0.1, that keeps its
+ * objects in memory. The fakes that run workflow jobs (VMAPI, IMGAPI and
+ * SAPI) also serve the Workflow API endpoints for them (`GET /jobs` and
+ * `GET /jobs/:uuid`), and point the 'workflow-api' response header at
+ * themselves, so that the clients' `*AndWait` methods work against them.
+ * Jobs run as soon as they are created.
+ *
+ * The VMs of the fake VMAPI, the networks and nics of the fake NAPI, and the
+ * applications, services and instances of the fake SAPI have ETags, and
+ * honour the 'if-match' and 'if-none-match' headers (see `conditional`).
+ */
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var crypto = require('crypto');
+var restify = require('restify');
+var util = require('util');
+
+
+
+// --- Globals
+
+/*
+ * The fixed UUIDs of the objects that the fakes are seeded with by default:
+ * a fresh headnode, with an 'admin' user, the headnode server, and the
+ * 'admin' and 'external' networks.
+ */
+var ADMIN_UUID = '930896af-bf8c-48d4-885c-6573a94b1853';
+var HEADNODE_UUID = '564d9f5c-8a3d-4c7e-9f4b-2b8a0d3b6c01';
+var ADMIN_NETWORK_UUID = 'aefd7d3c-a4fd-4812-9dd7-24733974d861';
+var EXTERNAL_NETWORK_UUID = 'de749393-836c-42ce-9c7b-e81072ca3a23';
+
+// Query params that page lists rather than filter them.
+var PAGE_PARAMS = ['limit', 'offset', 'marker', 'sort', 'fields'];
+
+
+
+// --- Helpers
+
+/**
+ * Generate a random (v4) UUID.
+ *
+ * @return {String}
+ */
+function uuid() {
+    var b = crypto.randomBytes(16);
+    b[6] = (b[6] & 0x0f) | 0x40;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    var h = b.toString('hex');
+    return [h.slice(0, 8), h.slice(8, 12), h.slice(12, 16), h.slice(16, 20),
+        h.slice(20)].join('-');
+}
+
+
+/**
+ * Generate a random MAC address, in the '90:b8:d0' prefix that SDC uses.
+ *
+ * @return {String}
+ */
+function randomMac() {
+    var b = crypto.randomBytes(3);
+    return ['90', 'b8', 'd0'].concat([0, 1, 2].map(function (i) {
+        return (b[i] < 16 ? '0' : '') + b[i].toString(16);
+    })).join(':');
+}
+
+
+/**
+ * Deep copy of a JSON object, so that callers can't change the fakes'
+ * objects in place.
+ */
+function copy(obj) {
+    return (obj === undefined ? undefined : JSON.parse(JSON.stringify(obj)));
+}
+
+
+/**
+ * Whether an object matches the filter params of a list request: each param
+ * (other than the paging ones) must equal the object's field, or be one of
+ * its values if the field is an array.
+ *
+ * @param {Object} obj
+ * @param {Object} query : the request's query params.
+ * @param {Array} ignore : Optional. More params that are not filters.
+ * @return {Boolean}
+ */
+function matches(obj, query, ignore) {
+    return Object.keys(query || {}).every(function (k) {
+        if (PAGE_PARAMS.indexOf(k) !== -1 ||
+            (ignore && ignore.indexOf(k) !== -1)) {
+            return true;
+        }
+
+        var value = obj[k];
+        var wanted = String(query[k]);
+        if (Array.isArray(value)) {
+            return value.some(function (v) {
+                return (String(v) === wanted);
+            });
+        }
+        return (value !== undefined && String(value) === wanted);
+    });
+}
+
+
+/**
+ * Apply the `offset` and `limit` params of a list request.
+ *
+ * @param {Array} list
+ * @param {Object} query : the request's query params.
+ * @return {Array}
+ */
+function paginate(list, query) {
+    var offset = Number(query.offset) || 0;
+    var limit = Number(query.limit) || list.length;
+    return list.slice(offset, offset + limit);
+}
+
+
+/**
+ * Send an error response, with the body that the SDC APIs send: a `code`
+ * and `message`, plus any other `fields` (e.g. `errors`).
+ */
+function sendError(res, next, statusCode, code, message, fields) {
+    var body = { code: code, message: message };
+    Object.keys(fields || {}).forEach(function (k) {
+        body[k] = fields[k];
+    });
+    res.send(statusCode, body);
+    next(false);
+}
+
+
+function notFound(res, next, message) {
+    sendError(res, next, 404, 'ResourceNotFound', message);
+}
+
+
+/**
+ * Send a 422 'InvalidParameters' error for missing params, if any.
+ *
+ * @return {Boolean} whether any were missing.
+ */
+function missingParams(req, res, next, names) {
+    var missing = names.filter(function (n) {
+        return (req.body[n] === undefined || req.body[n] === null);
+    });
+    if (missing.length === 0) {
+        return false;
+    }
+
+    sendError(res, next, 422, 'InvalidParameters', 'Invalid parameters', {
+        errors: missing.map(function (n) {
+            return { field: n, code: 'MissingParameter',
+                message: 'Missing parameter' };
+        })
+    });
+    return true;
+}
+
+
+/**
+ * The entity tag of an object, as sent in the 'etag' header: a hash of its
+ * JSON, so that it changes whenever the object does.
+ *
+ * @param {Object} obj
+ * @return {String}
+ */
+function etag(obj) {
+    return '"' + crypto.createHash('md5').update(JSON.stringify(obj))
+        .digest('hex') + '"';
+}
+
+
+/*
+ * Whether an 'if-match' or 'if-none-match' header lists a tag.
+ */
+function tagListed(header, tag) {
+    return header.split(/\s*,\s*/).some(function (t) {
+        return (t === '*' || t === tag);
+    });
+}
+
+
+/**
+ * Handle the conditional headers of a request for `obj`: a GET whose
+ * 'if-none-match' has the object's tag gets a 304, and any other request
+ * whose 'if-match' does not have it gets a 412 'PreconditionFailed' error.
+ *
+ * @return {Boolean} whether a response was sent.
+ */
+function conditional(req, res, next, obj) {
+    var tag = etag(obj);
+    var ifMatch = req.headers['if-match'];
+    var ifNoneMatch = req.headers['if-none-match'];
+
+    if (req.method === 'GET' && ifNoneMatch && tagListed(ifNoneMatch, tag)) {
+        res.header('etag', tag);
+        res.send(304);
+        next(false);
+        return true;
+    } else if (ifMatch && !tagListed(ifMatch, tag)) {
+        sendError(res, next, 412, 'PreconditionFailed',
+            'if-match: the object has changed');
+        return true;
+    }
+
+    return false;
+}
+
+
+/**
+ * Send an object with its 'etag' header.
+ *
+ * @param {Object} obj
+ * @param {Object} body : Optional. The body to send instead of the object,
+ *        e.g. only some of its fields.
+ */
+function sendObject(res, next, obj, body) {
+    res.header('etag', etag(obj));
+    res.send(body || obj);
+    next();
+}
+
+
+/*
+ * Read the request body: JSON bodies are parsed into `req.body`, others
+ * (e.g. image files) are kept as a Buffer in `req.rawBody`.
+ */
+function readBody(req, res, next) {
+    var chunks = [];
+
+    req.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    req.on('end', function () {
+        req.rawBody = Buffer.concat(chunks);
+        req.body = {};
+
+        var type = req.headers['content-type'] || '';
+        if (req.rawBody.length && type.indexOf('json') !== -1) {
+            try {
+                req.body = JSON.parse(req.rawBody.toString('utf8'));
+            } catch (e) {
+                sendError(res, next, 400, 'InvalidContent',
+                    'invalid JSON: ' + e.message);
+                return;
+            }
+        }
+        next();
+    });
+}
+
+
+
+// --- FakeServer
+
+/**
+ * Constructor for the base of the fakes. Subclasses add their endpoints in
+ * a `_routes(server)` method.
+ *
+ * @param {Object} options
+ *    - name {String} the API name, e.g. 'vmapi'.
+ *    - log {Object} Optional. Bunyan logger.
+ */
+function FakeServer(options) {
+    assert.object(options, 'options');
+    assert.string(options.name, 'options.name');
+    assert.optionalObject(options.log, 'options.log');
+
+    this.name = options.name;
+    this.log = options.log || bunyan.createLogger({
+        name: 'sdc-fakes',
+        level: 'warn'
+    });
+    this.url = null;
+    this.jobs = {};
+    this._jobCount = 0;
+    this._jobError = null;
+
+    this.server = restify.createServer({
+        name: 'fake-' + this.name,
+        log: this.log.child({ fake: this.name }, true)
+    });
+    this.server.use(restify.queryParser({ mapParams: false }));
+    this.server.use(readBody);
+
+    var self = this;
+    this.server.get('/ping', function (req, res, next) {
+        res.send({ ping: 'pong', pid: process.pid });
+        next();
+    });
+    this._routes(this.server);
+    this.server.on('uncaughtException', function (req, res, route, err) {
+        self.log.error({ err: err, route: route && route.name },
+            'fake %s error', self.name);
+        sendError(res, function () {}, 500, 'InternalError', err.message);
+    });
+}
+
+
+/**
+ * Start listening on a free port of 127.0.0.1.
+ *
+ * @param {Function} callback : of the form f(err, url).
+ */
+FakeServer.prototype.start = function start(callback) {
+    assert.func(callback, 'callback');
+    var self = this;
+
+    this.server.once('error', callback);
+    this.server.listen(0, '127.0.0.1', function () {
+        self.server.removeListener('error', callback);
+        self.url = 'http://127.0.0.1:' + self.server.address().port;
+        callback(null, self.url);
+    });
+};
+
+
+/**
+ * Stop listening.
+ *
+ * @param {Function} callback : Optional, of the form f().
+ */
+FakeServer.prototype.close = function close(callback) {
+    this.server.close(callback);
+};
+
+
+/**
+ * Have the next job fail with the given error message, without changing
+ * anything. For testing how callers handle failed jobs.
+ *
+ * @param {String} message
+ */
+FakeServer.prototype.failNextJob = function failNextJob(message) {
+    assert.string(message, 'message');
+    this._jobError = message;
+};
+
+
+/*
+ * Run a job: call `apply` (unless the job is to fail, see failNextJob) and
+ * record the job as succeeded or failed. `fields` are extra job fields, e.g.
+ * `vm_uuid`.
+ */
+FakeServer.prototype._runJob = function _runJob(name, params, fields, apply) {
+    var now = new Date().toISOString();
+    var job = {
+        uuid: uuid(),
+        name: name,
+        execution: 'succeeded',
+        params: params,
+        chain: [ { name: name } ],
+        chain_results: [ {
+            name: name,
+            result: 'OK',
+            error: '',
+            started_at: now,
+            finished_at: now
+        } ],
+        created_at: now,
+        elapsed: 0
+    };
+    Object.keys(fields || {}).forEach(function (k) {
+        job[k] = fields[k];
+    });
+
+    if (this._jobError) {
+        job.execution = 'failed';
+        job.chain_results[0].result = '';
+        job.chain_results[0].error = { message: this._jobError };
+        this._jobError = null;
+    } else {
+        apply();
+    }
+
+    // Newest first, as listed by WFAPI.
+    job._order = this._jobCount++;
+    this.jobs[job.uuid] = job;
+    return job;
+};
+
+
+/*
+ * Respond to a call that started a job.
+ */
+FakeServer.prototype._sendJob = function _sendJob(res, next, body) {
+    res.header('workflow-api', this.url);
+    res.send(202, body);
+    next();
+};
+
+
+/*
+ * The Workflow API endpoints for the jobs run by this fake.
+ */
+FakeServer.prototype._jobRoutes = function _jobRoutes(server) {
+    var self = this;
+
+    function jobObject(job) {
+        var obj = copy(job);
+        delete obj._order;
+        return obj;
+    }
+
+    server.get('/jobs', function listJobs(req, res, next) {
+        var jobs = Object.keys(self.jobs).map(function (k) {
+            return self.jobs[k];
+        }).filter(function (job) {
+            return Object.keys(req.query).every(function (k) {
+                if (PAGE_PARAMS.indexOf(k) !== -1) {
+                    return true;
+                }
+                var value = (job[k] !== undefined ? job[k] : job.params[k]);
+                return (String(value) === String(req.query[k]) ||
+                    (k === 'task' && job.name.indexOf(req.query[k]) === 0));
+            });
+        }).sort(function (a, b) {
+            return (b._order - a._order);
+        });
+
+        res.send(paginate(jobs, req.query).map(jobObject));
+        next();
+    });
+
+    server.get('/jobs/:uuid', function getJob(req, res, next) {
+        var job = self.jobs[req.params.uuid];
+        if (!job) {
+            notFound(res, next, 'job not found');
+            return;
+        }
+        res.send(jobObject(job));
+        next();
+    });
+
+    server.post('/jobs/:uuid/cancel', function cancelJob(req, res, next) {
+        var job = self.jobs[req.params.uuid];
+        if (!job) {
+            notFound(res, next, 'job not found');
+            return;
+        }
+        // Jobs have all run already: there is nothing left to cancel.
+        sendError(res, next, 409, 'ConflictError',
+            util.format('job %s has already finished', job.uuid));
+    });
+};
+
+
+
+module.exports = {
+    ADMIN_UUID: ADMIN_UUID,
+    ADMIN_NETWORK_UUID: ADMIN_NETWORK_UUID,
+    EXTERNAL_NETWORK_UUID: EXTERNAL_NETWORK_UUID,
+    HEADNODE_UUID: HEADNODE_UUID,
+    FakeServer: FakeServer,
+    conditional: conditional,
+    copy: copy,
+    etag: etag,
+    matches: matches,
+    missingParams: missingParams,
+    notFound: notFound,
+    paginate: paginate,
+    randomMac: randomMac,
+    sendError: sendError,
+    sendObject: sendObject,
+    uuid: uuid
+};
@@ -0,0 +1,243 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Fake FWAPI: firewall rules, and the VMs they affect.
+ *
+ * A rule's VMs are found from the "vm <uuid>", "tag <name>" and "all vms"
+ * targets in its text, so a fake VMAPI (see "vmapi.js") is needed to know
+ * the VMs. Without one, rules only affect the VMs that they name.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var common = require('./common');
+var FakeServer = common.FakeServer;
+
+
+
+// --- Globals
+
+var RULE_RE = /^FROM\s+.+\s+TO\s+.+\s+(ALLOW|BLOCK)\s+\S+/i;
+var VM_RE = /\bvm\s+([0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12})/gi;
+var TAG_RE = /\btag\s+"?([^\s"=()]+)"?(?:\s*=\s*"?([^\s"()]+)"?)?/gi;
+var ALL_VMS_RE = /\ball\s+vms\b/i;
+
+
+
+// --- FakeFWAPI
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ *    - rules {Array} Optional. Rules to start with (there are none by
+ *      default). Each needs a `uuid` and `rule`.
+ *    - vmapi {FakeVMAPI} Optional. The fake VMAPI with the VMs that the
+ *      rules apply to.
+ */
+function FakeFWAPI(options) {
+    options = options || {};
+    assert.optionalArrayOfObject(options.rules, 'options.rules');
+    assert.optionalObject(options.vmapi, 'options.vmapi');
+
+    this.rules = {};
+    this.updates = {};
+    this.vmapi = options.vmapi;
+
+    FakeServer.call(this, { name: 'fwapi', log: options.log });
+
+    var self = this;
+    (options.rules || []).forEach(function (rule) {
+        assert.string(rule.uuid, 'rule.uuid');
+        self.rules[rule.uuid] = common.copy(rule);
+    });
+}
+
+util.inherits(FakeFWAPI, FakeServer);
+
+
+/*
+ * Whether a rule applies to a VM (an object with at least a `uuid`).
+ */
+FakeFWAPI.prototype._affects = function _affects(rule, vm) {
+    if (!rule.enabled) {
+        return false;
+    }
+    if (!rule.global && rule.owner_uuid && vm.owner_uuid &&
+        rule.owner_uuid !== vm.owner_uuid) {
+        return false;
+    }
+
+    var m;
+    VM_RE.lastIndex = 0;
+    while ((m = VM_RE.exec(rule.rule)) !== null) {
+        if (m[1].toLowerCase() === vm.uuid) {
+            return true;
+        }
+    }
+
+    var tags = vm.tags || {};
+    TAG_RE.lastIndex = 0;
+    while ((m = TAG_RE.exec(rule.rule)) !== null) {
+        if (tags[m[1]] !== undefined &&
+            (m[2] === undefined || String(tags[m[1]]) === m[2])) {
+            return true;
+        }
+    }
+
+    return ALL_VMS_RE.test(rule.rule);
+};
+
+
+FakeFWAPI.prototype._routes = function _routes(server) {
+    var self = this;
+
+    function getRule(req, res, next) {
+        var rule = self.rules[req.params.uuid];
+        if (!rule || (req.query.owner_uuid && !rule.global &&
+            rule.owner_uuid !== req.query.owner_uuid)) {
+            common.notFound(res, next, 'Rule not found');
+            return null;
+        }
+        return rule;
+    }
+
+    function validRule(req, res, next) {
+        if (req.body.rule !== undefined && !RULE_RE.test(req.body.rule)) {
+            common.sendError(res, next, 422, 'InvalidParameters',
+                'Invalid parameters', {
+                errors: [ { field: 'rule', code: 'InvalidParameter',
+                    message: format('invalid rule: %s', req.body.rule) } ]
+            });
+            return false;
+        }
+        return true;
+    }
+
+    function vms() {
+        if (!self.vmapi) {
+            return [];
+        }
+        return Object.keys(self.vmapi.vms).map(function (k) {
+            return self.vmapi.vms[k];
+        }).filter(function (vm) {
+            return (vm.state !== 'destroyed');
+        });
+    }
+
+    server.get('/rules', function listRules(req, res, next) {
+        var query = common.copy(req.query);
+        var owner = query.owner_uuid;
+        delete query.owner_uuid;
+
+        res.send(Object.keys(self.rules).map(function (k) {
+            return self.rules[k];
+        }).filter(function (rule) {
+            return ((!owner || rule.global || rule.owner_uuid === owner) &&
+                common.matches(rule, query));
+        }));
+        next();
+    });
+
+    server.post('/rules', function createRule(req, res, next) {
+        if (common.missingParams(req, res, next, ['rule']) ||
+            !validRule(req, res, next)) {
+            return;
+        }
+        var rule = common.copy(req.body);
+        rule.uuid = rule.uuid || common.uuid();
+        rule.enabled = Boolean(rule.enabled);
+        rule.version = String(Date.now());
+        if (!rule.owner_uuid) {
+            rule.global = true;
+        }
+        self.rules[rule.uuid] = rule;
+        res.send(202, rule);
+        next();
+    });
+
+    server.get('/rules/:uuid', function getR(req, res, next) {
+        var rule = getRule(req, res, next);
+        if (rule) {
+            res.send(rule);
+            next();
+        }
+    });
+
+    server.put('/rules/:uuid', function updateRule(req, res, next) {
+        var rule = getRule(req, res, next);
+        if (!rule || !validRule(req, res, next)) {
+            return;
+        }
+        Object.keys(req.body).forEach(function (k) {
+            if (k !== 'uuid') {
+                rule[k] = req.body[k];
+            }
+        });
+        rule.version = String(Date.now());
+        res.send(202, rule);
+        next();
+    });
+
+    server.del('/rules/:uuid', function deleteRule(req, res, next) {
+        var rule = getRule(req, res, next);
+        if (rule) {
+            delete self.rules[rule.uuid];
+            res.send(204);
+            next();
+        }
+    });
+
+    server.get('/rules/:uuid/vms', function getRuleVMs(req, res, next) {
+        var rule = getRule(req, res, next);
+        if (rule) {
+            res.send(vms().filter(function (vm) {
+                return self._affects(rule, vm);
+            }).map(function (vm) {
+                var obj = common.copy(vm);
+                delete obj._order;
+                return obj;
+            }));
+            next();
+        }
+    });
+
+    server.get('/firewalls/vms/:uuid', function getVMrules(req, res, next) {
+        var vm = vms().filter(function (v) {
+            return (v.uuid === req.params.uuid);
+        })[0] || { uuid: req.params.uuid };
+
+        res.send(Object.keys(self.rules).map(function (k) {
+            return self.rules[k];
+        }).filter(function (rule) {
+            return self._affects(rule, vm);
+        }));
+        next();
+    });
+
+    server.post('/updates', function createUpdate(req, res, next) {
+        if (common.missingParams(req, res, next, ['type'])) {
+            return;
+        }
+        var update = common.copy(req.body);
+        update.uuid = common.uuid();
+        self.updates[update.uuid] = update;
+        res.send(202, { update_uuid: update.uuid });
+        next();
+    });
+};
+
+
+
+module.exports = FakeFWAPI;
@@ -0,0 +1,570 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Fake IMGAPI: images, their files and icons, ACLs and channels.
+ *
+ * Images imported from another repository (with a `source`) come from the
+ * `sources` option rather than over the network. Creating an image from a VM
+ * and remote imports run jobs. Docker image imports and exports to Manta are
+ * not implemented, and requests are not authenticated.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var util = require('util');
+var format = util.format;
+
+var common = require('./common');
+var FakeServer = common.FakeServer;
+
+
+
+// --- Globals
+
+var WORKFLOW_VERSION = '1.0.0';
+
+var DEFAULT_LIMIT = 1000;
+
+var REQUIRED = ['name', 'version', 'os', 'type'];
+
+// Fields that `update` can't change.
+var READ_ONLY_FIELDS = ['uuid', 'owner', 'state', 'disabled', 'activated',
+    'published_at', 'files', 'icon', 'channels', 'v'];
+
+// Filter params for lists that are not image fields.
+var LIST_PARAMS = ['account', 'channel', 'state', 'tag', 'inclAdminFields'];
+
+
+
+// --- FakeIMGAPI
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ *    - images {Array} Optional. Image manifests to start with (there are
+ *      none by default). Each needs a `uuid`, and is active unless it has a
+ *      `state`.
+ *    - sources {Object} Optional. The image manifests of the repositories
+ *      that images can be imported from, as arrays by source URL.
+ *    - channels {Array} Optional. The channels of the repository, objects
+ *      with a `name` and `description`, one of them with `default: true`.
+ *      By default there are none, and the `channel` param is ignored.
+ */
+function FakeIMGAPI(options) {
+    options = options || {};
+    assert.optionalArrayOfObject(options.images, 'options.images');
+    assert.optionalObject(options.sources, 'options.sources');
+    assert.optionalArrayOfObject(options.channels, 'options.channels');
+
+    this.images = {};
+    this.files = {};
+    this.icons = {};
+    this.sources = options.sources || {};
+    this.channels = options.channels || [];
+    this._imageCount = 0;
+
+    FakeServer.call(this, { name: 'imgapi', log: options.log });
+
+    var self = this;
+    (options.images || []).forEach(function (image) {
+        assert.string(image.uuid, 'image.uuid');
+        self.addImage(image);
+    });
+}
+
+util.inherits(FakeIMGAPI, FakeServer);
+
+
+/**
+ * Add an image manifest, without a file.
+ *
+ * @param {Object} manifest : with at least a `uuid`. Images are active
+ *        unless the manifest has a `state`.
+ * @return {Object} the image.
+ */
+FakeIMGAPI.prototype.addImage = function addImage(manifest) {
+    assert.object(manifest, 'manifest');
+    assert.string(manifest.uuid, 'manifest.uuid');
+
+    var image = common.copy(manifest);
+    image.v = 2;
+    image.owner = image.owner || common.ADMIN_UUID;
+    image.state = image.state || 'active';
+    image.activated = (image.state !== 'unactivated');
+    image.disabled = (image.state === 'disabled');
+    image['public'] = Boolean(image['public']);
+    image.files = image.files || [];
+    if (image.activated && !image.published_at) {
+        image.published_at = new Date().toISOString();
+    }
+    var defaultChannel = this._channel();
+    if (defaultChannel && !image.channels) {
+        image.channels = [defaultChannel];
+    }
+    image._order = this._imageCount++;
+
+    this.images[image.uuid] = image;
+    return image;
+};
+
+
+/*
+ * The channel of a request, or the default one if it has none. Null if the
+ * repository has no channels.
+ */
+FakeIMGAPI.prototype._channel = function _channel(name) {
+    if (this.channels.length === 0) {
+        return null;
+    }
+    return (name || this.channels.filter(function (c) {
+        return c['default'];
+    }).map(function (c) {
+        return c.name;
+    })[0] || null);
+};
+
+
+/*
+ * Whether an image can be seen by a request, given its `account` and
+ * `channel` params.
+ */
+FakeIMGAPI.prototype._visible = function _visible(image, query) {
+    var channel = this._channel(query.channel);
+    var channels = image.channels || [];
+    if (channel && channels.indexOf(channel) === -1) {
+        return false;
+    }
+    return (!query.account || image['public'] ||
+        image.owner === query.account ||
+        (image.acl || []).indexOf(query.account) !== -1);
+};
+
+
+/*
+ * Import an image manifest from one of the `sources`.
+ */
+FakeIMGAPI.prototype._fromSource = function _fromSource(source, uuid) {
+    var manifest = (this.sources[source.split('?')[0]] || []).filter(
+        function (m) {
+        return (m.uuid === uuid);
+    })[0];
+    if (!manifest) {
+        var err = new Error(format('image %s not found in %s', uuid, source));
+        err.statusCode = 404;
+        err.restCode = 'ResourceNotFound';
+        throw err;
+    }
+    return manifest;
+};
+
+
+FakeIMGAPI.prototype._routes = function _routes(server) {
+    var self = this;
+
+    function getImage(req, res, next) {
+        var image = self.images[req.params.uuid];
+        if (!image || !self._visible(image, req.query)) {
+            common.notFound(res, next,
+                format('image "%s" was not found', req.params.uuid));
+            return null;
+        }
+        return image;
+    }
+
+    function sendImage(res, next, image) {
+        var obj = common.copy(image);
+        delete obj._order;
+        res.send(obj);
+        next();
+    }
+
+    function sendError(res, next, err) {
+        common.sendError(res, next, err.statusCode, err.restCode,
+            err.message);
+    }
+
+    /*
+     * Send a file or icon, with the 'content-md5' header that the client
+     * checks.
+     */
+    function sendData(res, next, data, contentType) {
+        res.writeHead(200, {
+            'content-type': contentType,
+            'content-length': data.length,
+            'content-md5': crypto.createHash('md5').update(data)
+                .digest('base64')
+        });
+        res.end(data);
+        next();
+    }
+
+    /*
+     * Run the job that creates an image from its manifest.
+     */
+    function imageJob(req, res, next, task, manifest, fields) {
+        var job = self._runJob(task + '-' + WORKFLOW_VERSION, {
+            task: task,
+            image_uuid: manifest.uuid
+        }, fields, function () {
+            self.addImage(manifest);
+        });
+        self._sendJob(res, next, {
+            image_uuid: job.params.image_uuid,
+            job_uuid: job.uuid
+        });
+    }
+
+    // -- Misc
+
+    server.get('/state', function adminGetState(req, res, next) {
+        res.send({
+            images: Object.keys(self.images).length,
+            files: Object.keys(self.files).length,
+            icons: Object.keys(self.icons).length
+        });
+        next();
+    });
+
+    server.get('/channels', function listChannels(req, res, next) {
+        res.send(self.channels);
+        next();
+    });
+
+    // -- Images
+
+    server.get('/images', function listImages(req, res, next) {
+        var query = req.query;
+        var state = query.state || 'active';
+        var tags = {};
+        Object.keys(query).forEach(function (k) {
+            if (k.slice(0, 4) === 'tag.') {
+                tags[k.slice(4)] = query[k];
+            }
+        });
+
+        var images = Object.keys(self.images).map(function (k) {
+            return self.images[k];
+        }).filter(function (image) {
+            if (!self._visible(image, query) ||
+                (state !== 'all' && image.state !== state)) {
+                return false;
+            }
+            var fields = {};
+            Object.keys(query).forEach(function (k) {
+                if (LIST_PARAMS.indexOf(k) === -1 &&
+                    k.slice(0, 4) !== 'tag.') {
+                    fields[k] = query[k];
+                }
+            });
+            if (fields.name && fields.name[0] === '~') {
+                if (image.name.indexOf(fields.name.slice(1)) === -1) {
+                    return false;
+                }
+                delete fields.name;
+            }
+            return (common.matches(image, fields) &&
+                common.matches(image.tags || {}, tags));
+        }).sort(function (a, b) {
+            return (a._order - b._order);
+        });
+
+        // The marker is the UUID of the first image of the page.
+        if (query.marker) {
+            var i = images.map(function (image) {
+                return image.uuid;
+            }).indexOf(query.marker);
+            images = (i === -1 ? [] : images.slice(i));
+        }
+        images = images.slice(0, Number(query.limit) || DEFAULT_LIMIT);
+
+        res.send(images.map(function (image) {
+            var obj = common.copy(image);
+            delete obj._order;
+            return obj;
+        }));
+        next();
+    });
+
+    server.get('/images/:uuid', function getI(req, res, next) {
+        var image = getImage(req, res, next);
+        if (image) {
+            sendImage(res, next, image);
+        }
+    });
+
+    server.post('/images', function createImage(req, res, next) {
+        var action = req.query.action;
+        var manifest;
+
+        if (action === 'create-from-vm') {
+            if (!req.query.vm_uuid) {
+                common.sendError(res, next, 422, 'InvalidParameters',
+                    'vm_uuid is required');
+                return;
+            }
+            manifest = common.copy(req.body);
+            manifest.uuid = manifest.uuid || common.uuid();
+            manifest.owner = manifest.owner || req.query.account;
+            imageJob(req, res, next, 'create-from-vm', manifest,
+                { vm_uuid: req.query.vm_uuid });
+            return;
+        } else if (action !== undefined) {
+            common.sendError(res, next, 409, 'InvalidParameter',
+                format('"%s" action is not supported', action));
+            return;
+        }
+
+        if (common.missingParams(req, res, next, REQUIRED)) {
+            return;
+        }
+        manifest = common.copy(req.body);
+        manifest.uuid = common.uuid();
+        manifest.owner = manifest.owner || req.query.account;
+        manifest.state = 'unactivated';
+        manifest.published_at = undefined;
+        manifest.channels = (self._channel(req.query.channel) ?
+            [self._channel(req.query.channel)] : undefined);
+        sendImage(res, next, self.addImage(manifest));
+    });
+
+    server.post('/images/:uuid', function imageAction(req, res, next) {
+        var action = req.query.action;
+        var manifest;
+
+        // Imports create the image, the other actions need it.
+        if (action === 'import') {
+            if (self.images[req.params.uuid]) {
+                common.sendError(res, next, 409, 'ImageUuidAlreadyExists',
+                    format('image "%s" already exists', req.params.uuid));
+                return;
+            }
+            try {
+                manifest = (req.query.source ?
+                    self._fromSource(req.query.source, req.params.uuid) :
+                    common.copy(req.body));
+            } catch (err) {
+                sendError(res, next, err);
+                return;
+            }
+            manifest = common.copy(manifest);
+            manifest.uuid = req.params.uuid;
+            manifest.state = 'unactivated';
+            sendImage(res, next, self.addImage(manifest));
+            return;
+        } else if (action === 'import-remote') {
+            if (!req.query.source) {
+                common.sendError(res, next, 422, 'InvalidParameters',
+                    'source is required');
+                return;
+            }
+            try {
+                manifest = common.copy(self._fromSource(req.query.source,
+                    req.params.uuid));
+            } catch (err) {
+                sendError(res, next, err);
+                return;
+            }
+            manifest.state = 'active';
+            imageJob(req, res, next, 'import-remote-image', manifest);
+            return;
+        }
+
+        var image = getImage(req, res, next);
+        if (!image) {
+            return;
+        }
+        var body = req.body;
+
+        switch (action) {
+        case 'activate':
+            if (image.files.length === 0) {
+                common.sendError(res, next, 422, 'NoActivationNoFile',
+                    format('image "%s" has no file', image.uuid));
+                return;
+            }
+            image.state = 'active';
+            image.activated = true;
+            image.published_at = image.published_at ||
+                new Date().toISOString();
+            break;
+        case 'disable':
+            image.disabled = true;
+            image.state = (image.activated ? 'disabled' : image.state);
+            break;
+        case 'enable':
+            image.disabled = false;
+            image.state = (image.activated ? 'active' : image.state);
+            break;
+        case 'update':
+            Object.keys(body).forEach(function (k) {
+                if (READ_ONLY_FIELDS.indexOf(k) === -1) {
+                    image[k] = body[k];
+                }
+            });
+            break;
+        case 'channel-add':
+            if (!body.channel || !self.channels.some(function (c) {
+                return (c.name === body.channel);
+            })) {
+                common.sendError(res, next, 422, 'ValidationFailed',
+                    format('unknown channel: "%s"', body.channel));
+                return;
+            }
+            image.channels = image.channels || [];
+            if (image.channels.indexOf(body.channel) === -1) {
+                image.channels.push(body.channel);
+            }
+            break;
+        default:
+            common.sendError(res, next, 409, 'InvalidParameter',
+                format('"%s" action is not supported', action));
+            return;
+        }
+
+        sendImage(res, next, image);
+    });
+
+    server.del('/images/:uuid', function deleteImage(req, res, next) {
+        var image = getImage(req, res, next);
+        if (image) {
+            delete self.images[image.uuid];
+            delete self.files[image.uuid];
+            delete self.icons[image.uuid];
+            res.send(204);
+            next();
+        }
+    });
+
+    // -- Files and icons
+
+    server.put('/images/:uuid/file', function addImageFile(req, res, next) {
+        var image = getImage(req, res, next);
+        if (!image) {
+            return;
+        }
+        if (image.activated) {
+            common.sendError(res, next, 422, 'ImageFilesImmutable',
+                format('cannot change the file of active image "%s"',
+                image.uuid));
+            return;
+        }
+
+        var data = req.rawBody;
+        var sha1 = crypto.createHash('sha1').update(data).digest('hex');
+        if (req.query.sha1 && req.query.sha1 !== sha1) {
+            common.sendError(res, next, 409, 'UploadError', format(
+                'file sha1 is "%s", expected "%s"', sha1, req.query.sha1));
+            return;
+        }
+
+        self.files[image.uuid] = data;
+        image.files = [ {
+            sha1: sha1,
+            size: data.length,
+            compression: req.query.compression || 'none'
+        } ];
+        if (req.query.dataset_guid) {
+            image.files[0].dataset_guid = req.query.dataset_guid;
+        }
+        sendImage(res, next, image);
+    });
+
+    server.get('/images/:uuid/file', function getImageFile(req, res, next) {
+        var image = getImage(req, res, next);
+        if (!image) {
+            return;
+        }
+        if (!self.files[image.uuid]) {
+            common.notFound(res, next,
+                format('image "%s" has no file', image.uuid));
+            return;
+        }
+        sendData(res, next, self.files[image.uuid],
+            'application/octet-stream');
+    });
+
+    server.put('/images/:uuid/icon', function addImageIcon(req, res, next) {
+        var image = getImage(req, res, next);
+        if (image) {
+            self.icons[image.uuid] = {
+                data: req.rawBody,
+                contentType: req.headers['content-type']
+            };
+            image.icon = true;
+            sendImage(res, next, image);
+        }
+    });
+
+    server.get('/images/:uuid/icon', function getImageIcon(req, res, next) {
+        var image = getImage(req, res, next);
+        if (!image) {
+            return;
+        }
+        var icon = self.icons[image.uuid];
+        if (!icon) {
+            common.notFound(res, next,
+                format('image "%s" has no icon', image.uuid));
+            return;
+        }
+        sendData(res, next, icon.data, icon.contentType);
+    });
+
+    server.del('/images/:uuid/icon', function deleteImageIcon(req, res,
+            next) {
+        var image = getImage(req, res, next);
+        if (image) {
+            delete self.icons[image.uuid];
+            delete image.icon;
+            sendImage(res, next, image);
+        }
+    });
+
+    // -- ACLs
+
+    server.post('/images/:uuid/acl', function imageAcl(req, res, next) {
+        var image = getImage(req, res, next);
+        if (!image) {
+            return;
+        }
+        if (!Array.isArray(req.body)) {
+            common.sendError(res, next, 422, 'InvalidParameters',
+                'the ACL must be an array of account UUIDs');
+            return;
+        }
+
+        var acl = image.acl || [];
+        if (req.query.action === 'remove') {
+            acl = acl.filter(function (u) {
+                return (req.body.indexOf(u) === -1);
+            });
+        } else {
+            req.body.forEach(function (u) {
+                if (acl.indexOf(u) === -1) {
+                    acl.push(u);
+                }
+            });
+        }
+        if (acl.length) {
+            image.acl = acl;
+        } else {
+            delete image.acl;
+        }
+        sendImage(res, next, image);
+    });
+
+    this._jobRoutes(server);
+};
+
+
+
+module.exports = FakeIMGAPI;
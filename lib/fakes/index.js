@@ -0,0 +1,136 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * In-process fakes of the SDC APIs, for running the clients' tests (and
+ * their users') without a headnode.
+ *
+ * Each fake is an HTTP server on 127.0.0.1 that keeps its objects in memory
+ * and implements the endpoints that the matching client calls. They start
+ * out with the objects of a fresh headnode (see "common.js"). For example:
+ *
+ *      var fakes = require('sdc-clients').fakes;
+ *
+ *      var fake = new fakes.FakeVMAPI();
+ *      fake.start(function (err, url) {
+ *          var vmapi = new VMAPI({ url: url, agent: false });
+ *          ...
+ *          fake.close();
+ *      });
+ *
+ * or, to start all of them, linked so that e.g. VMs get their nics from the
+ * fake NAPI:
+ *
+ *      fakes.startAll({}, function (err, all) {
+ *          var vmapi = new VMAPI({ url: all.vmapi.url, agent: false });
+ *          ...
+ *          all.close();
+ *      });
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('./common');
+var FakeAmon = require('./amon');
+var FakeCNAPI = require('./cnapi');
+var FakeFWAPI = require('./fwapi');
+var FakeIMGAPI = require('./imgapi');
+var FakeNAPI = require('./napi');
+var FakePAPI = require('./papi');
+var FakeSAPI = require('./sapi');
+var FakeVMAPI = require('./vmapi');
+
+
+
+// --- Exported functions
+
+/**
+ * Start a fake of each API. The fake VMAPI creates nics on the fake NAPI,
+ * and the fake FWAPI applies rules to the fake VMAPI's VMs.
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ * @param {Function} callback : of the form f(err, fakes), where `fakes` has
+ *        the fakes by lower-case API name (e.g. `fakes.vmapi`), and a
+ *        `close(callback)` method to stop them all.
+ */
+function startAll(options, callback) {
+    assert.object(options, 'options');
+    assert.optionalObject(options.log, 'options.log');
+    assert.func(callback, 'callback');
+
+    var log = options.log;
+    var napi = new FakeNAPI({ log: log });
+    var vmapi = new FakeVMAPI({ log: log, napi: napi });
+    var all = {
+        amon: new FakeAmon({ log: log }),
+        cnapi: new FakeCNAPI({ log: log }),
+        fwapi: new FakeFWAPI({ log: log, vmapi: vmapi }),
+        imgapi: new FakeIMGAPI({ log: log }),
+        napi: napi,
+        papi: new FakePAPI({ log: log }),
+        sapi: new FakeSAPI({ log: log }),
+        vmapi: vmapi
+    };
+    var names = Object.keys(all);
+
+    all.close = function close(cb) {
+        vasync.forEachParallel({
+            inputs: names,
+            func: function (name, next) {
+                if (all[name].url) {
+                    all[name].close(function () {
+                        next();
+                    });
+                } else {
+                    next();
+                }
+            }
+        }, function () {
+            if (cb) {
+                cb();
+            }
+        });
+    };
+
+    vasync.forEachParallel({
+        inputs: names,
+        func: function (name, next) {
+            all[name].start(next);
+        }
+    }, function (err) {
+        if (err) {
+            all.close(function () {
+                callback(err);
+            });
+            return;
+        }
+        callback(null, all);
+    });
+}
+
+
+
+module.exports = {
+    ADMIN_UUID: common.ADMIN_UUID,
+    ADMIN_NETWORK_UUID: common.ADMIN_NETWORK_UUID,
+    EXTERNAL_NETWORK_UUID: common.EXTERNAL_NETWORK_UUID,
+    HEADNODE_UUID: common.HEADNODE_UUID,
+    FakeAmon: FakeAmon,
+    FakeCNAPI: FakeCNAPI,
+    FakeFWAPI: FakeFWAPI,
+    FakeIMGAPI: FakeIMGAPI,
+    FakeNAPI: FakeNAPI,
+    FakePAPI: FakePAPI,
+    FakeSAPI: FakeSAPI,
+    FakeVMAPI: FakeVMAPI,
+    startAll: startAll
+};
@@ -0,0 +1,730 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Fake NAPI: networks (with IP allocation), nics, nic tags, network pools,
+ * aggregations and fabrics.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var common = require('./common');
+var FakeServer = common.FakeServer;
+
+
+
+// --- Helpers
+
+function ipToNumber(ip) {
+    return ip.split('.').reduce(function (n, octet) {
+        return (n * 256) + Number(octet);
+    }, 0);
+}
+
+
+function numberToIp(n) {
+    return [24, 16, 8, 0].map(function (shift) {
+        return Math.floor(n / Math.pow(2, shift)) % 256;
+    }).join('.');
+}
+
+
+/*
+ * 'aabbccddeeff' or 'aa:bb:cc:dd:ee:ff' to 'aa:bb:cc:dd:ee:ff'.
+ */
+function normalizeMac(mac) {
+    var hex = String(mac).replace(/:/g, '').toLowerCase();
+    return hex.match(/.{1,2}/g).join(':');
+}
+
+
+
+// --- FakeNAPI
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ *    - networks {Array} Optional. Networks to start with, instead of the
+ *      default 'admin' and 'external' ones (see "common.js"), each with
+ *      `uuid`, `name`, `subnet` (e.g. '10.99.99.0/24'),
+ *      `provision_start_ip`, `provision_end_ip` and optionally `gateway`,
+ *      `nic_tag`, `vlan_id` and `owner_uuids`.
+ *    - nics {Array} Optional. Nics to start with, instead of the
+ *      headnode's admin nic.
+ */
+function FakeNAPI(options) {
+    options = options || {};
+    assert.optionalArrayOfObject(options.networks, 'options.networks');
+    assert.optionalArrayOfObject(options.nics, 'options.nics');
+
+    this.networks = {};
+    this.nics = {};
+    this.ips = {};
+    this.nicTags = {};
+    this.pools = {};
+    this.aggrs = {};
+    this.vlans = {};
+
+    FakeServer.call(this, { name: 'napi', log: options.log });
+
+    var self = this;
+    (options.networks || [ {
+        uuid: common.ADMIN_NETWORK_UUID,
+        name: 'admin',
+        subnet: '10.99.99.0/24',
+        gateway: '10.99.99.7',
+        provision_start_ip: '10.99.99.38',
+        provision_end_ip: '10.99.99.253',
+        nic_tag: 'admin',
+        owner_uuids: [ common.ADMIN_UUID ]
+    }, {
+        uuid: common.EXTERNAL_NETWORK_UUID,
+        name: 'external',
+        subnet: '10.88.88.0/24',
+        gateway: '10.88.88.2',
+        provision_start_ip: '10.88.88.3',
+        provision_end_ip: '10.88.88.250',
+        nic_tag: 'external',
+        vlan_id: 0
+    } ]).forEach(function (net) {
+        self.addNetwork(net);
+    });
+    (options.nics || [ {
+        mac: '90:b8:d0:00:00:01',
+        ip: '10.99.99.7',
+        network_uuid: common.ADMIN_NETWORK_UUID,
+        primary: true,
+        belongs_to_uuid: common.HEADNODE_UUID,
+        belongs_to_type: 'server',
+        owner_uuid: common.ADMIN_UUID
+    } ]).forEach(function (nic) {
+        self.createNic(nic);
+    });
+}
+
+util.inherits(FakeNAPI, FakeServer);
+
+
+/**
+ * Add a network.
+ *
+ * @param {Object} params : see the constructor's `networks` option.
+ * @return {Object} the network.
+ */
+FakeNAPI.prototype.addNetwork = function addNetwork(params) {
+    assert.object(params, 'params');
+    assert.string(params.name, 'params.name');
+    assert.string(params.subnet, 'params.subnet');
+
+    var parts = params.subnet.split('/');
+    var bits = Number(parts[1]);
+    var size = Math.pow(2, 32 - bits);
+    var start = ipToNumber(parts[0]);
+
+    var net = common.copy(params);
+    net.uuid = net.uuid || common.uuid();
+    net.subnet_start_ip = parts[0];
+    net.subnet_bits = bits;
+    net.netmask = numberToIp(Math.pow(2, 32) - size);
+    net.provision_start_ip = net.provision_start_ip || numberToIp(start + 1);
+    net.provision_end_ip = net.provision_end_ip ||
+        numberToIp(start + size - 2);
+    net.nic_tag = net.nic_tag || net.name;
+    net.vlan_id = net.vlan_id || 0;
+    net.resolvers = net.resolvers || [];
+
+    this.networks[net.uuid] = net;
+    this.ips[net.uuid] = {};
+    if (!this.nicTags[net.nic_tag]) {
+        this.nicTags[net.nic_tag] = {
+            uuid: common.uuid(),
+            name: net.nic_tag,
+            mtu: 1500
+        };
+    }
+    return net;
+};
+
+
+/**
+ * Create a nic. If `network_uuid` is given, the nic gets an IP on that
+ * network: `ip` if given, or the next free one.
+ *
+ * @param {Object} params : the nic's fields. A `mac` is generated if there
+ *        is none.
+ * @return {Object} the nic.
+ * @throws {Error} if the network doesn't exist or is full, or the MAC or IP
+ *         is taken. The error's `statusCode` and `restCode` are those of the
+ *         HTTP error.
+ */
+FakeNAPI.prototype.createNic = function createNic(params) {
+    assert.object(params, 'params');
+
+    var nic = common.copy(params);
+    nic.mac = normalizeMac(nic.mac || common.randomMac());
+    if (this.nics[nic.mac]) {
+        throw apiError(422, 'InvalidParameters',
+            format('MAC address %s is in use', nic.mac));
+    }
+    nic.primary = Boolean(nic.primary);
+    nic.state = nic.state || 'running';
+
+    if (nic.network_uuid) {
+        this._assignIp(nic, nic.network_uuid, nic.ip);
+    }
+
+    this.nics[nic.mac] = nic;
+    return nic;
+};
+
+
+/*
+ * Give a nic an IP on a network.
+ */
+FakeNAPI.prototype._assignIp = function _assignIp(nic, networkUuid, ip) {
+    var net = this.networks[networkUuid];
+    if (!net) {
+        throw apiError(404, 'ResourceNotFound', 'network not found');
+    }
+
+    var ips = this.ips[net.uuid];
+    if (ip) {
+        if (ips[ip] && ips[ip].belongs_to_uuid) {
+            throw apiError(422, 'InvalidParameters',
+                format('IP address %s is in use', ip));
+        }
+    } else {
+        var end = ipToNumber(net.provision_end_ip);
+        for (var n = ipToNumber(net.provision_start_ip); n <= end; n++) {
+            if (!ips[numberToIp(n)]) {
+                ip = numberToIp(n);
+                break;
+            }
+        }
+        if (!ip) {
+            throw apiError(507, 'SubnetFull',
+                format('network %s has no free IPs', net.uuid));
+        }
+    }
+
+    ips[ip] = {
+        ip: ip,
+        network_uuid: net.uuid,
+        reserved: false,
+        free: false,
+        belongs_to_uuid: nic.belongs_to_uuid,
+        belongs_to_type: nic.belongs_to_type,
+        owner_uuid: nic.owner_uuid
+    };
+
+    nic.ip = ip;
+    nic.network_uuid = net.uuid;
+    nic.netmask = net.netmask;
+    nic.gateway = net.gateway;
+    nic.vlan_id = net.vlan_id;
+    nic.nic_tag = net.nic_tag;
+    nic.resolvers = net.resolvers;
+};
+
+
+/*
+ * Free the IP of a nic.
+ */
+FakeNAPI.prototype._freeIp = function _freeIp(nic) {
+    if (nic.network_uuid && this.ips[nic.network_uuid] && nic.ip) {
+        delete this.ips[nic.network_uuid][nic.ip];
+    }
+};
+
+
+FakeNAPI.prototype._routes = function _routes(server) {
+    var self = this;
+
+    function getNetwork(req, res, next) {
+        var net = self.networks[req.params.uuid];
+        if (!net) {
+            common.notFound(res, next, 'network not found');
+            return null;
+        }
+        return net;
+    }
+
+    function provisionable(net, owner) {
+        return (!net.owner_uuids || net.owner_uuids.indexOf(owner) !== -1);
+    }
+
+    function handle(res, next, fn) {
+        var obj;
+        try {
+            obj = fn();
+        } catch (err) {
+            if (!err.statusCode) {
+                throw err;
+            }
+            common.sendError(res, next, err.statusCode, err.restCode,
+                err.message);
+            return;
+        }
+        common.sendObject(res, next, obj);
+    }
+
+    // -- Networks
+
+    server.get('/networks', function listNetworks(req, res, next) {
+        var nets = values(self.networks).filter(function (net) {
+            return (common.matches(net, req.query, ['provisionable_by']) &&
+                (!req.query.provisionable_by ||
+                provisionable(net, req.query.provisionable_by)));
+        });
+        res.send(common.paginate(nets, req.query));
+        next();
+    });
+
+    server.post('/networks', function createNetwork(req, res, next) {
+        if (common.missingParams(req, res, next, ['name', 'subnet',
+            'provision_start_ip', 'provision_end_ip', 'nic_tag'])) {
+            return;
+        }
+        res.send(self.addNetwork(req.body));
+        next();
+    });
+
+    server.get('/networks/:uuid', function getNet(req, res, next) {
+        var net = getNetwork(req, res, next);
+        if (!net) {
+            return;
+        }
+        if (req.query.provisionable_by &&
+            !provisionable(net, req.query.provisionable_by)) {
+            common.sendError(res, next, 403, 'NotAuthorized',
+                'owner cannot provision on network');
+            return;
+        }
+        if (!common.conditional(req, res, next, net)) {
+            common.sendObject(res, next, net);
+        }
+    });
+
+    server.put('/networks/:uuid', function updateNetwork(req, res, next) {
+        var net = getNetwork(req, res, next);
+        if (!net || common.conditional(req, res, next, net)) {
+            return;
+        }
+        ['name', 'description', 'gateway', 'owner_uuids', 'resolvers',
+            'routes', 'provision_start_ip', 'provision_end_ip'].forEach(
+            function (k) {
+            if (req.body[k] !== undefined) {
+                net[k] = req.body[k];
+            }
+        });
+        common.sendObject(res, next, net);
+    });
+
+    server.del('/networks/:uuid', function deleteNetwork(req, res, next) {
+        var net = getNetwork(req, res, next);
+        if (!net || common.conditional(req, res, next, net)) {
+            return;
+        }
+        delete self.networks[net.uuid];
+        delete self.ips[net.uuid];
+        res.send(204);
+        next();
+    });
+
+    server.post('/networks/:uuid/nics', function provisionNic(req, res, next) {
+        var net = getNetwork(req, res, next);
+        if (!net || common.missingParams(req, res, next,
+            ['belongs_to_uuid', 'belongs_to_type', 'owner_uuid'])) {
+            return;
+        }
+        if (!provisionable(net, req.body.owner_uuid)) {
+            common.sendError(res, next, 403, 'NotAuthorized',
+                'owner cannot provision on network');
+            return;
+        }
+        handle(res, next, function () {
+            var params = common.copy(req.body);
+            params.network_uuid = net.uuid;
+            return self.createNic(params);
+        });
+    });
+
+    server.get('/networks/:uuid/ips', function listIPs(req, res, next) {
+        var net = getNetwork(req, res, next);
+        if (!net) {
+            return;
+        }
+        var ips = values(self.ips[net.uuid]).sort(function (a, b) {
+            return (ipToNumber(a.ip) - ipToNumber(b.ip));
+        }).filter(function (ip) {
+            return common.matches(ip, req.query);
+        });
+        res.send(common.paginate(ips, req.query));
+        next();
+    });
+
+    server.get('/networks/:uuid/ips/:ip', function getIP(req, res, next) {
+        var net = getNetwork(req, res, next);
+        if (!net) {
+            return;
+        }
+        res.send(self.ips[net.uuid][req.params.ip] || {
+            ip: req.params.ip,
+            network_uuid: net.uuid,
+            reserved: false,
+            free: true
+        });
+        next();
+    });
+
+    server.put('/networks/:uuid/ips/:ip', function updateIP(req, res, next) {
+        var net = getNetwork(req, res, next);
+        if (!net) {
+            return;
+        }
+        var ips = self.ips[net.uuid];
+        var ip = ips[req.params.ip] || {
+            ip: req.params.ip,
+            network_uuid: net.uuid
+        };
+        ['reserved', 'owner_uuid', 'belongs_to_uuid',
+            'belongs_to_type'].forEach(function (k) {
+            if (req.body[k] !== undefined) {
+                ip[k] = req.body[k];
+            }
+        });
+        ip.reserved = Boolean(ip.reserved);
+        ip.free = !(ip.reserved || ip.belongs_to_uuid);
+        ips[ip.ip] = ip;
+        res.send(ip);
+        next();
+    });
+
+    server.get('/search/ips', function searchIPs(req, res, next) {
+        var found = [];
+        Object.keys(self.ips).forEach(function (netUuid) {
+            var ip = self.ips[netUuid][req.query.ip];
+            if (ip) {
+                found.push(ip);
+            }
+        });
+        if (found.length === 0) {
+            common.notFound(res, next, 'IP address not found');
+            return;
+        }
+        res.send(found);
+        next();
+    });
+
+    // -- Nics
+
+    server.get('/nics', function listNics(req, res, next) {
+        var nics = values(self.nics).filter(function (nic) {
+            return common.matches(nic, req.query);
+        });
+        res.send(common.paginate(nics, req.query));
+        next();
+    });
+
+    server.post('/nics', function createNic(req, res, next) {
+        if (common.missingParams(req, res, next,
+            ['belongs_to_uuid', 'belongs_to_type', 'owner_uuid'])) {
+            return;
+        }
+        handle(res, next, function () {
+            return self.createNic(req.body);
+        });
+    });
+
+    server.get('/nics/:mac', function getNic(req, res, next) {
+        var nic = self.nics[normalizeMac(req.params.mac)];
+        if (!nic) {
+            common.notFound(res, next, 'nic not found');
+            return;
+        }
+        if (!common.conditional(req, res, next, nic)) {
+            common.sendObject(res, next, nic);
+        }
+    });
+
+    server.put('/nics/:mac', function updateNic(req, res, next) {
+        var nic = self.nics[normalizeMac(req.params.mac)];
+        if (!nic) {
+            common.notFound(res, next, 'nic not found');
+            return;
+        }
+        if (common.conditional(req, res, next, nic)) {
+            return;
+        }
+        handle(res, next, function () {
+            var body = req.body;
+            if (body.network_uuid && body.network_uuid !== nic.network_uuid) {
+                self._assignIp(nic, body.network_uuid, body.ip);
+            }
+            ['belongs_to_uuid', 'belongs_to_type', 'owner_uuid', 'primary',
+                'state', 'model', 'allow_ip_spoofing', 'allow_mac_spoofing',
+                'cn_uuid'].forEach(function (k) {
+                if (body[k] !== undefined) {
+                    nic[k] = body[k];
+                }
+            });
+            var ip = nic.ip && self.ips[nic.network_uuid] &&
+                self.ips[nic.network_uuid][nic.ip];
+            if (ip) {
+                ip.belongs_to_uuid = nic.belongs_to_uuid;
+                ip.belongs_to_type = nic.belongs_to_type;
+                ip.owner_uuid = nic.owner_uuid;
+            }
+            return nic;
+        });
+    });
+
+    server.del('/nics/:mac', function deleteNic(req, res, next) {
+        var mac = normalizeMac(req.params.mac);
+        var nic = self.nics[mac];
+        if (!nic) {
+            common.notFound(res, next, 'nic not found');
+            return;
+        }
+        if (common.conditional(req, res, next, nic)) {
+            return;
+        }
+        self._freeIp(nic);
+        delete self.nics[mac];
+        res.send(204);
+        next();
+    });
+
+    // -- Nic tags, network pools and aggregations
+
+    namedCollection(server, '/nic_tags', self.nicTags, 'name', 'nic tag');
+    namedCollection(server, '/network_pools', self.pools, 'uuid',
+        'network pool');
+    namedCollection(server, '/aggregations', self.aggrs, 'id',
+        'aggregation', function (aggr) {
+        aggr.id = aggr.belongs_to_uuid + '-' + aggr.name;
+    });
+
+    // -- Fabrics
+
+    server.get('/fabrics/:owner/vlans', function listVLANs(req, res, next) {
+        res.send(values(self.vlans).filter(function (vlan) {
+            return (vlan.owner_uuid === req.params.owner);
+        }));
+        next();
+    });
+
+    server.post('/fabrics/:owner/vlans', function createVLAN(req, res, next) {
+        if (common.missingParams(req, res, next, ['vlan_id', 'name'])) {
+            return;
+        }
+        var vlan = common.copy(req.body);
+        vlan.owner_uuid = req.params.owner;
+        self.vlans[vlanKey(req.params.owner, vlan.vlan_id)] = vlan;
+        res.send(vlan);
+        next();
+    });
+
+    function getVLAN(req, res, next) {
+        var vlan = self.vlans[vlanKey(req.params.owner, req.params.id)];
+        if (!vlan) {
+            common.notFound(res, next, 'vlan not found');
+        }
+        return vlan;
+    }
+
+    server.get('/fabrics/:owner/vlans/:id', function getV(req, res, next) {
+        var vlan = getVLAN(req, res, next);
+        if (vlan) {
+            res.send(vlan);
+            next();
+        }
+    });
+
+    server.put('/fabrics/:owner/vlans/:id', function updateV(req, res, next) {
+        var vlan = getVLAN(req, res, next);
+        if (vlan) {
+            ['name', 'description'].forEach(function (k) {
+                if (req.body[k] !== undefined) {
+                    vlan[k] = req.body[k];
+                }
+            });
+            res.send(vlan);
+            next();
+        }
+    });
+
+    server.del('/fabrics/:owner/vlans/:id', function deleteV(req, res, next) {
+        var vlan = getVLAN(req, res, next);
+        if (vlan) {
+            delete self.vlans[vlanKey(req.params.owner, req.params.id)];
+            res.send(204);
+            next();
+        }
+    });
+
+    function fabricNetworks(req) {
+        return values(self.networks).filter(function (net) {
+            return (net.fabric && net.owner_uuids &&
+                net.owner_uuids[0] === req.params.owner &&
+                String(net.vlan_id) === String(req.params.id));
+        });
+    }
+
+    server.get('/fabrics/:owner/vlans/:id/networks',
+            function listFabricNetworks(req, res, next) {
+        if (getVLAN(req, res, next)) {
+            res.send(fabricNetworks(req));
+            next();
+        }
+    });
+
+    server.post('/fabrics/:owner/vlans/:id/networks',
+            function createFabricNetwork(req, res, next) {
+        if (!getVLAN(req, res, next) || common.missingParams(req, res, next,
+            ['name', 'subnet', 'provision_start_ip', 'provision_end_ip'])) {
+            return;
+        }
+        var params = common.copy(req.body);
+        params.fabric = true;
+        params.vlan_id = Number(req.params.id);
+        params.owner_uuids = [ req.params.owner ];
+        params.nic_tag = 'sdc_overlay';
+        res.send(self.addNetwork(params));
+        next();
+    });
+
+    function getFabricNetwork(req, res, next) {
+        var net = fabricNetworks(req).filter(function (n) {
+            return (n.uuid === req.params.network);
+        })[0];
+        if (!net) {
+            common.notFound(res, next, 'network not found');
+        }
+        return net;
+    }
+
+    server.get('/fabrics/:owner/vlans/:id/networks/:network',
+            function getFN(req, res, next) {
+        var net = getFabricNetwork(req, res, next);
+        if (net) {
+            res.send(net);
+            next();
+        }
+    });
+
+    server.del('/fabrics/:owner/vlans/:id/networks/:network',
+            function deleteFN(req, res, next) {
+        var net = getFabricNetwork(req, res, next);
+        if (net) {
+            delete self.networks[net.uuid];
+            delete self.ips[net.uuid];
+            res.send(204);
+            next();
+        }
+    });
+};
+
+
+
+// --- Internal support
+
+function values(obj) {
+    return Object.keys(obj).map(function (k) {
+        return obj[k];
+    });
+}
+
+
+function vlanKey(owner, id) {
+    return owner + '/' + id;
+}
+
+
+function apiError(statusCode, restCode, message) {
+    var err = new Error(message);
+    err.statusCode = statusCode;
+    err.restCode = restCode;
+    return err;
+}
+
+
+/*
+ * CRUD endpoints for a collection of objects keyed by `key`, which is a
+ * generated UUID if `key` is 'uuid'. `init` is called on new objects.
+ */
+function namedCollection(server, path, objects, key, what, init) {
+    server.get(path, function list(req, res, next) {
+        res.send(common.paginate(values(objects).filter(function (obj) {
+            return common.matches(obj, req.query);
+        }), req.query));
+        next();
+    });
+
+    server.post(path, function create(req, res, next) {
+        var obj = common.copy(req.body);
+        if (key === 'uuid') {
+            obj.uuid = common.uuid();
+        } else if (init) {
+            init(obj);
+        }
+        if (!obj[key]) {
+            common.sendError(res, next, 422, 'InvalidParameters',
+                format('missing %s %s', what, key));
+            return;
+        }
+        objects[obj[key]] = obj;
+        res.send(obj);
+        next();
+    });
+
+    server.get(path + '/:key', function get(req, res, next) {
+        var obj = objects[req.params.key];
+        if (!obj) {
+            common.notFound(res, next, what + ' not found');
+            return;
+        }
+        res.send(obj);
+        next();
+    });
+
+    server.put(path + '/:key', function update(req, res, next) {
+        var obj = objects[req.params.key];
+        if (!obj) {
+            common.notFound(res, next, what + ' not found');
+            return;
+        }
+        Object.keys(req.body).forEach(function (k) {
+            if (k !== key) {
+                obj[k] = req.body[k];
+            }
+        });
+        res.send(obj);
+        next();
+    });
+
+    server.del(path + '/:key', function del(req, res, next) {
+        if (!objects[req.params.key]) {
+            common.notFound(res, next, what + ' not found');
+            return;
+        }
+        delete objects[req.params.key];
+        res.send(204);
+        next();
+    });
+}
+
+
+
+module.exports = FakeNAPI;
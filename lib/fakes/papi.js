@@ -0,0 +1,295 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Fake PAPI: packages.
+ *
+ * Lists take the same params as PAPI: a field=value filter for each param,
+ * where an unescaped '*' matches anything, or an LDAP `filter` param using
+ * '=', '>=', '<=', '&', '|' and '!'.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var common = require('./common');
+var FakeServer = common.FakeServer;
+
+
+
+// --- Globals
+
+var REQUIRED = ['name', 'version', 'max_physical_memory', 'quota',
+    'max_swap'];
+
+// The fields that can't be changed once a package is created.
+var IMMUTABLES = ['name', 'version', 'os', 'max_physical_memory', 'quota',
+    'max_swap', 'cpu_cap', 'max_lwps', 'zfs_io_priority', 'fss',
+    'cpu_burst_ratio', 'ram_ratio', 'overprovision_cpu',
+    'overprovision_memory', 'overprovision_storage', 'overprovision_network',
+    'overprovision_io', 'vcpus'];
+
+var LIST_PARAMS = ['filter', 'limit', 'offset', 'sort', 'order'];
+
+
+
+// --- FakePAPI
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ *    - packages {Array} Optional. Packages to start with (there are none by
+ *      default). Each needs a `uuid`.
+ */
+function FakePAPI(options) {
+    options = options || {};
+    assert.optionalArrayOfObject(options.packages, 'options.packages');
+
+    this.packages = {};
+
+    FakeServer.call(this, { name: 'papi', log: options.log });
+
+    var self = this;
+    (options.packages || []).forEach(function (pkg) {
+        assert.string(pkg.uuid, 'package.uuid');
+        self.packages[pkg.uuid] = common.copy(pkg);
+    });
+}
+
+util.inherits(FakePAPI, FakeServer);
+
+
+FakePAPI.prototype._routes = function _routes(server) {
+    var self = this;
+
+    function getPackage(req, res, next) {
+        var pkg = self.packages[req.params.uuid];
+        var owner = req.query.owner_uuids;
+        if (!pkg || (owner && pkg.owner_uuids &&
+            pkg.owner_uuids.indexOf(owner) === -1)) {
+            common.notFound(res, next,
+                format('Package %s does not exist', req.params.uuid));
+            return null;
+        }
+        return pkg;
+    }
+
+    server.get('/packages', function listPackages(req, res, next) {
+        var test;
+        try {
+            test = (req.query.filter ?
+                parseFilter(String(req.query.filter)) :
+                paramsTest(req.query));
+        } catch (e) {
+            common.sendError(res, next, 409, 'InvalidArgument', e.message);
+            return;
+        }
+
+        var pkgs = Object.keys(self.packages).map(function (k) {
+            return self.packages[k];
+        }).filter(test);
+        res.header('x-resource-count', pkgs.length);
+        res.send(common.paginate(pkgs, req.query));
+        next();
+    });
+
+    server.post('/packages', function addPackage(req, res, next) {
+        if (common.missingParams(req, res, next, REQUIRED)) {
+            return;
+        }
+        var pkg = common.copy(req.body);
+        pkg.uuid = pkg.uuid || common.uuid();
+        if (self.packages[pkg.uuid]) {
+            common.sendError(res, next, 409, 'ConflictError',
+                format('Package %s already exists', pkg.uuid));
+            return;
+        }
+        pkg.active = (pkg.active !== undefined ? pkg.active : true);
+        pkg['default'] = Boolean(pkg['default']);
+        pkg.created_at = pkg.updated_at = new Date().toISOString();
+
+        self.packages[pkg.uuid] = pkg;
+        res.send(201, pkg);
+        next();
+    });
+
+    server.get('/packages/:uuid', function getP(req, res, next) {
+        var pkg = getPackage(req, res, next);
+        if (pkg) {
+            res.send(pkg);
+            next();
+        }
+    });
+
+    server.put('/packages/:uuid', function updatePackage(req, res, next) {
+        var pkg = getPackage(req, res, next);
+        if (!pkg) {
+            return;
+        }
+
+        var changed = IMMUTABLES.filter(function (k) {
+            return (req.body[k] !== undefined &&
+                JSON.stringify(req.body[k]) !== JSON.stringify(pkg[k]));
+        });
+        if (changed.length) {
+            common.sendError(res, next, 409, 'InvalidArgument',
+                'Attempt to update immutables: ' + changed.join(', '), {
+                errors: changed.map(function (k) {
+                    return { field: k, code: 'Invalid',
+                        message: 'is immutable' };
+                })
+            });
+            return;
+        }
+
+        Object.keys(req.body).forEach(function (k) {
+            if (k !== 'uuid' && k !== 'created_at') {
+                pkg[k] = req.body[k];
+            }
+        });
+        pkg.updated_at = new Date().toISOString();
+        res.send(pkg);
+        next();
+    });
+
+    server.del('/packages/:uuid', function deletePackage(req, res, next) {
+        if (getPackage(req, res, next)) {
+            common.sendError(res, next, 405, 'BadMethod',
+                'Packages cannot be deleted');
+        }
+    });
+};
+
+
+
+// --- Internal support
+
+/*
+ * Parse a filter value: an unescaped '*' matches anything, and '{\XX}' is
+ * the character with hex code XX (as escaped by the PAPI client).
+ */
+function valueTest(value) {
+    var re = value.split('*').map(function (part) {
+        return part.replace(/\{\\([0-9a-fA-F]{2})\}/g, function (m, hex) {
+            return String.fromCharCode(parseInt(hex, 16));
+        }).replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+    }).join('.*');
+    re = new RegExp('^' + re + '$');
+
+    return function (v) {
+        return re.test(String(v));
+    };
+}
+
+
+function fieldTest(field, op, value) {
+    var test = valueTest(value);
+
+    return function (pkg) {
+        var values = (Array.isArray(pkg[field]) ? pkg[field] : [pkg[field]]);
+        return values.some(function (v) {
+            if (v === undefined || v === null) {
+                return false;
+            }
+            if (op === '>=') {
+                return (Number(v) >= Number(value));
+            } else if (op === '<=') {
+                return (Number(v) <= Number(value));
+            }
+            return test(v);
+        });
+    };
+}
+
+
+/*
+ * A test for the field=value params of a list.
+ */
+function paramsTest(query) {
+    var tests = Object.keys(query).filter(function (k) {
+        return (LIST_PARAMS.indexOf(k) === -1);
+    }).map(function (k) {
+        return fieldTest(k, '=', String(query[k]));
+    });
+
+    return function (pkg) {
+        return tests.every(function (test) {
+            return test(pkg);
+        });
+    };
+}
+
+
+/*
+ * Parse an LDAP filter, e.g. '(&(active=true)(max_physical_memory>=512))',
+ * into a test function.
+ */
+function parseFilter(str) {
+    var pos = 0;
+
+    function fail() {
+        throw new Error(format('invalid filter: %s', str));
+    }
+
+    function parse() {
+        if (str[pos] !== '(') {
+            fail();
+        }
+        pos++;
+
+        var test;
+        var op = str[pos];
+        if (op === '&' || op === '|' || op === '!') {
+            pos++;
+            var tests = [];
+            while (str[pos] === '(') {
+                tests.push(parse());
+            }
+            if (tests.length === 0 || (op === '!' && tests.length !== 1)) {
+                fail();
+            }
+            test = function (pkg) {
+                if (op === '!') {
+                    return !tests[0](pkg);
+                }
+                return tests[op === '&' ? 'every' : 'some'](function (t) {
+                    return t(pkg);
+                });
+            };
+        } else {
+            var end = str.indexOf(')', pos);
+            var m = /^([^=<>()]+)(>=|<=|=)(.*)$/.exec(str.slice(pos, end));
+            if (end === -1 || !m) {
+                fail();
+            }
+            test = fieldTest(m[1], m[2], m[3]);
+            pos = end;
+        }
+
+        if (str[pos] !== ')') {
+            fail();
+        }
+        pos++;
+        return test;
+    }
+
+    var result = parse();
+    if (pos !== str.length) {
+        fail();
+    }
+    return result;
+}
+
+
+
+module.exports = FakePAPI;
@@ -0,0 +1,371 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Fake SAPI: applications, services, instances, manifests, the mode and
+ * history records.
+ *
+ * Instances are only records: no VMs are provisioned for them. Asynchronous
+ * instance creation runs a job, to be waited on with the SAPI client's
+ * `wfapiUrl` option set to the fake's URL. Configs list the manifests of an
+ * instance without rendering their templates.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var common = require('./common');
+var FakeServer = common.FakeServer;
+
+
+
+// --- Globals
+
+var WORKFLOW_VERSION = '1.0.0';
+
+var MODES = ['proto', 'full'];
+
+// The fields of applications, services and instances that are changed by
+// an update's `action`.
+var UPDATE_FIELDS = ['params', 'metadata', 'manifests'];
+
+
+
+// --- FakeSAPI
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ *    - mode {String} Optional. 'proto' or 'full' (the default).
+ */
+function FakeSAPI(options) {
+    options = options || {};
+    assert.optionalString(options.mode, 'options.mode');
+
+    this.applications = {};
+    this.services = {};
+    this.instances = {};
+    this.manifests = {};
+    this.history = {};
+    this.mode = options.mode || 'full';
+
+    FakeServer.call(this, { name: 'sapi', log: options.log });
+}
+
+util.inherits(FakeSAPI, FakeServer);
+
+
+FakeSAPI.prototype._routes = function _routes(server) {
+    var self = this;
+
+    /*
+     * CRUD routes for a collection. `parent` is the field and collection
+     * of the object each belongs to, if any.
+     */
+    function objectRoutes(path, name, collection, required, parent) {
+        function getObject(req, res, next) {
+            var obj = collection[req.params.uuid];
+            if (!obj) {
+                common.notFound(res, next,
+                    format('%s %s not found', name, req.params.uuid));
+            }
+            return obj;
+        }
+
+        server.get(path, function listObjects(req, res, next) {
+            res.send(common.paginate(Object.keys(collection).map(function (k) {
+                return collection[k];
+            }).filter(function (obj) {
+                return common.matches(obj, req.query, ['include_master']);
+            }), req.query));
+            next();
+        });
+
+        server.post(path, function createObject(req, res, next) {
+            if (common.missingParams(req, res, next, required)) {
+                return;
+            }
+            if (parent && !parent.collection[req.body[parent.field]]) {
+                common.notFound(res, next, format('%s %s not found',
+                    parent.field, req.body[parent.field]));
+                return;
+            }
+            var obj = common.copy(req.body);
+            obj.uuid = obj.uuid || common.uuid();
+            if (collection[obj.uuid]) {
+                common.sendError(res, next, 409, 'DuplicateParameter',
+                    format('%s %s already exists', name, obj.uuid));
+                return;
+            }
+            if (collection !== self.manifests) {
+                UPDATE_FIELDS.forEach(function (k) {
+                    obj[k] = obj[k] || {};
+                });
+            }
+            collection[obj.uuid] = obj;
+
+            if (collection === self.instances && req.query.async === 'true') {
+                var job = self._runJob('provision-' + WORKFLOW_VERSION, {
+                    task: 'provision',
+                    instance_uuid: obj.uuid
+                }, {}, function () {});
+                obj.job_uuid = job.uuid;
+            }
+            res.send(obj);
+            next();
+        });
+
+        server.get(path + '/:uuid', function getO(req, res, next) {
+            var obj = getObject(req, res, next);
+            if (obj && !common.conditional(req, res, next, obj)) {
+                common.sendObject(res, next, obj);
+            }
+        });
+
+        server.put(path + '/:uuid', function updateObject(req, res, next) {
+            var obj = getObject(req, res, next);
+            if (!obj || common.conditional(req, res, next, obj)) {
+                return;
+            }
+            var action = req.body.action || 'update';
+            if (['update', 'replace', 'delete'].indexOf(action) === -1) {
+                common.sendError(res, next, 409, 'InvalidArgument',
+                    format('invalid action "%s"', action));
+                return;
+            }
+            update(obj, action, req.body);
+            common.sendObject(res, next, obj);
+        });
+
+        server.del(path + '/:uuid', function deleteObject(req, res, next) {
+            var obj = getObject(req, res, next);
+            if (obj && !common.conditional(req, res, next, obj)) {
+                delete collection[obj.uuid];
+                res.send(204);
+                next();
+            }
+        });
+    }
+
+    objectRoutes('/applications', 'application', this.applications,
+        ['name', 'owner_uuid']);
+    objectRoutes('/services', 'service', this.services,
+        ['name', 'application_uuid'], {
+        field: 'application_uuid',
+        collection: this.applications
+    });
+    objectRoutes('/instances', 'instance', this.instances, ['service_uuid'], {
+        field: 'service_uuid',
+        collection: this.services
+    });
+
+    server.put('/instances/:uuid/upgrade', function reprovision(req, res,
+            next) {
+        var inst = self.instances[req.params.uuid];
+        if (!inst) {
+            common.notFound(res, next,
+                format('instance %s not found', req.params.uuid));
+            return;
+        }
+        if (common.missingParams(req, res, next, ['image_uuid'])) {
+            return;
+        }
+        inst.params.image_uuid = req.body.image_uuid;
+        res.send(inst);
+        next();
+    });
+
+    server.get('/instances/:uuid/payload', function getPayload(req, res,
+            next) {
+        var chain = self._chain(req.params.uuid);
+        if (!chain) {
+            common.notFound(res, next,
+                format('instance %s not found', req.params.uuid));
+            return;
+        }
+        var payload = merge(chain, 'params');
+        payload.uuid = req.params.uuid;
+        payload.customer_metadata = merge(chain, 'metadata');
+        res.send(payload);
+        next();
+    });
+
+    server.get('/configs/:uuid', function getConfig(req, res, next) {
+        var chain = self._chain(req.params.uuid);
+        if (!chain) {
+            common.notFound(res, next,
+                format('instance %s not found', req.params.uuid));
+            return;
+        }
+        var manifests = merge(chain, 'manifests');
+        res.send({
+            manifests: Object.keys(manifests).map(function (k) {
+                return self.manifests[manifests[k]];
+            }).filter(Boolean),
+            metadata: merge(chain, 'metadata')
+        });
+        next();
+    });
+
+    // -- Manifests
+
+    objectRoutes('/manifests', 'manifest', this.manifests,
+        ['name', 'template', 'path']);
+
+    // -- Mode
+
+    server.get('/mode', function getMode(req, res, next) {
+        res.send(self.mode);
+        next();
+    });
+
+    server.post('/mode', function setMode(req, res, next) {
+        if (MODES.indexOf(req.query.mode) === -1) {
+            common.sendError(res, next, 409, 'InvalidArgument',
+                format('invalid mode "%s"', req.query.mode));
+            return;
+        }
+        self.mode = req.query.mode;
+        res.send(204);
+        next();
+    });
+
+    // -- History
+
+    server.get('/history', function listHistory(req, res, next) {
+        var since = Number(req.query.since) || 0;
+        var until = Number(req.query.until) || Infinity;
+        res.send(common.paginate(Object.keys(self.history).map(function (k) {
+            return self.history[k];
+        }).filter(function (h) {
+            return (h.started >= since && h.started <= until);
+        }), req.query));
+        next();
+    });
+
+    server.post('/history', function addHistory(req, res, next) {
+        if (common.missingParams(req, res, next,
+            ['uuid', 'started', 'changes'])) {
+            return;
+        }
+        var h = common.copy(req.body);
+        self.history[h.uuid] = h;
+        res.send(h);
+        next();
+    });
+
+    server.get('/history/:uuid', function getHistory(req, res, next) {
+        var h = self.history[req.params.uuid];
+        if (!h) {
+            common.notFound(res, next,
+                format('history item %s not found', req.params.uuid));
+            return;
+        }
+        res.send(h);
+        next();
+    });
+
+    server.put('/history/:uuid', function updateHistory(req, res, next) {
+        var h = self.history[req.params.uuid];
+        if (!h) {
+            common.notFound(res, next,
+                format('history item %s not found', req.params.uuid));
+            return;
+        }
+        Object.keys(req.body).forEach(function (k) {
+            if (k !== 'uuid') {
+                h[k] = req.body[k];
+            }
+        });
+        res.send(h);
+        next();
+    });
+
+    server.del('/history/:uuid', function deleteHistory(req, res, next) {
+        if (!self.history[req.params.uuid]) {
+            common.notFound(res, next,
+                format('history item %s not found', req.params.uuid));
+            return;
+        }
+        delete self.history[req.params.uuid];
+        res.send(204);
+        next();
+    });
+
+    this._jobRoutes(server);
+};
+
+
+/*
+ * The application, service and instance of an instance UUID, in that order,
+ * or null if there is no such instance.
+ */
+FakeSAPI.prototype._chain = function _chain(uuid) {
+    var inst = this.instances[uuid];
+    if (!inst) {
+        return null;
+    }
+    var svc = this.services[inst.service_uuid] || {};
+    var app = this.applications[svc.application_uuid] || {};
+    return [app, svc, inst];
+};
+
+
+
+// --- Internal support
+
+/*
+ * Apply the changes of a SAPI update to an object: 'update' merges the
+ * `params`, `metadata` and `manifests` given, 'replace' replaces them, and
+ * 'delete' removes their keys.
+ */
+function update(obj, action, changes) {
+    UPDATE_FIELDS.forEach(function (field) {
+        var values = changes[field];
+        if (!values) {
+            return;
+        }
+        if (action === 'replace') {
+            obj[field] = common.copy(values);
+            return;
+        }
+        // 'delete' takes either an array of keys or an object.
+        var keys = (Array.isArray(values) ? values : Object.keys(values));
+        keys.forEach(function (k) {
+            if (action === 'delete') {
+                delete obj[field][k];
+            } else {
+                obj[field][k] = values[k];
+            }
+        });
+    });
+}
+
+
+/*
+ * Merge a field of objects, with later objects' keys overriding earlier
+ * ones.
+ */
+function merge(objs, field) {
+    var result = {};
+    objs.forEach(function (obj) {
+        Object.keys(obj[field] || {}).forEach(function (k) {
+            result[k] = obj[field][k];
+        });
+    });
+    return result;
+}
+
+
+
+module.exports = FakeSAPI;
@@ -0,0 +1,833 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Fake VMAPI: VMs, their metadata, role tags, nics and snapshots, and the
+ * jobs that change them.
+ *
+ * Each change runs a job (named e.g. 'provision-7.0.0', with the
+ * 'x-context' header as `params.context`) that has succeeded by the time
+ * the call returns. VMAPI and the Workflow API are the same server here.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var common = require('./common');
+var FakeServer = common.FakeServer;
+
+
+
+// --- Globals
+
+var WORKFLOW_VERSION = '7.0.0';
+
+var METADATA_TYPES = ['customer_metadata', 'internal_metadata', 'tags'];
+
+// The VM state after each action, if it changes it.
+var ACTION_STATES = {
+    start: 'running',
+    stop: 'stopped',
+    reboot: 'running',
+    kill: 'stopped'
+};
+
+// The job names of the actions, where not the action name itself.
+var ACTION_JOBS = {
+    add_nics: 'add-nics',
+    update_nics: 'update-nics',
+    remove_nics: 'remove-nics',
+    create_snapshot: 'snapshot',
+    rollback_snapshot: 'rollback',
+    delete_snapshot: 'delete-snapshot'
+};
+
+// Fields that `update` can't change.
+var READ_ONLY_FIELDS = ['uuid', 'owner_uuid', 'state', 'nics', 'snapshots',
+    'create_timestamp'];
+
+
+
+// --- Internal support
+
+/*
+ * A VM's value for a filter attribute. As in VMAPI, the tags are matched as
+ * a string of "-key=value-".
+ */
+function attributeOf(vm, name) {
+    if (name === 'tags') {
+        return Object.keys(vm.tags || {}).map(function (k) {
+            return '-' + k + '=' + vm.tags[k] + '-';
+        }).join('');
+    }
+    return vm[name];
+}
+
+
+function unescapeValue(value) {
+    return value.replace(/\\([0-9a-fA-F]{2})/g, function (_, hex) {
+        return String.fromCharCode(parseInt(hex, 16));
+    });
+}
+
+
+/*
+ * Parse an LDAP search filter (the ListVms `query` param) into a tree of
+ * nodes: `{op: 'and'|'or'|'not', children: [...]}`, `{op: 'eq', field,
+ * pieces}` (the parts of the value between '*' wildcards) and `{op:
+ * 'ge'|'le', field, value}`.
+ */
+function parseQuery(query) {
+    var pos = 0;
+
+    function expect(c) {
+        if (query[pos] !== c) {
+            throw new Error(format('expected "%s" at %d', c, pos));
+        }
+        pos++;
+    }
+
+    function filter() {
+        var node;
+
+        expect('(');
+        var c = query[pos];
+        if (c === '&' || c === '|') {
+            pos++;
+            node = { op: (c === '&' ? 'and' : 'or'), children: [] };
+            while (query[pos] === '(') {
+                node.children.push(filter());
+            }
+        } else if (c === '!') {
+            pos++;
+            node = { op: 'not', children: [ filter() ] };
+        } else {
+            var m = /^([^=<>()]+)(>=|<=|=)([^()]*)/.exec(query.slice(pos));
+            if (!m) {
+                throw new Error(format('bad filter at %d', pos));
+            }
+            pos += m[0].length;
+            if (m[2] === '=') {
+                node = { op: 'eq', field: m[1],
+                    pieces: m[3].split('*').map(unescapeValue) };
+            } else {
+                node = { op: (m[2] === '>=' ? 'ge' : 'le'), field: m[1],
+                    value: unescapeValue(m[3]) };
+            }
+        }
+        expect(')');
+        return node;
+    }
+
+    var root = filter();
+    if (pos !== query.length) {
+        throw new Error(format('unexpected "%s" at %d', query[pos], pos));
+    }
+    return root;
+}
+
+
+/*
+ * Parse a ListVms `predicate` into the nodes of `parseQuery`.
+ */
+function parsePredicate(predicate) {
+    var ops = Object.keys(predicate || {});
+    if (ops.length !== 1) {
+        throw new Error('a predicate has one operator');
+    }
+
+    var op = ops[0];
+    var args = predicate[op];
+    if (op === 'and' || op === 'or') {
+        return { op: op, children: [].concat(args).map(parsePredicate) };
+    }
+    if (!Array.isArray(args) || args.length !== 2) {
+        throw new Error(format('"%s" takes a field and a value', op));
+    }
+
+    var field = args[0];
+    var eq = { op: 'eq', field: field, pieces: String(args[1]).split('*') };
+    var ge = { op: 'ge', field: field, value: args[1] };
+    var le = { op: 'le', field: field, value: args[1] };
+    var nodes = {
+        eq: eq,
+        ne: { op: 'not', children: [ eq ] },
+        ge: ge,
+        le: le,
+        lt: { op: 'not', children: [ ge ] },
+        gt: { op: 'not', children: [ le ] }
+    };
+    if (!nodes.hasOwnProperty(op)) {
+        throw new Error('unknown predicate operator: ' + op);
+    }
+    return nodes[op];
+}
+
+
+/*
+ * Whether `vm` matches a node of `parseQuery`.
+ */
+function matchesFilter(vm, node) {
+    if (node.op === 'and') {
+        return node.children.every(function (child) {
+            return matchesFilter(vm, child);
+        });
+    } else if (node.op === 'or') {
+        return node.children.some(function (child) {
+            return matchesFilter(vm, child);
+        });
+    } else if (node.op === 'not') {
+        return !matchesFilter(vm, node.children[0]);
+    }
+
+    var value = attributeOf(vm, node.field);
+    if (value === undefined || value === null) {
+        return false;
+    }
+
+    if (node.op === 'eq') {
+        var re = new RegExp('^' + node.pieces.map(function (piece) {
+            return piece.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+        }).join('.*') + '$');
+        return re.test(String(value));
+    }
+
+    var diff = (isNaN(Number(value)) || isNaN(Number(node.value)) ?
+        String(value).localeCompare(String(node.value)) :
+        Number(value) - Number(node.value));
+    return (node.op === 'ge' ? diff >= 0 : diff <= 0);
+}
+
+
+
+
+// --- FakeVMAPI
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - log {Object} Optional. Bunyan logger.
+ *    - vms {Array} Optional. VMs to start with, instead of the default one:
+ *      an 'assets0' zone of the admin user on the headnode (see
+ *      "common.js"). Each needs a `uuid` and `owner_uuid`.
+ *    - napi {FakeNAPI} Optional. A fake NAPI to create the VMs' nics on
+ *      (see "napi.js"). Without it, nics get a MAC address but no IP.
+ */
+function FakeVMAPI(options) {
+    options = options || {};
+    assert.optionalArrayOfObject(options.vms, 'options.vms');
+    assert.optionalObject(options.napi, 'options.napi');
+
+    this.vms = {};
+    this.napi = options.napi;
+    this._vmCount = 0;
+
+    FakeServer.call(this, { name: 'vmapi', log: options.log });
+
+    var self = this;
+    (options.vms || [ {
+        uuid: 'ea3a1e9e-1a35-4e58-86a1-22a0f0d2f9a1',
+        alias: 'assets0',
+        owner_uuid: common.ADMIN_UUID,
+        server_uuid: common.HEADNODE_UUID,
+        brand: 'joyent-minimal',
+        ram: 64,
+        tags: { smartdc_role: 'assets', smartdc_type: 'core' }
+    } ]).forEach(function (vm) {
+        self.addVm(vm);
+    });
+}
+
+util.inherits(FakeVMAPI, FakeServer);
+
+
+/**
+ * Add a VM, without running a job.
+ *
+ * @param {Object} params : the VM's fields, with at least `uuid` and
+ *        `owner_uuid`.
+ * @return {Object} the VM.
+ */
+FakeVMAPI.prototype.addVm = function addVm(params) {
+    assert.object(params, 'params');
+    assert.string(params.uuid, 'params.uuid');
+    assert.string(params.owner_uuid, 'params.owner_uuid');
+
+    var now = new Date().toISOString();
+    var vm = common.copy(params);
+    vm.state = vm.state || 'running';
+    vm.zone_state = vm.zone_state || vm.state;
+    vm.alias = vm.alias || null;
+    vm.ram = vm.ram || 1024;
+    vm.max_physical_memory = vm.max_physical_memory || vm.ram;
+    vm.nics = vm.nics || [];
+    vm.snapshots = vm.snapshots || [];
+    vm.role_tags = vm.role_tags || [];
+    METADATA_TYPES.forEach(function (type) {
+        vm[type] = vm[type] || {};
+    });
+    vm.create_timestamp = vm.create_timestamp || now;
+    vm.last_modified = now;
+    vm._order = this._vmCount++;
+
+    this.vms[vm.uuid] = vm;
+    return vm;
+};
+
+
+/*
+ * Create the nics for VM on `networks` (UUIDs, or objects with `uuid` or
+ * `name`, and optionally `primary` and `ip`).
+ */
+FakeVMAPI.prototype._addNetworkNics = function _addNetworkNics(vm, networks) {
+    var self = this;
+
+    networks.forEach(function (net) {
+        if (typeof (net) === 'string') {
+            net = { uuid: net };
+        }
+        var networkUuid = net.uuid || net.ipv4_uuid;
+        if (!networkUuid && net.name && self.napi) {
+            Object.keys(self.napi.networks).forEach(function (k) {
+                if (self.napi.networks[k].name === net.name) {
+                    networkUuid = k;
+                }
+            });
+        }
+
+        var params = {
+            network_uuid: networkUuid,
+            ip: net.ip,
+            primary: Boolean(net.primary),
+            belongs_to_uuid: vm.uuid,
+            belongs_to_type: 'zone',
+            owner_uuid: vm.owner_uuid
+        };
+        vm.nics.push(self.napi ? self.napi.createNic(params) : {
+            mac: common.randomMac(),
+            network_uuid: networkUuid,
+            primary: params.primary
+        });
+    });
+    setPrimary(vm);
+};
+
+
+/*
+ * Add existing nics to a VM, by MAC address.
+ */
+FakeVMAPI.prototype._addMacNics = function _addMacNics(vm, macs) {
+    var self = this;
+
+    macs.forEach(function (mac) {
+        var nic = self.napi && self.napi.nics[mac];
+        if (nic) {
+            nic.belongs_to_uuid = vm.uuid;
+            nic.belongs_to_type = 'zone';
+        }
+        vm.nics.push(nic || { mac: mac, primary: false });
+    });
+    setPrimary(vm);
+};
+
+
+FakeVMAPI.prototype._removeNics = function _removeNics(vm, macs) {
+    var self = this;
+
+    vm.nics = vm.nics.filter(function (nic) {
+        if (macs.indexOf(nic.mac) === -1) {
+            return true;
+        }
+        if (self.napi && self.napi.nics[nic.mac]) {
+            self.napi._freeIp(nic);
+            delete self.napi.nics[nic.mac];
+        }
+        return false;
+    });
+    setPrimary(vm);
+};
+
+
+FakeVMAPI.prototype._routes = function _routes(server) {
+    var self = this;
+
+    /*
+     * The VM of a request, checking its `owner_uuid` param if any.
+     */
+    function getVm(req, res, next) {
+        var vm = self.vms[req.params.uuid];
+        if (!vm || (req.query.owner_uuid &&
+            vm.owner_uuid !== req.query.owner_uuid)) {
+            common.notFound(res, next, 'VM not found');
+            return null;
+        }
+        return vm;
+    }
+
+    /*
+     * Run the job for a change to a VM, and respond with it. Returns the
+     * job, or nothing if an error response was sent instead.
+     */
+    function runJob(req, res, next, vm, task, apply) {
+        var params = common.copy(req.body) || {};
+        params.task = task;
+        params.vm_uuid = vm.uuid;
+        params.owner_uuid = vm.owner_uuid;
+        ['origin', 'creator_uuid'].forEach(function (k) {
+            if (req.query[k]) {
+                params[k] = req.query[k];
+            }
+        });
+        if (req.headers['x-context']) {
+            try {
+                params.context = JSON.parse(req.headers['x-context']);
+            } catch (e) {
+                common.sendError(res, next, 409, 'ValidationFailed',
+                    'invalid x-context header');
+                return null;
+            }
+        }
+
+        var job;
+        try {
+            job = self._runJob(task + '-' + WORKFLOW_VERSION, params,
+                { vm_uuid: vm.uuid }, function () {
+                apply();
+                vm.last_modified = new Date().toISOString();
+            });
+        } catch (err) {
+            if (!err.statusCode) {
+                throw err;
+            }
+            common.sendError(res, next, err.statusCode, err.restCode,
+                err.message);
+            return null;
+        }
+
+        self._sendJob(res, next, { vm_uuid: vm.uuid, job_uuid: job.uuid });
+        return job;
+    }
+
+    /*
+     * The VMs that a ListVms or CountVms request selects. This throws for
+     * a `query` or `predicate` that does not parse.
+     */
+    function listVms(req) {
+        var query = common.copy(req.query);
+        var state = query.state;
+        var uuids = query.uuids && String(query.uuids).split(',');
+        var filters = [];
+        var tags = {};
+
+        if (query.query) {
+            filters.push(parseQuery(String(query.query)));
+        }
+        if (query.predicate) {
+            filters.push(parsePredicate(JSON.parse(query.predicate)));
+        }
+        // Newer query parsers nest the "tag.<key>" params under `tag`,
+        // older ones (e.g. restify 2.x's) leave them as flat keys.
+        Object.keys(query.tag || {}).forEach(function (k) {
+            tags[k] = String(query.tag[k]);
+        });
+        delete query.tag;
+        Object.keys(query).forEach(function (k) {
+            if (k.indexOf('tag.') === 0) {
+                tags[k.slice(4)] = String(query[k]);
+                delete query[k];
+            }
+        });
+        delete query.state;
+        delete query.uuids;
+        delete query.query;
+        delete query.predicate;
+
+        return Object.keys(self.vms).map(function (k) {
+            return self.vms[k];
+        }).filter(function (vm) {
+            if (state === 'active') {
+                if (vm.state === 'destroyed' || vm.state === 'failed') {
+                    return false;
+                }
+            } else if (state && vm.state !== state) {
+                return false;
+            }
+            return ((!uuids || uuids.indexOf(vm.uuid) !== -1) &&
+                common.matches(vm, query) &&
+                Object.keys(tags).every(function (k) {
+                    return (String(vm.tags[k]) === tags[k]);
+                }) &&
+                filters.every(function (node) {
+                    return matchesFilter(vm, node);
+                }));
+        }).sort(function (a, b) {
+            return (a._order - b._order);
+        });
+    }
+
+    function invalidFilter(req, res, next, err) {
+        common.sendError(res, next, 422, 'InvalidParameters',
+            'Invalid parameters', {
+            errors: [ { field: (req.query.query ? 'query' : 'predicate'),
+                code: 'Invalid', message: err.message } ]
+        });
+    }
+
+    // -- VMs
+
+    server.get('/vms', function listV(req, res, next) {
+        var vms;
+        try {
+            vms = listVms(req);
+        } catch (err) {
+            invalidFilter(req, res, next, err);
+            return;
+        }
+        res.header('x-joyent-resource-count', vms.length);
+        res.send(common.paginate(vms, req.query).map(function (vm) {
+            return vmObject(vm, req.query.fields);
+        }));
+        next();
+    });
+
+    server.head('/vms', function countVms(req, res, next) {
+        var vms;
+        try {
+            vms = listVms(req);
+        } catch (err) {
+            invalidFilter(req, res, next, err);
+            return;
+        }
+        res.header('x-joyent-resource-count', vms.length);
+        res.send(200);
+        next();
+    });
+
+    server.post('/vms', function createVm(req, res, next) {
+        if (common.missingParams(req, res, next,
+            ['owner_uuid', 'brand', 'networks'])) {
+            return;
+        }
+        var params = common.copy(req.body);
+        var networks = params.networks;
+        delete params.networks;
+        delete params.context;
+        params.uuid = params.uuid || common.uuid();
+        params.state = 'provisioning';
+        if (self.vms[params.uuid]) {
+            common.sendError(res, next, 409, 'DuplicateParameter',
+                format('VM %s already exists', params.uuid));
+            return;
+        }
+
+        var vm = self.addVm(params);
+        var job = runJob(req, res, next, vm, 'provision', function () {
+            self._addNetworkNics(vm, networks);
+            vm.state = vm.zone_state = 'running';
+        });
+        if (!job) {
+            delete self.vms[vm.uuid];
+        } else if (job.execution === 'failed') {
+            vm.state = vm.zone_state = 'failed';
+        }
+    });
+
+    server.get('/vms/:uuid', function getV(req, res, next) {
+        var vm = getVm(req, res, next);
+        if (vm && !common.conditional(req, res, next, vmObject(vm))) {
+            common.sendObject(res, next, vmObject(vm),
+                vmObject(vm, req.query.fields));
+        }
+    });
+
+    server.get('/vms/:uuid/proc', function getVmProc(req, res, next) {
+        var vm = getVm(req, res, next);
+        if (vm) {
+            res.send({ uuid: vm.uuid, psinfo: {} });
+            next();
+        }
+    });
+
+    server.post('/vms/:uuid', function vmAction(req, res, next) {
+        var vm = getVm(req, res, next);
+        if (!vm || common.conditional(req, res, next, vmObject(vm))) {
+            return;
+        }
+        var action = req.query.action;
+        var body = req.body;
+        var apply;
+
+        if (ACTION_STATES[action]) {
+            apply = function () {
+                vm.state = vm.zone_state = ACTION_STATES[action];
+            };
+        } else if (action === 'update') {
+            apply = function () {
+                Object.keys(body).forEach(function (k) {
+                    if (READ_ONLY_FIELDS.indexOf(k) === -1) {
+                        vm[k] = body[k];
+                    }
+                });
+            };
+        } else if (action === 'reprovision') {
+            if (common.missingParams(req, res, next, ['image_uuid'])) {
+                return;
+            }
+            apply = function () {
+                vm.image_uuid = body.image_uuid;
+                vm.state = vm.zone_state = 'running';
+            };
+        } else if (action === 'add_nics') {
+            if (!body.networks && !body.macs) {
+                common.sendError(res, next, 409, 'ValidationFailed',
+                    'networks or macs are required');
+                return;
+            }
+            apply = function () {
+                if (body.networks) {
+                    self._addNetworkNics(vm, body.networks);
+                } else {
+                    self._addMacNics(vm, body.macs);
+                }
+            };
+        } else if (action === 'update_nics') {
+            if (common.missingParams(req, res, next, ['nics'])) {
+                return;
+            }
+            apply = function () {
+                updateNics(vm, body.nics);
+            };
+        } else if (action === 'remove_nics') {
+            if (common.missingParams(req, res, next, ['macs'])) {
+                return;
+            }
+            apply = function () {
+                self._removeNics(vm, body.macs);
+            };
+        } else if (action === 'create_snapshot') {
+            var name = req.query.snapshot_name ||
+                new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+            apply = function () {
+                vm.snapshots.unshift({
+                    name: name,
+                    created_at: new Date().toISOString()
+                });
+            };
+        } else if (action === 'rollback_snapshot' ||
+            action === 'delete_snapshot') {
+            var snapshot = vm.snapshots.filter(function (s) {
+                return (s.name === req.query.snapshot_name);
+            })[0];
+            if (!snapshot) {
+                common.notFound(res, next, format('snapshot %s not found',
+                    req.query.snapshot_name));
+                return;
+            }
+            apply = function () {
+                if (action === 'delete_snapshot') {
+                    vm.snapshots.splice(vm.snapshots.indexOf(snapshot), 1);
+                }
+            };
+        } else {
+            common.sendError(res, next, 409, 'ValidationFailed',
+                format('invalid action: %s', action));
+            return;
+        }
+
+        runJob(req, res, next, vm, ACTION_JOBS[action] || action, apply);
+    });
+
+    server.del('/vms/:uuid', function deleteVm(req, res, next) {
+        var vm = getVm(req, res, next);
+        if (vm && !common.conditional(req, res, next, vmObject(vm))) {
+            runJob(req, res, next, vm, 'destroy', function () {
+                self._removeNics(vm, vm.nics.map(function (nic) {
+                    return nic.mac;
+                }));
+                vm.state = vm.zone_state = 'destroyed';
+            });
+        }
+    });
+
+    // -- Metadata
+
+    METADATA_TYPES.forEach(function (type) {
+        var path = '/vms/:uuid/' + type;
+
+        server.get(path, function listMetadata(req, res, next) {
+            var vm = getVm(req, res, next);
+            if (vm) {
+                res.send(vm[type]);
+                next();
+            }
+        });
+
+        server.get(path + '/:key', function getMetadata(req, res, next) {
+            var vm = getVm(req, res, next);
+            if (!vm) {
+                return;
+            }
+            if (vm[type][req.params.key] === undefined) {
+                common.notFound(res, next, format('%s key %s not found',
+                    type, req.params.key));
+                return;
+            }
+            res.send(vm[type][req.params.key]);
+            next();
+        });
+
+        server.post(path, function addMetadata(req, res, next) {
+            var vm = getVm(req, res, next);
+            if (vm) {
+                runJob(req, res, next, vm, 'update', function () {
+                    Object.keys(req.body).forEach(function (k) {
+                        vm[type][k] = req.body[k];
+                    });
+                });
+            }
+        });
+
+        server.put(path, function setMetadata(req, res, next) {
+            var vm = getVm(req, res, next);
+            if (vm) {
+                runJob(req, res, next, vm, 'update', function () {
+                    vm[type] = common.copy(req.body);
+                });
+            }
+        });
+
+        server.del(path + '/:key', function deleteMetadata(req, res, next) {
+            var vm = getVm(req, res, next);
+            if (vm) {
+                runJob(req, res, next, vm, 'update', function () {
+                    delete vm[type][req.params.key];
+                });
+            }
+        });
+
+        server.del(path, function deleteAllMetadata(req, res, next) {
+            var vm = getVm(req, res, next);
+            if (vm) {
+                runJob(req, res, next, vm, 'update', function () {
+                    vm[type] = {};
+                });
+            }
+        });
+    });
+
+    // -- Role tags (these don't run jobs)
+
+    server.post('/vms/:uuid/role_tags', function addRoleTags(req, res, next) {
+        var vm = getVm(req, res, next);
+        if (vm && !common.missingParams(req, res, next, ['role_tags'])) {
+            req.body.role_tags.forEach(function (tag) {
+                if (vm.role_tags.indexOf(tag) === -1) {
+                    vm.role_tags.push(tag);
+                }
+            });
+            res.send(vm.role_tags);
+            next();
+        }
+    });
+
+    server.put('/vms/:uuid/role_tags', function setRoleTags(req, res, next) {
+        var vm = getVm(req, res, next);
+        if (vm && !common.missingParams(req, res, next, ['role_tags'])) {
+            vm.role_tags = req.body.role_tags.slice();
+            res.send(vm.role_tags);
+            next();
+        }
+    });
+
+    server.del('/vms/:uuid/role_tags/:tag', function deleteRoleTag(req, res,
+            next) {
+        var vm = getVm(req, res, next);
+        if (!vm) {
+            return;
+        }
+        var i = vm.role_tags.indexOf(req.params.tag);
+        if (i === -1) {
+            common.notFound(res, next, 'role tag not found');
+            return;
+        }
+        vm.role_tags.splice(i, 1);
+        res.send(vm.role_tags);
+        next();
+    });
+
+    server.del('/vms/:uuid/role_tags', function deleteAllRoleTags(req, res,
+            next) {
+        var vm = getVm(req, res, next);
+        if (vm) {
+            vm.role_tags = [];
+            res.send(vm.role_tags);
+            next();
+        }
+    });
+
+    this._jobRoutes(server);
+};
+
+
+
+// --- Internal support
+
+function vmObject(vm, fields) {
+    var obj = common.copy(vm);
+    delete obj._order;
+    if (fields && fields !== '*') {
+        var picked = {};
+        String(fields).split(',').forEach(function (k) {
+            if (obj[k] !== undefined) {
+                picked[k] = obj[k];
+            }
+        });
+        obj = picked;
+    }
+    return obj;
+}
+
+
+/*
+ * Make sure that a VM with nics has exactly one primary nic.
+ */
+function setPrimary(vm) {
+    var primaries = vm.nics.filter(function (nic) {
+        return nic.primary;
+    });
+    if (primaries.length === 0 && vm.nics.length) {
+        vm.nics[0].primary = true;
+    }
+    primaries.slice(1).forEach(function (nic) {
+        nic.primary = false;
+    });
+}
+
+
+function updateNics(vm, nics) {
+    nics.forEach(function (update) {
+        vm.nics.forEach(function (nic) {
+            if (nic.mac === update.mac) {
+                Object.keys(update).forEach(function (k) {
+                    nic[k] = update[k];
+                });
+            } else if (update.primary) {
+                nic.primary = false;
+            }
+        });
+    });
+    setPrimary(vm);
+}
+
+
+
+module.exports = FakeVMAPI;
@@ -13,7 +13,9 @@
  */
 
 var assert = require('assert-plus');
+var promises = require('./promises');
 var RestifyClient = require('./restifyclient');
+var schemas = require('./schemas');
 var util = require('util');
 var format = util.format;
 
@@ -34,6 +36,8 @@ function FWAPI(options) {
 
 util.inherits(FWAPI, RestifyClient);
 
+FWAPI.prototype.schemaRoutes = schemas.ROUTES.fwapi;
+
 
 
 // --- Misc methods
@@ -79,9 +83,7 @@ FWAPI.prototype.listRules = function (params, options, callback) {
     }
 
     var opts = { path: '/rules' };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, params, callback);
 };
@@ -129,9 +131,7 @@ FWAPI.prototype.createRule = function (params, options, callback) {
     }
 
     var opts = { path: '/rules' };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -190,4 +190,6 @@ FWAPI.prototype.createUpdate = function (params, callback) {
 };
 
 
+promises.promisifyAll(FWAPI.prototype);
+
 module.exports = FWAPI;
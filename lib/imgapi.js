@@ -70,6 +70,17 @@ var SSHAgentClient = require('ssh-agent');
 var mod_url = require('url');
 var backoff = require('backoff');
 
+var abort = require('./abort');
+var cassette = require('./cassette');
+var errors = require('./errors');
+var JsonClient = require('./jsonclient').JsonClient;
+var logging = require('./logging');
+var metrics = require('./metrics');
+var pager = require('./pager');
+var promises = require('./promises');
+var schemas = require('./schemas');
+var WFAPI = require('./wfapi');
+
 
 // ---- globals
 
@@ -80,42 +91,6 @@ if (nodeVer[0] === 0 && nodeVer[1] <= 8) {
 }
 
 
-// ---- client errors
-
-function ChecksumError(cause, actual, expected) {
-    this.code = 'ChecksumError';
-    if (expected === undefined) {
-        expected = actual;
-        actual = cause;
-        cause = undefined;
-    }
-    assert.optionalObject(cause);
-    assert.string(actual);
-    assert.string(expected);
-
-    var args = [];
-    if (cause) args.push(cause);
-    args = args.concat('content-md5 expected to be %s, but was %s',
-        expected, actual);
-    WError.apply(this, args);
-}
-util.inherits(ChecksumError, WError);
-
-/**
- * An error signing a request.
- */
-function SigningError(cause) {
-    this.code = 'SigningError';
-    assert.optionalObject(cause);
-    var msg = 'error signing request';
-    var args = (cause ? [cause, msg] : [msg]);
-    WError.apply(this, args);
-}
-util.inherits(SigningError, WError);
-
-
-
-
 // ---- internal support stuff
 
 function BunyanNoopLogger() {}
@@ -175,35 +150,6 @@ function pauseStream(stream) {
 }
 
 
-function extendErrFromRawBody(err, res, callback) {
-    if (!res) {
-        callback(err);
-        return;
-    }
-
-    function finish_() {
-        if (errBody && (!err.body.message || !err.body.code)) {
-            try {
-                var data = JSON.parse(errBody);
-                err.message = data.message;
-                err.body.message = data.message;
-                err.body.code = data.code;
-            } catch (e) {
-                err.message = errBody;
-                err.body.message = errBody;
-            }
-        }
-        callback(err);
-    }
-    var finish = once(finish_);
-
-    var errBody = '';
-    res.on('data', function (chunk) { errBody += chunk; });
-    res.on('error', finish);
-    res.on('end', finish);
-}
-
-
 function objCopy(obj) {
     var copy = {};
     Object.keys(obj).forEach(function (k) {
@@ -244,6 +190,27 @@ function simpleMerge(a, b) {
  *        header in requests to the IMGAPI server. If unspecified this
  *        defaults to '*', meaning that over time you could experience breaking
  *        changes. Specifying a value is strongly recommended. E.g. '~2'.
+ *      - `requestId` {String|Function|Object} Optional. The 'x-request-id'
+ *        to send with every request, including the polling of workflow
+ *        jobs. See `resolveRequestId` in "jsonclient.js" for the accepted
+ *        forms. Methods that take request `options` accept an
+ *        `options.requestId` to override this per call.
+ *      - `retryPolicy` {Object|Boolean} Optional. Overrides for the request
+ *        retry policy, or `false` to disable retries. See "jsonclient.js".
+ *      - `log` {Object} Optional. Bunyan logger. Every call is logged at
+ *        the 'trace' level, with credentials redacted. See "logging.js".
+ *      - `metrics` {Object} Optional. A metrics collector, told about every
+ *        call made, including image file uploads and downloads. See
+ *        "metrics.js".
+ *      - `validate` {Boolean|Object} Optional. Validate the manifests sent
+ *        to create images, and the images received, against the schemas in
+ *        "schemas". See "restifyclient.js".
+ *      - `cassette` {Cassette} Optional. Record the calls made, including
+ *        image file uploads and downloads, to a cassette or replay them
+ *        from it. See "cassette.js".
+ *      - `rateLimit` {Object} and `maxInFlight` {Number} Optional. Limit
+ *        the rate of the requests, and how many are in flight at once,
+ *        except for image file uploads and downloads. See "jsonclient.js".
  *      - ... and any other standard restify client options,
  *        e.g. `options.userAgent`.
  *
@@ -289,22 +256,21 @@ function IMGAPI(options) {
         delete options.channel;
     }
 
-    // Make sure a given bunyan logger has reasonable client_re[qs]
-    // serializers.
-    if (options.log && options.log.serializers &&
-        !options.log.serializers.client_req) {
-        options.log = options.log.child({
-            serializers: restify.bunyan.serializers
-        });
-    }
+    // Have the raw client log with the same redacting logger.
+    options.log = logging.clientLogger(options.log);
     if (options.version === undefined) {
         options.version = '*';
     }
-    this.client = restify.createJsonClient(options);
+    options.schemaRoutes = schemas.ROUTES.imgapi;
+    this.client = new JsonClient(options);
+    this.log = this.client.log;
     // Work around <https://github.com/mcavage/node-restify/pull/291>.
     // Switch to `restify.createHttpClient` when that pull is in.
     options.type = 'http';
     this.rawClient = restify.createClient(options);
+    cassette.wrapRawClient(options.cassette, this.rawClient);
+    metrics.instrumentRawClient(this.rawClient, this.url, options.metrics,
+        this.client.log);
     if (options.password) {
         assert.string(options.user, 'options.password, but no options.user');
         this.client.basicAuth(options.user, options.password);
@@ -321,6 +287,49 @@ IMGAPI.prototype.close = function close() {
     this.rawClient.close();
 };
 
+/**
+ * The state of the client's request queue (see the `rateLimit` and
+ * `maxInFlight` options of "jsonclient.js"), for monitoring. Image file
+ * uploads and downloads are not limited.
+ *
+ * @return {Object} with `queued` and `inFlight` request counts.
+ */
+IMGAPI.prototype.queueStats = function queueStats() {
+    return this.client.queueStats();
+};
+
+/*
+ * Add the per-call request headers for a method's `options` to `headers`:
+ * the 'x-request-id' (see `requestId` in the constructor) and any
+ * `options.headers`.
+ */
+IMGAPI.prototype._addRequestHeaders =
+function _addRequestHeaders(headers, options) {
+    var requestId = this.client.getRequestId(options);
+    if (requestId) {
+        headers['x-request-id'] = requestId;
+    }
+    if (options.headers) {
+        simpleMerge(headers, options.headers);
+    }
+};
+
+/*
+ * The options for waiting on the job started by a call, from the call's
+ * `options`: see the `*AndWait` methods.
+ */
+IMGAPI.prototype._waitOptions = function _waitOptions(options) {
+    return {
+        requestId: this.client.getRequestId(options),
+        log: this.client.log,
+        cassette: this.client.cassette,
+        interval: options.interval,
+        timeout: options.timeout,
+        onProgress: options.onProgress,
+        signal: options.signal
+    };
+};
+
 IMGAPI.prototype._getAuthHeaders = function _getAuthHeaders(callback) {
     var self = this;
     if (!self.sign) {
@@ -334,7 +343,7 @@ IMGAPI.prototype._getAuthHeaders = function _getAuthHeaders(callback) {
 
     self.sign(sigstr, function (err, signature) {
         if (err || !signature) {
-            callback(new SigningError(err));
+            callback(new errors.SigningError(err));
             return;
         }
 
@@ -518,9 +527,7 @@ IMGAPI.prototype.listImages = function listImages(filters, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
 
         if (filters.limit) {
             listImagesWithLimit(headers, callback);
@@ -534,7 +541,8 @@ IMGAPI.prototype.listImages = function listImages(filters, options, callback) {
         var path = self._path('/images', filters, {channel: self.channel});
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
 
         self.client.get(reqOpts, function (err, req, res, images) {
@@ -577,7 +585,8 @@ IMGAPI.prototype.listImages = function listImages(filters, options, callback) {
             var path = self._path('/images', filters, {channel: self.channel});
             var reqOpts = {
                 path: path,
-                headers: headers
+                headers: headers,
+                signal: options.signal
             };
 
             self.client.get(reqOpts, function (listErr, req, res, sImages) {
@@ -630,6 +639,59 @@ IMGAPI.prototype.listImages = function listImages(filters, options, callback) {
 };
 
 
+/**
+ * Lists Images as a stream, fetching them a page at a time (see
+ * "pager.js").
+ *
+ * @param filters {Object} Optional filter params, as for `listImages`.
+ *      `filters.limit`, if given, is the total number of images to list, and
+ *      `filters.marker` the UUID of the image to start from.
+ * @param options {Object} Optional request options.
+ *      - headers {Object} Optional extra request headers.
+ *      - pageSize {Number} Optional. Images per page, default 1000.
+ * @return {ListStream} an object stream of the images.
+ */
+IMGAPI.prototype.listImagesStream = function listImagesStream(filters,
+                                                              options) {
+    var self = this;
+    if (filters === undefined) {
+        filters = {};
+    }
+    if (options === undefined) {
+        options = {};
+    }
+    assert.object(filters, 'filters');
+    assert.object(options, 'options');
+    assert.optionalObject(options.headers, 'options.headers');
+    assert.optionalNumber(options.pageSize, 'options.pageSize');
+
+    return pager.createListStream({
+        params: filters,
+        pageSize: options.pageSize,
+        marker: 'uuid',
+        fetch: function fetchImages(query, cb) {
+            self._getAuthHeaders(function (hErr, headers) {
+                if (hErr) {
+                    cb(hErr);
+                    return;
+                }
+                self._addRequestHeaders(headers, options);
+
+                var reqOpts = {
+                    path: self._path('/images', query,
+                        {channel: self.channel}),
+                    headers: headers,
+                    signal: options.signal
+                };
+                self.client.get(reqOpts, function (err, req, res, images) {
+                    cb(err, images);
+                });
+            });
+        }
+    });
+};
+
+
 
 /**
  * Gets an image by UUID.
@@ -671,12 +733,11 @@ function getImage(uuid, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.get(reqOpts, function (err, req, res, image) {
             if (err) {
@@ -727,12 +788,11 @@ function createImage(data, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, data, function (err, req, res, image) {
             if (err) {
@@ -791,12 +851,11 @@ function createImageFromVm(data, options, account, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, data, function (err, req, res, job) {
             if (err) {
@@ -822,6 +881,10 @@ function createImageFromVm(data, options, account, callback) {
  *      - incremental {Boolean} Optional. Default false. Create an incremental
  *        image.
  *      - headers {Object} Optional Additional request headers.
+ *      - signal {AbortSignal} Optional. Cancels the request and job polling,
+ *        see "abort.js".
+ *      - interval, timeout, onProgress: Optional. Options for waiting on the
+ *        job, see `WFAPI.waitForJob`.
  * @param {UUID} account : Optional. The UUID of the account on behalf of whom
  *      this request is being made. If given this will only return images
  *      accessible to that account.
@@ -849,12 +912,15 @@ function createImageFromVmAndWait(data, options, account, callback) {
             assert.string(job['job_uuid'], 'job_uuid');
             assert.string(job['image_uuid'], 'image_uuid');
 
-            waitForJob(wfapiUrl, job['job_uuid'], function (jErr) {
+            var waitOpts = self._waitOptions(options);
+            waitForJob(wfapiUrl, job['job_uuid'], waitOpts, function (jErr) {
                 if (jErr) {
                     callback(jErr);
                     return;
                 }
-                self.getImage(job['image_uuid'], callback);
+                self.getImage(job['image_uuid'], {
+                    signal: options.signal
+                }, callback);
             });
         }
     });
@@ -910,12 +976,11 @@ IMGAPI.prototype.adminImportImage = function adminImportImage(
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
 
         // When passing a source a body is not POSTed
@@ -951,6 +1016,10 @@ IMGAPI.prototype.adminImportImage = function adminImportImage(
  * @param {Object} options: For backward compat, this argument is optional.
  *      - skipOwnerCheck {Boolean} Optional. Default false.
  *      - headers {Object} Optional Additional request headers.
+ *      - signal {AbortSignal} Optional. Cancels the import request, job
+ *        polling and retries, see "abort.js".
+ *      - interval, timeout, onProgress: Optional. Options for waiting on the
+ *        job, see `WFAPI.waitForJob`.
  * @param {Function} callback : `function (err, image, res)`
  */
 IMGAPI.prototype.adminImportRemoteImageAndWait =
@@ -981,12 +1050,11 @@ function adminImportRemoteImageAndWait(uuid, source, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
 
         // Keep latest HTTP response handy:
@@ -1006,6 +1074,16 @@ function adminImportRemoteImageAndWait(uuid, source, options, callback) {
             }, 'retry backoff');
         });
 
+        // A cancelled call is not retried, and stops a pending retry.
+        var stopListening = abort.onAbort(options.signal, function () {
+            retry.reset();
+            done(new errors.AbortedError());
+        });
+        var done = once(function (err, image, res) {
+            stopListening();
+            callback(err, image, res);
+        });
+
         retry.on('ready', function (number, delay) {
             self.client.log.trace({
                 attempt: number,
@@ -1013,7 +1091,9 @@ function adminImportRemoteImageAndWait(uuid, source, options, callback) {
             }, 'retry ready');
 
             self.client.post(reqOpts, function (err, req, res, obj) {
-                if (err) {
+                if (err && err.code === 'Aborted') {
+                    return done(err, null, res);
+                } else if (err) {
                     theResponse = res;
                     return retry.backoff(err);
                 } else {
@@ -1026,14 +1106,21 @@ function adminImportRemoteImageAndWait(uuid, source, options, callback) {
                         return retry.backoff(e);
                     }
 
-                    return waitForJob(wfapiUrl, obj.job_uuid, function (jErr) {
-                        if (jErr) {
-                            retry.backoff(jErr);
-                        } else {
-                            retry.reset();
-                            self.getImage(obj.image_uuid, callback);
-                        }
-                    });
+                    return waitForJob(wfapiUrl, obj.job_uuid,
+                        self._waitOptions(options), onJobDone);
+                }
+
+                function onJobDone(jErr) {
+                    if (jErr && jErr.code === 'Aborted') {
+                        done(jErr);
+                    } else if (jErr) {
+                        retry.backoff(jErr);
+                    } else {
+                        retry.reset();
+                        self.getImage(obj.image_uuid, {
+                            signal: options.signal
+                        }, done);
+                    }
                 }
             });
 
@@ -1041,9 +1128,13 @@ function adminImportRemoteImageAndWait(uuid, source, options, callback) {
 
         retry.on('fail', function (err) {
             self.client.log.trace({err: err}, 'retry fail');
-            callback(err, null, theResponse);
+            done(err, null, theResponse);
         });
 
+        if (options.signal && options.signal.aborted) {
+            done(new errors.AbortedError());
+            return;
+        }
         retry.emit('ready');
 
     });
@@ -1096,9 +1187,7 @@ IMGAPI.prototype.adminImportDockerImage = function adminImportDockerImage(
         if (options.regAuth) {
             headers['x-registry-auth'] = options.regAuth;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
             headers: headers
@@ -1106,14 +1195,14 @@ IMGAPI.prototype.adminImportDockerImage = function adminImportDockerImage(
 
         self.rawClient.post(reqOpts, function (connectErr, req) {
             if (connectErr) {
-                callback(connectErr);
+                callback(errors.translateError(connectErr));
                 return;
             }
 
             req.on('result', function (resultErr, res) {
                 if (resultErr) {
-                    extendErrFromRawBody(resultErr, res, function () {
-                        callback(resultErr, null, res);
+                    errors.translateRawError(resultErr, res, function (err) {
+                        callback(err, null, res);
                     });
                     return;
                 }
@@ -1129,70 +1218,36 @@ IMGAPI.prototype.adminImportDockerImage = function adminImportDockerImage(
 
 
 /*
- * Wait for a job to complete.  Returns an error if the job fails with an error
- * other than the (optional) list of expected errors. Taken from SAPI
+ * Wait for a job to complete on the Workflow API at `url`. Returns a
+ * JobFailedError if the job fails or is canceled.
+ *
+ * `opts` are the options for `WFAPI.waitForJob` (`interval`, `timeout`,
+ * `onProgress` and `signal`), plus `requestId`, sent as the 'x-request-id'
+ * of the polling requests, `log` and `cassette`.
  */
-function waitForJob(url, job_uuid, cb) {
+function waitForJob(url, job_uuid, opts, cb) {
     assert.string(url, 'url');
     assert.string(job_uuid, 'job_uuid');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.requestId, 'opts.requestId');
     assert.func(cb, 'cb');
 
-    var client = restify.createJsonClient({url: url, agent: false});
-    pollJob(client, job_uuid, function (err, job) {
-        if (err)
-            return cb(err);
-        var result = job.chain_results.pop();
-        if (result.error) {
-            var errmsg = result.error.message || JSON.stringify(result.error);
-            return cb(new Error(errmsg));
-        } else {
-            return cb();
-        }
+    var wfapi = new WFAPI({
+        url: url,
+        agent: false,
+        log: opts.log,
+        requestId: opts.requestId,
+        cassette: opts.cassette
+    });
+    wfapi.waitForJob(job_uuid, {
+        interval: opts.interval,
+        timeout: opts.timeout,
+        onProgress: opts.onProgress,
+        signal: opts.signal
+    }, function (err) {
+        wfapi.close();
+        cb(err);
     });
-}
-
-
-
-/*
- * Poll a job until it reaches either the succeeded or failed state.
- * Taken from SAPI.
- *
- * Note: if a job fails, it's the caller's responsibility to check for a failed
- * job.  The error object will be null even if the job fails.
- */
-function pollJob(client, job_uuid, cb) {
-    var attempts = 0;
-    var errors = 0;
-
-    var timeout = 5000;  // 5 seconds
-    var limit = 720;     // 1 hour
-
-    var poll = function () {
-        client.get('/jobs/' + job_uuid, function (err, req, res, job) {
-            attempts++;
-
-            if (err) {
-                errors++;
-                if (errors >= 5) {
-                    return cb(err);
-                } else {
-                    return setTimeout(poll, timeout);
-                }
-            }
-
-            if (job && job.execution === 'succeeded') {
-                return cb(null, job);
-            } else if (job && job.execution === 'failed') {
-                return cb(null, job);
-            } else if (attempts > limit) {
-                return cb(new Error('polling for import job timed out'), job);
-            }
-
-            return setTimeout(poll, timeout);
-        });
-    };
-
-    poll();
 }
 
 
@@ -1240,12 +1295,11 @@ function adminImportRemoteImage(uuid, source, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, function (err, req, res, image) {
             if (err) {
@@ -1310,12 +1364,11 @@ IMGAPI.prototype.addImageFile = function addImageFile(options, account,
                 callback(hErr);
                 return;
             }
-            if (options.headers) {
-                simpleMerge(headers, options.headers);
-            }
+            self._addRequestHeaders(headers, options);
             var reqOpts = {
                 path: path,
-                headers: headers
+                headers: headers,
+                signal: options.signal
             };
             self.client.put(reqOpts, function (err, req, res, image) {
                 if (err) {
@@ -1380,16 +1433,14 @@ IMGAPI.prototype.addImageFile = function addImageFile(options, account,
             headers['Content-Type'] = 'application/octet-stream';
             headers['Content-Length'] = size;
             headers['Accept'] = 'application/json';
-            if (options.headers) {
-                simpleMerge(headers, options.headers);
-            }
+            self._addRequestHeaders(headers, options);
             var reqOpts = {
                 path: path,
                 headers: headers
             };
             self.rawClient.put(reqOpts, function (connectErr, req) {
                 if (connectErr) {
-                    callback(connectErr);
+                    callback(errors.translateError(connectErr));
                     return;
                 }
 
@@ -1398,8 +1449,8 @@ IMGAPI.prototype.addImageFile = function addImageFile(options, account,
 
                 req.on('result', function (resultErr, res) {
                     if (resultErr) {
-                        extendErrFromRawBody(resultErr, res, function () {
-                            callback(resultErr, null, res);
+                        errors.translateRawError(resultErr, res, function (e) {
+                            callback(e, null, res);
                         });
                         return;
                     }
@@ -1468,22 +1519,20 @@ function getImageFile(uuid, filePath, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
             headers: headers
         };
         self.rawClient.get(reqOpts, function (connectErr, req) {
             if (connectErr) {
-                callback(connectErr);
+                callback(errors.translateError(connectErr));
                 return;
             }
             req.on('result', function (resultErr, res) {
                 if (resultErr) {
-                    extendErrFromRawBody(resultErr, res, function () {
-                        callback(resultErr, res);
+                    errors.translateRawError(resultErr, res, function (err) {
+                        callback(err, res);
                     });
                     return;
                 }
@@ -1498,7 +1547,7 @@ function getImageFile(uuid, filePath, account, options, callback) {
                         var md5_expected = res.headers['content-md5'];
                         var md5_actual = hash.digest('base64');
                         if (md5_actual !== md5_expected) {
-                            err = new ChecksumError(md5_actual,
+                            err = new errors.ChecksumError(md5_actual,
                                                     md5_expected);
                         }
                     }
@@ -1553,22 +1602,20 @@ IMGAPI.prototype.getImageFileStream = function getImageFileStream(
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
             headers: headers
         };
         self.rawClient.get(reqOpts, function (connectErr, req) {
             if (connectErr) {
-                callback(connectErr);
+                callback(errors.translateError(connectErr));
                 return;
             }
             req.on('result', function (resultErr, res) {
                 if (resultErr) {
-                    extendErrFromRawBody(resultErr, res, function () {
-                        callback(resultErr, res);
+                    errors.translateRawError(resultErr, res, function (err) {
+                        callback(err, res);
                     });
                     return;
                 }
@@ -1659,16 +1706,14 @@ IMGAPI.prototype.addImageIcon = function addImageIcon(options, account,
             headers['Content-Type'] = options.contentType;
             headers['Content-Length'] = size;
             headers['Accept'] = 'application/json';
-            if (options.headers) {
-                simpleMerge(headers, options.headers);
-            }
+            self._addRequestHeaders(headers, options);
             var reqOpts = {
                 path: path,
                 headers: headers
             };
             self.rawClient.put(reqOpts, function (connectErr, req) {
                 if (connectErr) {
-                    callback(connectErr);
+                    callback(errors.translateError(connectErr));
                     return;
                 }
 
@@ -1677,8 +1722,8 @@ IMGAPI.prototype.addImageIcon = function addImageIcon(options, account,
 
                 req.on('result', function (resultErr, res) {
                     if (resultErr) {
-                        extendErrFromRawBody(resultErr, res, function () {
-                            callback(resultErr, null, res);
+                        errors.translateRawError(resultErr, res, function (e) {
+                            callback(e, null, res);
                         });
                         return;
                     }
@@ -1747,22 +1792,20 @@ function getImageIcon(uuid, filePath, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
             headers: headers
         };
         self.rawClient.get(reqOpts, function (connectErr, req) {
             if (connectErr) {
-                callback(connectErr);
+                callback(errors.translateError(connectErr));
                 return;
             }
             req.on('result', function (resultErr, res) {
                 if (resultErr) {
-                    extendErrFromRawBody(resultErr, res, function () {
-                        callback(resultErr, res);
+                    errors.translateRawError(resultErr, res, function (err) {
+                        callback(err, res);
                     });
                     return;
                 }
@@ -1777,7 +1820,7 @@ function getImageIcon(uuid, filePath, account, options, callback) {
                         var md5_expected = res.headers['content-md5'];
                         var md5_actual = hash.digest('base64');
                         if (md5_actual !== md5_expected) {
-                            err = new ChecksumError(md5_actual,
+                            err = new errors.ChecksumError(md5_actual,
                                                     md5_expected);
                         }
                     }
@@ -1833,22 +1876,20 @@ IMGAPI.prototype.getImageIconStream = function getImageIconStream(
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
             headers: headers
         };
         self.rawClient.get(reqOpts, function (connectErr, req) {
             if (connectErr) {
-                callback(connectErr);
+                callback(errors.translateError(connectErr));
                 return;
             }
             req.on('result', function (resultErr, res) {
                 if (resultErr) {
-                    extendErrFromRawBody(resultErr, res, function () {
-                        callback(resultErr, res);
+                    errors.translateRawError(resultErr, res, function (err) {
+                        callback(err, res);
                     });
                     return;
                 }
@@ -1897,12 +1938,11 @@ function deleteImageIcon(uuid, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.del(reqOpts, function (err, req, res, image) {
             if (err) {
@@ -1959,12 +1999,11 @@ function exportImage(uuid, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, function (err, req, res, obj) {
             if (err) {
@@ -2015,12 +2054,11 @@ function activateImage(uuid, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, function (err, req, res, image) {
             if (err) {
@@ -2071,12 +2109,11 @@ function disableImage(uuid, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, function (err, req, res, image) {
             if (err) {
@@ -2127,12 +2164,11 @@ function enableImage(uuid, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, function (err, req, res, image) {
             if (err) {
@@ -2185,12 +2221,11 @@ function addImageAcl(uuid, acl, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, acl, function (err, req, res, image) {
             if (err) {
@@ -2243,12 +2278,11 @@ function removeImageAcl(uuid, acl, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, acl, function (err, req, res, image) {
             if (err) {
@@ -2301,12 +2335,11 @@ function updateImage(uuid, data, account, options, callback) {
             callback(hErr);
             return;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.post(reqOpts, data, function (err, req, res, image) {
             if (err) {
@@ -2371,12 +2404,11 @@ function deleteImage(uuid, account, options, callback) {
         if (!headers['content-length']) {
             headers['content-length'] = 0;
         }
-        if (options.headers) {
-            simpleMerge(headers, options.headers);
-        }
+        self._addRequestHeaders(headers, options);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: options.signal
         };
         self.client.del(reqOpts, function (err, req, res) {
             if (err) {
@@ -2409,12 +2441,11 @@ IMGAPI.prototype.listChannels = function listChannels(opts, cb) {
             cb(hErr);
             return;
         }
-        if (opts && opts.headers) {
-            simpleMerge(headers, opts.headers);
-        }
+        self._addRequestHeaders(headers, opts);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: opts.signal
         };
         self.client.get(reqOpts, function (err, req, res, channels) {
             if (err) {
@@ -2466,12 +2497,11 @@ IMGAPI.prototype.channelAddImage = function channelAddImage(opts, cb) {
             cb(hErr);
             return;
         }
-        if (opts && opts.headers) {
-            simpleMerge(headers, opts.headers);
-        }
+        self._addRequestHeaders(headers, opts);
         var reqOpts = {
             path: path,
-            headers: headers
+            headers: headers,
+            signal: opts.signal
         };
         var data = {channel: opts.channel};
         self.client.post(reqOpts, data, function (err, req, res, img) {
@@ -2812,10 +2842,12 @@ function cliSigner(options) {
 
 // ---- exports
 
+promises.promisifyAll(IMGAPI.prototype, ['listImagesStream']);
+
 module.exports = IMGAPI;
 
-module.exports.ChecksumError = ChecksumError;
-module.exports.SigningError = SigningError;
+module.exports.ChecksumError = errors.ChecksumError;
+module.exports.SigningError = errors.SigningError;
 
 module.exports.createClient = function createClient(options) {
     return new IMGAPI(options);
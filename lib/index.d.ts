@@ -0,0 +1,3093 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * TypeScript declarations for the SDC clients (see "index.js").
+ *
+ * Every client method takes a callback as its last argument, of the form
+ * `function (err, result, ...)`, or returns a Promise of the result when
+ * the callback is left off (see "promises.js"). Both forms are declared
+ * here. The objects the APIs return are declared with the fields that the
+ * schemas in "schemas" know about, and allow any others.
+ *
+ * These are checked against "test/types.test.ts" by `make types_test`.
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import * as http from 'http';
+import * as stream from 'stream';
+
+
+
+// --- Common types
+
+/**
+ * A Bunyan logger, or an object with the same methods.
+ */
+export interface Logger {
+    trace(...args: any[]): any;
+    debug(...args: any[]): any;
+    info(...args: any[]): any;
+    warn(...args: any[]): any;
+    error(...args: any[]): any;
+    fatal(...args: any[]): any;
+    child(options: object, simple?: boolean): Logger;
+}
+
+/**
+ * The error a call fails with: usually one of the errors in `errors`, which
+ * have a `code` to branch on.
+ */
+export interface ClientError extends Error {
+    code?: string;
+    statusCode?: number;
+    restCode?: string;
+    body?: any;
+}
+
+/**
+ * The callback of a client method. The HTTP request and response (or only
+ * the response, for IMGAPI and DSAPI) follow the result.
+ */
+export type Callback<T> =
+    (err: ClientError | null, result: T, ...rest: any[]) => void;
+
+/**
+ * A JSON object returned by an API, for those that are not declared in
+ * more detail below.
+ */
+export interface SdcObject {
+    [field: string]: any;
+}
+
+export interface Headers {
+    [name: string]: string;
+}
+
+/**
+ * A request id, a parent request or context object to take it from, or a
+ * function returning either (see `resolveRequestId` in "jsonclient.js").
+ */
+export type RequestId = string | object | (() => string | object | undefined);
+
+/**
+ * An `AbortSignal`, or an object like it (see "abort.js").
+ */
+export interface AbortSignalLike {
+    aborted: boolean;
+    addEventListener?(type: string, listener: (...args: any[]) => void): any;
+    removeEventListener?(type: string,
+        listener: (...args: any[]) => void): any;
+    on?(event: string, listener: (...args: any[]) => void): any;
+    removeListener?(event: string, listener: (...args: any[]) => void): any;
+}
+
+export interface RetryPolicy {
+    maxAttempts?: number;
+    initialDelay?: number;
+    maxDelay?: number;
+    jitter?: number;
+    statusCodes?: number[];
+    idempotentOnly?: boolean;
+}
+
+export interface CircuitBreakerOptions {
+    threshold?: number;
+    resetTimeout?: number;
+}
+
+export interface ValidateOptions {
+    requests?: boolean;
+    responses?: boolean;
+}
+
+/**
+ * A token bucket rate limit: `rate` requests per second, in bursts of up to
+ * `burst` (default `rate`). See "limiter.js".
+ */
+export interface RateLimit {
+    rate: number;
+    burst?: number;
+}
+
+/**
+ * The state of a client's request queue, as returned by `queueStats()`.
+ */
+export interface QueueStats {
+    queued: number;
+    inFlight: number;
+}
+
+/**
+ * What a metrics collector is told about each call (see "metrics.js").
+ */
+export interface RequestInfo {
+    method: string;
+    url: string;
+    path: string;
+    route: string;
+    requestId?: string;
+    statusCode?: number;
+    latency?: number;
+    retries?: number;
+    err?: Error;
+}
+
+export interface MetricsCollector {
+    onRequestStart?(info: RequestInfo): void;
+    onRequestEnd?(info: RequestInfo): void;
+}
+
+/**
+ * The URL of an API, the URLs of several instances of it, or a function
+ * that looks them up.
+ */
+export type UrlOption = string | string[] |
+    ((callback: (err: Error | null, urls?: string | string[]) => void) =>
+        void);
+
+/**
+ * The options of the client constructors (see "restifyclient.js").
+ */
+export interface ClientOptions {
+    url: UrlOption;
+    username?: string;
+    password?: string;
+    log?: Logger;
+    requestId?: RequestId;
+    retryPolicy?: RetryPolicy | boolean;
+    roundRobin?: boolean;
+    circuitBreaker?: boolean | CircuitBreakerOptions;
+    metrics?: MetricsCollector;
+    validate?: boolean | ValidateOptions;
+    cassette?: Cassette;
+    rateLimit?: RateLimit;
+    maxInFlight?: number;
+    // Some of the options of `restify.createJsonClient`.
+    agent?: http.Agent | boolean;
+    connectTimeout?: number;
+    requestTimeout?: number;
+    headers?: Headers;
+    userAgent?: string;
+    version?: string;
+    retry?: object | boolean;
+}
+
+/**
+ * The per-call request options of the client methods.
+ *
+ * `ifMatch` fails the call with a PreconditionFailedError if the object's
+ * ETag is not one of those given, and `ifNoneMatch` has it give a null
+ * object if the ETag is one of those given (see "jsonclient.js").
+ */
+export interface RequestOptions {
+    headers?: Headers;
+    requestId?: RequestId;
+    retryPolicy?: RetryPolicy | boolean;
+    signal?: AbortSignalLike;
+    ifMatch?: string | string[];
+    ifNoneMatch?: string | string[];
+    log?: Logger;
+}
+
+/**
+ * The progress of a job, given to the `onProgress` option as its tasks
+ * finish.
+ */
+export interface JobProgress {
+    task: JobTaskResult;
+    completed: number;
+    total: number;
+    execution: JobExecution;
+    job: Job;
+}
+
+/**
+ * Request options, plus the options for waiting on a job: see
+ * `WFAPI.waitForJob`.
+ */
+export interface WaitOptions extends RequestOptions {
+    interval?: number;
+    timeout?: number;
+    onProgress?: (progress: JobProgress) => void;
+}
+
+/**
+ * An object stream of listed items, fetched a page at a time (see
+ * "pager.js").
+ */
+export interface ListStream<T> extends stream.Readable {
+    read(size?: number): T;
+    on(event: 'data', listener: (item: T) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    [Symbol.asyncIterator](): AsyncIterableIterator<T>;
+}
+
+export interface ListStreamOptions extends RequestOptions {
+    pageSize?: number;
+}
+
+/**
+ * The names of the metadata of a VM.
+ */
+export type MetadataType = 'customer_metadata' | 'internal_metadata' | 'tags';
+
+export interface Metadata {
+    [key: string]: string | number | boolean;
+}
+
+
+
+// --- API objects
+
+export type JobExecution = 'queued' | 'running' | 'succeeded' | 'failed' |
+    'canceled' | 'retried' | 'waiting';
+
+export interface JobTaskResult {
+    name: string;
+    result: any;
+    error: any;
+    started_at?: string;
+    finished_at?: string;
+    [field: string]: any;
+}
+
+/**
+ * A Workflow API job.
+ */
+export interface Job {
+    uuid: string;
+    name: string;
+    execution: JobExecution;
+    params?: SdcObject;
+    chain?: SdcObject[];
+    chain_results?: JobTaskResult[];
+    created_at?: string;
+    elapsed?: number;
+    vm_uuid?: string;
+    image_uuid?: string;
+    [field: string]: any;
+}
+
+/**
+ * The response to the VMAPI calls that start a job.
+ */
+export interface JobResponse {
+    job_uuid: string;
+    vm_uuid: string;
+    [field: string]: any;
+}
+
+/**
+ * The finished job of a VMAPI `*AndWait` action, with the VM as the job left
+ * it (also the third argument of the callback).
+ */
+export interface VmJob extends Job {
+    vm: Vm;
+}
+
+/**
+ * The changes of the watched fields of a VM, by field (see
+ * `VMAPI.watchVm`).
+ */
+export interface VmDiff {
+    [field: string]: { from: any; to: any };
+}
+
+export interface WatchVmOptions {
+    interval?: number;
+    maxInterval?: number;
+    fields?: string[];
+}
+
+export interface WaitForVmStateOptions {
+    interval?: number;
+    maxInterval?: number;
+    timeout?: number;
+    onChange?: (diff: VmDiff, vm: Vm) => void;
+    signal?: AbortSignalLike;
+}
+
+export type BulkVmActionName = 'start' | 'stop' | 'reboot' | 'kill' |
+    'update' | 'reprovision' | 'snapshot' | 'delete';
+
+/**
+ * The VMs of `VMAPI.bulkVmAction`, by UUID or by a listVms filter, and the
+ * params of the action for each of them.
+ */
+export type BulkVmActionParams =
+    ({ uuids: string[]; filter?: undefined } |
+    { filter: ListVmsParams | VmQuery; uuids?: undefined }) & {
+    owner_uuid?: string;
+    [param: string]: any;
+};
+
+export type BulkVmStatus = 'succeeded' | 'failed' | 'skipped';
+
+export interface BulkVmActionOptions extends WaitOptions {
+    concurrency?: number;
+    wait?: boolean;
+    dryRun?: boolean;
+    onResult?: (result: BulkVmResult, status: BulkVmStatus) => void;
+}
+
+export interface BulkVmResult {
+    uuid: string;
+    job?: Job | JobResponse;
+    vm?: Vm;
+    error?: ClientError;
+    reason?: string;
+}
+
+export interface BulkVmReport {
+    succeeded: BulkVmResult[];
+    failed: BulkVmResult[];
+    skipped: BulkVmResult[];
+}
+
+/**
+ * A watched VM (see "vmwatch.js").
+ */
+export interface VmWatcher extends EventEmitter {
+    uuid: string;
+    vm: Vm | null;
+    stopped: boolean;
+    stop(): void;
+    on(event: 'vm', listener: (vm: Vm) => void): this;
+    on(event: 'change',
+        listener: (diff: VmDiff, vm: Vm, previous: Vm) => void): this;
+    on(event: 'pollError', listener: (err: ClientError) => void): this;
+    on(event: 'error', listener: (err: ClientError) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * A nic, as listed in a VM's `nics`.
+ */
+export interface VmNic {
+    mac: string;
+    ip?: string;
+    netmask?: string;
+    gateway?: string;
+    network_uuid?: string;
+    nic_tag?: string;
+    vlan_id?: number;
+    primary?: boolean;
+    [field: string]: any;
+}
+
+export interface Vm {
+    uuid: string;
+    owner_uuid: string;
+    brand: string;
+    state: string;
+    alias?: string | null;
+    server_uuid?: string | null;
+    image_uuid?: string | null;
+    billing_id?: string | null;
+    ram?: number;
+    max_physical_memory?: number;
+    quota?: number;
+    cpu_cap?: number | null;
+    nics?: VmNic[];
+    tags?: Metadata;
+    customer_metadata?: Metadata;
+    internal_metadata?: Metadata;
+    create_timestamp?: string | number | null;
+    destroyed?: string | number | null;
+    /** The ETag of the response (not enumerable), for `ifMatch`. */
+    etag?: string;
+    [field: string]: any;
+}
+
+/**
+ * A network to create a VM or nic on: its UUID, or an object with the UUID
+ * and options such as the IP.
+ */
+export type VmNetwork = string | {
+    uuid?: string;
+    ipv4_uuid?: string;
+    ipv4_ips?: string[];
+    primary?: boolean;
+    [field: string]: any;
+};
+
+export interface CreateVmParams {
+    owner_uuid: string;
+    brand: string;
+    networks: VmNetwork[];
+    uuid?: string;
+    alias?: string;
+    image_uuid?: string;
+    billing_id?: string;
+    server_uuid?: string;
+    ram?: number;
+    quota?: number;
+    cpu_cap?: number;
+    tags?: Metadata;
+    customer_metadata?: Metadata;
+    internal_metadata?: Metadata;
+    context?: object;
+    [field: string]: any;
+}
+
+export interface Server {
+    uuid: string;
+    hostname: string;
+    status?: string;
+    setup?: boolean;
+    headnode?: boolean;
+    reserved?: boolean;
+    datacenter?: string;
+    current_platform?: string;
+    boot_platform?: string | null;
+    ram?: number;
+    sysinfo?: SdcObject;
+    vms?: SdcObject;
+    [field: string]: any;
+}
+
+/**
+ * A CNAPI task.
+ */
+export interface Task {
+    id: string;
+    status: string;
+    [field: string]: any;
+}
+
+/**
+ * The response to the CNAPI calls that start a task.
+ */
+export interface TaskResponse {
+    id: string;
+    [field: string]: any;
+}
+
+export type NicBelongsToType = 'other' | 'server' | 'zone';
+
+export interface Nic {
+    mac: string;
+    owner_uuid: string;
+    belongs_to_uuid: string;
+    belongs_to_type: NicBelongsToType;
+    ip?: string;
+    netmask?: string;
+    gateway?: string;
+    network_uuid?: string;
+    nic_tag?: string;
+    vlan_id?: number;
+    primary?: boolean;
+    state?: string;
+    resolvers?: string[];
+    /** The ETag of the response (not enumerable), for `ifMatch`. */
+    etag?: string;
+    [field: string]: any;
+}
+
+export interface CreateNicParams {
+    owner_uuid: string;
+    belongs_to_uuid: string;
+    belongs_to_type: NicBelongsToType;
+    mac?: string;
+    ip?: string;
+    network_uuid?: string;
+    nic_tag?: string;
+    vlan_id?: number;
+    primary?: boolean;
+    reserved?: boolean;
+    [field: string]: any;
+}
+
+export interface Network {
+    uuid: string;
+    name: string;
+    nic_tag: string;
+    vlan_id: number;
+    subnet?: string;
+    netmask?: string;
+    gateway?: string | null;
+    provision_start_ip?: string;
+    provision_end_ip?: string;
+    resolvers?: string[];
+    owner_uuids?: string[];
+    description?: string;
+    /** The ETag of the response (not enumerable), for `ifMatch`. */
+    etag?: string;
+    [field: string]: any;
+}
+
+export interface CreateNetworkParams {
+    name: string;
+    subnet: string;
+    provision_start_ip: string;
+    provision_end_ip: string;
+    nic_tag: string;
+    vlan_id?: number;
+    gateway?: string;
+    resolvers?: string[];
+    owner_uuids?: string[];
+    description?: string;
+    [field: string]: any;
+}
+
+export interface NetworkPool {
+    uuid: string;
+    name: string;
+    networks: string[];
+    [field: string]: any;
+}
+
+export interface IP {
+    ip: string;
+    network_uuid?: string;
+    reserved?: boolean;
+    free?: boolean;
+    belongs_to_uuid?: string;
+    belongs_to_type?: string;
+    owner_uuid?: string;
+    [field: string]: any;
+}
+
+export interface NicTag {
+    name: string;
+    uuid?: string;
+    mtu?: number;
+    [field: string]: any;
+}
+
+export interface Aggregation {
+    id: string;
+    name: string;
+    belongs_to_uuid: string;
+    macs: string[];
+    [field: string]: any;
+}
+
+export interface FabricVLAN {
+    vlan_id: number;
+    name?: string;
+    owner_uuid?: string;
+    description?: string;
+    [field: string]: any;
+}
+
+export type ImageState = 'active' | 'unactivated' | 'disabled' | 'creating' |
+    'failed';
+export type ImageType = 'zone-dataset' | 'lx-dataset' | 'zvol' | 'docker' |
+    'other';
+export type ImageOs = 'smartos' | 'linux' | 'windows' | 'bsd' | 'illumos' |
+    'other';
+
+export interface ImageFile {
+    sha1: string;
+    size: number;
+    compression: 'bzip2' | 'gzip' | 'none';
+    [field: string]: any;
+}
+
+export interface Image {
+    uuid: string;
+    owner: string;
+    name: string;
+    version: string;
+    state: ImageState;
+    v?: number;
+    type?: ImageType;
+    os?: ImageOs;
+    disabled?: boolean;
+    activated?: boolean;
+    public?: boolean;
+    published_at?: string | number;
+    origin?: string;
+    files?: ImageFile[];
+    acl?: string[];
+    tags?: SdcObject;
+    error?: SdcObject | null;
+    [field: string]: any;
+}
+
+/**
+ * The manifest to create an image with.
+ */
+export interface CreateImageParams {
+    name: string;
+    version: string;
+    uuid?: string;
+    owner?: string;
+    type?: ImageType;
+    os?: ImageOs;
+    description?: string;
+    public?: boolean;
+    origin?: string;
+    acl?: string[];
+    tags?: SdcObject;
+    [field: string]: any;
+}
+
+export interface CreatePackageParams {
+    name: string;
+    version: string;
+    max_physical_memory: number;
+    max_swap: number;
+    quota: number;
+    uuid?: string;
+    active?: boolean;
+    default?: boolean;
+    max_lwps?: number;
+    zfs_io_priority?: number;
+    cpu_cap?: number;
+    vcpus?: number;
+    os?: string;
+    group?: string;
+    description?: string;
+    owner_uuids?: string[] | null;
+    networks?: string[];
+    [field: string]: any;
+}
+
+export interface Package extends CreatePackageParams {
+    uuid: string;
+}
+
+export interface CreateRuleParams {
+    rule: string;
+    uuid?: string;
+    enabled?: boolean;
+    owner_uuid?: string;
+    global?: boolean;
+    description?: string;
+    [field: string]: any;
+}
+
+/**
+ * A firewall rule.
+ */
+export interface Rule extends CreateRuleParams {
+    uuid: string;
+    enabled: boolean;
+    version?: string;
+}
+
+/**
+ * The fields that SAPI applications, services and instances share.
+ */
+export interface SapiObject {
+    uuid?: string;
+    params?: SdcObject;
+    metadata?: SdcObject;
+    manifests?: { [name: string]: string };
+    /** The ETag of the response (not enumerable), for `ifMatch`. */
+    etag?: string;
+    [field: string]: any;
+}
+
+export interface Application extends SapiObject {
+    uuid: string;
+    name: string;
+    owner_uuid: string;
+}
+
+export type SapiType = 'vm' | 'agent';
+
+export interface Service extends SapiObject {
+    uuid: string;
+    name: string;
+    application_uuid: string;
+    type?: SapiType;
+}
+
+export interface Instance extends SapiObject {
+    uuid: string;
+    service_uuid: string;
+    type?: SapiType;
+    job_uuid?: string;
+}
+
+export interface UsageReport {
+    uuid: string;
+    status: string;
+    [field: string]: any;
+}
+
+
+
+// --- Clients
+
+/**
+ * The base of the clients of the JSON APIs (see "restifyclient.js"). Its
+ * generic methods take a path, or restify request options such as
+ * `{path: '/vms', query: {state: 'running'}, headers: {...}}`.
+ */
+declare class RestifyClient {
+    constructor(options: ClientOptions);
+
+    log: Logger;
+
+    get<T = any>(path: string | object, params: object,
+        callback: Callback<T>): void;
+    get<T = any>(path: string | object, callback: Callback<T>): void;
+    get<T = any>(path: string | object, params?: object): Promise<T>;
+
+    put<T = any>(path: string | object, body: object,
+        callback: Callback<T>): void;
+    put<T = any>(path: string | object, body: object): Promise<T>;
+
+    post<T = any>(path: string | object, body: object,
+        callback: Callback<T>): void;
+    post<T = any>(path: string | object, body: object): Promise<T>;
+
+    del<T = any>(path: string | object, params: object,
+        callback: Callback<T>): void;
+    del<T = any>(path: string | object, callback: Callback<T>): void;
+    del<T = any>(path: string | object, params?: object): Promise<T>;
+
+    close(): void;
+    queueStats(): QueueStats;
+}
+
+
+// -- VMAPI
+
+export interface ListVmsParams {
+    owner_uuid?: string;
+    server_uuid?: string;
+    image_uuid?: string;
+    billing_id?: string;
+    brand?: string;
+    state?: string;
+    alias?: string;
+    uuids?: string;
+    query?: string;
+    predicate?: string;
+    fields?: string;
+    limit?: number;
+    offset?: number;
+    [filter: string]: string | number | boolean | undefined;
+}
+
+/**
+ * A VMAPI predicate, e.g. `{and: [{eq: ['brand', 'kvm']}, {ge: ['ram', 1]}]}`.
+ */
+export type VmPredicate =
+    { and: VmPredicate[] } | { or: VmPredicate[] } |
+    { eq: [string, string | number] } | { ne: [string, string | number] } |
+    { lt: [string, number] } | { gt: [string, number] } |
+    { le: [string, number] } | { ge: [string, number] };
+
+/**
+ * A builder of listVms filters (see "vmquery.js"). Each method adds a
+ * condition and returns the query; they throw an `errors.ValidationError`
+ * for a field that is not in the "vm" schema, or a value of the wrong type.
+ */
+export class VmQuery {
+    constructor();
+
+    eq(field: string, value: string | number): this;
+    glob(field: string, pattern: string): this;
+    range(field: string, min?: number | string | null,
+        max?: number | string | null): this;
+    tag(key: string, value: string | number | boolean): this;
+    owner(uuid: string): this;
+    server(uuid: string): this;
+    state(states: string | string[]): this;
+    brand(brands: string | string[]): this;
+    alias(pattern: string): this;
+    ram(min?: number | string | null, max?: number | string | null): this;
+    and(...queries: VmQuery[]): this;
+    or(...queries: VmQuery[]): this;
+    not(query: VmQuery): this;
+
+    /** Plain params if possible, a `query` param otherwise. */
+    toParams(): ListVmsParams;
+    toQuery(): string | null;
+    toPredicate(): VmPredicate | null;
+}
+
+/**
+ * The options of `VMAPI.listVms`: with `fields`, the VMs only have those.
+ */
+export interface ListVmsOptions extends RequestOptions {
+    fields?: string[];
+}
+
+export interface ListVmsStreamOptions extends ListStreamOptions {
+    fields?: string[];
+}
+
+export interface GetVmParams {
+    uuid: string;
+    owner_uuid?: string;
+    fields?: string;
+}
+
+/**
+ * The params of the calls that start a job on a VM.
+ */
+export interface VmActionParams {
+    uuid: string;
+    owner_uuid?: string;
+    origin?: string;
+    creator_uuid?: string;
+    context?: object;
+    sync?: boolean;
+}
+
+/**
+ * The params of createVm: either the VM attributes, or them as `payload`.
+ */
+export type CreateVmRequest = CreateVmParams | {
+    payload: CreateVmParams;
+    context?: object;
+    sync?: boolean;
+};
+
+export interface StopVmParams extends VmActionParams {
+    timeout?: number;
+    idempotent?: boolean;
+}
+
+export interface KillVmParams extends VmActionParams {
+    signal?: string | number;
+    idempotent?: boolean;
+}
+
+export interface AddNicsParams extends VmActionParams {
+    networks?: VmNetwork[];
+    macs?: string[];
+}
+
+export interface UpdateNicsParams extends VmActionParams {
+    nics: Array<Partial<VmNic>>;
+}
+
+export interface RemoveNicsParams extends VmActionParams {
+    macs: string[];
+}
+
+export interface RebootVmParams extends VmActionParams {
+    update?: object;
+    idempotent?: boolean;
+}
+
+export interface ReprovisionVmParams extends VmActionParams {
+    image_uuid: string;
+}
+
+export interface UpdateVmParams extends VmActionParams {
+    payload: SdcObject;
+}
+
+export interface VmMetadataParams extends VmActionParams {
+    metadata: Metadata;
+}
+
+export interface SnapshotVmParams extends VmActionParams {
+    name?: string;
+}
+
+export interface VmRoleTagsParams extends VmActionParams {
+    role_tags: string[];
+}
+
+export interface ListJobsParams {
+    task?: string;
+    vm_uuid?: string;
+    execution?: JobExecution;
+    [filter: string]: string | number | undefined;
+}
+
+export class VMAPI extends RestifyClient {
+    constructor(options: ClientOptions);
+
+    url: UrlOption;
+
+    /** Lists VMs, fetching all of them unless `limit` or `offset` is given. */
+    listVms(params: ListVmsParams | VmQuery,
+        options: ListVmsOptions & { fields: string[] },
+        callback: Callback<Partial<Vm>[]>): void;
+    listVms(params: ListVmsParams | VmQuery, options: ListVmsOptions,
+        callback: Callback<Vm[]>): void;
+    listVms(params: ListVmsParams | VmQuery, callback: Callback<Vm[]>): void;
+    listVms(callback: Callback<Vm[]>): void;
+    listVms(params: ListVmsParams | VmQuery,
+        options: ListVmsOptions & { fields: string[] }):
+        Promise<Partial<Vm>[]>;
+    listVms(params?: ListVmsParams | VmQuery,
+        options?: ListVmsOptions): Promise<Vm[]>;
+
+    listVmsStream(params: ListVmsParams | VmQuery,
+        options: ListVmsStreamOptions & { fields: string[] }):
+        ListStream<Partial<Vm>>;
+    listVmsStream(params?: ListVmsParams | VmQuery,
+        options?: ListVmsStreamOptions): ListStream<Vm>;
+
+    countVms(params: ListVmsParams | VmQuery, options: RequestOptions,
+        callback: Callback<number>): void;
+    countVms(params: ListVmsParams | VmQuery,
+        callback: Callback<number>): void;
+    countVms(callback: Callback<number>): void;
+    countVms(params?: ListVmsParams | VmQuery, options?: RequestOptions):
+        Promise<number>;
+
+    getVmProc(params: GetVmParams, options: RequestOptions,
+        callback: Callback<SdcObject>): void;
+    getVmProc(params: GetVmParams, callback: Callback<SdcObject>): void;
+    getVmProc(params: GetVmParams, options?: RequestOptions):
+        Promise<SdcObject>;
+
+    getVm(params: GetVmParams, options: RequestOptions,
+        callback: Callback<Vm>): void;
+    getVm(params: GetVmParams, callback: Callback<Vm>): void;
+    getVm(params: GetVmParams, options?: RequestOptions): Promise<Vm>;
+
+    watchVm(uuid: string, options?: WatchVmOptions): VmWatcher;
+
+    waitForVmState(uuid: string, states: string | string[],
+        options: WaitForVmStateOptions, callback: Callback<Vm>): void;
+    waitForVmState(uuid: string, states: string | string[],
+        callback: Callback<Vm>): void;
+    waitForVmState(uuid: string, states: string | string[],
+        options?: WaitForVmStateOptions): Promise<Vm>;
+
+    createVm(params: CreateVmRequest, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    createVm(params: CreateVmRequest, callback: Callback<JobResponse>): void;
+    createVm(params: CreateVmRequest, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    createVmAndWait(params: CreateVmRequest, options: WaitOptions,
+        callback: Callback<Job>): void;
+    createVmAndWait(params: CreateVmRequest, callback: Callback<Job>): void;
+    createVmAndWait(params: CreateVmRequest, options?: WaitOptions):
+        Promise<Job>;
+
+    stopVm(params: StopVmParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    stopVm(params: StopVmParams, callback: Callback<JobResponse>): void;
+    stopVm(params: StopVmParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    stopVmAndWait(params: StopVmParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    stopVmAndWait(params: StopVmParams, callback: Callback<VmJob>): void;
+    stopVmAndWait(params: StopVmParams, options?: WaitOptions): Promise<VmJob>;
+
+    killVm(params: KillVmParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    killVm(params: KillVmParams, callback: Callback<JobResponse>): void;
+    killVm(params: KillVmParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    killVmAndWait(params: KillVmParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    killVmAndWait(params: KillVmParams, callback: Callback<VmJob>): void;
+    killVmAndWait(params: KillVmParams, options?: WaitOptions): Promise<VmJob>;
+
+    addNics(params: AddNicsParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    addNics(params: AddNicsParams, callback: Callback<JobResponse>): void;
+    addNics(params: AddNicsParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    addNicsAndWait(params: AddNicsParams, options: WaitOptions,
+        callback: Callback<Job>): void;
+    addNicsAndWait(params: AddNicsParams, callback: Callback<Job>): void;
+    addNicsAndWait(params: AddNicsParams, options?: WaitOptions):
+        Promise<Job>;
+
+    updateNics(params: UpdateNicsParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    updateNics(params: UpdateNicsParams, callback: Callback<JobResponse>):
+        void;
+    updateNics(params: UpdateNicsParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    updateNicsAndWait(params: UpdateNicsParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    updateNicsAndWait(params: UpdateNicsParams,
+        callback: Callback<VmJob>): void;
+    updateNicsAndWait(params: UpdateNicsParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    removeNics(params: RemoveNicsParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    removeNics(params: RemoveNicsParams, callback: Callback<JobResponse>):
+        void;
+    removeNics(params: RemoveNicsParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    removeNicsAndWait(params: RemoveNicsParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    removeNicsAndWait(params: RemoveNicsParams,
+        callback: Callback<VmJob>): void;
+    removeNicsAndWait(params: RemoveNicsParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    startVm(params: VmActionParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    startVm(params: VmActionParams, callback: Callback<JobResponse>): void;
+    startVm(params: VmActionParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    startVmAndWait(params: VmActionParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    startVmAndWait(params: VmActionParams, callback: Callback<VmJob>): void;
+    startVmAndWait(params: VmActionParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    rebootVm(params: RebootVmParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    rebootVm(params: RebootVmParams, callback: Callback<JobResponse>): void;
+    rebootVm(params: RebootVmParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    rebootVmAndWait(params: RebootVmParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    rebootVmAndWait(params: RebootVmParams, callback: Callback<VmJob>): void;
+    rebootVmAndWait(params: RebootVmParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    reprovisionVm(params: ReprovisionVmParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    reprovisionVm(params: ReprovisionVmParams,
+        callback: Callback<JobResponse>): void;
+    reprovisionVm(params: ReprovisionVmParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    reprovisionVmAndWait(params: ReprovisionVmParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    reprovisionVmAndWait(params: ReprovisionVmParams,
+        callback: Callback<VmJob>): void;
+    reprovisionVmAndWait(params: ReprovisionVmParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    updateVm(params: UpdateVmParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    updateVm(params: UpdateVmParams, callback: Callback<JobResponse>): void;
+    updateVm(params: UpdateVmParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    updateVmAndWait(params: UpdateVmParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    updateVmAndWait(params: UpdateVmParams, callback: Callback<VmJob>): void;
+    updateVmAndWait(params: UpdateVmParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    deleteVm(params: VmActionParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    deleteVm(params: VmActionParams, callback: Callback<JobResponse>): void;
+    deleteVm(params: VmActionParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    deleteVmAndWait(params: VmActionParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    deleteVmAndWait(params: VmActionParams, callback: Callback<VmJob>): void;
+    deleteVmAndWait(params: VmActionParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    bulkVmAction(action: BulkVmActionName, params: BulkVmActionParams,
+        options: BulkVmActionOptions, callback: Callback<BulkVmReport>): void;
+    bulkVmAction(action: BulkVmActionName, params: BulkVmActionParams,
+        callback: Callback<BulkVmReport>): void;
+    bulkVmAction(action: BulkVmActionName, params: BulkVmActionParams,
+        options?: BulkVmActionOptions): Promise<BulkVmReport>;
+
+    listMetadata(type: MetadataType, params: GetVmParams,
+        options: RequestOptions, callback: Callback<Metadata>): void;
+    listMetadata(type: MetadataType, params: GetVmParams,
+        callback: Callback<Metadata>): void;
+    listMetadata(type: MetadataType, params: GetVmParams,
+        options?: RequestOptions): Promise<Metadata>;
+
+    getMetadata(type: MetadataType, key: string, params: GetVmParams,
+        options: RequestOptions, callback: Callback<any>): void;
+    getMetadata(type: MetadataType, key: string, params: GetVmParams,
+        callback: Callback<any>): void;
+    getMetadata(type: MetadataType, key: string, params: GetVmParams,
+        options?: RequestOptions): Promise<any>;
+
+    addMetadata(type: MetadataType, params: VmMetadataParams,
+        options: RequestOptions, callback: Callback<JobResponse>): void;
+    addMetadata(type: MetadataType, params: VmMetadataParams,
+        callback: Callback<JobResponse>): void;
+    addMetadata(type: MetadataType, params: VmMetadataParams,
+        options?: RequestOptions): Promise<JobResponse>;
+
+    setMetadata(type: MetadataType, params: VmMetadataParams,
+        options: RequestOptions, callback: Callback<JobResponse>): void;
+    setMetadata(type: MetadataType, params: VmMetadataParams,
+        callback: Callback<JobResponse>): void;
+    setMetadata(type: MetadataType, params: VmMetadataParams,
+        options?: RequestOptions): Promise<JobResponse>;
+
+    deleteMetadata(type: MetadataType, params: VmActionParams, key: string,
+        options: RequestOptions, callback: Callback<JobResponse>): void;
+    deleteMetadata(type: MetadataType, params: VmActionParams, key: string,
+        callback: Callback<JobResponse>): void;
+    deleteMetadata(type: MetadataType, params: VmActionParams, key: string,
+        options?: RequestOptions): Promise<JobResponse>;
+
+    deleteAllMetadata(type: MetadataType, params: VmActionParams,
+        options: RequestOptions, callback: Callback<JobResponse>): void;
+    deleteAllMetadata(type: MetadataType, params: VmActionParams,
+        callback: Callback<JobResponse>): void;
+    deleteAllMetadata(type: MetadataType, params: VmActionParams,
+        options?: RequestOptions): Promise<JobResponse>;
+
+    snapshotVm(params: SnapshotVmParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    snapshotVm(params: SnapshotVmParams, callback: Callback<JobResponse>):
+        void;
+    snapshotVm(params: SnapshotVmParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    snapshotVmAndWait(params: SnapshotVmParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    snapshotVmAndWait(params: SnapshotVmParams,
+        callback: Callback<VmJob>): void;
+    snapshotVmAndWait(params: SnapshotVmParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    rollbackVm(params: SnapshotVmParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    rollbackVm(params: SnapshotVmParams, callback: Callback<JobResponse>):
+        void;
+    rollbackVm(params: SnapshotVmParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    rollbackVmAndWait(params: SnapshotVmParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    rollbackVmAndWait(params: SnapshotVmParams,
+        callback: Callback<VmJob>): void;
+    rollbackVmAndWait(params: SnapshotVmParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    deleteSnapshot(params: SnapshotVmParams, options: RequestOptions,
+        callback: Callback<JobResponse>): void;
+    deleteSnapshot(params: SnapshotVmParams,
+        callback: Callback<JobResponse>): void;
+    deleteSnapshot(params: SnapshotVmParams, options?: RequestOptions):
+        Promise<JobResponse>;
+
+    deleteSnapshotAndWait(params: SnapshotVmParams, options: WaitOptions,
+        callback: Callback<VmJob>): void;
+    deleteSnapshotAndWait(params: SnapshotVmParams,
+        callback: Callback<VmJob>): void;
+    deleteSnapshotAndWait(params: SnapshotVmParams, options?: WaitOptions):
+        Promise<VmJob>;
+
+    listJobs(params: ListJobsParams, options: RequestOptions,
+        callback: Callback<Job[]>): void;
+    listJobs(params: ListJobsParams, callback: Callback<Job[]>): void;
+    listJobs(callback: Callback<Job[]>): void;
+    listJobs(params?: ListJobsParams, options?: RequestOptions):
+        Promise<Job[]>;
+
+    getJob(uuid: string, options: RequestOptions,
+        callback: Callback<Job>): void;
+    getJob(uuid: string, callback: Callback<Job>): void;
+    getJob(uuid: string, options?: RequestOptions): Promise<Job>;
+
+    listRoleTags(params: GetVmParams, options: RequestOptions,
+        callback: Callback<string[]>): void;
+    listRoleTags(params: GetVmParams, callback: Callback<string[]>): void;
+    listRoleTags(params: GetVmParams, options?: RequestOptions):
+        Promise<string[]>;
+
+    addRoleTags(params: VmRoleTagsParams, options: RequestOptions,
+        callback: Callback<string[]>): void;
+    addRoleTags(params: VmRoleTagsParams, callback: Callback<string[]>):
+        void;
+    addRoleTags(params: VmRoleTagsParams, options?: RequestOptions):
+        Promise<string[]>;
+
+    setRoleTags(params: VmRoleTagsParams, options: RequestOptions,
+        callback: Callback<string[]>): void;
+    setRoleTags(params: VmRoleTagsParams, callback: Callback<string[]>):
+        void;
+    setRoleTags(params: VmRoleTagsParams, options?: RequestOptions):
+        Promise<string[]>;
+
+    deleteRoleTag(params: VmActionParams, role_tag: string,
+        options: RequestOptions, callback: Callback<string[]>): void;
+    deleteRoleTag(params: VmActionParams, role_tag: string,
+        callback: Callback<string[]>): void;
+    deleteRoleTag(params: VmActionParams, role_tag: string,
+        options?: RequestOptions): Promise<string[]>;
+
+    deleteAllRoleTags(params: VmActionParams, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteAllRoleTags(params: VmActionParams, callback: Callback<void>):
+        void;
+    deleteAllRoleTags(params: VmActionParams, options?: RequestOptions):
+        Promise<void>;
+
+    ping(callback: Callback<SdcObject>): void;
+    ping(): Promise<SdcObject>;
+}
+
+
+// -- CNAPI
+
+export interface WaitTaskOptions extends RequestOptions {
+    timeout?: number;
+}
+
+export interface CommandExecuteParams {
+    args?: string[];
+    env?: { [name: string]: string };
+    [field: string]: any;
+}
+
+export class CNAPI extends RestifyClient {
+    constructor(options: ClientOptions);
+
+    getBootParams(uuid: string, options: RequestOptions,
+        callback: Callback<SdcObject>): void;
+    getBootParams(uuid: string, callback: Callback<SdcObject>): void;
+    getBootParams(uuid: string, options?: RequestOptions):
+        Promise<SdcObject>;
+
+    setBootParams(uuid: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<SdcObject>): void;
+    setBootParams(uuid: string, params: SdcObject,
+        callback: Callback<SdcObject>): void;
+    setBootParams(uuid: string, params: SdcObject,
+        options?: RequestOptions): Promise<SdcObject>;
+
+    listServers(params: SdcObject, options: RequestOptions,
+        callback: Callback<Server[]>): void;
+    listServers(params: SdcObject, callback: Callback<Server[]>): void;
+    listServers(callback: Callback<Server[]>): void;
+    listServers(params?: SdcObject, options?: RequestOptions):
+        Promise<Server[]>;
+
+    getServer(uuid: string, options: RequestOptions,
+        callback: Callback<Server>): void;
+    getServer(uuid: string, callback: Callback<Server>): void;
+    getServer(uuid: string, options?: RequestOptions): Promise<Server>;
+
+    setupServer(uuid: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<TaskResponse>): void;
+    setupServer(uuid: string, params: SdcObject,
+        callback: Callback<TaskResponse>): void;
+    setupServer(uuid: string, callback: Callback<TaskResponse>): void;
+    setupServer(uuid: string, params?: SdcObject, options?: RequestOptions):
+        Promise<TaskResponse>;
+
+    getTask(id: string, options: RequestOptions,
+        callback: Callback<Task>): void;
+    getTask(id: string, callback: Callback<Task>): void;
+    getTask(id: string, options?: RequestOptions): Promise<Task>;
+
+    waitTask(id: string, options: WaitTaskOptions,
+        callback: Callback<Task>): void;
+    waitTask(id: string, options: WaitTaskOptions): Promise<Task>;
+
+    /** Polls a task until it completes, failing with a TaskFailedError. */
+    pollTask(id: string, options: RequestOptions,
+        callback: Callback<Task>): void;
+    pollTask(id: string, callback: Callback<Task>): void;
+    pollTask(id: string, options?: RequestOptions): Promise<Task>;
+
+    createVm(server: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<TaskResponse>): void;
+    createVm(server: string, params: SdcObject,
+        callback: Callback<TaskResponse>): void;
+    createVm(server: string, params: SdcObject, options?: RequestOptions):
+        Promise<TaskResponse>;
+
+    getVm(server: string, uuid: string, options: RequestOptions,
+        callback: Callback<Vm>): void;
+    getVm(server: string, uuid: string, callback: Callback<Vm>): void;
+    getVm(server: string, uuid: string, options?: RequestOptions):
+        Promise<Vm>;
+
+    stopVm(server: string, uuid: string, options: RequestOptions,
+        callback: Callback<TaskResponse>): void;
+    stopVm(server: string, uuid: string, callback: Callback<TaskResponse>):
+        void;
+    stopVm(server: string, uuid: string, options?: RequestOptions):
+        Promise<TaskResponse>;
+
+    startVm(server: string, uuid: string, options: RequestOptions,
+        callback: Callback<TaskResponse>): void;
+    startVm(server: string, uuid: string, callback: Callback<TaskResponse>):
+        void;
+    startVm(server: string, uuid: string, options?: RequestOptions):
+        Promise<TaskResponse>;
+
+    rebootVm(server: string, uuid: string, options: RequestOptions,
+        callback: Callback<TaskResponse>): void;
+    rebootVm(server: string, uuid: string,
+        callback: Callback<TaskResponse>): void;
+    rebootVm(server: string, uuid: string, options?: RequestOptions):
+        Promise<TaskResponse>;
+
+    updateServer(uuid: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<SdcObject>): void;
+    updateServer(uuid: string, params: SdcObject,
+        callback: Callback<SdcObject>): void;
+    updateServer(uuid: string, params: SdcObject,
+        options?: RequestOptions): Promise<SdcObject>;
+
+    rebootServer(server: string, options: RequestOptions,
+        callback: Callback<TaskResponse>): void;
+    rebootServer(server: string, callback: Callback<TaskResponse>): void;
+    rebootServer(server: string, options?: RequestOptions):
+        Promise<TaskResponse>;
+
+    deleteVm(server: string, uuid: string, options: RequestOptions,
+        callback: Callback<TaskResponse>): void;
+    deleteVm(server: string, uuid: string,
+        callback: Callback<TaskResponse>): void;
+    deleteVm(server: string, uuid: string, options?: RequestOptions):
+        Promise<TaskResponse>;
+
+    updateNics(uuid: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<TaskResponse>): void;
+    updateNics(uuid: string, params: SdcObject,
+        callback: Callback<TaskResponse>): void;
+    updateNics(uuid: string, params: SdcObject, options?: RequestOptions):
+        Promise<TaskResponse>;
+
+    commandExecute(server: string, script: string,
+        params: CommandExecuteParams, options: RequestOptions,
+        callback: Callback<any>): void;
+    commandExecute(server: string, script: string,
+        params: CommandExecuteParams, callback: Callback<any>): void;
+    commandExecute(server: string, script: string, callback: Callback<any>):
+        void;
+    commandExecute(server: string, script: string,
+        params?: CommandExecuteParams, options?: RequestOptions):
+        Promise<any>;
+
+    ensureImage(server: string, params: string | SdcObject,
+        callback: Callback<TaskResponse>): void;
+    ensureImage(server: string, params: string | SdcObject):
+        Promise<TaskResponse>;
+
+    waitlistTicketGet(ticketuuid: string, callback: Callback<SdcObject>):
+        void;
+    waitlistTicketGet(ticketuuid: string): Promise<SdcObject>;
+
+    waitlistTicketCreate(serveruuid: string, ticket: SdcObject,
+        callback: Callback<SdcObject>): void;
+    waitlistTicketCreate(serveruuid: string, ticket: SdcObject):
+        Promise<SdcObject>;
+
+    waitlistTicketWait(ticketuuid: string, callback: Callback<SdcObject>):
+        void;
+    waitlistTicketWait(ticketuuid: string): Promise<SdcObject>;
+
+    waitlistTicketRelease(ticketuuid: string, callback: Callback<SdcObject>):
+        void;
+    waitlistTicketRelease(ticketuuid: string): Promise<SdcObject>;
+
+    capacity(serverUuids: string[] | null, options: RequestOptions,
+        callback: Callback<SdcObject>): void;
+    capacity(serverUuids: string[] | null, callback: Callback<SdcObject>):
+        void;
+    capacity(serverUuids: string[] | null, options?: RequestOptions):
+        Promise<SdcObject>;
+
+    listPlatforms(options: RequestOptions, callback: Callback<SdcObject>):
+        void;
+    listPlatforms(callback: Callback<SdcObject>): void;
+    listPlatforms(options?: RequestOptions): Promise<SdcObject>;
+
+    dockerExec(server: string, uuid: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<SdcObject>): void;
+    dockerExec(server: string, uuid: string, params: SdcObject,
+        callback: Callback<SdcObject>): void;
+    dockerExec(server: string, uuid: string, params: SdcObject,
+        options?: RequestOptions): Promise<SdcObject>;
+
+    dockerCopy(server: string, uuid: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<SdcObject>): void;
+    dockerCopy(server: string, uuid: string, params: SdcObject,
+        callback: Callback<SdcObject>): void;
+    dockerCopy(server: string, uuid: string, params: SdcObject,
+        options?: RequestOptions): Promise<SdcObject>;
+
+    dockerStats(server: string, uuid: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<SdcObject>): void;
+    dockerStats(server: string, uuid: string, params: SdcObject,
+        callback: Callback<SdcObject>): void;
+    dockerStats(server: string, uuid: string, params: SdcObject,
+        options?: RequestOptions): Promise<SdcObject>;
+
+    ping(callback: Callback<SdcObject>): void;
+    ping(): Promise<SdcObject>;
+}
+
+
+// -- NAPI
+
+export class NAPI extends RestifyClient {
+    constructor(options: ClientOptions);
+
+    ping(callback: Callback<SdcObject>): void;
+    ping(): Promise<SdcObject>;
+
+    createNetworkPool(name: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<NetworkPool>): void;
+    createNetworkPool(name: string, params: SdcObject,
+        callback: Callback<NetworkPool>): void;
+    createNetworkPool(name: string, params: SdcObject,
+        options?: RequestOptions): Promise<NetworkPool>;
+
+    deleteNetworkPool(uuid: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<void>): void;
+    deleteNetworkPool(uuid: string, params: SdcObject,
+        callback: Callback<void>): void;
+    deleteNetworkPool(uuid: string, callback: Callback<void>): void;
+    deleteNetworkPool(uuid: string, params?: SdcObject,
+        options?: RequestOptions): Promise<void>;
+
+    getNetworkPool(uuid: string, options: RequestOptions,
+        callback: Callback<NetworkPool>): void;
+    getNetworkPool(uuid: string, callback: Callback<NetworkPool>): void;
+    getNetworkPool(uuid: string, options?: RequestOptions):
+        Promise<NetworkPool>;
+
+    listNetworkPools(params: SdcObject, options: RequestOptions,
+        callback: Callback<NetworkPool[]>): void;
+    listNetworkPools(params: SdcObject, callback: Callback<NetworkPool[]>):
+        void;
+    listNetworkPools(callback: Callback<NetworkPool[]>): void;
+    listNetworkPools(params?: SdcObject, options?: RequestOptions):
+        Promise<NetworkPool[]>;
+
+    updateNetworkPool(uuid: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<NetworkPool>): void;
+    updateNetworkPool(uuid: string, params: SdcObject,
+        callback: Callback<NetworkPool>): void;
+    updateNetworkPool(uuid: string, params: SdcObject,
+        options?: RequestOptions): Promise<NetworkPool>;
+
+    listNics(params: SdcObject, options: RequestOptions,
+        callback: Callback<Nic[]>): void;
+    listNics(params: SdcObject, callback: Callback<Nic[]>): void;
+    listNics(callback: Callback<Nic[]>): void;
+    listNics(params?: SdcObject, options?: RequestOptions): Promise<Nic[]>;
+
+    listNicsStream(params?: SdcObject, options?: ListStreamOptions):
+        ListStream<Nic>;
+
+    getNic(macAddr: string, options: RequestOptions,
+        callback: Callback<Nic>): void;
+    getNic(macAddr: string, callback: Callback<Nic>): void;
+    getNic(macAddr: string, options?: RequestOptions): Promise<Nic>;
+
+    updateNic(macAddr: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<Nic>): void;
+    updateNic(macAddr: string, params: SdcObject, callback: Callback<Nic>):
+        void;
+    updateNic(macAddr: string, params: SdcObject, options?: RequestOptions):
+        Promise<Nic>;
+
+    /** Gets the nics that belong to a VM or server. */
+    getNics(belongsTo: string, options: RequestOptions,
+        callback: Callback<Nic[]>): void;
+    getNics(belongsTo: string, callback: Callback<Nic[]>): void;
+    getNics(belongsTo: string, options?: RequestOptions): Promise<Nic[]>;
+
+    createNic(macAddr: string, params: CreateNicParams,
+        options: RequestOptions, callback: Callback<Nic>): void;
+    createNic(macAddr: string, params: CreateNicParams,
+        callback: Callback<Nic>): void;
+    createNic(macAddr: string, params: CreateNicParams,
+        options?: RequestOptions): Promise<Nic>;
+
+    /** Creates a nic with the next free IP of a network. */
+    provisionNic(network: string, params: CreateNicParams,
+        options: RequestOptions, callback: Callback<Nic>): void;
+    provisionNic(network: string, params: CreateNicParams,
+        callback: Callback<Nic>): void;
+    provisionNic(network: string, params: CreateNicParams,
+        options?: RequestOptions): Promise<Nic>;
+
+    deleteNic(macAddr: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteNic(macAddr: string, params: SdcObject, callback: Callback<void>):
+        void;
+    deleteNic(macAddr: string, callback: Callback<void>): void;
+    deleteNic(macAddr: string, params?: SdcObject, options?: RequestOptions):
+        Promise<void>;
+
+    listNetworks(params: SdcObject, options: RequestOptions,
+        callback: Callback<Network[]>): void;
+    listNetworks(params: SdcObject, callback: Callback<Network[]>): void;
+    listNetworks(callback: Callback<Network[]>): void;
+    listNetworks(params?: SdcObject, options?: RequestOptions):
+        Promise<Network[]>;
+
+    listNetworksStream(params?: SdcObject, options?: ListStreamOptions):
+        ListStream<Network>;
+
+    createNetwork(params: CreateNetworkParams, options: RequestOptions,
+        callback: Callback<Network>): void;
+    createNetwork(params: CreateNetworkParams, callback: Callback<Network>):
+        void;
+    createNetwork(params: CreateNetworkParams, options?: RequestOptions):
+        Promise<Network>;
+
+    getNetwork(uuid: string, options: RequestOptions,
+        callback: Callback<Network>): void;
+    getNetwork(uuid: string, callback: Callback<Network>): void;
+    getNetwork(uuid: string, options?: RequestOptions): Promise<Network>;
+
+    updateNetwork(uuid: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<Network>): void;
+    updateNetwork(uuid: string, params: SdcObject,
+        callback: Callback<Network>): void;
+    updateNetwork(uuid: string, params: SdcObject,
+        options?: RequestOptions): Promise<Network>;
+
+    deleteNetwork(uuid: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteNetwork(uuid: string, params: SdcObject, callback: Callback<void>):
+        void;
+    deleteNetwork(uuid: string, callback: Callback<void>): void;
+    deleteNetwork(uuid: string, params?: SdcObject,
+        options?: RequestOptions): Promise<void>;
+
+    listIPs(network: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<IP[]>): void;
+    listIPs(network: string, params: SdcObject, callback: Callback<IP[]>):
+        void;
+    listIPs(network: string, callback: Callback<IP[]>): void;
+    listIPs(network: string, params?: SdcObject, options?: RequestOptions):
+        Promise<IP[]>;
+
+    listIPsStream(network: string, params?: SdcObject,
+        options?: ListStreamOptions): ListStream<IP>;
+
+    getIP(network: string, ipAddr: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<IP>): void;
+    getIP(network: string, ipAddr: string, params: SdcObject,
+        callback: Callback<IP>): void;
+    getIP(network: string, ipAddr: string, callback: Callback<IP>): void;
+    getIP(network: string, ipAddr: string, params?: SdcObject,
+        options?: RequestOptions): Promise<IP>;
+
+    updateIP(network: string, ipAddr: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<IP>): void;
+    updateIP(network: string, ipAddr: string, params: SdcObject,
+        callback: Callback<IP>): void;
+    updateIP(network: string, ipAddr: string, params: SdcObject,
+        options?: RequestOptions): Promise<IP>;
+
+    /** Finds an IP address on all the networks. */
+    searchIPs(ipAddr: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<IP[]>): void;
+    searchIPs(ipAddr: string, params: SdcObject, callback: Callback<IP[]>):
+        void;
+    searchIPs(ipAddr: string, callback: Callback<IP[]>): void;
+    searchIPs(ipAddr: string, params?: SdcObject, options?: RequestOptions):
+        Promise<IP[]>;
+
+    listNicTags(params: SdcObject, options: RequestOptions,
+        callback: Callback<NicTag[]>): void;
+    listNicTags(params: SdcObject, callback: Callback<NicTag[]>): void;
+    listNicTags(callback: Callback<NicTag[]>): void;
+    listNicTags(params?: SdcObject, options?: RequestOptions):
+        Promise<NicTag[]>;
+
+    createNicTag(name: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<NicTag>): void;
+    createNicTag(name: string, params: SdcObject,
+        callback: Callback<NicTag>): void;
+    createNicTag(name: string, callback: Callback<NicTag>): void;
+    createNicTag(name: string, params?: SdcObject,
+        options?: RequestOptions): Promise<NicTag>;
+
+    getNicTag(name: string, options: RequestOptions,
+        callback: Callback<NicTag>): void;
+    getNicTag(name: string, callback: Callback<NicTag>): void;
+    getNicTag(name: string, options?: RequestOptions): Promise<NicTag>;
+
+    updateNicTag(name: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<NicTag>): void;
+    updateNicTag(name: string, params: SdcObject,
+        callback: Callback<NicTag>): void;
+    updateNicTag(name: string, params: SdcObject,
+        options?: RequestOptions): Promise<NicTag>;
+
+    deleteNicTag(name: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteNicTag(name: string, params: SdcObject, callback: Callback<void>):
+        void;
+    deleteNicTag(name: string, callback: Callback<void>): void;
+    deleteNicTag(name: string, params?: SdcObject,
+        options?: RequestOptions): Promise<void>;
+
+    listAggrs(params: SdcObject, options: RequestOptions,
+        callback: Callback<Aggregation[]>): void;
+    listAggrs(params: SdcObject, callback: Callback<Aggregation[]>): void;
+    listAggrs(callback: Callback<Aggregation[]>): void;
+    listAggrs(params?: SdcObject, options?: RequestOptions):
+        Promise<Aggregation[]>;
+
+    createAggr(params: SdcObject, options: RequestOptions,
+        callback: Callback<Aggregation>): void;
+    createAggr(params: SdcObject, callback: Callback<Aggregation>): void;
+    createAggr(params: SdcObject, options?: RequestOptions):
+        Promise<Aggregation>;
+
+    getAggr(id: string, options: RequestOptions,
+        callback: Callback<Aggregation>): void;
+    getAggr(id: string, callback: Callback<Aggregation>): void;
+    getAggr(id: string, options?: RequestOptions): Promise<Aggregation>;
+
+    updateAggr(id: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<Aggregation>): void;
+    updateAggr(id: string, params: SdcObject,
+        callback: Callback<Aggregation>): void;
+    updateAggr(id: string, params: SdcObject, options?: RequestOptions):
+        Promise<Aggregation>;
+
+    deleteAggr(id: string, params: SdcObject, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteAggr(id: string, params: SdcObject, callback: Callback<void>):
+        void;
+    deleteAggr(id: string, callback: Callback<void>): void;
+    deleteAggr(id: string, params?: SdcObject, options?: RequestOptions):
+        Promise<void>;
+
+    listFabricVLANs(owner: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<FabricVLAN[]>): void;
+    listFabricVLANs(owner: string, params: SdcObject,
+        callback: Callback<FabricVLAN[]>): void;
+    listFabricVLANs(owner: string, params: SdcObject,
+        options?: RequestOptions): Promise<FabricVLAN[]>;
+
+    createFabricVLAN(owner: string, params: SdcObject,
+        options: RequestOptions, callback: Callback<FabricVLAN>): void;
+    createFabricVLAN(owner: string, params: SdcObject,
+        callback: Callback<FabricVLAN>): void;
+    createFabricVLAN(owner: string, params: SdcObject,
+        options?: RequestOptions): Promise<FabricVLAN>;
+
+    getFabricVLAN(owner: string, id: number, params: SdcObject,
+        options: RequestOptions, callback: Callback<FabricVLAN>): void;
+    getFabricVLAN(owner: string, id: number, params: SdcObject,
+        callback: Callback<FabricVLAN>): void;
+    getFabricVLAN(owner: string, id: number, params: SdcObject,
+        options?: RequestOptions): Promise<FabricVLAN>;
+
+    updateFabricVLAN(owner: string, id: number, params: SdcObject,
+        options: RequestOptions, callback: Callback<FabricVLAN>): void;
+    updateFabricVLAN(owner: string, id: number, params: SdcObject,
+        callback: Callback<FabricVLAN>): void;
+    updateFabricVLAN(owner: string, id: number, params: SdcObject,
+        options?: RequestOptions): Promise<FabricVLAN>;
+
+    deleteFabricVLAN(owner: string, id: number, params: SdcObject,
+        options: RequestOptions, callback: Callback<void>): void;
+    deleteFabricVLAN(owner: string, id: number, params: SdcObject,
+        callback: Callback<void>): void;
+    deleteFabricVLAN(owner: string, id: number, params: SdcObject,
+        options?: RequestOptions): Promise<void>;
+
+    listFabricNetworks(owner: string, id: number, params: SdcObject,
+        options: RequestOptions, callback: Callback<Network[]>): void;
+    listFabricNetworks(owner: string, id: number, params: SdcObject,
+        callback: Callback<Network[]>): void;
+    listFabricNetworks(owner: string, id: number, params: SdcObject,
+        options?: RequestOptions): Promise<Network[]>;
+
+    createFabricNetwork(owner: string, id: number, params: SdcObject,
+        options: RequestOptions, callback: Callback<Network>): void;
+    createFabricNetwork(owner: string, id: number, params: SdcObject,
+        callback: Callback<Network>): void;
+    createFabricNetwork(owner: string, id: number, params: SdcObject,
+        options?: RequestOptions): Promise<Network>;
+
+    getFabricNetwork(owner: string, id: number, network: string,
+        params: SdcObject, options: RequestOptions,
+        callback: Callback<Network>): void;
+    getFabricNetwork(owner: string, id: number, network: string,
+        params: SdcObject, callback: Callback<Network>): void;
+    getFabricNetwork(owner: string, id: number, network: string,
+        params: SdcObject, options?: RequestOptions): Promise<Network>;
+
+    deleteFabricNetwork(owner: string, id: number, network: string,
+        params: SdcObject, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteFabricNetwork(owner: string, id: number, network: string,
+        params: SdcObject, callback: Callback<void>): void;
+    deleteFabricNetwork(owner: string, id: number, network: string,
+        params: SdcObject, options?: RequestOptions): Promise<void>;
+}
+
+
+// -- IMGAPI
+
+/**
+ * A request signer for http-signature auth, e.g. from `IMGAPI.cliSigner`.
+ */
+export type Signer = (str: string,
+    callback: (err: Error | null,
+        signature?: { algorithm: string; signature: string }) => void) =>
+    void;
+
+export interface IMGAPIOptions {
+    url: string;
+    channel?: string;
+    user?: string;
+    password?: string;
+    sign?: Signer;
+    version?: string | null;
+    log?: Logger;
+    requestId?: RequestId;
+    retryPolicy?: RetryPolicy | boolean;
+    metrics?: MetricsCollector;
+    validate?: boolean | ValidateOptions;
+    cassette?: Cassette;
+    rateLimit?: RateLimit;
+    maxInFlight?: number;
+    agent?: http.Agent | boolean;
+    connectTimeout?: number;
+    userAgent?: string;
+}
+
+export interface ImageFilters {
+    owner?: string;
+    state?: ImageState | 'all';
+    name?: string;
+    version?: string;
+    os?: ImageOs;
+    type?: ImageType;
+    public?: boolean;
+    limit?: number;
+    marker?: string;
+    [filter: string]: string | number | boolean | undefined;
+}
+
+export interface CreateImageFromVmOptions extends WaitOptions {
+    vm_uuid: string;
+    incremental?: boolean;
+}
+
+export interface AdminImportOptions extends WaitOptions {
+    skipOwnerCheck?: boolean;
+    source?: string;
+    retries?: number;
+}
+
+export interface ImportDockerImageOptions extends RequestOptions {
+    repo: string;
+    tag: string;
+    regAuth?: string;
+    public?: boolean;
+}
+
+export interface AddImageFileOptions extends RequestOptions {
+    uuid: string;
+    source?: string;
+    file?: string | stream.Readable;
+    size?: number;
+    compression?: 'bzip2' | 'gzip' | 'none';
+    sha1?: string;
+    storage?: 'local' | 'manta';
+    dataset_guid?: string;
+}
+
+export interface AddImageIconOptions extends RequestOptions {
+    uuid: string;
+    contentType: string;
+    file: string | stream.Readable;
+    size?: number;
+    sha1?: string;
+}
+
+export interface ExportImageOptions extends RequestOptions {
+    manta_path: string;
+}
+
+export interface DeleteImageOptions extends RequestOptions {
+    forceAllChannels?: boolean;
+}
+
+export interface ChannelAddImageOptions extends RequestOptions {
+    uuid: string;
+    channel: string;
+    account?: string;
+}
+
+export interface CliSignerOptions {
+    user: string;
+    keyId?: string;
+    keyIds?: string[];
+    log?: Logger;
+}
+
+/**
+ * The IMGAPI client. Methods that take an optional `account` check that
+ * the image is accessible to that account. Its callbacks are of the form
+ * `function (err, result, res)`.
+ */
+export class IMGAPI {
+    constructor(options: IMGAPIOptions);
+
+    static createClient(options: IMGAPIOptions): IMGAPI;
+    static cliSigner(options: CliSignerOptions): Signer;
+    static pauseStream(stream: stream.Readable): void;
+    static ChecksumError: typeof errors.ChecksumError;
+    static SigningError: typeof errors.SigningError;
+
+    url: string;
+    channel?: string;
+    log: Logger;
+
+    close(): void;
+    queueStats(): QueueStats;
+
+    ping(error: string, callback: Callback<SdcObject>): void;
+    ping(callback: Callback<SdcObject>): void;
+    ping(error?: string): Promise<SdcObject>;
+
+    adminGetState(callback: Callback<SdcObject>): void;
+    adminGetState(): Promise<SdcObject>;
+
+    /** Lists images, fetching all of them unless `limit` is given. */
+    listImages(filters: ImageFilters, options: RequestOptions,
+        callback: Callback<Image[]>): void;
+    listImages(filters: ImageFilters, callback: Callback<Image[]>): void;
+    listImages(callback: Callback<Image[]>): void;
+    listImages(filters?: ImageFilters, options?: RequestOptions):
+        Promise<Image[]>;
+
+    listImagesStream(filters?: ImageFilters, options?: ListStreamOptions):
+        ListStream<Image>;
+
+    getImage(uuid: string, account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    getImage(uuid: string, account: string | RequestOptions | undefined,
+        callback: Callback<Image>): void;
+    getImage(uuid: string, callback: Callback<Image>): void;
+    getImage(uuid: string, account?: string | RequestOptions,
+        options?: RequestOptions): Promise<Image>;
+
+    createImage(data: CreateImageParams, account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    createImage(data: CreateImageParams,
+        account: string | RequestOptions | undefined,
+        callback: Callback<Image>): void;
+    createImage(data: CreateImageParams, callback: Callback<Image>): void;
+    createImage(data: CreateImageParams, account?: string | RequestOptions,
+        options?: RequestOptions): Promise<Image>;
+
+    createImageFromVm(data: CreateImageParams,
+        options: CreateImageFromVmOptions, account: string | undefined,
+        callback: Callback<JobResponse>): void;
+    createImageFromVm(data: CreateImageParams,
+        options: CreateImageFromVmOptions, callback: Callback<JobResponse>):
+        void;
+    createImageFromVm(data: CreateImageParams,
+        options: CreateImageFromVmOptions, account?: string):
+        Promise<JobResponse>;
+
+    createImageFromVmAndWait(data: CreateImageParams,
+        options: CreateImageFromVmOptions, account: string | undefined,
+        callback: Callback<Image>): void;
+    createImageFromVmAndWait(data: CreateImageParams,
+        options: CreateImageFromVmOptions, callback: Callback<Image>): void;
+    createImageFromVmAndWait(data: CreateImageParams,
+        options: CreateImageFromVmOptions, account?: string): Promise<Image>;
+
+    adminImportImage(data: SdcObject, options: AdminImportOptions,
+        callback: Callback<Image>): void;
+    adminImportImage(data: SdcObject, callback: Callback<Image>): void;
+    adminImportImage(data: SdcObject, options?: AdminImportOptions):
+        Promise<Image>;
+
+    adminImportRemoteImage(uuid: string, source: string,
+        options: AdminImportOptions, callback: Callback<JobResponse>): void;
+    adminImportRemoteImage(uuid: string, source: string,
+        callback: Callback<JobResponse>): void;
+    adminImportRemoteImage(uuid: string, source: string,
+        options?: AdminImportOptions): Promise<JobResponse>;
+
+    adminImportRemoteImageAndWait(uuid: string, source: string,
+        options: AdminImportOptions, callback: Callback<Image>): void;
+    adminImportRemoteImageAndWait(uuid: string, source: string,
+        callback: Callback<Image>): void;
+    adminImportRemoteImageAndWait(uuid: string, source: string,
+        options?: AdminImportOptions): Promise<Image>;
+
+    /** Calls back with the response, a stream of progress messages. */
+    adminImportDockerImage(options: ImportDockerImageOptions,
+        callback: Callback<http.IncomingMessage>): void;
+    adminImportDockerImage(options: ImportDockerImageOptions):
+        Promise<http.IncomingMessage>;
+
+    addImageFile(options: AddImageFileOptions, account: string | undefined,
+        callback: Callback<Image>): void;
+    addImageFile(options: AddImageFileOptions, callback: Callback<Image>):
+        void;
+    addImageFile(options: AddImageFileOptions, account?: string):
+        Promise<Image>;
+
+    getImageFile(uuid: string, filePath: string, account: string | undefined,
+        options: RequestOptions,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageFile(uuid: string, filePath: string, account: string | undefined,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageFile(uuid: string, filePath: string,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageFile(uuid: string, filePath: string, account?: string,
+        options?: RequestOptions): Promise<http.IncomingMessage>;
+
+    getImageFileStream(uuid: string, account: string | undefined,
+        options: RequestOptions,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageFileStream(uuid: string, account: string | RequestOptions |
+        undefined, callback: Callback<http.IncomingMessage>): void;
+    getImageFileStream(uuid: string,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageFileStream(uuid: string, account?: string | RequestOptions,
+        options?: RequestOptions): Promise<http.IncomingMessage>;
+
+    addImageIcon(options: AddImageIconOptions, account: string | undefined,
+        callback: Callback<Image>): void;
+    addImageIcon(options: AddImageIconOptions, callback: Callback<Image>):
+        void;
+    addImageIcon(options: AddImageIconOptions, account?: string):
+        Promise<Image>;
+
+    getImageIcon(uuid: string, filePath: string, account: string | undefined,
+        options: RequestOptions,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageIcon(uuid: string, filePath: string, account: string | undefined,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageIcon(uuid: string, filePath: string,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageIcon(uuid: string, filePath: string, account?: string,
+        options?: RequestOptions): Promise<http.IncomingMessage>;
+
+    getImageIconStream(uuid: string, account: string | undefined,
+        options: RequestOptions,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageIconStream(uuid: string, account: string | undefined,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageIconStream(uuid: string,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageIconStream(uuid: string, account?: string,
+        options?: RequestOptions): Promise<http.IncomingMessage>;
+
+    deleteImageIcon(uuid: string, account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    deleteImageIcon(uuid: string, account: string | undefined,
+        callback: Callback<Image>): void;
+    deleteImageIcon(uuid: string, callback: Callback<Image>): void;
+    deleteImageIcon(uuid: string, account?: string,
+        options?: RequestOptions): Promise<Image>;
+
+    exportImage(uuid: string, account: string | undefined,
+        options: ExportImageOptions, callback: Callback<SdcObject>): void;
+    exportImage(uuid: string, options: ExportImageOptions,
+        callback: Callback<SdcObject>): void;
+    exportImage(uuid: string, options: ExportImageOptions):
+        Promise<SdcObject>;
+    exportImage(uuid: string, account: string | undefined,
+        options: ExportImageOptions): Promise<SdcObject>;
+
+    activateImage(uuid: string, account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    activateImage(uuid: string, account: string | undefined,
+        callback: Callback<Image>): void;
+    activateImage(uuid: string, callback: Callback<Image>): void;
+    activateImage(uuid: string, account?: string, options?: RequestOptions):
+        Promise<Image>;
+
+    disableImage(uuid: string, account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    disableImage(uuid: string, account: string | undefined,
+        callback: Callback<Image>): void;
+    disableImage(uuid: string, callback: Callback<Image>): void;
+    disableImage(uuid: string, account?: string, options?: RequestOptions):
+        Promise<Image>;
+
+    enableImage(uuid: string, account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    enableImage(uuid: string, account: string | undefined,
+        callback: Callback<Image>): void;
+    enableImage(uuid: string, callback: Callback<Image>): void;
+    enableImage(uuid: string, account?: string, options?: RequestOptions):
+        Promise<Image>;
+
+    addImageAcl(uuid: string, acl: string[], account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    addImageAcl(uuid: string, acl: string[], account: string | undefined,
+        callback: Callback<Image>): void;
+    addImageAcl(uuid: string, acl: string[], callback: Callback<Image>):
+        void;
+    addImageAcl(uuid: string, acl: string[], account?: string,
+        options?: RequestOptions): Promise<Image>;
+
+    removeImageAcl(uuid: string, acl: string[], account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    removeImageAcl(uuid: string, acl: string[], account: string | undefined,
+        callback: Callback<Image>): void;
+    removeImageAcl(uuid: string, acl: string[], callback: Callback<Image>):
+        void;
+    removeImageAcl(uuid: string, acl: string[], account?: string,
+        options?: RequestOptions): Promise<Image>;
+
+    updateImage(uuid: string, data: SdcObject, account: string | undefined,
+        options: RequestOptions, callback: Callback<Image>): void;
+    updateImage(uuid: string, data: SdcObject, account: string | undefined,
+        callback: Callback<Image>): void;
+    updateImage(uuid: string, data: SdcObject, callback: Callback<Image>):
+        void;
+    updateImage(uuid: string, data: SdcObject, account?: string,
+        options?: RequestOptions): Promise<Image>;
+
+    deleteImage(uuid: string, account: string | undefined,
+        options: DeleteImageOptions, callback: Callback<void>): void;
+    deleteImage(uuid: string, account: string | DeleteImageOptions |
+        undefined, callback: Callback<void>): void;
+    deleteImage(uuid: string, callback: Callback<void>): void;
+    deleteImage(uuid: string, account?: string | DeleteImageOptions,
+        options?: DeleteImageOptions): Promise<void>;
+
+    listChannels(opts: RequestOptions, cb: Callback<SdcObject[]>): void;
+    listChannels(opts: RequestOptions): Promise<SdcObject[]>;
+
+    channelAddImage(opts: ChannelAddImageOptions, cb: Callback<Image>): void;
+    channelAddImage(opts: ChannelAddImageOptions): Promise<Image>;
+}
+
+
+// -- DSAPI
+
+export interface DSAPIOptions {
+    url: string;
+    username?: string;
+    password?: string;
+    log?: Logger;
+    metrics?: MetricsCollector;
+    cassette?: Cassette;
+    rateLimit?: RateLimit;
+    maxInFlight?: number;
+    agent?: http.Agent | boolean;
+}
+
+/**
+ * The client of the legacy Datasets API.
+ */
+export class DSAPI {
+    constructor(options: DSAPIOptions);
+
+    log: Logger;
+
+    close(): void;
+    queueStats(): QueueStats;
+
+    ping(callback: Callback<SdcObject>): void;
+    ping(): Promise<SdcObject>;
+
+    listImages(params: SdcObject, cb: Callback<SdcObject[]>): void;
+    listImages(cb: Callback<SdcObject[]>): void;
+    listImages(params?: SdcObject): Promise<SdcObject[]>;
+
+    getImage(image_uuid: string, cb: Callback<SdcObject>): void;
+    getImage(image_uuid: string): Promise<SdcObject>;
+
+    getImageFileStream(uuid: string,
+        callback: Callback<http.IncomingMessage>): void;
+    getImageFileStream(uuid: string): Promise<http.IncomingMessage>;
+}
+
+
+// -- PAPI
+
+export interface PAPIOptions extends ClientOptions {
+    url: string;
+    'X-Api-Version'?: string;
+}
+
+/**
+ * The options of PAPI calls: request options, plus query params.
+ */
+export interface PAPIOptionsParams extends RequestOptions {
+    escape?: boolean;
+    [param: string]: any;
+}
+
+/**
+ * The PAPI client, as returned by `PAPI(options)` (which is not a
+ * constructor, though it can be called with `new`).
+ */
+export interface PAPIClient {
+    client: object;
+    log: Logger;
+
+    add(pkg: CreatePackageParams, options: RequestOptions,
+        cb: Callback<Package>): void;
+    add(pkg: CreatePackageParams, cb: Callback<Package>): void;
+    add(pkg: CreatePackageParams, options?: RequestOptions):
+        Promise<Package>;
+
+    get(uuid: string, options: PAPIOptionsParams, cb: Callback<Package>):
+        void;
+    get(uuid: string, options: PAPIOptionsParams): Promise<Package>;
+
+    /**
+     * Lists the packages that match an LDAP filter, or the filter params of
+     * an object. The callback also gets the total count.
+     */
+    list(filter: string | SdcObject, options: PAPIOptionsParams,
+        cb: (err: ClientError | null, pkgs: Package[], count: number) =>
+            void): void;
+    list(filter: string | SdcObject, options: PAPIOptionsParams):
+        Promise<Package[]>;
+
+    listStream(filter: string | SdcObject,
+        options?: PAPIOptionsParams & { pageSize?: number }):
+        ListStream<Package>;
+
+    del(uuid: string, options: PAPIOptionsParams, cb: Callback<void>): void;
+    del(uuid: string, options: PAPIOptionsParams): Promise<void>;
+
+    update(uuid: string, changes: SdcObject, options: RequestOptions,
+        cb: Callback<Package>): void;
+    update(uuid: string, changes: SdcObject, cb: Callback<Package>): void;
+    update(uuid: string, changes: SdcObject, options?: RequestOptions):
+        Promise<Package>;
+
+    close(): void;
+    queueStats(): QueueStats;
+}
+
+export const PAPI: {
+    new (options: PAPIOptions): PAPIClient;
+    (options: PAPIOptions): PAPIClient;
+};
+
+
+// -- FWAPI
+
+export class FWAPI extends RestifyClient {
+    constructor(options: ClientOptions);
+
+    ping(params: SdcObject, callback: Callback<SdcObject>): void;
+    ping(callback: Callback<SdcObject>): void;
+    ping(params?: SdcObject): Promise<SdcObject>;
+
+    listRules(params: SdcObject, options: RequestOptions,
+        callback: Callback<Rule[]>): void;
+    listRules(params: SdcObject, callback: Callback<Rule[]>): void;
+    listRules(callback: Callback<Rule[]>): void;
+    listRules(params?: SdcObject, options?: RequestOptions):
+        Promise<Rule[]>;
+
+    getRule(uuid: string, params: SdcObject, callback: Callback<Rule>): void;
+    getRule(uuid: string, callback: Callback<Rule>): void;
+    getRule(uuid: string, params?: SdcObject): Promise<Rule>;
+
+    updateRule(uuid: string, params: SdcObject, callback: Callback<Rule>):
+        void;
+    updateRule(uuid: string, params: SdcObject): Promise<Rule>;
+
+    createRule(params: CreateRuleParams, options: RequestOptions,
+        callback: Callback<Rule>): void;
+    createRule(params: CreateRuleParams, callback: Callback<Rule>): void;
+    createRule(params: CreateRuleParams, options?: RequestOptions):
+        Promise<Rule>;
+
+    deleteRule(uuid: string, params: SdcObject, callback: Callback<void>):
+        void;
+    deleteRule(uuid: string, callback: Callback<void>): void;
+    deleteRule(uuid: string, params?: SdcObject): Promise<void>;
+
+    /** Lists the VMs that a rule applies to. */
+    getRuleVMs(uuid: string, params: SdcObject, callback: Callback<Vm[]>):
+        void;
+    getRuleVMs(uuid: string, callback: Callback<Vm[]>): void;
+    getRuleVMs(uuid: string, params?: SdcObject): Promise<Vm[]>;
+
+    /** Lists the rules that apply to a VM. */
+    getVMrules(uuid: string, params: SdcObject, callback: Callback<Rule[]>):
+        void;
+    getVMrules(uuid: string, callback: Callback<Rule[]>): void;
+    getVMrules(uuid: string, params?: SdcObject): Promise<Rule[]>;
+
+    createUpdate(params: SdcObject, callback: Callback<SdcObject>): void;
+    createUpdate(params: SdcObject): Promise<SdcObject>;
+}
+
+
+// -- SAPI
+
+export interface SAPIOptions extends ClientOptions {
+    log: Logger;
+    wfapiUrl?: string;
+}
+
+export interface ApplicationObjects {
+    services: { [uuid: string]: Service };
+    instances: { [service_uuid: string]: Instance[] };
+}
+
+/**
+ * The SAPI client. Its methods (other than `getConfig`) take no request
+ * options.
+ */
+export class SAPI extends RestifyClient {
+    constructor(options: SAPIOptions);
+
+    wfapiUrl?: string;
+
+    ping(callback: Callback<SdcObject>): void;
+    ping(): Promise<SdcObject>;
+
+    createApplication(name: string, owner_uuid: string, opts: SdcObject,
+        callback: Callback<Application>): void;
+    createApplication(name: string, owner_uuid: string,
+        callback: Callback<Application>): void;
+    createApplication(name: string, owner_uuid: string, opts?: SdcObject):
+        Promise<Application>;
+
+    listApplications(search_opts: SdcObject,
+        callback: Callback<Application[]>): void;
+    listApplications(callback: Callback<Application[]>): void;
+    listApplications(search_opts?: SdcObject): Promise<Application[]>;
+
+    getApplication(uuid: string, options: RequestOptions,
+        callback: Callback<Application>): void;
+    getApplication(uuid: string, callback: Callback<Application>): void;
+    getApplication(uuid: string, options?: RequestOptions):
+        Promise<Application>;
+
+    updateApplication(uuid: string, opts: SdcObject, options: RequestOptions,
+        callback: Callback<Application>): void;
+    updateApplication(uuid: string, opts: SdcObject,
+        callback: Callback<Application>): void;
+    updateApplication(uuid: string, opts: SdcObject, options?: RequestOptions):
+        Promise<Application>;
+
+    deleteApplication(uuid: string, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteApplication(uuid: string, callback: Callback<void>): void;
+    deleteApplication(uuid: string, options?: RequestOptions): Promise<void>;
+
+    createService(name: string, application_uuid: string, opts: SdcObject,
+        callback: Callback<Service>): void;
+    createService(name: string, application_uuid: string,
+        callback: Callback<Service>): void;
+    createService(name: string, application_uuid: string, opts?: SdcObject):
+        Promise<Service>;
+
+    listServices(search_opts: SdcObject, callback: Callback<Service[]>):
+        void;
+    listServices(callback: Callback<Service[]>): void;
+    listServices(search_opts?: SdcObject): Promise<Service[]>;
+
+    getService(uuid: string, options: RequestOptions,
+        callback: Callback<Service>): void;
+    getService(uuid: string, callback: Callback<Service>): void;
+    getService(uuid: string, options?: RequestOptions): Promise<Service>;
+
+    updateService(uuid: string, opts: SdcObject, options: RequestOptions,
+        callback: Callback<Service>): void;
+    updateService(uuid: string, opts: SdcObject,
+        callback: Callback<Service>): void;
+    updateService(uuid: string, opts: SdcObject, options?: RequestOptions):
+        Promise<Service>;
+
+    deleteService(uuid: string, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteService(uuid: string, callback: Callback<void>): void;
+    deleteService(uuid: string, options?: RequestOptions): Promise<void>;
+
+    createInstance(service_uuid: string, opts: SdcObject,
+        callback: Callback<Instance>): void;
+    createInstance(service_uuid: string, callback: Callback<Instance>): void;
+    createInstance(service_uuid: string, opts?: SdcObject):
+        Promise<Instance>;
+
+    /** Creates an instance without waiting for its VM: see `job_uuid`. */
+    createInstanceAsync(service_uuid: string, opts: SdcObject,
+        callback: Callback<Instance>): void;
+    createInstanceAsync(service_uuid: string, callback: Callback<Instance>):
+        void;
+    createInstanceAsync(service_uuid: string, opts?: SdcObject):
+        Promise<Instance>;
+
+    createInstanceAndWait(service_uuid: string, opts: SdcObject,
+        options: WaitOptions, callback: Callback<Instance>): void;
+    createInstanceAndWait(service_uuid: string, opts: SdcObject,
+        callback: Callback<Instance>): void;
+    createInstanceAndWait(service_uuid: string,
+        callback: Callback<Instance>): void;
+    createInstanceAndWait(service_uuid: string, opts?: SdcObject,
+        options?: WaitOptions): Promise<Instance>;
+
+    listInstances(search_opts: SdcObject, callback: Callback<Instance[]>):
+        void;
+    listInstances(callback: Callback<Instance[]>): void;
+    listInstances(search_opts?: SdcObject): Promise<Instance[]>;
+
+    listInstancesStream(search_opts?: SdcObject,
+        options?: { pageSize?: number }): ListStream<Instance>;
+
+    getInstance(uuid: string, options: RequestOptions,
+        callback: Callback<Instance>): void;
+    getInstance(uuid: string, callback: Callback<Instance>): void;
+    getInstance(uuid: string, options?: RequestOptions): Promise<Instance>;
+
+    reprovisionInstance(uuid: string, image_uuid: string,
+        callback: Callback<Instance>): void;
+    reprovisionInstance(uuid: string, image_uuid: string): Promise<Instance>;
+
+    updateInstance(uuid: string, opts: SdcObject, options: RequestOptions,
+        callback: Callback<Instance>): void;
+    updateInstance(uuid: string, opts: SdcObject,
+        callback: Callback<Instance>): void;
+    updateInstance(uuid: string, opts: SdcObject, options?: RequestOptions):
+        Promise<Instance>;
+
+    deleteInstance(uuid: string, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteInstance(uuid: string, callback: Callback<void>): void;
+    deleteInstance(uuid: string, options?: RequestOptions): Promise<void>;
+
+    getInstancePayload(uuid: string, callback: Callback<SdcObject>): void;
+    getInstancePayload(uuid: string): Promise<SdcObject>;
+
+    createManifest(manifest: SdcObject, callback: Callback<SdcObject>): void;
+    createManifest(manifest: SdcObject): Promise<SdcObject>;
+
+    listManifests(callback: Callback<SdcObject[]>): void;
+    listManifests(): Promise<SdcObject[]>;
+
+    getManifest(uuid: string, callback: Callback<SdcObject>): void;
+    getManifest(uuid: string): Promise<SdcObject>;
+
+    deleteManifest(uuid: string, callback: Callback<void>): void;
+    deleteManifest(uuid: string): Promise<void>;
+
+    getConfig(uuid: string, options: RequestOptions,
+        callback: Callback<SdcObject>): void;
+    getConfig(uuid: string, callback: Callback<SdcObject>): void;
+    getConfig(uuid: string, options?: RequestOptions): Promise<SdcObject>;
+
+    getMode(callback: Callback<string>): void;
+    getMode(): Promise<string>;
+
+    setMode(mode: string, callback: Callback<void>): void;
+    setMode(mode: string): Promise<void>;
+
+    getPayload(uuid: string, callback: Callback<SdcObject>): void;
+    getPayload(uuid: string): Promise<SdcObject>;
+
+    addHistory(opts: { uuid: string; started: number; changes: object;
+        [field: string]: any }, callback: Callback<SdcObject>): void;
+    addHistory(opts: { uuid: string; started: number; changes: object;
+        [field: string]: any }): Promise<SdcObject>;
+
+    listHistory(search_opts: SdcObject, callback: Callback<SdcObject[]>):
+        void;
+    listHistory(callback: Callback<SdcObject[]>): void;
+    listHistory(search_opts?: SdcObject): Promise<SdcObject[]>;
+
+    getHistory(uuid: string, callback: Callback<SdcObject>): void;
+    getHistory(uuid: string): Promise<SdcObject>;
+
+    updateHistory(uuid: string, opts: SdcObject,
+        callback: Callback<SdcObject>): void;
+    updateHistory(uuid: string, opts: SdcObject): Promise<SdcObject>;
+
+    deleteHistory(uuid: string, callback: Callback<void>): void;
+    deleteHistory(uuid: string): Promise<void>;
+
+    getApplicationObjects(app_uuid: string, opts: SdcObject,
+        cb: Callback<ApplicationObjects>): void;
+    getApplicationObjects(app_uuid: string,
+        cb: Callback<ApplicationObjects>): void;
+    getApplicationObjects(app_uuid: string, opts?: SdcObject):
+        Promise<ApplicationObjects>;
+
+    getOrCreateApplication(name: string, owner_uuid: string,
+        files: string | string[], extra_opts: SdcObject | null,
+        cb: Callback<Application>): void;
+    getOrCreateApplication(name: string, owner_uuid: string,
+        files: string | string[], cb: Callback<Application>): void;
+    getOrCreateApplication(name: string, owner_uuid: string,
+        files: string | string[], extra_opts?: SdcObject | null):
+        Promise<Application>;
+
+    getOrCreateService(name: string, application_uuid: string,
+        files: string | string[], extra_opts: SdcObject | null,
+        cb: Callback<Service>): void;
+    getOrCreateService(name: string, application_uuid: string,
+        files: string | string[], cb: Callback<Service>): void;
+    getOrCreateService(name: string, application_uuid: string,
+        files: string | string[], extra_opts?: SdcObject | null):
+        Promise<Service>;
+
+    readManifest(dirname: string, cb: Callback<SdcObject>): void;
+    readManifest(dirname: string): Promise<SdcObject>;
+
+    readAndMergeFiles(files: string | string[], cb: Callback<SdcObject>):
+        void;
+    readAndMergeFiles(files: string | string[]): Promise<SdcObject>;
+
+    loadManifests(dirname: string, cb: Callback<SdcObject>): void;
+    loadManifests(dirname: string): Promise<SdcObject>;
+
+    /**
+     * Gets the application, service or instance with a UUID, with its
+     * `type` set, or null.
+     */
+    whatis(uuid: string,
+        cb: Callback<Application | Service | Instance | null>): void;
+    whatis(uuid: string): Promise<Application | Service | Instance | null>;
+}
+
+
+// -- WFAPI
+
+export class WFAPI extends RestifyClient {
+    constructor(options: ClientOptions);
+
+    ping(callback: Callback<SdcObject>): void;
+    ping(): Promise<SdcObject>;
+
+    listJobs(params: SdcObject, options: RequestOptions,
+        callback: Callback<Job[]>): void;
+    listJobs(params: SdcObject, callback: Callback<Job[]>): void;
+    listJobs(callback: Callback<Job[]>): void;
+    listJobs(params?: SdcObject, options?: RequestOptions): Promise<Job[]>;
+
+    getJob(uuid: string, options: RequestOptions,
+        callback: Callback<Job>): void;
+    getJob(uuid: string, callback: Callback<Job>): void;
+    getJob(uuid: string, options?: RequestOptions): Promise<Job>;
+
+    cancelJob(uuid: string, options: RequestOptions,
+        callback: Callback<Job>): void;
+    cancelJob(uuid: string, callback: Callback<Job>): void;
+    cancelJob(uuid: string, options?: RequestOptions): Promise<Job>;
+
+    /**
+     * Polls a job until it has finished, failing with a JobFailedError if
+     * it failed or was canceled.
+     */
+    waitForJob(uuid: string, options: WaitOptions,
+        callback: Callback<Job>): void;
+    waitForJob(uuid: string, callback: Callback<Job>): void;
+    waitForJob(uuid: string, options?: WaitOptions): Promise<Job>;
+}
+
+
+// -- UsageAPI
+
+export interface CreateReportParams {
+    start: string;
+    end: string;
+    owners?: string[];
+}
+
+export class UsageAPI extends RestifyClient {
+    constructor(options: ClientOptions);
+
+    ping(callback: Callback<SdcObject>): void;
+    ping(): Promise<SdcObject>;
+
+    createReport(params: CreateReportParams, options: RequestOptions,
+        callback: Callback<UsageReport>): void;
+    createReport(params: CreateReportParams,
+        callback: Callback<UsageReport>): void;
+    createReport(params: CreateReportParams, options?: RequestOptions):
+        Promise<UsageReport>;
+
+    listReports(params: SdcObject, options: RequestOptions,
+        callback: Callback<UsageReport[]>): void;
+    listReports(params: SdcObject, callback: Callback<UsageReport[]>): void;
+    listReports(callback: Callback<UsageReport[]>): void;
+    listReports(params?: SdcObject, options?: RequestOptions):
+        Promise<UsageReport[]>;
+
+    getReport(uuid: string, options: RequestOptions,
+        callback: Callback<UsageReport>): void;
+    getReport(uuid: string, callback: Callback<UsageReport>): void;
+    getReport(uuid: string, options?: RequestOptions): Promise<UsageReport>;
+
+    deleteReport(uuid: string, options: RequestOptions,
+        callback: Callback<void>): void;
+    deleteReport(uuid: string, callback: Callback<void>): void;
+    deleteReport(uuid: string, options?: RequestOptions): Promise<void>;
+
+    getReportResults(uuid: string, options: RequestOptions,
+        callback: Callback<SdcObject[]>): void;
+    getReportResults(uuid: string, callback: Callback<SdcObject[]>): void;
+    getReportResults(uuid: string, options?: RequestOptions):
+        Promise<SdcObject[]>;
+
+    waitForReport(uuid: string, options: WaitOptions,
+        callback: Callback<UsageReport>): void;
+    waitForReport(uuid: string, callback: Callback<UsageReport>): void;
+    waitForReport(uuid: string, options?: WaitOptions): Promise<UsageReport>;
+}
+
+
+// -- Amon
+
+export interface AmonOptions {
+    url: string;
+    log?: Logger;
+    rateLimit?: RateLimit;
+    maxInFlight?: number;
+    agent?: http.Agent | boolean;
+    connectTimeout?: number;
+}
+
+export interface ListAlarmsOptions {
+    state?: 'recent' | 'open' | 'closed' | 'all';
+    probeGroup?: string;
+}
+
+export class Amon {
+    constructor(options: AmonOptions);
+
+    log: Logger;
+
+    close(): void;
+    queueStats(): QueueStats;
+
+    ping(callback: Callback<SdcObject>): void;
+    ping(): Promise<SdcObject>;
+
+    listProbeGroups(user: string, callback: Callback<SdcObject[]>): void;
+    listProbeGroups(user: string): Promise<SdcObject[]>;
+
+    createProbeGroup(user: string, probeGroup: SdcObject,
+        callback: Callback<SdcObject>): void;
+    createProbeGroup(user: string, probeGroup: SdcObject):
+        Promise<SdcObject>;
+
+    putProbeGroup(user: string, uuid: string, probeGroup: SdcObject,
+        callback: Callback<SdcObject>): void;
+    putProbeGroup(user: string, uuid: string, probeGroup: SdcObject):
+        Promise<SdcObject>;
+
+    deleteProbeGroup(user: string, uuid: string, callback: Callback<void>):
+        void;
+    deleteProbeGroup(user: string, uuid: string): Promise<void>;
+
+    getProbeGroup(user: string, uuid: string, callback: Callback<SdcObject>):
+        void;
+    getProbeGroup(user: string, uuid: string): Promise<SdcObject>;
+
+    listProbes(user: string, callback: Callback<SdcObject[]>): void;
+    listProbes(user: string): Promise<SdcObject[]>;
+
+    createProbe(user: string, probe: SdcObject,
+        callback: Callback<SdcObject>): void;
+    createProbe(user: string, probe: SdcObject): Promise<SdcObject>;
+
+    putProbe(user: string, uuid: string, probe: SdcObject,
+        callback: Callback<SdcObject>): void;
+    putProbe(user: string, uuid: string, probe: SdcObject):
+        Promise<SdcObject>;
+
+    deleteProbe(user: string, uuid: string, callback: Callback<void>): void;
+    deleteProbe(user: string, uuid: string): Promise<void>;
+
+    getProbe(user: string, uuid: string, callback: Callback<SdcObject>):
+        void;
+    getProbe(user: string, uuid: string): Promise<SdcObject>;
+
+    listAllAlarms(callback: Callback<SdcObject[]>): void;
+    listAllAlarms(): Promise<SdcObject[]>;
+
+    listAlarms(user: string, options: ListAlarmsOptions,
+        callback: Callback<SdcObject[]>): void;
+    listAlarms(user: string, callback: Callback<SdcObject[]>): void;
+    listAlarms(user: string, options?: ListAlarmsOptions):
+        Promise<SdcObject[]>;
+
+    getAlarm(user: string, id: number, callback: Callback<SdcObject>): void;
+    getAlarm(user: string, id: number): Promise<SdcObject>;
+
+    closeAlarm(user: string, id: number, callback: Callback<void>): void;
+    closeAlarm(user: string, id: number): Promise<void>;
+
+    reopenAlarm(user: string, id: number, callback: Callback<void>): void;
+    reopenAlarm(user: string, id: number): Promise<void>;
+
+    deleteAlarm(user: string, id: number, callback: Callback<void>): void;
+    deleteAlarm(user: string, id: number): Promise<void>;
+}
+
+
+// -- CA
+
+export interface CAOptions {
+    url: string;
+    log?: Logger;
+    rateLimit?: RateLimit;
+    maxInFlight?: number;
+    headers?: Headers;
+    agent?: http.Agent | boolean;
+}
+
+/**
+ * The Cloud Analytics client. Its methods have several aliases, e.g.
+ * `getHeatmap` for `getHeatmapImage`.
+ */
+export class CA {
+    constructor(options: CAOptions);
+
+    log: Logger;
+
+    close(): void;
+    queueStats(): QueueStats;
+
+    listSchema(customer: string, callback: Callback<SdcObject>): void;
+    listSchema(customer: string): Promise<SdcObject>;
+    getSchema: CA['listSchema'];
+    list: CA['listSchema'];
+    describe: CA['listSchema'];
+
+    listInstrumentations(customer: string, callback: Callback<SdcObject[]>):
+        void;
+    listInstrumentations(customer: string): Promise<SdcObject[]>;
+
+    createInstrumentation(customer: string, params: SdcObject,
+        callback: Callback<SdcObject>): void;
+    createInstrumentation(customer: string, params: SdcObject):
+        Promise<SdcObject>;
+
+    cloneInstrumentation(customer: string, instrumentation: string,
+        params: SdcObject, callback: Callback<SdcObject>): void;
+    cloneInstrumentation(customer: string, instrumentation: string,
+        callback: Callback<SdcObject>): void;
+    cloneInstrumentation(customer: string, instrumentation: string,
+        params?: SdcObject): Promise<SdcObject>;
+
+    getInstrumentation(customer: string, instrumentation: string,
+        callback: Callback<SdcObject>): void;
+    getInstrumentation(customer: string, instrumentation: string):
+        Promise<SdcObject>;
+
+    getInstrumentationValueRaw(customer: string, instrumentation: string,
+        params: SdcObject, callback: Callback<SdcObject>): void;
+    getInstrumentationValueRaw(customer: string, instrumentation: string,
+        callback: Callback<SdcObject>): void;
+    getInstrumentationValueRaw(customer: string, instrumentation: string,
+        params?: SdcObject): Promise<SdcObject>;
+    getInstrumentationValue: CA['getInstrumentationValueRaw'];
+
+    getHeatmapImage(customer: string, instrumentation: string,
+        params: SdcObject, callback: Callback<SdcObject>): void;
+    getHeatmapImage(customer: string, instrumentation: string,
+        callback: Callback<SdcObject>): void;
+    getHeatmapImage(customer: string, instrumentation: string,
+        params?: SdcObject): Promise<SdcObject>;
+    getHeatmap: CA['getHeatmapImage'];
+    getInstrumentationHeatmap: CA['getHeatmapImage'];
+    getInstrumentationHeatmapImage: CA['getHeatmapImage'];
+
+    getHeatmapDetails(customer: string, instrumentation: string,
+        params: SdcObject, callback: Callback<SdcObject>): void;
+    getHeatmapDetails(customer: string, instrumentation: string,
+        callback: Callback<SdcObject>): void;
+    getHeatmapDetails(customer: string, instrumentation: string,
+        params?: SdcObject): Promise<SdcObject>;
+    getInstrumentationHeatmapDetails: CA['getHeatmapDetails'];
+
+    deleteInstrumentation(customer: string, instrumentation: string,
+        callback: Callback<void>): void;
+    deleteInstrumentation(customer: string, instrumentation: string):
+        Promise<void>;
+    destroyInstrumentation: CA['deleteInstrumentation'];
+}
+
+
+// -- UFDS
+
+/**
+ * The UFDS client, from the 'ufds' package.
+ */
+export const UFDS: any;
+
+
+
+// --- All the clients
+
+/**
+ * The options of the client of an API in an SdcConfig: its URL, or its
+ * client options.
+ */
+export type SdcApiConfig<T> = string | T;
+
+/**
+ * The config of createSdcClients: the APIs, as their URLs or client
+ * options, or as their domain names in SAPI metadata, and the options for
+ * all the clients.
+ */
+export interface SdcConfig {
+    amon?: SdcApiConfig<AmonOptions>;
+    cnapi?: SdcApiConfig<ClientOptions>;
+    fwapi?: SdcApiConfig<ClientOptions>;
+    imgapi?: SdcApiConfig<IMGAPIOptions>;
+    napi?: SdcApiConfig<ClientOptions>;
+    papi?: SdcApiConfig<PAPIOptions>;
+    sapi?: SdcApiConfig<Partial<SAPIOptions> & { url: UrlOption }>;
+    vmapi?: SdcApiConfig<ClientOptions>;
+    wfapi?: SdcApiConfig<ClientOptions>;
+    AMON_SERVICE?: string;
+    CNAPI_SERVICE?: string;
+    FWAPI_SERVICE?: string;
+    IMGAPI_SERVICE?: string;
+    NAPI_SERVICE?: string;
+    PAPI_SERVICE?: string;
+    SAPI_SERVICE?: string;
+    VMAPI_SERVICE?: string;
+    WORKFLOW_SERVICE?: string;
+    agent?: http.Agent | boolean;
+    log?: Logger;
+    requestId?: RequestId;
+    retryPolicy?: RetryPolicy | boolean;
+    metrics?: MetricsCollector;
+    cassette?: Cassette;
+    connectTimeout?: number;
+    userAgent?: string;
+    // Other SAPI metadata.
+    [key: string]: any;
+}
+
+/**
+ * The clients of the APIs in an SdcConfig.
+ */
+export interface SdcClients {
+    amon?: Amon;
+    cnapi?: CNAPI;
+    fwapi?: FWAPI;
+    imgapi?: IMGAPI;
+    napi?: NAPI;
+    papi?: PAPIClient;
+    sapi?: SAPI;
+    vmapi?: VMAPI;
+    wfapi?: WFAPI;
+    agent: http.Agent | boolean;
+    log: Logger;
+    /** Closes all the clients, and the agent if it was created for them. */
+    close(): void;
+}
+
+/**
+ * Creates the clients of the APIs in a config, sharing an HTTP agent,
+ * logger, request id and retry policy (see "sdc.js").
+ */
+export function createSdcClients(config: SdcConfig): SdcClients;
+
+
+
+// --- Discovery
+
+/**
+ * The names of the APIs that Discovery looks up.
+ */
+export type DiscoveredApi = 'amon' | 'cnapi' | 'fwapi' | 'imgapi' | 'napi' |
+    'papi' | 'vmapi' | 'wfapi';
+
+export interface DiscoveryOptions {
+    url?: string;
+    sapi?: SAPI;
+    application?: string;
+    age?: number;
+    log?: Logger;
+    agent?: http.Agent | boolean;
+}
+
+/**
+ * Looks the URLs of the SDC APIs up in SAPI (see "discovery.js").
+ */
+export class Discovery {
+    constructor(options: DiscoveryOptions);
+
+    sapi: SAPI;
+    application: string;
+    log: Logger;
+
+    getUrls(callback: Callback<{ [api in DiscoveredApi]?: string }>): void;
+    refresh(callback: Callback<{ [api in DiscoveredApi]?: string }>): void;
+    getUrl(name: DiscoveredApi, callback: Callback<string>): void;
+    /** A `url` option for the API's client. */
+    resolver(name: DiscoveredApi):
+        (callback: (err: Error | null, url?: string) => void) => void;
+    createClients(config: SdcConfig, callback: Callback<SdcClients>): void;
+    close(): void;
+}
+
+
+
+// --- Record and replay
+
+/**
+ * A request, as recorded to a cassette.
+ */
+export interface CassetteRequest {
+    method: string;
+    path: string;
+    query?: SdcObject;
+    body?: any;
+}
+
+export interface CassetteOptions {
+    path: string;
+    mode: 'record' | 'replay';
+    match?: (recorded: CassetteRequest, request: CassetteRequest) => boolean;
+    log?: Logger;
+}
+
+/**
+ * Records the calls of the clients given it as their `cassette` option to
+ * a file, or replays them from it (see "cassette.js").
+ */
+export class Cassette {
+    constructor(options: CassetteOptions);
+
+    path: string;
+    mode: 'record' | 'replay';
+
+    /** Writes the recorded calls to the cassette file. */
+    save(callback: (err?: Error | null) => void): void;
+
+    /** The recorded requests that were not replayed. */
+    unplayed(): CassetteRequest[];
+}
+
+
+
+// --- Errors
+
+export namespace errors {
+    interface FieldError {
+        field: string;
+        code: string;
+        message: string;
+    }
+
+    interface SdcErrorOptions {
+        cause?: Error;
+        message?: string;
+        statusCode?: number;
+        restCode?: string;
+        body?: any;
+    }
+
+    /**
+     * The base class of the client errors (a verror WError).
+     */
+    class SdcError extends Error {
+        constructor(options?: SdcErrorOptions | string);
+        code: string;
+        statusCode?: number;
+        restCode?: string;
+        body?: any;
+        cause(): Error | undefined;
+    }
+
+    class NotFoundError extends SdcError {}
+
+    class ConflictError extends SdcError {}
+    class PreconditionFailedError extends SdcError {}
+
+    class ValidationError extends SdcError {
+        constructor(options?: SdcErrorOptions & { errors?: FieldError[] });
+        errors: FieldError[];
+    }
+
+    class UnavailableError extends SdcError {}
+
+    class CircuitOpenError extends UnavailableError {
+        constructor(options?: SdcErrorOptions & { url?: string });
+        url?: string;
+    }
+
+    class TimeoutError extends SdcError {}
+
+    class AbortedError extends SdcError {}
+
+    class JobFailedError extends SdcError {
+        constructor(options?: SdcErrorOptions & { job?: Job });
+        job?: Job;
+    }
+
+    class TaskFailedError extends SdcError {
+        constructor(options?: SdcErrorOptions & { task?: Task });
+        task?: Task;
+    }
+
+    class ChecksumError extends SdcError {
+        constructor(cause: Error | null, actual: string, expected: string);
+    }
+
+    class SigningError extends SdcError {
+        constructor(cause?: Error);
+    }
+
+    class UnmatchedRequestError extends SdcError {
+        constructor(options: { request: CassetteRequest });
+        request: CassetteRequest;
+    }
+
+    class InvalidResponseError extends SdcError {
+        constructor(options?: SdcErrorOptions & { errors?: FieldError[] });
+        errors: FieldError[];
+    }
+
+    /** Translates an error from a restify client into one of these. */
+    function translateError(err: Error | null): Error | null;
+
+    function translateRawError(err: Error,
+        res: http.IncomingMessage | undefined,
+        callback: (err: Error) => void): void;
+}
+
+
+
+// --- Schemas
+
+export namespace schemas {
+    type SchemaName = 'vm' | 'createVm' | 'server' | 'nic' | 'createNic' |
+        'network' | 'createNetwork' | 'image' | 'createImage' | 'package' |
+        'createPackage' | 'rule' | 'createRule' | 'application' |
+        'createApplication' | 'service' | 'createService' | 'instance' |
+        'createInstance';
+
+    interface Route {
+        request?: SchemaName;
+        response?: SchemaName;
+        list?: boolean;
+    }
+
+    /** The JSON schemas (draft 03), by name. */
+    const SCHEMAS: { [name in SchemaName]: object };
+
+    /** The schemas of each API's endpoints, by API and route. */
+    const ROUTES: { [api: string]: { [route: string]: Route } };
+
+    /**
+     * Validates a value (or, with `list`, an array of them) against a
+     * schema, returning the field-level errors.
+     */
+    function validate(name: SchemaName, value: any,
+        options?: { list?: boolean; partial?: boolean }): errors.FieldError[];
+
+    function routeKey(method: string, path: string, query?: object): string;
+}
+
+
+
+// --- Fakes
+
+interface FakeOptions {
+    log?: Logger;
+}
+
+/**
+ * The base of the fakes: an HTTP server on 127.0.0.1 that keeps its
+ * objects in memory (see "fakes/common.js").
+ */
+declare class FakeServer {
+    constructor(options?: FakeOptions);
+    name: string;
+    log: Logger;
+    url: string | null;
+    jobs: { [uuid: string]: Job };
+    start(callback: (err: Error | null, url: string) => void): void;
+    close(callback?: () => void): void;
+    /** Has the next job fail with the given message. */
+    failNextJob(message: string): void;
+}
+
+export namespace fakes {
+    const ADMIN_UUID: string;
+    const ADMIN_NETWORK_UUID: string;
+    const EXTERNAL_NETWORK_UUID: string;
+    const HEADNODE_UUID: string;
+
+    class FakeAmon extends FakeServer {
+        probeGroups: { [uuid: string]: SdcObject };
+        probes: { [uuid: string]: SdcObject };
+        alarms: SdcObject[];
+    }
+
+    class FakeCNAPI extends FakeServer {
+        servers: { [uuid: string]: Server };
+        tasks: { [id: string]: Task };
+        tickets: { [uuid: string]: SdcObject };
+    }
+
+    class FakeFWAPI extends FakeServer {
+        constructor(options?: FakeOptions & { vmapi?: FakeVMAPI });
+        rules: { [uuid: string]: Rule };
+        updates: { [uuid: string]: SdcObject };
+    }
+
+    class FakeIMGAPI extends FakeServer {
+        images: { [uuid: string]: Image };
+    }
+
+    class FakeNAPI extends FakeServer {
+        networks: { [uuid: string]: Network };
+        nics: { [mac: string]: Nic };
+        nicTags: { [name: string]: NicTag };
+        pools: { [uuid: string]: NetworkPool };
+    }
+
+    class FakePAPI extends FakeServer {
+        packages: { [uuid: string]: Package };
+    }
+
+    class FakeSAPI extends FakeServer {
+        applications: { [uuid: string]: Application };
+        services: { [uuid: string]: Service };
+        instances: { [uuid: string]: Instance };
+    }
+
+    class FakeVMAPI extends FakeServer {
+        constructor(options?: FakeOptions & { napi?: FakeNAPI });
+        vms: { [uuid: string]: Vm };
+    }
+
+    interface AllFakes {
+        amon: FakeAmon;
+        cnapi: FakeCNAPI;
+        fwapi: FakeFWAPI;
+        imgapi: FakeIMGAPI;
+        napi: FakeNAPI;
+        papi: FakePAPI;
+        sapi: FakeSAPI;
+        vmapi: FakeVMAPI;
+        close(callback?: () => void): void;
+    }
+
+    /** Starts a fake of each API, linked to each other. */
+    function startAll(options: FakeOptions,
+        callback: (err: Error | null, fakes: AllFakes) => void): void;
+}
+
+
+
+// Only what is exported above is public.
+export {};
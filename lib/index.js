@@ -24,6 +24,9 @@ module.exports = {
     get VMAPI() {
         return require('./vmapi');
     },
+    get VmQuery() {
+        return require('./vmquery').VmQuery;
+    },
     get CNAPI() {
         return require('./cnapi');
     },
@@ -36,13 +39,34 @@ module.exports = {
     get DSAPI() {
         return require('./dsapi');
     },
+    get Cassette() {
+        return require('./cassette').Cassette;
+    },
+    get errors() {
+        return require('./errors');
+    },
+    get fakes() {
+        return require('./fakes');
+    },
     get UsageAPI() {
         return require('./usageapi');
     },
+    get schemas() {
+        return require('./schemas');
+    },
     get SAPI() {
         return require('./sapi');
     },
     get PAPI() {
         return require('./papi');
+    },
+    get WFAPI() {
+        return require('./wfapi');
+    },
+    get createSdcClients() {
+        return require('./sdc').createSdcClients;
+    },
+    get Discovery() {
+        return require('./discovery');
     }
 };
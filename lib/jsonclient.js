@@ -0,0 +1,1025 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * A wrapper around the restify JSON client that adds the request handling
+ * shared by all the SDC clients: retries with backoff, failover between
+ * several endpoint URLs, 'x-request-id' propagation, the translation of
+ * errors (see "errors.js"), metrics (see "metrics.js"), trace logging (see
+ * "logging.js"), optional circuit breakers (see "breaker.js"),
+ * cancellation (see "abort.js"), record/replay (see "cassette.js") and the
+ * optional validation of request and response bodies (see "schemas").
+ *
+ * It has the same interface as the restify JSON client it wraps, i.e.
+ * `get(opts, cb)`, `post(opts, body, cb)` and so on with callbacks of the
+ * form `function (err, req, res, obj)`, so it can be dropped in wherever
+ * `restify.createJsonClient()` was used.
+ */
+
+var assert = require('assert-plus');
+var backoff = require('backoff');
+var restify = require('restify');
+
+var abort = require('./abort');
+var breaker = require('./breaker');
+var errors = require('./errors');
+var Limiter = require('./limiter').Limiter;
+var logging = require('./logging');
+var metrics = require('./metrics');
+var schemas = require('./schemas');
+
+
+
+// --- Globals
+
+/*
+ * The default retry policy:
+ *
+ * - maxAttempts {Number} Total number of attempts, including the first one.
+ *   1 means no retries.
+ * - initialDelay {Number} Delay in ms before the first retry.
+ * - maxDelay {Number} Upper bound in ms for the delay between attempts.
+ * - jitter {Number} Randomisation factor (0 to 1) applied to each delay.
+ * - statusCodes {Array} HTTP response status codes that are retried.
+ * - idempotentOnly {Boolean} Only retry idempotent requests (GET, HEAD, PUT,
+ *   DELETE, OPTIONS).
+ */
+var DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    initialDelay: 100,
+    maxDelay: 5000,
+    jitter: 0.2,
+    statusCodes: [500, 502, 503, 504],
+    idempotentOnly: true
+};
+
+var IDEMPOTENT_METHODS = ['DELETE', 'GET', 'HEAD', 'OPTIONS', 'PUT'];
+
+// restify client method names and the HTTP methods they make.
+var HTTP_METHODS = {
+    del: 'DELETE',
+    get: 'GET',
+    head: 'HEAD',
+    patch: 'PATCH',
+    post: 'POST',
+    put: 'PUT'
+};
+
+// Connection-level errors that are worth retrying.
+var RETRYABLE_ERRNOS = [
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'EPIPE',
+    'ETIMEDOUT'
+];
+var RETRYABLE_ERROR_NAMES = ['ConnectTimeoutError'];
+
+// Connection errors for which the request was not sent, so that it can be
+// sent to the next endpoint whatever its method.
+var FAILOVER_ERRNOS = [
+    'ECONNREFUSED',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'ENOTFOUND'
+];
+var FAILOVER_ERROR_NAMES = ['ConnectTimeoutError'];
+
+// Options that are handled here rather than by restify.
+var CLIENT_OPTIONS = ['cassette', 'circuitBreaker', 'ifMatch', 'ifNoneMatch',
+    'maxInFlight', 'metrics', 'rateLimit', 'requestId', 'retryPolicy',
+    'roundRobin', 'schemaRoutes', 'signal', 'validate'];
+
+// The request options for conditional requests, and their headers.
+var CONDITIONAL_HEADERS = {
+    ifMatch: 'if-match',
+    ifNoneMatch: 'if-none-match'
+};
+
+var REQUEST_ID_HEADER = 'x-request-id';
+
+
+
+// --- Internal support
+
+function assertRequestId(requestId, name) {
+    var type = typeof (requestId);
+
+    if (requestId !== undefined && type !== 'string' &&
+        type !== 'function' && type !== 'object') {
+        throw new TypeError(
+            name + ' must be a string, function or object');
+    }
+}
+
+
+/*
+ * Case-insensitive lookup of a request header.
+ */
+function getHeader(headers, name) {
+    if (!headers) {
+        return undefined;
+    }
+
+    var keys = Object.keys(headers);
+    for (var i = 0; i < keys.length; i++) {
+        if (keys[i].toLowerCase() === name) {
+            return headers[keys[i]];
+        }
+    }
+
+    return undefined;
+}
+
+/*
+ * The headers for the `ifMatch` and `ifNoneMatch` options of a call, each an
+ * ETag or an array of them.
+ */
+function conditionalHeaders(opts) {
+    var headers = {};
+
+    Object.keys(CONDITIONAL_HEADERS).forEach(function (k) {
+        if (opts[k] === undefined) {
+            return;
+        }
+        var tags = (Array.isArray(opts[k]) ? opts[k] : [opts[k]]);
+        assert.arrayOfString(tags, k);
+        headers[CONDITIONAL_HEADERS[k]] = tags.join(', ');
+    });
+
+    return headers;
+}
+
+
+/*
+ * Expose the ETag of a response as the non-enumerable `etag` property of the
+ * object in its body, unless the object has an `etag` of its own.
+ */
+function exposeEtag(obj, res) {
+    var tag = res && res.headers && res.headers.etag;
+
+    if (!tag || obj === null || typeof (obj) !== 'object' ||
+        Object.prototype.hasOwnProperty.call(obj, 'etag') ||
+        Object.isFrozen(obj)) {
+        return;
+    }
+
+    Object.defineProperty(obj, 'etag', {
+        value: tag,
+        enumerable: false,
+        configurable: true,
+        writable: true
+    });
+}
+
+
+/*
+ * Returns a new retry policy with the fields of `override` on top of `base`.
+ * An override of `false` disables retries.
+ */
+function mergeRetryPolicy(base, override) {
+    var policy = {};
+
+    Object.keys(base).forEach(function (k) {
+        policy[k] = base[k];
+    });
+
+    if (override === false) {
+        policy.maxAttempts = 1;
+    } else if (override) {
+        assert.object(override, 'retryPolicy');
+        assert.optionalNumber(override.maxAttempts, 'retryPolicy.maxAttempts');
+        assert.optionalNumber(override.initialDelay,
+            'retryPolicy.initialDelay');
+        assert.optionalNumber(override.maxDelay, 'retryPolicy.maxDelay');
+        assert.optionalNumber(override.jitter, 'retryPolicy.jitter');
+        assert.optionalArrayOfNumber(override.statusCodes,
+            'retryPolicy.statusCodes');
+        assert.optionalBool(override.idempotentOnly,
+            'retryPolicy.idempotentOnly');
+
+        Object.keys(override).forEach(function (k) {
+            policy[k] = override[k];
+        });
+    }
+
+    return policy;
+}
+
+
+/*
+ * Returns the validation settings for a `validate` option: null for none,
+ * else whether to validate `requests` and `responses`.
+ */
+function validationOptions(validate) {
+    if (!validate) {
+        return null;
+    } else if (validate === true) {
+        return { requests: true, responses: true };
+    }
+
+    assert.object(validate, 'validate');
+    assert.optionalBool(validate.requests, 'validate.requests');
+    assert.optionalBool(validate.responses, 'validate.responses');
+    return {
+        requests: (validate.requests !== false),
+        responses: (validate.responses !== false)
+    };
+}
+
+
+function isRetryable(policy, method, err) {
+    if (policy.idempotentOnly &&
+        IDEMPOTENT_METHODS.indexOf(HTTP_METHODS[method]) === -1) {
+        return false;
+    }
+
+    if (err.statusCode) {
+        return (policy.statusCodes.indexOf(err.statusCode) !== -1);
+    }
+
+    return (RETRYABLE_ERRNOS.indexOf(err.code) !== -1 ||
+        RETRYABLE_ERROR_NAMES.indexOf(err.name) !== -1);
+}
+
+
+function isFailover(err) {
+    return (!err.statusCode &&
+        (FAILOVER_ERRNOS.indexOf(err.code) !== -1 ||
+        FAILOVER_ERROR_NAMES.indexOf(err.name) !== -1));
+}
+
+
+/*
+ * Honour a 'Retry-After' header given in seconds (e.g. on a 503), as long as
+ * it does not exceed the policy's maximum delay.
+ */
+function retryAfter(res, delay, policy) {
+    var header = res && res.headers && res.headers['retry-after'];
+    var seconds = Number(header);
+
+    if (header && !isNaN(seconds)) {
+        return Math.min(Math.max(delay, seconds * 1000), policy.maxDelay);
+    }
+
+    return delay;
+}
+
+
+
+/**
+ * Resolve a `requestId` option to a request id string. It may be:
+ *
+ * - a string: used as is;
+ * - a function: called (with no arguments) for each request, it returns any
+ *   of the other forms, e.g. to look up the id of the current operation;
+ * - a parent request: a restify request (its `getId()`) or an
+ *   http.IncomingMessage (its 'x-request-id' header);
+ * - a context object with a `requestId` or `req_id` field.
+ *
+ * @param {String|Function|Object} requestId
+ * @return {String} the request id, or undefined.
+ */
+function resolveRequestId(requestId) {
+    if (typeof (requestId) === 'function') {
+        requestId = requestId();
+    }
+
+    if (requestId && typeof (requestId) === 'object') {
+        if (typeof (requestId.getId) === 'function') {
+            return requestId.getId();
+        } else if (getHeader(requestId.headers, REQUEST_ID_HEADER)) {
+            return getHeader(requestId.headers, REQUEST_ID_HEADER);
+        }
+        return requestId.requestId || requestId.req_id;
+    }
+
+    return requestId || undefined;
+}
+
+
+
+// --- Exported Client
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - url {String|Array|Function} The API URL, or a list of URLs of
+ *      instances of the API, or a function of the form f(callback) that
+ *      calls back with f(err, urls) to look them up. With several URLs,
+ *      requests go to the first one until a connection to it fails, then to
+ *      the next one, and so on ("failover"). A function is called on the
+ *      first request, and again after connections to all the URLs failed.
+ *    - cassette {Cassette} Optional. Record the calls to, or replay them
+ *      from, a cassette (see "cassette.js"). When replaying, no request is
+ *      made.
+ *    - roundRobin {Boolean} Optional. Send each call to the next URL in turn,
+ *      rather than sticking to one until it fails.
+ *    - circuitBreaker {Object} Optional. Enables a circuit breaker for each
+ *      URL (see "breaker.js"), with `threshold`, `resetTimeout` and `probe`
+ *      fields as for the CircuitBreaker constructor. The probe's request is
+ *      sent to the URL being probed.
+ *    - log {Object} Optional. Bunyan logger. Every call is logged at the
+ *      'trace' level, with credentials redacted. See "logging.js".
+ *    - maxInFlight {Number} Optional. The most requests to have in flight at
+ *      once. Others wait in a queue (see "limiter.js").
+ *    - metrics {Object} Optional. A metrics collector, told about every call
+ *      made with this client. See "metrics.js".
+ *    - rateLimit {Object} Optional. A rate limit for the requests, as
+ *      `rate` (requests per second) and `burst` (default `rate`) for a
+ *      token bucket. Requests over it wait in a queue (see "limiter.js").
+ *    - requestId {String|Function|Object} Optional. The request id to send
+ *      as the 'x-request-id' header of every request. See resolveRequestId
+ *      for the accepted forms.
+ *    - retryPolicy {Object|Boolean} Optional. Overrides for the default retry
+ *      policy (see DEFAULT_RETRY_POLICY above), or `false` to disable
+ *      retries.
+ *    - validate {Boolean|Object} Optional. Validate the request bodies sent
+ *      and the response bodies received against the schemas given in
+ *      `schemaRoutes`: `true`, or an object with `requests` and `responses`
+ *      booleans to only validate one of them. An invalid request body fails
+ *      the call with a ValidationError without making the request, and an
+ *      invalid response body with an InvalidResponseError.
+ *    - schemaRoutes {Object} Optional. The schemas of the requests and
+ *      responses of the API's endpoints, one of `ROUTES` in "schemas".
+ *      This is given by the API clients, not by their callers.
+ *    - ... any other options allowed to `restify.createJsonClient`
+ */
+function JsonClient(options) {
+    assert.object(options, 'options');
+    assertRequestId(options.requestId, 'options.requestId');
+    assert.optionalObject(options.cassette, 'options.cassette');
+    assert.optionalObject(options.circuitBreaker, 'options.circuitBreaker');
+    assert.optionalBool(options.roundRobin, 'options.roundRobin');
+    assert.optionalObject(options.schemaRoutes, 'options.schemaRoutes');
+    assert.optionalObject(options.rateLimit, 'options.rateLimit');
+    assert.optionalNumber(options.maxInFlight, 'options.maxInFlight');
+
+    var opts = {};
+    Object.keys(options).forEach(function (k) {
+        if (CLIENT_OPTIONS.indexOf(k) === -1 && k !== 'url') {
+            opts[k] = options[k];
+        }
+    });
+
+    this.breakerOptions = options.circuitBreaker;
+    this.cassette = options.cassette;
+    this.metrics = options.metrics;
+    this.requestId = options.requestId;
+    this.retryPolicy = mergeRetryPolicy(DEFAULT_RETRY_POLICY,
+        options.retryPolicy);
+    this.roundRobin = Boolean(options.roundRobin);
+    this.validation = validationOptions(options.validate);
+    this.schemaRoutes = options.schemaRoutes;
+    this.limiter = new Limiter({
+        rate: options.rateLimit && options.rateLimit.rate,
+        burst: options.rateLimit && options.rateLimit.burst,
+        maxInFlight: options.maxInFlight
+    });
+
+    // The restify clients, keyed by URL.
+    this.clients = {};
+    this.urls = [];
+    this._clientOptions = opts;
+    this._current = 0;
+    this._stale = false;
+    this._resolving = null;
+    this._auth = null;
+    this.log = opts.log = logging.clientLogger(options.log);
+
+    if (typeof (options.url) === 'function') {
+        this.resolver = options.url;
+    } else {
+        this._setUrls(typeof (options.url) === 'string' ?
+            [options.url] : options.url);
+    }
+}
+
+
+/**
+ * Set the endpoint URLs, creating the restify clients for the new ones.
+ *
+ * `client`, `url` and `baseUrl` are the restify client, parsed URL and URL
+ * of the first endpoint.
+ *
+ * @param {Array} urls : the URLs.
+ */
+JsonClient.prototype._setUrls = function _setUrls(urls) {
+    assert.arrayOfString(urls, 'urls');
+    if (urls.length === 0) {
+        throw new TypeError('urls must not be empty');
+    }
+
+    var self = this;
+    urls.forEach(function (url) {
+        self._clientFor(url);
+    });
+
+    self.urls = urls.slice();
+    self._current = 0;
+    self.client = self.clients[urls[0]];
+    self.url = self.client.url;
+    self.baseUrl = urls[0];
+};
+
+
+JsonClient.prototype._clientFor = function _clientFor(url) {
+    if (!this.clients[url]) {
+        var opts = {};
+        var clientOpts = this._clientOptions;
+        Object.keys(clientOpts).forEach(function (k) {
+            opts[k] = clientOpts[k];
+        });
+        opts.url = url;
+
+        var client;
+        if (this.cassette) {
+            client = this.cassette.jsonClient(opts);
+        } else {
+            client = restify.createJsonClient(opts);
+        }
+        // Replayed calls make no request to abort.
+        if (!this.cassette || this.cassette.mode === 'record') {
+            this._watchRequests(client);
+        }
+        if (this._auth) {
+            client.basicAuth(this._auth.username, this._auth.password);
+        }
+        this.clients[url] = client;
+    }
+
+    return this.clients[url];
+};
+
+
+/*
+ * Have `_onRequest`, if it is set when a call is made with `client`, called
+ * with the call's http.ClientRequest once there is one, so that it can be
+ * aborted. The restify client methods make their request synchronously, so
+ * `_request` only sets `_onRequest` around its call to them.
+ */
+JsonClient.prototype._watchRequests = function _watchRequests(client) {
+    var self = this;
+    var request = client.request;
+
+    client.request = function watchedRequest(opts, cb) {
+        var onRequest = self._onRequest;
+
+        return (request.call(this, opts, function (err, req) {
+            if (onRequest && req) {
+                onRequest(req);
+            }
+            cb(err, req);
+        }));
+    };
+};
+
+
+/**
+ * Look up the endpoint URLs with the `url` function given to the
+ * constructor, if there is one and they have not been looked up yet or
+ * connections to all of them failed since. If looking them up again fails,
+ * the previous ones are kept.
+ *
+ * @param {Function} callback : of the form f(err).
+ */
+JsonClient.prototype._resolveUrls = function _resolveUrls(callback) {
+    var self = this;
+
+    if (!self.resolver || (self.urls.length && !self._stale)) {
+        callback();
+        return;
+    }
+
+    if (self._resolving) {
+        self._resolving.push(callback);
+        return;
+    }
+
+    self._resolving = [callback];
+    self.resolver(function onResolve(err, urls) {
+        var callbacks = self._resolving;
+        self._resolving = null;
+
+        if (!err) {
+            try {
+                self._setUrls(typeof (urls) === 'string' ? [urls] : urls);
+                self._stale = false;
+            } catch (e) {
+                err = e;
+            }
+        }
+
+        if (err) {
+            self.log.warn({err: err}, 'could not look up API URLs');
+            if (!self.urls.length) {
+                err = new errors.UnavailableError({
+                    cause: err,
+                    message: 'could not look up API URLs: ' + err.message
+                });
+            } else {
+                err = null;
+            }
+        }
+
+        callbacks.forEach(function (cb) {
+            cb(err);
+        });
+    });
+};
+
+
+/*
+ * The endpoint URLs in the order to try them for a call.
+ */
+JsonClient.prototype._endpoints = function _endpoints() {
+    var n = this.urls.length;
+    var start = this._current % n;
+    var order = [];
+
+    if (this.roundRobin) {
+        this._current = (start + 1) % n;
+    }
+
+    for (var i = 0; i < n; i++) {
+        order.push(this.urls[(start + i) % n]);
+    }
+
+    return order;
+};
+
+
+/*
+ * A connection to `url` failed: move on to the next endpoint (unless the
+ * client already did).
+ */
+JsonClient.prototype._failedOver = function _failedOver(url) {
+    if (!this.roundRobin && this.urls[this._current] === url) {
+        this._current = (this._current + 1) % this.urls.length;
+    }
+};
+
+
+/*
+ * The circuit breaker for an endpoint, or undefined if they are disabled.
+ */
+JsonClient.prototype._breaker = function _breaker(url) {
+    var self = this;
+    var opts = self.breakerOptions;
+
+    if (!opts) {
+        return undefined;
+    }
+
+    var probe;
+    if (opts.probe) {
+        probe = function probeUrl(callback) {
+            // The probe makes its request synchronously, see `_request`.
+            self._probeUrl = url;
+            try {
+                opts.probe(callback);
+            } finally {
+                self._probeUrl = undefined;
+            }
+        };
+    }
+
+    return breaker.getCircuitBreaker({
+        url: url,
+        threshold: opts.threshold,
+        resetTimeout: opts.resetTimeout,
+        probe: probe,
+        log: self.log
+    });
+};
+
+
+/**
+ * Get the request id to use for a call: an explicit 'x-request-id' header
+ * in `opts.headers`, else `opts.requestId`, else the client's `requestId`.
+ *
+ * Clients use this to carry the id of an operation over to the follow-up
+ * requests they make for it (e.g. polling a workflow job).
+ *
+ * @param {Object} opts : Optional. Request options or a client method's
+ *        `options` argument.
+ * @return {String} the request id, or undefined if there is none.
+ */
+JsonClient.prototype.getRequestId = function getRequestId(opts) {
+    if (opts && typeof (opts) === 'object') {
+        assertRequestId(opts.requestId, 'requestId');
+        if (getHeader(opts.headers, REQUEST_ID_HEADER)) {
+            return getHeader(opts.headers, REQUEST_ID_HEADER);
+        } else if (opts.requestId !== undefined) {
+            return resolveRequestId(opts.requestId);
+        }
+    }
+
+    return resolveRequestId(this.requestId);
+};
+
+
+/*
+ * Validate the body of a call's request or response, if this client
+ * validates them and there is a schema for them (see "schemas").
+ *
+ * @param {String} which : 'request' or 'response'.
+ * @param {String} method : restify client method name.
+ * @param {Object} reqOpts : the request options.
+ * @param {Object} body : the body, or undefined for none.
+ * @param {Object} res : the response, for a response body.
+ * @return {Error} a ValidationError for a request body or an
+ *         InvalidResponseError for a response body, or null if it is valid.
+ */
+JsonClient.prototype._validate = function _validate(which, method, reqOpts,
+                                                    body, res) {
+    if (!this.validation || !this.validation[which + 's'] ||
+        !this.schemaRoutes || body === undefined) {
+        return null;
+    }
+
+    var route = this.schemaRoutes[schemas.routeKey(HTTP_METHODS[method],
+        reqOpts.path, reqOpts.query)];
+    var name = route && route[which];
+    if (!name) {
+        return null;
+    }
+
+    // A response to a call with a `fields` param only has those fields.
+    var errs = schemas.validate(name, body, {
+        list: (which === 'response' && route.list),
+        partial: Boolean(which === 'response' && reqOpts.query &&
+            reqOpts.query.fields)
+    });
+    if (!errs.length) {
+        return null;
+    }
+
+    var message = which + ' body does not match the "' + name +
+        '" schema: ' + errs.map(function (e) {
+        return ((e.field ? e.field + ' ' : '') + e.message);
+    }).join(', ');
+
+    if (which === 'request') {
+        return new errors.ValidationError({
+            message: message,
+            errors: errs
+        });
+    }
+    return new errors.InvalidResponseError({
+        message: message,
+        errors: errs,
+        statusCode: res && res.statusCode,
+        body: body
+    });
+};
+
+
+/**
+ * Perform a request, retrying it as the retry policy allows.
+ *
+ * @param {String} method : restify client method name ('get', 'post', ...).
+ * @param {String|Object} opts : path or request options. The request options
+ *        may include a `requestId` and a `retryPolicy` to override the
+ *        client's for this call, a `signal` to cancel it with (see
+ *        "abort.js"), and an `ifMatch` or `ifNoneMatch` ETag (or array of
+ *        them) to make it conditional: a changed object fails an `ifMatch`
+ *        call with a PreconditionFailedError, and an unchanged one has an
+ *        `ifNoneMatch` call give a null object.
+ * @param {Object} body : request body, or undefined for none.
+ * @param {Function} callback : of the form f(err, req, res, obj).
+ */
+JsonClient.prototype._request = function _request(method, opts, body,
+                                                  callback) {
+    assert.string(method, 'method');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var policy = self.retryPolicy;
+    var requestId = self.getRequestId(opts);
+    var reqOpts = opts;
+    var signal;
+    // A circuit breaker's probe goes to the endpoint being probed.
+    var probeUrl = self._probeUrl;
+
+    if (typeof (opts) === 'string') {
+        opts = { path: opts };
+    }
+
+    if (typeof (opts) === 'object') {
+        if (opts.retryPolicy !== undefined) {
+            policy = mergeRetryPolicy(policy, opts.retryPolicy);
+        }
+        abort.assertOptionalSignal(opts.signal, 'signal');
+        signal = opts.signal;
+        reqOpts = {};
+        Object.keys(opts).forEach(function (k) {
+            if (CLIENT_OPTIONS.indexOf(k) === -1) {
+                reqOpts[k] = opts[k];
+            }
+        });
+    }
+
+    var extraHeaders = (typeof (opts) === 'object' ?
+        conditionalHeaders(opts) : {});
+    if (requestId && !getHeader(reqOpts.headers, REQUEST_ID_HEADER)) {
+        extraHeaders[REQUEST_ID_HEADER] = requestId;
+    }
+
+    // Don't modify the caller's headers, they may be reused for other calls.
+    if (Object.keys(extraHeaders).length > 0) {
+        var headers = {};
+        Object.keys(reqOpts.headers || {}).forEach(function (k) {
+            headers[k] = reqOpts.headers[k];
+        });
+        Object.keys(extraHeaders).forEach(function (k) {
+            headers[k] = extraHeaders[k];
+        });
+        reqOpts.headers = headers;
+    }
+
+    // A per-call logger must redact credentials too.
+    if (reqOpts.log) {
+        reqOpts.log = logging.clientLogger(reqOpts.log);
+    }
+
+    var strategy = new backoff.ExponentialStrategy({
+        initialDelay: policy.initialDelay,
+        maxDelay: policy.maxDelay,
+        randomisationFactor: policy.jitter
+    });
+    var attempt = 0;
+    var info = {
+        method: HTTP_METHODS[method],
+        url: probeUrl || self.urls[self._current],
+        path: reqOpts.path,
+        requestId: requestId
+    };
+    var requestEnd = metrics.requestStart(self.metrics, info, self.log);
+    var logEnd = logging.requestStart(reqOpts.log || self.log, info, reqOpts);
+    var aborted = false;
+    var done = false;
+    var currentReq;
+    var currentBreaker;
+    var retryTimer;
+    // Releases the limiter slot of the current attempt, or gives up waiting
+    // for one.
+    var release;
+    var cancelWait;
+
+    var stopListening = abort.onAbort(signal, function onAbort() {
+        aborted = true;
+        clearTimeout(retryTimer);
+        if (currentReq) {
+            currentReq.abort();
+        }
+        if (currentBreaker) {
+            currentBreaker.onCancel();
+        }
+        finish(new errors.AbortedError());
+    });
+
+    function endAttempt() {
+        if (cancelWait) {
+            cancelWait();
+            cancelWait = undefined;
+        }
+        if (release) {
+            release();
+            release = undefined;
+        }
+    }
+
+    function finish(err, req, res, obj) {
+        if (done) {
+            return;
+        }
+        done = true;
+        endAttempt();
+        stopListening();
+        requestEnd(err, res, attempt - 1);
+        logEnd(err, res, attempt - 1);
+        callback(err, req, res, obj);
+    }
+
+    function tryEndpoint(order, i) {
+        var url = order[i];
+        var urlBreaker = self._breaker(url);
+
+        info.url = url;
+        if (urlBreaker && !urlBreaker.allowRequest()) {
+            if (i + 1 < order.length) {
+                tryEndpoint(order, i + 1);
+            } else {
+                var openErr = urlBreaker.openError();
+                process.nextTick(function () {
+                    finish(openErr);
+                });
+            }
+            return;
+        }
+
+        var args = [reqOpts];
+        if (body !== undefined) {
+            args.push(body);
+        }
+        args.push(function onResponse(err, req, res, obj) {
+            if (aborted) {
+                return;
+            }
+            currentReq = undefined;
+            currentBreaker = undefined;
+
+            var sdcErr = errors.translateError(err);
+
+            if (urlBreaker) {
+                urlBreaker.onResult(sdcErr);
+            }
+
+            if (err && isFailover(err)) {
+                self._failedOver(url);
+                if (i + 1 < order.length) {
+                    self.log.debug({
+                        err: err,
+                        from: url,
+                        to: order[i + 1]
+                    }, 'failing over %s request', HTTP_METHODS[method]);
+                    tryEndpoint(order, i + 1);
+                    return;
+                }
+                self._stale = Boolean(self.resolver);
+            }
+
+            endAttempt();
+            if (err && attempt < policy.maxAttempts &&
+                isRetryable(policy, method, err)) {
+                var delay = retryAfter(res, strategy.next(), policy);
+                self.log.debug({
+                    err: err,
+                    attempt: attempt,
+                    delay: delay
+                }, 'retrying %s request', HTTP_METHODS[method]);
+                retryTimer = setTimeout(doAttempt, delay);
+                return;
+            }
+
+            if (!err && res && res.statusCode === 304) {
+                // Not modified, see the `ifNoneMatch` option.
+                finish(null, req, res, null);
+                return;
+            }
+
+            exposeEtag(obj, res);
+            finish(sdcErr || self._validate('response', method, reqOpts, obj,
+                res), req, res, obj);
+        });
+
+        var client = self._clientFor(url);
+        currentBreaker = urlBreaker;
+        self._onRequest = function onRequest(req) {
+            currentReq = req;
+            if (aborted) {
+                req.abort();
+            }
+        };
+        try {
+            client[method].apply(client, args);
+        } finally {
+            self._onRequest = undefined;
+        }
+    }
+
+    function doAttempt() {
+        attempt++;
+
+        cancelWait = self.limiter.acquire(function (releaseSlot) {
+            cancelWait = undefined;
+            release = releaseSlot;
+            self._resolveUrls(function (err) {
+                if (aborted) {
+                    return;
+                }
+                if (err) {
+                    finish(err);
+                    return;
+                }
+                tryEndpoint((probeUrl ? [probeUrl] : self._endpoints()), 0);
+            });
+        });
+    }
+
+    if (signal && signal.aborted) {
+        aborted = true;
+        process.nextTick(function () {
+            finish(new errors.AbortedError());
+        });
+        return;
+    }
+
+    var invalid = self._validate('request', method, reqOpts, body);
+    if (invalid) {
+        process.nextTick(function () {
+            finish(invalid);
+        });
+        return;
+    }
+
+    doAttempt();
+};
+
+
+JsonClient.prototype.get = function get(opts, callback) {
+    this._request('get', opts, undefined, callback);
+};
+
+
+JsonClient.prototype.head = function head(opts, callback) {
+    this._request('head', opts, undefined, callback);
+};
+
+
+JsonClient.prototype.del = function del(opts, callback) {
+    this._request('del', opts, undefined, callback);
+};
+
+
+/*
+ * Note: the body is optional for post, put and patch, as it is for the
+ * restify client.
+ */
+JsonClient.prototype.post = function post(opts, body, callback) {
+    if (typeof (body) === 'function') {
+        callback = body;
+        body = undefined;
+    }
+    this._request('post', opts, body, callback);
+};
+
+
+JsonClient.prototype.put = function put(opts, body, callback) {
+    if (typeof (body) === 'function') {
+        callback = body;
+        body = undefined;
+    }
+    this._request('put', opts, body, callback);
+};
+
+
+JsonClient.prototype.patch = function patch(opts, body, callback) {
+    if (typeof (body) === 'function') {
+        callback = body;
+        body = undefined;
+    }
+    this._request('patch', opts, body, callback);
+};
+
+
+/**
+ * The state of the client's request queue (see the `rateLimit` and
+ * `maxInFlight` options), for monitoring.
+ *
+ * @return {Object} with `queued` (the number of requests waiting for the
+ *         rate limit or for a request to finish) and `inFlight`.
+ */
+JsonClient.prototype.queueStats = function queueStats() {
+    return this.limiter.stats();
+};
+
+
+JsonClient.prototype.basicAuth = function basicAuth(username, password) {
+    var self = this;
+
+    self._auth = { username: username, password: password };
+    Object.keys(self.clients).forEach(function (url) {
+        self.clients[url].basicAuth(username, password);
+    });
+};
+
+
+JsonClient.prototype.close = function close() {
+    var self = this;
+
+    Object.keys(self.clients).forEach(function (url) {
+        self.clients[url].close();
+    });
+};
+
+
+
+module.exports = {
+    JsonClient: JsonClient,
+    createJsonClient: function createJsonClient(options) {
+        return new JsonClient(options);
+    },
+    DEFAULT_RETRY_POLICY: DEFAULT_RETRY_POLICY,
+    resolveRequestId: resolveRequestId
+};
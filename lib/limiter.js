@@ -0,0 +1,172 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * A rate limit and concurrency cap for the requests of a client.
+ *
+ * The rate limit is a token bucket: it holds up to `burst` tokens, is
+ * refilled at `rate` tokens per second, and each request takes one. The
+ * cap is the most requests the client has in flight at once. Requests that
+ * either would exceed wait in a queue, and are made in the order they were
+ * queued.
+ *
+ * Each client has its own limiter (see the `rateLimit` and `maxInFlight`
+ * options in "jsonclient.js").
+ */
+
+var assert = require('assert-plus');
+
+
+
+// --- Exported Limiter
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - rate {Number} Optional. Requests per second. No rate limit if not
+ *      given.
+ *    - burst {Number} Optional. The most requests made at once after the
+ *      client was idle, i.e. the size of the token bucket. Default `rate`
+ *      (rounded up), or 1 if that is less.
+ *    - maxInFlight {Number} Optional. The most requests in flight at once.
+ *      No cap if not given.
+ */
+function Limiter(options) {
+    assert.object(options, 'options');
+    assert.optionalNumber(options.rate, 'options.rate');
+    assert.optionalNumber(options.burst, 'options.burst');
+    assert.optionalNumber(options.maxInFlight, 'options.maxInFlight');
+    assert.ok(options.rate === undefined || options.rate > 0,
+        'options.rate must be > 0');
+    assert.ok(options.maxInFlight === undefined || options.maxInFlight >= 1,
+        'options.maxInFlight must be >= 1');
+
+    this.rate = options.rate;
+    this.burst = (options.rate === undefined ? undefined :
+        Math.max(1, options.burst || Math.ceil(options.rate)));
+    this.maxInFlight = options.maxInFlight;
+
+    this.tokens = this.burst;
+    this.inFlight = 0;
+    this._refilledAt = Date.now();
+    this._queue = [];
+    this._timer = null;
+}
+
+
+/*
+ * Add the tokens earned since the last refill.
+ */
+Limiter.prototype._refill = function _refill() {
+    if (this.rate === undefined) {
+        return;
+    }
+
+    var now = Date.now();
+    this.tokens = Math.min(this.burst,
+        this.tokens + (now - this._refilledAt) * this.rate / 1000);
+    this._refilledAt = now;
+};
+
+
+/*
+ * Start the queued requests that can be, in order, and if the next one
+ * waits for a token, set a timer for when it has one.
+ */
+Limiter.prototype._drain = function _drain() {
+    var self = this;
+
+    self._refill();
+    while (self._queue.length > 0 &&
+        (self.maxInFlight === undefined || self.inFlight < self.maxInFlight) &&
+        (self.rate === undefined || self.tokens >= 1)) {
+        var waiter = self._queue.shift();
+        if (self.rate !== undefined) {
+            self.tokens--;
+        }
+        self.inFlight++;
+        waiter.start(self._releaser());
+    }
+
+    if (self._queue.length > 0 && self.rate !== undefined &&
+        self.tokens < 1 && !self._timer &&
+        (self.maxInFlight === undefined || self.inFlight < self.maxInFlight)) {
+        self._timer = setTimeout(function onToken() {
+            self._timer = null;
+            self._drain();
+        }, Math.ceil((1 - self.tokens) * 1000 / self.rate));
+    }
+};
+
+
+/*
+ * A function to release the slot of a started request, once.
+ */
+Limiter.prototype._releaser = function _releaser() {
+    var self = this;
+    var released = false;
+
+    return function release() {
+        if (released) {
+            return;
+        }
+        released = true;
+        self.inFlight--;
+        self._drain();
+    };
+};
+
+
+/**
+ * Wait for a request to be allowed.
+ *
+ * @param {Function} start : called when the request can be made, of the form
+ *        f(release), where `release()` is to be called when the request is
+ *        done. It is called synchronously if there is no wait.
+ * @return {Function} to call to give up waiting (e.g. when the call is
+ *         aborted). It does nothing once the request was started.
+ */
+Limiter.prototype.acquire = function acquire(start) {
+    assert.func(start, 'start');
+
+    var self = this;
+    var waiter = { start: start };
+
+    self._queue.push(waiter);
+    self._drain();
+
+    return function cancel() {
+        var i = self._queue.indexOf(waiter);
+        if (i !== -1) {
+            self._queue.splice(i, 1);
+        }
+    };
+};
+
+
+/**
+ * The state of the limiter, for monitoring.
+ *
+ * @return {Object} with `queued` (the number of requests waiting) and
+ *         `inFlight` (the number of requests being made).
+ */
+Limiter.prototype.stats = function stats() {
+    return {
+        queued: this._queue.length,
+        inFlight: this.inFlight
+    };
+};
+
+
+
+module.exports = {
+    Limiter: Limiter
+};
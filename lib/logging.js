@@ -0,0 +1,220 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Logging of the requests made by the clients.
+ *
+ * All the clients take a bunyan `log` option. At the 'trace' level, they log
+ * a record for every API call once it is done (i.e. after any retries),
+ * with the message "<method> <path>" and these fields:
+ *
+ * - method {String} The HTTP method, e.g. 'GET'.
+ * - url {String} The base URL of the API.
+ * - path {String} The request path, without the query string.
+ * - query {Object} The query params, if any.
+ * - headers {Object} The request headers, if any.
+ * - statusCode {Number} The response status code, if there was a response.
+ * - latency {Number} The duration of the call in ms, including retries.
+ * - retries {Number} The number of retries made.
+ * - req_id {String} The 'x-request-id' of the call, if any.
+ * - err {Error} The error the call failed with, if any.
+ *
+ * Credentials are redacted from these records and from restify's own
+ * `client_req` records: the 'authorization' (e.g. basic auth),
+ * 'x-registry-auth' and similar headers, and query params such as
+ * `password`.
+ */
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var qs = require('querystring');
+var restify = require('restify');
+
+
+
+// --- Globals
+
+var REDACTED = '[redacted]';
+
+var SENSITIVE_HEADERS = [
+    'authorization',
+    'cookie',
+    'proxy-authorization',
+    'x-auth-token',
+    'x-registry-auth'
+];
+
+var SENSITIVE_PARAM_RE = /pass(word)?$|secret|token|credentials?$/i;
+
+
+
+// --- API
+
+/**
+ * Return a copy of request headers with the credentials redacted.
+ *
+ * @param {Object} headers
+ * @return {Object}
+ */
+function redactHeaders(headers) {
+    if (!headers || typeof (headers) !== 'object') {
+        return headers;
+    }
+
+    var redacted = {};
+    Object.keys(headers).forEach(function (k) {
+        redacted[k] = (SENSITIVE_HEADERS.indexOf(k.toLowerCase()) !== -1 ?
+            REDACTED : headers[k]);
+    });
+    return redacted;
+}
+
+
+/**
+ * Return a copy of query params with the credentials redacted.
+ *
+ * @param {Object} query
+ * @return {Object}
+ */
+function redactQuery(query) {
+    if (!query || typeof (query) !== 'object') {
+        return query;
+    }
+
+    var redacted = {};
+    Object.keys(query).forEach(function (k) {
+        redacted[k] = (SENSITIVE_PARAM_RE.test(k) ? REDACTED : query[k]);
+    });
+    return redacted;
+}
+
+
+/*
+ * Split a request path into its path and (redacted) query params.
+ */
+function splitPath(path) {
+    var i = path.indexOf('?');
+    if (i === -1) {
+        return { path: path };
+    }
+
+    return {
+        path: path.slice(0, i),
+        query: redactQuery(qs.parse(path.slice(i + 1)))
+    };
+}
+
+
+/*
+ * restify's `client_req` serializer, with the credentials redacted.
+ */
+function clientReq(req) {
+    var obj = restify.bunyan.serializers.client_req(req);
+
+    if (obj && typeof (obj) === 'object') {
+        obj.headers = redactHeaders(obj.headers);
+        if (typeof (obj.url) === 'string' && obj.url.indexOf('?') !== -1) {
+            var parts = splitPath(obj.url);
+            obj.url = parts.path + '?' + qs.stringify(parts.query);
+        }
+    }
+    return obj;
+}
+
+
+var serializers = {
+    err: restify.bunyan.serializers.err,
+    client_req: clientReq,
+    client_res: restify.bunyan.serializers.client_res
+};
+
+
+/**
+ * Get the logger for a client: a child of the given bunyan logger, with
+ * serializers that redact credentials. Without one, the client logs nowhere,
+ * as it did before it had a default logger: a library should not write to
+ * the program's stdout.
+ *
+ * @param {Object} log : Optional. The `log` client option.
+ * @return {Object} a bunyan logger.
+ */
+function clientLogger(log) {
+    assert.optionalObject(log, 'log');
+
+    if (log && log._sdcClientLogger) {
+        return log;
+    }
+
+    if (!log) {
+        log = bunyan.createLogger({ name: 'sdc-clients', streams: [] });
+    }
+    var child = log.child({
+        serializers: serializers
+    });
+    Object.defineProperty(child, '_sdcClientLogger', { value: true });
+    return child;
+}
+
+
+/**
+ * Start the trace record of a call.
+ *
+ * @param {Object} log : Optional. The client's bunyan logger.
+ * @param {Object} info : `method` and `path`, and optionally `url` and
+ *        `requestId`. It is read when the call ends, so `url` can be updated
+ *        as the call is retried on other endpoints.
+ * @param {Object} reqOpts : Optional. The request options, for their
+ *        `headers` and `query`.
+ * @return {Function} to call when the call is done, of the form
+ *         f(err, res, retries).
+ */
+function requestStart(log, info, reqOpts) {
+    if (!log || !log.trace()) {
+        return function () {};
+    }
+    assert.object(info, 'info');
+    assert.string(info.method, 'info.method');
+    assert.string(info.path, 'info.path');
+
+    var start = Date.now();
+
+    return function requestEnd(err, res, retries) {
+        var parts = splitPath(info.path);
+        var query = parts.query;
+        if (reqOpts && reqOpts.query && typeof (reqOpts.query) === 'object') {
+            query = redactQuery(reqOpts.query);
+        }
+
+        log.trace({
+            method: info.method,
+            url: info.url,
+            path: parts.path,
+            query: query,
+            headers: redactHeaders(reqOpts && reqOpts.headers),
+            statusCode: ((res && res.statusCode) ||
+                (err && err.statusCode) || undefined),
+            latency: Date.now() - start,
+            retries: retries || 0,
+            req_id: info.requestId,
+            err: err || undefined
+        }, '%s %s', info.method, parts.path);
+    };
+}
+
+
+
+module.exports = {
+    REDACTED: REDACTED,
+    clientLogger: clientLogger,
+    redactHeaders: redactHeaders,
+    redactQuery: redactQuery,
+    requestStart: requestStart,
+    serializers: serializers
+};
@@ -0,0 +1,203 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Support for the `metrics` client option: a collector that is told about
+ * every API call a client makes.
+ *
+ * A collector is an object with either or both of these methods:
+ *
+ * - `onRequestStart(info)`, called when a call starts, with:
+ *      - method {String} The HTTP method, e.g. 'GET'.
+ *      - url {String} The base URL of the API, e.g. 'http://10.99.99.28'.
+ *      - path {String} The request path, including any query string.
+ *      - route {String} The path with the query string removed and the
+ *        variable parts replaced, e.g. '/vms/:uuid'. Use this rather than
+ *        `path` to group calls.
+ *      - requestId {String} The 'x-request-id' of the call, if any.
+ * - `onRequestEnd(info)`, called when the call is done (i.e. after any
+ *   retries), with the same `info` object plus:
+ *      - statusCode {Number} The response status code, if there was a
+ *        response.
+ *      - latency {Number} The duration of the call in milliseconds,
+ *        including retries.
+ *      - retries {Number} The number of retries made.
+ *      - err {Error} The error the call failed with, if any.
+ *
+ * Exceptions thrown by a collector are logged and otherwise ignored.
+ */
+
+var assert = require('assert-plus');
+
+var logging = require('./logging');
+
+
+
+// --- Globals
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var MAC_RE = /^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$|^[0-9a-f]{12}$/i;
+var IP_RE = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/;
+var NUMBER_RE = /^\d+$/;
+
+
+
+// --- Internal support
+
+function callCollector(collector, method, info, log) {
+    if (typeof (collector[method]) !== 'function') {
+        return;
+    }
+
+    try {
+        collector[method](info);
+    } catch (err) {
+        if (log) {
+            log.warn({err: err}, 'metrics collector %s threw', method);
+        }
+    }
+}
+
+
+
+// --- API
+
+/**
+ * Get the route template for a request path: the path without the query
+ * string, and with the UUIDs, MAC addresses, IP addresses and numbers in it
+ * replaced by ':uuid', ':mac', ':ip' and ':id'.
+ *
+ * @param {String} path
+ * @return {String} the route template.
+ */
+function routeTemplate(path) {
+    assert.string(path, 'path');
+
+    return path.split('?')[0].split('/').map(function (segment) {
+        var decoded = segment;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch (e) {
+            // Leave a badly encoded segment as is.
+        }
+
+        if (UUID_RE.test(decoded)) {
+            return ':uuid';
+        } else if (MAC_RE.test(decoded) && !NUMBER_RE.test(decoded)) {
+            return ':mac';
+        } else if (IP_RE.test(decoded)) {
+            return ':ip';
+        } else if (NUMBER_RE.test(decoded)) {
+            return ':id';
+        }
+        return segment;
+    }).join('/');
+}
+
+
+/**
+ * Tell a metrics collector that a call starts.
+ *
+ * @param {Object} collector : the collector, or undefined for none.
+ * @param {Object} info : `method`, `url`, `path` and `requestId` (the
+ *        `route` is added here).
+ * @param {Object} log : Optional. Bunyan logger for collector errors.
+ * @return {Function} to call when the call is done, of the form
+ *         f(err, res, retries).
+ */
+function requestStart(collector, info, log) {
+    if (!collector) {
+        return function () {};
+    }
+    assert.object(info, 'info');
+    assert.string(info.method, 'info.method');
+    assert.string(info.path, 'info.path');
+
+    var start = Date.now();
+    info.route = routeTemplate(info.path);
+    callCollector(collector, 'onRequestStart', info, log);
+
+    return function requestEnd(err, res, retries) {
+        info.statusCode = ((res && res.statusCode) ||
+            (err && err.statusCode) || undefined);
+        info.latency = Date.now() - start;
+        info.retries = retries || 0;
+        info.err = err || undefined;
+        callCollector(collector, 'onRequestEnd', info, log);
+    };
+}
+
+
+/**
+ * Report the calls made with a raw (i.e. not JSON) restify client to a
+ * metrics collector, and log them at the 'trace' level (see "logging.js"),
+ * by wrapping its request methods. A call ends when its response headers
+ * are received.
+ *
+ * @param {Object} client : the restify client, modified in place.
+ * @param {String} url : the base URL of the client.
+ * @param {Object} collector : the collector, or undefined for none.
+ * @param {Object} log : Optional. Bunyan logger for the calls and collector
+ *        errors.
+ */
+function instrumentRawClient(client, url, collector, log) {
+    if (!collector && !log) {
+        return;
+    }
+
+    var methods = {
+        del: 'DELETE',
+        get: 'GET',
+        head: 'HEAD',
+        post: 'POST',
+        put: 'PUT'
+    };
+
+    Object.keys(methods).forEach(function (name) {
+        var orig = client[name];
+
+        client[name] = function (opts, callback) {
+            var reqOpts = (typeof (opts) === 'string' ? {path: opts} : opts);
+            var headers = reqOpts.headers || {};
+            var info = {
+                method: methods[name],
+                url: url,
+                path: reqOpts.path,
+                requestId: headers['x-request-id']
+            };
+            var metricsEnd = requestStart(collector, info, log);
+            var logEnd = logging.requestStart(log, info, reqOpts);
+
+            function end(err, res) {
+                metricsEnd(err, res);
+                logEnd(err, res);
+            }
+
+            return orig.call(client, opts, function (connectErr, req) {
+                if (connectErr) {
+                    end(connectErr);
+                } else {
+                    req.once('result', function (resultErr, res) {
+                        end(resultErr, res);
+                    });
+                }
+                callback(connectErr, req);
+            });
+        };
+    });
+}
+
+
+
+module.exports = {
+    routeTemplate: routeTemplate,
+    requestStart: requestStart,
+    instrumentRawClient: instrumentRawClient
+};
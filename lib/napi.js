@@ -15,7 +15,10 @@
 var assert = require('assert-plus');
 var util = require('util');
 var format = util.format;
+var pager = require('./pager');
+var promises = require('./promises');
 var RestifyClient = require('./restifyclient');
+var schemas = require('./schemas');
 
 
 
@@ -34,6 +37,8 @@ function NAPI(options) {
 
 util.inherits(NAPI, RestifyClient);
 
+NAPI.prototype.schemaRoutes = schemas.ROUTES.napi;
+
 
 /**
  * Ping NAPI server.
@@ -45,6 +50,32 @@ NAPI.prototype.ping = function (callback) {
 };
 
 
+/**
+ * Lists the objects at a path as a stream, fetching them a page at a time
+ * (see "pager.js").
+ *
+ * @param {String} path : the list path.
+ * @param {Object} params : optional parameters. `limit`, if given, is the
+ *        total number of objects to list, and `offset` where to start.
+ * @param {Object} options : Request options, plus:
+ *        - pageSize {Number} Optional. Objects per page, default 1000.
+ * @return {ListStream}
+ */
+NAPI.prototype._listStream = function (path, params, options) {
+    var self = this;
+
+    return pager.createListStream({
+        params: params,
+        pageSize: options && options.pageSize,
+        fetch: function (query, cb) {
+            var opts = { path: path, query: query };
+            self._requestOptions(opts, options);
+            self.get(opts, cb);
+        }
+    });
+};
+
+
 
 // --- Network pool methods
 
@@ -69,9 +100,7 @@ NAPI.prototype.createNetworkPool = function (name, params, options, callback) {
     }
 
     var opts = { path: '/network_pools' };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -97,9 +126,7 @@ NAPI.prototype.deleteNetworkPool = function (uuid, params, options, callback) {
     }
 
     var opts = { path: format('/network_pools/%s', uuid), query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.del(opts, callback);
 };
@@ -121,9 +148,7 @@ NAPI.prototype.getNetworkPool = function (uuid, options, callback) {
     }
 
     var opts = { path: format('/network_pools/%s', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     if (options && options.params) {
         opts.query = options.params;
@@ -150,9 +175,7 @@ NAPI.prototype.listNetworkPools = function (params, options, callback) {
     }
 
     var opts = { path: '/network_pools', query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -175,9 +198,7 @@ NAPI.prototype.updateNetworkPool = function (uuid, params, options, callback) {
     }
 
     var opts = { path: format('/network_pools/%s', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -205,14 +226,24 @@ NAPI.prototype.listNics = function (params, options, callback) {
     }
 
     var opts = { path: '/nics', query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
 
 
+/**
+ * Lists Nics as a stream, fetching them a page at a time.
+ *
+ * @param {Object} params : optional parameters, as for listNics.
+ * @param {Object} options : Request options, plus an optional `pageSize`.
+ * @return {ListStream} an object stream of the Nics.
+ */
+NAPI.prototype.listNicsStream = function (params, options) {
+    return this._listStream('/nics', params, options);
+};
+
+
 /**
  * Gets a Nic by MAC address.
  *
@@ -229,9 +260,7 @@ NAPI.prototype.getNic = function (macAddr, options, callback) {
     }
 
     var opts = { path: format('/nics/%s', macAddr.replace(/:/g, '')) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -254,9 +283,7 @@ NAPI.prototype.updateNic = function (macAddr, params, options, callback) {
     }
 
     var opts = { path: format('/nics/%s', macAddr.replace(/:/g, '')) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -307,9 +334,7 @@ NAPI.prototype.createNic = function (macAddr, params, options, callback) {
     params.mac = macAddr;
 
     var opts = { path: '/nics' };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -334,9 +359,7 @@ NAPI.prototype.provisionNic = function (network, params, options, callback) {
     }
 
     var opts = { path: format('/networks/%s/nics', network) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -365,9 +388,7 @@ NAPI.prototype.deleteNic = function (macAddr, params, options, callback) {
         path: format('/nics/%s', macAddr.replace(/:/g, '')),
         query: params
     };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.del(opts, callback);
 };
@@ -395,14 +416,24 @@ NAPI.prototype.listNetworks = function (params, options, callback) {
     }
 
     var opts = { path: '/networks', query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
 
 
+/**
+ * Lists Networks as a stream, fetching them a page at a time.
+ *
+ * @param {Object} params : optional parameters, as for listNetworks.
+ * @param {Object} options : Request options, plus an optional `pageSize`.
+ * @return {ListStream} an object stream of the Networks.
+ */
+NAPI.prototype.listNetworksStream = function (params, options) {
+    return this._listStream('/networks', params, options);
+};
+
+
 /**
  * Creates a Network
  *
@@ -419,9 +450,7 @@ NAPI.prototype.createNetwork = function (params, options, callback) {
     }
 
     var opts = { path: '/networks' };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -443,9 +472,7 @@ NAPI.prototype.getNetwork = function (uuid, options, callback) {
     }
 
     var opts = { path: format('/networks/%s', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     if (options && options.params) {
         opts.query = options.params;
@@ -472,9 +499,7 @@ NAPI.prototype.updateNetwork = function (uuid, params, options, callback) {
     }
 
     var opts = { path: format('/networks/%s', uuid) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -500,9 +525,7 @@ NAPI.prototype.deleteNetwork = function (uuid, params, options, callback) {
     }
 
     var opts = { path: format('/networks/%s', uuid), query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.del(opts, callback);
 };
@@ -528,14 +551,30 @@ NAPI.prototype.listIPs = function (network, params, options, callback) {
     }
 
     var opts = { path: format('/networks/%s/ips', network), query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
 
 
+/**
+ * Lists the IPs for the given logical network as a stream, fetching them a
+ * page at a time.
+ *
+ * @param {String} network : the logical network to list IPs on
+ * @param {Object} params : the parameters to pass, as for listIPs.
+ * @param {Object} options : Request options, plus an optional `pageSize`.
+ * @return {ListStream} an object stream of the IPs.
+ */
+NAPI.prototype.listIPsStream = function (network, params, options) {
+    if (!network)
+        throw new TypeError('network is required (string)');
+
+    return this._listStream(format('/networks/%s/ips', network), params,
+        options);
+};
+
+
 /**
  * Gets an IP on the given logical network
  *
@@ -562,9 +601,7 @@ NAPI.prototype.getIP = function (network, ipAddr, params, options, callback) {
         path: format('/networks/%s/ips/%s', network, ipAddr),
         query: params
     };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -593,9 +630,7 @@ function (network, ipAddr, params, options, callback) {
     }
 
     var opts = { path: format('/networks/%s/ips/%s', network, ipAddr) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -622,9 +657,7 @@ NAPI.prototype.searchIPs = function (ipAddr, params, options, callback) {
 
     params.ip = ipAddr;
     var opts = { path: '/search/ips', query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -652,9 +685,7 @@ NAPI.prototype.listNicTags = function (params, options, callback) {
     }
 
     var opts = { path: '/nic_tags', query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -681,9 +712,7 @@ NAPI.prototype.createNicTag = function (name, params, options, callback) {
 
     params.name = name;
     var opts = { path: '/nic_tags' };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -705,9 +734,7 @@ NAPI.prototype.getNicTag = function (name, options, callback) {
     }
 
     var opts = { path: format('/nic_tags/%s', name) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -732,9 +759,7 @@ NAPI.prototype.updateNicTag = function (name, params, options, callback) {
     }
 
     var opts = { path: format('/nic_tags/%s', name) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -760,9 +785,7 @@ NAPI.prototype.deleteNicTag = function (name, params, options, callback) {
     }
 
     var opts = { path: format('/nic_tags/%s', name), query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.del(opts, callback);
 };
@@ -790,9 +813,7 @@ NAPI.prototype.listAggrs = function (params, options, callback) {
     }
 
     var opts = { path: '/aggregations', query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -813,9 +834,7 @@ NAPI.prototype.createAggr = function (params, options, callback) {
     }
 
     var opts = { path: '/aggregations' };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -836,9 +855,7 @@ NAPI.prototype.getAggr = function (id, options, callback) {
     }
 
     var opts = { path: format('/aggregations/%s', id) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -862,9 +879,7 @@ NAPI.prototype.updateAggr = function (id, params, options, callback) {
     }
 
     var opts = { path: format('/aggregations/%s', id) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -889,9 +904,7 @@ NAPI.prototype.deleteAggr = function (id, params, options, callback) {
     }
 
     var opts = { path: format('/aggregations/%s', id), query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.del(opts, callback);
 };
@@ -918,9 +931,7 @@ NAPI.prototype.listFabricVLANs = function (owner, params, options, callback) {
     }
 
     opts = { path: format('/fabrics/%s/vlans', owner), query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -946,9 +957,7 @@ NAPI.prototype.createFabricVLAN = function (owner, params, options, callback) {
     }
 
     opts = { path: format('/fabrics/%s/vlans', owner) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -979,9 +988,7 @@ NAPI.prototype.getFabricVLAN = function (owner, id, params, options, callback) {
         query: params
     };
 
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -1013,9 +1020,7 @@ NAPI.prototype.updateFabricVLAN =
         query: params
     };
 
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.put(opts, params, callback);
 };
@@ -1043,9 +1048,7 @@ NAPI.prototype.deleteFabricVLAN =
     }
 
     opts = { path: format('/fabrics/%s/vlans/%s', owner, id), query: params };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.del(opts, callback);
 };
@@ -1076,9 +1079,7 @@ NAPI.prototype.listFabricNetworks =
         path: format('/fabrics/%s/vlans/%s/networks', owner, id),
         query: params
     };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -1106,9 +1107,7 @@ NAPI.prototype.createFabricNetwork =
     }
 
     opts = { path: format('/fabrics/%s/vlans/%s/networks', owner, id) };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.post(opts, params, callback);
 };
@@ -1141,9 +1140,7 @@ NAPI.prototype.getFabricNetwork =
         path: format('/fabrics/%s/vlans/%s/networks/%s', owner, id, network),
         query: params
     };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.get(opts, callback);
 };
@@ -1176,11 +1173,13 @@ NAPI.prototype.deleteFabricNetwork =
         path: format('/fabrics/%s/vlans/%s/networks/%s', owner, id, network),
         query: params
     };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return this.del(opts, callback);
 };
 
+
+promises.promisifyAll(NAPI.prototype,
+    ['listIPsStream', 'listNetworksStream', 'listNicsStream']);
+
 module.exports = NAPI;
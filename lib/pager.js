@@ -0,0 +1,205 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Streams of list results that are fetched a page at a time.
+ *
+ * The `list*Stream` client methods return a `ListStream`: an object mode
+ * readable stream of the listed items, that only fetches the next page when
+ * the previous one has been read, so that listing e.g. 100k VMs does not
+ * hold them all in memory:
+ *
+ *      vmapi.listVmsStream({state: 'running'})
+ *          .on('data', function (vm) { ... })
+ *          .on('error', function (err) { ... })
+ *          .on('end', function () { ... });
+ *
+ * On node 10 and later, the stream is also async iterable:
+ *
+ *      for await (const vm of vmapi.listVmsStream({state: 'running'})) {
+ *          ...
+ *      }
+ *
+ * Pages are fetched either by `offset` (VMAPI, NAPI, PAPI, SAPI) or by
+ * `marker`, i.e. the key of the last item of the previous page (IMGAPI).
+ *
+ * Note: this needs the streams of node 0.10 or later.
+ */
+
+var assert = require('assert-plus');
+var stream = require('stream');
+var util = require('util');
+
+
+
+// --- Globals
+
+var DEFAULT_PAGE_SIZE = 1000;
+
+// Query params that are set by the stream for each page.
+var PAGING_PARAMS = ['limit', 'marker', 'offset'];
+
+
+
+// --- Exported ListStream
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - fetch {Function} Fetches a page, of the form f(query, callback), with
+ *      `query` the list params plus `limit` and `offset` or `marker`, and
+ *      callback of the form f(err, items).
+ *    - params {Object} Optional. The list params. `limit`, if given, is the
+ *      total number of items to list (by default, all of them), and
+ *      `offset` or `marker` where to start.
+ *    - pageSize {Number} Optional. The number of items to fetch per page.
+ *      Default 1000.
+ *    - marker {String} Optional. The name of the item field to page by
+ *      marker with, e.g. 'uuid'. By default, pages are fetched by offset.
+ */
+function ListStream(options) {
+    assert.object(options, 'options');
+    assert.func(options.fetch, 'options.fetch');
+    assert.optionalObject(options.params, 'options.params');
+    assert.optionalNumber(options.pageSize, 'options.pageSize');
+    assert.optionalString(options.marker, 'options.marker');
+
+    var params = options.params || {};
+    var pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+
+    stream.Readable.call(this, {
+        objectMode: true,
+        highWaterMark: pageSize
+    });
+
+    this._fetch = options.fetch;
+    this._params = {};
+    this._pageSize = pageSize;
+    this._markerField = options.marker;
+    this._marker = params.marker;
+    this._offset = Number(params.offset) || 0;
+    this._remaining = (params.limit !== undefined ?
+        Number(params.limit) : Infinity);
+    this._fetching = false;
+    this._done = false;
+
+    var self = this;
+    Object.keys(params).forEach(function (k) {
+        if (PAGING_PARAMS.indexOf(k) === -1) {
+            self._params[k] = params[k];
+        }
+    });
+}
+util.inherits(ListStream, stream.Readable);
+
+
+ListStream.prototype._end = function _end() {
+    this._done = true;
+    this.push(null);
+};
+
+
+ListStream.prototype._read = function _read() {
+    var self = this;
+
+    if (self._fetching || self._done) {
+        return;
+    }
+    if (self._remaining <= 0) {
+        self._end();
+        return;
+    }
+
+    var limit = Math.min(self._pageSize, self._remaining);
+    var query = {};
+    Object.keys(self._params).forEach(function (k) {
+        query[k] = self._params[k];
+    });
+    query.limit = limit;
+    if (!self._markerField) {
+        query.offset = self._offset;
+    } else if (self._marker) {
+        query.marker = self._marker;
+    }
+
+    self._fetching = true;
+    self._fetch(query, function (err, items) {
+        self._fetching = false;
+
+        if (!err && !Array.isArray(items)) {
+            err = new TypeError('list response is not an array');
+        }
+        if (err) {
+            self._done = true;
+            self.emit('error', err);
+            return;
+        }
+
+        // A service that does not page gives all the items at once: take
+        // them and stop there.
+        var lastPage = (items.length < limit || items.length > limit);
+        var page = items;
+
+        // Pages fetched by marker start with the marker item.
+        if (self._markerField && self._marker && page.length &&
+            page[0][self._markerField] === self._marker) {
+            page = page.slice(1);
+        }
+        if (page.length > self._remaining) {
+            page = page.slice(0, self._remaining);
+        }
+
+        self._remaining -= page.length;
+        self._offset += items.length;
+        if (self._markerField && page.length) {
+            var marker = page[page.length - 1][self._markerField];
+            // A service that does not support markers gives the same page
+            // again.
+            if (marker === self._marker) {
+                self._end();
+                return;
+            }
+            self._marker = marker;
+        }
+
+        var more = true;
+        page.forEach(function (item) {
+            more = self.push(item);
+        });
+
+        if (lastPage || page.length === 0) {
+            self._end();
+        } else if (more) {
+            // The page did not fill the stream's buffer: get the next one
+            // without waiting for it to be read.
+            self._read();
+        }
+    });
+};
+
+
+
+/**
+ * Create a ListStream.
+ *
+ * @param {Object} options : As for the ListStream constructor.
+ * @return {ListStream}
+ */
+function createListStream(options) {
+    return new ListStream(options);
+}
+
+
+
+module.exports = {
+    ListStream: ListStream,
+    createListStream: createListStream
+};
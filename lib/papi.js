@@ -17,6 +17,10 @@ var format = util.format;
 var restify = require('restify');
 var qs = require('querystring');
 var assertions = require('./assertions');
+var JsonClient = require('./jsonclient').JsonClient;
+var pager = require('./pager');
+var promises = require('./promises');
+var schemas = require('./schemas');
 
 // --- Globals
 
@@ -27,6 +31,10 @@ var assertString = assertions.assertString;
 
 var ResourceNotFoundError = restify.ResourceNotFoundError;
 
+// Per-call request options, as opposed to query params.
+var REQUEST_OPTIONS = ['headers', 'ifMatch', 'ifNoneMatch', 'requestId',
+    'retryPolicy', 'signal'];
+
 
 // Note this is not a constructor!.
 function PAPI(options) {
@@ -42,7 +50,49 @@ function PAPI(options) {
         options['X-Api-Version'] = '~7.0';
     }
 
-    var client = restify.createJsonClient(options);
+    var clientOpts = options;
+    if (options.validate) {
+        clientOpts = {};
+        Object.keys(options).forEach(function (k) {
+            clientOpts[k] = options[k];
+        });
+        clientOpts.schemaRoutes = schemas.ROUTES.papi;
+    }
+
+    var client = new JsonClient(clientOpts);
+
+
+    /*
+     * Copy the request options (see REQUEST_OPTIONS) from a method's options
+     * to the restify request options.
+     */
+    function requestOptions(opts, options) {
+        REQUEST_OPTIONS.forEach(function (k) {
+            if (options[k] !== undefined) {
+                opts[k] = options[k];
+            }
+        });
+
+        return opts;
+    }
+
+
+    /*
+     * A copy of a method's options without the request options, for the
+     * methods that also use them as query params. The caller's options are
+     * left alone.
+     */
+    function queryParams(options) {
+        var params = {};
+
+        Object.keys(options).forEach(function (k) {
+            if (REQUEST_OPTIONS.indexOf(k) === -1) {
+                params[k] = options[k];
+            }
+        });
+
+        return params;
+    }
 
 
     /**
@@ -66,10 +116,7 @@ function PAPI(options) {
         assertObject('pkg', pkg);
         assertFunction('cb', cb);
 
-        var opts = {path: '/packages'};
-        if (options.headers) {
-            opts.headers = options.headers;
-        }
+        var opts = requestOptions({path: '/packages'}, options);
 
         return client.post(opts, pkg, function (err, req, res, pkg) {
             if (err) {
@@ -93,14 +140,8 @@ function PAPI(options) {
         assertObject('options', options);
         assertFunction('cb', cb);
 
-        var opts = {};
-
-        if (options.headers) {
-            opts.headers = options.headers;
-            delete options.headers;
-        }
-
-        opts.path = createPath('/packages/' + uuid, options);
+        var opts = requestOptions({}, options);
+        opts.path = createPath('/packages/' + uuid, queryParams(options));
 
         return client.get(opts, function (err, req, res, pkg) {
             if (err) {
@@ -128,12 +169,8 @@ function PAPI(options) {
 
 
 
-        var opts = {};
-        if (options.headers) {
-            opts.headers = options.headers;
-            delete options.headers;
-        }
-        opts.path = createPath('/packages/' + uuid, options);
+        var opts = requestOptions({}, options);
+        opts.path = createPath('/packages/' + uuid, queryParams(options));
 
         return client.del(opts, cb);
     }
@@ -163,10 +200,7 @@ function PAPI(options) {
         assertFunction('cb', cb);
 
         var p = '/packages/' + uuid;
-        var opts = {path: p};
-        if (options.headers) {
-            opts.headers = options.headers;
-        }
+        var opts = requestOptions({path: p}, options);
         return client.put(opts, changes, function (err, req, res, pack) {
             if (err) {
                 return cb(err);
@@ -205,10 +239,10 @@ function PAPI(options) {
         assertObject('options', options);
         assertFunction('cb', cb);
 
-        var escape = options.escape;
-        delete options.escape;
-        var headers = options.headers;
-        delete options.headers;
+        var params = queryParams(options);
+        var escape = params.escape;
+        delete params.escape;
+        var opts = requestOptions({}, options);
 
         var q = [];
 
@@ -220,8 +254,8 @@ function PAPI(options) {
             });
         }
 
-        Object.keys(options).forEach(function (k) {
-            q.push(k + '=' + options[k]);
+        Object.keys(params).forEach(function (k) {
+            q.push(k + '=' + params[k]);
         });
 
         var p = '/packages';
@@ -231,10 +265,7 @@ function PAPI(options) {
             p = p + '?' + q.join('&');
         }
 
-        var opts = {path: p};
-        if (headers) {
-            opts.headers = headers;
-        }
+        opts.path = p;
 
         return client.get(opts, function (err, req, res, pkgs) {
             if (err) {
@@ -247,6 +278,42 @@ function PAPI(options) {
     }
 
 
+    /**
+     * Lists packages as a stream, fetching them a page at a time (see
+     * "pager.js").
+     *
+     * @param {String or Object} provided LDAP filter, as for list.
+     * @param {Object} options as for list. `limit`, if given, is the total
+     *  number of packages to list, and `offset` where to start. `pageSize`
+     *  is the number of packages per page (default 1000).
+     * @return {ListStream} an object stream of the packages.
+     * @throws {TypeError} on bad input.
+     */
+    function listStream(filter, options) {
+        if (options === undefined) {
+            options = {};
+        }
+        assertObject('options', options);
+
+        var params = {};
+        Object.keys(options).forEach(function (k) {
+            if (k !== 'pageSize') {
+                params[k] = options[k];
+            }
+        });
+
+        return pager.createListStream({
+            params: params,
+            pageSize: options.pageSize,
+            fetch: function (query, cb) {
+                list(filter, query, function (err, pkgs) {
+                    cb(err, pkgs);
+                });
+            }
+        });
+    }
+
+
    /**
     * Escapes param data being sent to PAPI.
     *
@@ -309,15 +376,27 @@ function PAPI(options) {
         client.close();
     }
 
-    return {
+
+    /**
+     * The state of the client's request queue (see the `rateLimit` and
+     * `maxInFlight` options of "jsonclient.js"), for monitoring.
+     */
+    function queueStats() {
+        return client.queueStats();
+    }
+
+    return promises.promisifyAll({
         add: add,
         get: get,
         list: list,
+        listStream: listStream,
         del: del,
         update: update,
         close: close,
-        client: client
-    };
+        queueStats: queueStats,
+        client: client,
+        log: client.log
+    }, ['listStream']);
 }
 
 module.exports = PAPI;
@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Promise support for the client methods.
+ *
+ * Every client method takes a callback as its last argument. The wrappers
+ * here make it possible to leave that callback off, in which case the method
+ * returns a Promise instead:
+ *
+ *      vmapi.getVm({uuid: uuid}, function (err, vm, req, res) { ... });
+ *
+ *      vmapi.getVm({uuid: uuid}).then(function (vm) {
+ *          // `vm.res` and `vm.req` are the HTTP response and request
+ *      });
+ *
+ * The promise is rejected with the same error object the callback would have
+ * received. Because the clients do not agree on where (or whether) the HTTP
+ * request and response objects appear in the callback arguments, they are
+ * found by shape and exposed as non-enumerable `req` and `res` properties on
+ * the error or on the resolved value (when that value is an object).
+ */
+
+var assert = require('assert-plus');
+
+
+
+// --- Internal helpers
+
+function isResponse(obj) {
+    return (obj !== null && typeof (obj) === 'object' &&
+        typeof (obj.statusCode) === 'number' &&
+        typeof (obj.headers) === 'object');
+}
+
+
+function isRequest(obj) {
+    return (obj !== null && typeof (obj) === 'object' &&
+        typeof (obj.getHeader) === 'function' &&
+        typeof (obj.method) === 'string');
+}
+
+
+/*
+ * Define `name` on `obj` as a non-enumerable property, unless the object
+ * already has a property of that name.
+ */
+function defineHidden(obj, name, value) {
+    if (value === undefined || obj === null || typeof (obj) !== 'object' ||
+        Object.prototype.hasOwnProperty.call(obj, name) ||
+        Object.isFrozen(obj)) {
+        return;
+    }
+
+    Object.defineProperty(obj, name, {
+        value: value,
+        enumerable: false,
+        configurable: true,
+        writable: true
+    });
+}
+
+
+
+// --- API
+
+/**
+ * Wrap a callback-last function so that calling it without a trailing
+ * callback returns a Promise.
+ *
+ * Synchronous exceptions (e.g. the TypeErrors thrown for bad arguments) are
+ * still thrown, exactly as in the callback form.
+ *
+ * If the runtime has no global Promise, the function is called as-is.
+ *
+ * @param {Function} fn : the function to wrap.
+ * @return {Function} the wrapped function.
+ */
+function promisify(fn) {
+    assert.func(fn, 'fn');
+
+    if (fn._sdcPromisified) {
+        return fn;
+    }
+
+    function wrapped() {
+        var args = Array.prototype.slice.call(arguments);
+
+        if (typeof (args[args.length - 1]) === 'function' ||
+            typeof (Promise) === 'undefined') {
+            return fn.apply(this, args);
+        }
+
+        var resolve, reject;
+        var promise = new Promise(function (res, rej) {
+            resolve = res;
+            reject = rej;
+        });
+
+        // Drop trailing undefined arguments, so that e.g. `f(a, undefined)`
+        // lines up the callback the same way as `f(a)`.
+        while (args.length > 0 && args[args.length - 1] === undefined) {
+            args.pop();
+        }
+
+        args.push(function promiseCallback(err) {
+            var rest = Array.prototype.slice.call(arguments, 1);
+            var value = rest[0];
+            var req, res;
+
+            rest.forEach(function (arg) {
+                if (!res && isResponse(arg)) {
+                    res = arg;
+                } else if (!req && isRequest(arg)) {
+                    req = arg;
+                }
+            });
+
+            if (err) {
+                defineHidden(err, 'req', req);
+                defineHidden(err, 'res', res);
+                reject(err);
+                return;
+            }
+
+            if (value !== res && value !== req) {
+                defineHidden(value, 'req', req);
+                defineHidden(value, 'res', res);
+            }
+            resolve(value);
+        });
+
+        fn.apply(this, args);
+        return promise;
+    }
+
+    Object.defineProperty(wrapped, '_sdcPromisified', { value: true });
+    return wrapped;
+}
+
+
+/**
+ * Promisify, in place, the public methods of a client object or prototype.
+ *
+ * Only own function properties are wrapped. Names starting with an
+ * underscore, `close`, `constructor` and `queueStats` are left alone, as are
+ * any names in `exclude`.
+ *
+ * @param {Object} obj : the prototype (or object) holding the methods.
+ * @param {Array} exclude : Optional, extra method names to leave alone.
+ * @return {Object} obj
+ */
+function promisifyAll(obj, exclude) {
+    assert.object(obj, 'obj');
+    assert.optionalArrayOfString(exclude, 'exclude');
+
+    var skip = ['close', 'constructor', 'queueStats'].concat(exclude || []);
+
+    Object.keys(obj).forEach(function (name) {
+        if (typeof (obj[name]) !== 'function' || name[0] === '_' ||
+            skip.indexOf(name) !== -1) {
+            return;
+        }
+        obj[name] = promisify(obj[name]);
+    });
+
+    return obj;
+}
+
+
+
+module.exports = {
+    promisify: promisify,
+    promisifyAll: promisifyAll
+};
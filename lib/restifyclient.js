@@ -12,19 +12,80 @@
  * Generic restify client with basic auth
  */
 
-var restify = require('restify');
+var assert = require('assert-plus');
+
+var JsonClient = require('./jsonclient').JsonClient;
+var promises = require('./promises');
+
+
+
+// --- Globals
+
+/*
+ * The per-call request options that client methods pass through from their
+ * `options` argument to the underlying JSON client.
+ */
+var REQUEST_OPTIONS = ['headers', 'ifMatch', 'ifNoneMatch', 'requestId',
+    'retryPolicy', 'signal'];
 
 
 /**
  * Constructor
  *
  * Note that in options you can pass in any parameters that the restify
- * RestClient constructor takes (for example retry/backoff settings).
+ * RestClient constructor takes (for example connect retry settings).
  *
  * @param {Object} options
  *    - username {String} username for basic auth.
  *    - password {String} password for basic auth.
- *    - url {String} NAPI url.
+ *    - url {String|Array|Function} API url. This can also be a list of the
+ *      URLs of several instances of the API, or a function of the form
+ *      f(callback) that calls back with f(err, urls) to look them up:
+ *      requests then fail over to the next URL when a connection fails.
+ *      See "lib/jsonclient.js".
+ *    - roundRobin {Boolean} Optional. With several URLs, send each call to
+ *      the next one in turn rather than sticking to one until it fails.
+ *    - circuitBreaker {Boolean|Object} Optional. Set to `true`, or to an
+ *      object with `threshold` (default 5) and `resetTimeout` (in ms, default
+ *      30000) fields, to fail calls fast with a CircuitOpenError after
+ *      `threshold` consecutive connection errors, timeouts or 5xx responses
+ *      from a URL. The breaker pings the API at that URL with `ping()`
+ *      after `resetTimeout` to check whether it is back. Breakers are shared
+ *      by all the clients for a URL. See "lib/breaker.js".
+ *    - requestId {String|Function|Object} Optional. A request id, or a parent
+ *      request or context object to take it from, that is sent as the
+ *      'x-request-id' header of every request (including the follow-up
+ *      requests made to poll jobs and tasks or to page through lists). A
+ *      function is called for each request to get the current id. Client
+ *      methods accept a `requestId` in their request options to override
+ *      this per call.
+ *    - log {Object} Optional. Bunyan logger. Every call is logged at the
+ *      'trace' level (method, path, query, status code, latency and request
+ *      id), with credentials redacted. See "lib/logging.js".
+ *    - metrics {Object} Optional. A metrics collector with `onRequestStart`
+ *      and/or `onRequestEnd` methods, told about every call made with this
+ *      client (method, route, status code, latency and retries). See
+ *      "lib/metrics.js".
+ *    - retryPolicy {Object|Boolean} Optional. Overrides for the request retry
+ *      policy (maxAttempts, initialDelay, maxDelay, jitter, statusCodes,
+ *      idempotentOnly), or `false` to disable retries. See
+ *      "lib/jsonclient.js". Client methods accept a `retryPolicy` in their
+ *      request options to override this per call.
+ *    - validate {Boolean|Object} Optional. Validate the bodies of the
+ *      requests made to create objects, and of the responses with objects,
+ *      against the API's schemas (see "lib/schemas"): `true`, or an object
+ *      with `requests` and `responses` booleans to only validate one of
+ *      them. Invalid request bodies fail with a ValidationError before
+ *      they are sent, and invalid response bodies with an
+ *      InvalidResponseError, both with the field-level details as
+ *      `err.errors`.
+ *    - cassette {Cassette} Optional. Record the calls to a cassette, or
+ *      replay them from it without making requests. See "lib/cassette.js".
+ *    - rateLimit {Object} Optional. Limit the rate of the requests to
+ *      `rate` per second, allowing bursts of up to `burst` (default `rate`).
+ *    - maxInFlight {Number} Optional. The most requests to have in flight at
+ *      once. Calls over either limit wait in a queue and are made in order;
+ *      see `queueStats()` and "lib/limiter.js".
  *    - ... any other options allowed to `restify.createJsonClient`
  *
  */
@@ -32,15 +93,70 @@ function RestifyClient(options) {
     if (!options)
         throw new TypeError('options required');
     if (!options.url)
-        throw new TypeError('options.url (String) is required');
+        throw new TypeError(
+            'options.url (String, Array or Function) is required');
 
-    this.client = restify.createJsonClient(options);
+    var clientOpts = options;
+    if (options.circuitBreaker) {
+        var cbOpts = (typeof (options.circuitBreaker) === 'object' ?
+            options.circuitBreaker : {});
+        assert.optionalNumber(cbOpts.threshold,
+            'options.circuitBreaker.threshold');
+        assert.optionalNumber(cbOpts.resetTimeout,
+            'options.circuitBreaker.resetTimeout');
+
+        clientOpts = {};
+        Object.keys(options).forEach(function (k) {
+            clientOpts[k] = options[k];
+        });
+        clientOpts.circuitBreaker = {
+            threshold: cbOpts.threshold,
+            resetTimeout: cbOpts.resetTimeout,
+            probe: (typeof (this.ping) === 'function' ?
+                this.ping.bind(this) : undefined)
+        };
+    }
+
+    // Subclasses give the schemas of their API's endpoints as the
+    // `schemaRoutes` of their prototype (see "lib/schemas").
+    if (options.validate && this.schemaRoutes) {
+        var validateOpts = {};
+        Object.keys(clientOpts).forEach(function (k) {
+            validateOpts[k] = clientOpts[k];
+        });
+        validateOpts.schemaRoutes = this.schemaRoutes;
+        clientOpts = validateOpts;
+    }
+
+    this.client = new JsonClient(clientOpts);
+    this.log = this.client.log;
 
     if (options.username && options.password)
         this.client.basicAuth(options.username, options.password);
 }
 
 
+/**
+ * Copy the supported per-call request options (see REQUEST_OPTIONS) from a
+ * client method's `options` argument onto the restify request options.
+ *
+ * @param {Object} opts : the restify request options, modified in place.
+ * @param {Object} options : Optional, the client method's request options.
+ * @return {Object} opts
+ */
+RestifyClient.prototype._requestOptions = function (opts, options) {
+    if (options) {
+        REQUEST_OPTIONS.forEach(function (k) {
+            if (options[k] !== undefined) {
+                opts[k] = options[k];
+            }
+        });
+    }
+
+    return opts;
+};
+
+
 /**
  * Generic GET method
  *
@@ -80,6 +196,9 @@ function RestifyClient(options) {
  * client.get('/vms', cb) # No way to specify headers before
  *    -> client.get({ path: '/vms', headers: { 'x-request-id': <uuid> } }, cb)
  *
+ * (Though for the 'x-request-id' header specifically, prefer the `requestId`
+ * option, see the constructor.)
+ *
  */
 RestifyClient.prototype.get = function (path, params, callback) {
     if (!path)
@@ -219,6 +338,17 @@ RestifyClient.prototype.del = function (path, params, callback) {
 };
 
 
+/**
+ * The state of the client's request queue (see the `rateLimit` and
+ * `maxInFlight` options), for monitoring.
+ *
+ * @return {Object} with `queued` and `inFlight` request counts.
+ */
+RestifyClient.prototype.queueStats = function queueStats() {
+    return this.client.queueStats();
+};
+
+
 /**
  * Close the underlying restify client.
  */
@@ -227,4 +357,6 @@ RestifyClient.prototype.close = function ()
     this.client.close();
 };
 
+promises.promisifyAll(RestifyClient.prototype);
+
 module.exports = RestifyClient;
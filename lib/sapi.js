@@ -15,6 +15,7 @@
 var assert = require('assert-plus');
 var async = require('async');
 var fs = require('fs');
+var mod_url = require('url');
 var qs = require('querystring');
 var path = require('path');
 var util = require('util');
@@ -22,7 +23,11 @@ var vasync = require('vasync');
 
 var sprintf = require('util').format;
 
+var pager = require('./pager');
+var promises = require('./promises');
 var RestifyClient = require('./restifyclient');
+var schemas = require('./schemas');
+var WFAPI = require('./wfapi');
 
 
 
@@ -32,22 +37,28 @@ var RestifyClient = require('./restifyclient');
 /**
  * Constructor
  *
- * See the RestifyClient constructor for details
+ * See the RestifyClient constructor for details. SAPI also takes:
+ *    - wfapiUrl {String} Optional. The Workflow API URL, to wait for the jobs
+ *      of `createInstanceAndWait`. By default it is inferred from the SAPI
+ *      URL: 'http://workflow.$domain' for 'http://sapi.$domain'.
  */
 function SAPI(options) {
     assert.object(options, 'options');
     assert.object(options.log, 'options.log');
+    assert.optionalString(options.wfapiUrl, 'options.wfapiUrl');
     if (!options.version) {
         options.version = '*';
     }
 
-    this.log = options.log;
+    this.wfapiUrl = options.wfapiUrl;
 
     RestifyClient.call(this, options);
 }
 
 util.inherits(SAPI, RestifyClient);
 
+SAPI.prototype.schemaRoutes = schemas.ROUTES.sapi;
+
 
 SAPI.prototype.close = function close() {
     if (this.client) {
@@ -56,6 +67,15 @@ SAPI.prototype.close = function close() {
 };
 
 
+function ping(callback) {
+    assert.func(callback, 'callback');
+
+    return (this.get('/ping', callback));
+}
+
+SAPI.prototype.ping = ping;
+
+
 // --- Applications
 
 /**
@@ -103,10 +123,19 @@ SAPI.prototype.listApplications = listApplications;
  * Gets an application by UUID
  *
  * @param {String} uuid: the UUID of the applications.
+ * @param {Object} options: Optional request options, e.g. `ifNoneMatch`.
  * @param {Function} callback: of the form f(err, app).
  */
-function getApplication(uuid, callback) {
-    return (this.get(sprintf('/applications/%s', uuid), callback));
+function getApplication(uuid, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/applications/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.get(reqOpts, callback));
 }
 
 SAPI.prototype.getApplication = getApplication;
@@ -117,13 +146,22 @@ SAPI.prototype.getApplication = getApplication;
  *
  * @param {String} uuid: the UUID of the applications.
  * @param {String} opts: new attributes
+ * @param {Object} options: Optional request options, e.g. `ifMatch`.
  * @param {Function} callback: of the form f(err, app).
  */
-function updateApplication(uuid, opts, callback) {
+function updateApplication(uuid, opts, options, callback) {
     assert.string(uuid, 'uuid');
     assert.object(opts, 'opts');
 
-    return (this.put(sprintf('/applications/%s', uuid), opts, callback));
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/applications/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.put(reqOpts, opts, callback));
 }
 
 SAPI.prototype.updateApplication = updateApplication;
@@ -133,10 +171,19 @@ SAPI.prototype.updateApplication = updateApplication;
  * Deletes  an application by UUID
  *
  * @param {String} uuid: the UUID of the applications.
+ * @param {Object} options: Optional request options, e.g. `ifMatch`.
  * @param {Function} callback : of the form f(err).
  */
-function deleteApplication(uuid, callback) {
-    return (this.del(sprintf('/applications/%s', uuid), callback));
+function deleteApplication(uuid, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/applications/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.del(reqOpts, callback));
 }
 
 SAPI.prototype.deleteApplication = deleteApplication;
@@ -190,10 +237,19 @@ SAPI.prototype.listServices = listServices;
  * Gets a service by UUID
  *
  * @param {String} uuid: the UUID of the services.
+ * @param {Object} options: Optional request options, e.g. `ifNoneMatch`.
  * @param {Function} callback: of the form f(err, app).
  */
-function getService(uuid, callback) {
-    return (this.get(sprintf('/services/%s', uuid), callback));
+function getService(uuid, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/services/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.get(reqOpts, callback));
 }
 
 SAPI.prototype.getService = getService;
@@ -205,13 +261,22 @@ SAPI.prototype.getService = getService;
  * @param {String} uuid: the UUID of the services.
  * @param {String} opts: Optional attributes per
  *      <https://mo.joyent.com/docs/sapi/master/#UpdateService>
+ * @param {Object} options: Optional request options, e.g. `ifMatch`.
  * @param {Function} callback: of the form f(err, app).
  */
-function updateService(uuid, opts, callback) {
+function updateService(uuid, opts, options, callback) {
     assert.string(uuid, 'uuid');
     assert.object(opts, 'opts');
 
-    return (this.put(sprintf('/services/%s', uuid), opts, callback));
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/services/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.put(reqOpts, opts, callback));
 }
 
 SAPI.prototype.updateService = updateService;
@@ -221,10 +286,19 @@ SAPI.prototype.updateService = updateService;
  * Deletes a service by UUID
  *
  * @param {String} uuid: the UUID of a service.
+ * @param {Object} options: Optional request options, e.g. `ifMatch`.
  * @param {Function} callback : of the form f(err).
  */
-function deleteService(uuid, callback) {
-    return (this.del(sprintf('/services/%s', uuid), callback));
+function deleteService(uuid, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/services/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.del(reqOpts, callback));
 }
 
 SAPI.prototype.deleteService = deleteService;
@@ -286,6 +360,90 @@ function createInstanceAsync(service_uuid, opts, callback) {
 SAPI.prototype.createInstanceAsync = createInstanceAsync;
 
 
+/**
+ * Create an instance, and wait for the job provisioning its VM to complete
+ *
+ * @param {String} service_uuid: The UUID of the service for which to create
+ *      an instance.
+ * @param {String} opts: Optional attributes per
+ *      <https://mo.joyent.com/docs/sapi/master/#CreateInstance>
+ * @param {Object} options: Optional. The options for waiting on the job:
+ *      `interval`, `timeout`, `onProgress` (see `WFAPI.waitForJob`) and
+ *      `signal`.
+ * @param {Function} callback: of the form f(err, instance).
+ */
+function createInstanceAndWait(service_uuid, opts, options, callback) {
+    var self = this;
+
+    if (typeof (opts) === 'function') {
+        callback = opts;
+        opts = {};
+        options = {};
+    } else if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    assert.object(options, 'options');
+    assert.func(callback, 'callback');
+
+    var wfapiUrl;
+    try {
+        wfapiUrl = self._getWorkflowApiUrl();
+    } catch (e) {
+        callback(e);
+        return;
+    }
+
+    self.createInstanceAsync(service_uuid, opts, function (err, instance) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (!instance.job_uuid) {
+            callback(new Error(sprintf(
+                'SAPI did not return a job for instance %s', instance.uuid)));
+            return;
+        }
+
+        var wfapi = new WFAPI({
+            url: wfapiUrl,
+            agent: false,
+            log: self.log,
+            cassette: self.client.cassette
+        });
+        wfapi.waitForJob(instance.job_uuid, options, function (jErr) {
+            wfapi.close();
+            if (jErr) {
+                callback(jErr);
+                return;
+            }
+            self.getInstance(instance.uuid, callback);
+        });
+    });
+}
+
+SAPI.prototype.createInstanceAndWait = createInstanceAndWait;
+
+
+/*
+ * The Workflow API URL: the `wfapiUrl` option, or 'http://workflow.$domain'
+ * for a SAPI URL of 'http://sapi.$domain'.
+ */
+SAPI.prototype._getWorkflowApiUrl = function _getWorkflowApiUrl() {
+    if (this.wfapiUrl) {
+        return this.wfapiUrl;
+    }
+
+    var url = this.client.baseUrl;
+    var match = url && /^sapi\.(.*?)$/.exec(mod_url.parse(url).hostname);
+    if (!match) {
+        throw new Error(sprintf(
+            'cannot determine Workflow API url from SAPI url "%s"', url));
+    }
+    return sprintf('http://workflow.%s', match[1]);
+};
+
+
 /**
  * Lists all instances
  *
@@ -304,14 +462,50 @@ function listInstances(search_opts, callback) {
 SAPI.prototype.listInstances = listInstances;
 
 
+/**
+ * Lists instances as a stream, fetching them a page at a time (see
+ * "pager.js").
+ *
+ * @param {Object} search_opts: as for listInstances. `limit`, if given, is
+ *        the total number of instances to list, and `offset` where to start.
+ * @param {Object} options: Optional.
+ *        - pageSize {Number} Optional. Instances per page, default 1000.
+ * @return {ListStream} an object stream of the instances.
+ */
+function listInstancesStream(search_opts, options) {
+    var self = this;
+    assert.optionalObject(search_opts, 'search_opts');
+    assert.optionalObject(options, 'options');
+
+    return (pager.createListStream({
+        params: search_opts,
+        pageSize: options && options.pageSize,
+        fetch: function (query, cb) {
+            self.get('/instances?' + qs.stringify(query), cb);
+        }
+    }));
+}
+
+SAPI.prototype.listInstancesStream = listInstancesStream;
+
+
 /**
  * Gets an instance by UUID
  *
  * @param {String} uuid: the UUID of the instance.
+ * @param {Object} options: Optional request options, e.g. `ifNoneMatch`.
  * @param {Function} callback: of the form f(err, instance).
  */
-function getInstance(uuid, callback) {
-    return (this.get(sprintf('/instances/%s', uuid), callback));
+function getInstance(uuid, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/instances/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.get(reqOpts, callback));
 }
 
 SAPI.prototype.getInstance = getInstance;
@@ -342,13 +536,22 @@ SAPI.prototype.reprovisionInstance = reprovisionInstance;
  *
  * @param {String} uuid: the UUID of the instances.
  * @param {String} opts: new attributes
+ * @param {Object} options: Optional request options, e.g. `ifMatch`.
  * @param {Function} callback: of the form f(err, app).
  */
-function updateInstance(uuid, opts, callback) {
+function updateInstance(uuid, opts, options, callback) {
     assert.string(uuid, 'uuid');
     assert.object(opts, 'opts');
 
-    return (this.put(sprintf('/instances/%s', uuid), opts, callback));
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/instances/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.put(reqOpts, opts, callback));
 }
 
 SAPI.prototype.updateInstance = updateInstance;
@@ -358,10 +561,19 @@ SAPI.prototype.updateInstance = updateInstance;
  * Deletes an instance by UUID
  *
  * @param {String} uuid: the UUID of an instance.
+ * @param {Object} options: Optional request options, e.g. `ifMatch`.
  * @param {Function} callback : of the form f(err).
  */
-function deleteInstance(uuid, callback) {
-    return (this.del(sprintf('/instances/%s', uuid), callback));
+function deleteInstance(uuid, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var reqOpts = { path: sprintf('/instances/%s', uuid) };
+    this._requestOptions(reqOpts, options);
+
+    return (this.del(reqOpts, callback));
 }
 
 SAPI.prototype.deleteInstance = deleteInstance;
@@ -448,9 +660,7 @@ function getConfig(uuid, options, callback) {
     assert.func(callback, 'callback');
 
     var opts = { path: sprintf('/configs/%s', uuid), query: {} };
-    if (options && options.headers) {
-        opts.headers = options.headers;
-    }
+    this._requestOptions(opts, options);
 
     return (this.get(opts, callback));
 }
@@ -1172,3 +1382,7 @@ function whatis(uuid, cb) {
         cb(null, null);
     });
 }
+
+
+
+promises.promisifyAll(SAPI.prototype, ['listInstancesStream']);
@@ -0,0 +1,51 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Schemas of the CNAPI objects: servers.
+ */
+
+var common = require('./common');
+var nullable = common.nullable;
+var required = common.required;
+
+
+
+// --- Schemas
+
+var SERVER = {
+    type: 'object',
+    properties: {
+        uuid: required(common.UUID),
+        hostname: { type: 'string', required: true },
+        status: { type: 'string' },
+        setup: { type: 'boolean' },
+        headnode: { type: 'boolean' },
+        reserved: { type: 'boolean' },
+        datacenter: { type: 'string' },
+        current_platform: { type: 'string' },
+        boot_platform: nullable({ type: 'string' }),
+        ram: common.COUNT,
+        sysinfo: { type: 'object' },
+        vms: { type: 'object' }
+    }
+};
+
+
+
+module.exports = {
+    SCHEMAS: {
+        server: SERVER
+    },
+    ROUTES: {
+        'GET /servers': { response: 'server', list: true },
+        'GET /servers/:uuid': { response: 'server' }
+    }
+};
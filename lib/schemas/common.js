@@ -0,0 +1,112 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Property schemas shared by the schemas of several APIs.
+ */
+
+
+
+// --- Exported schemas
+
+var UUID = {
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{8}-([0-9a-fA-F]{4}-){3}[0-9a-fA-F]{12}$'
+};
+
+var MAC = {
+    type: 'string',
+    pattern: '^([0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2}$'
+};
+
+var IP = {
+    type: 'string',
+    pattern: '^\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}$'
+};
+
+var SUBNET = {
+    type: 'string',
+    pattern: '^\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}/\\d{1,2}$'
+};
+
+/*
+ * json-schema's 'integer' type also accepts strings of digits, so integers
+ * are numbers without decimals.
+ */
+var INTEGER = {
+    type: 'number',
+    maxDecimal: 0
+};
+
+// An integer >= 0, e.g. a size or a count.
+var COUNT = {
+    type: 'number',
+    maxDecimal: 0,
+    minimum: 0
+};
+
+// A timestamp, as an ISO 8601 string or ms since the epoch.
+var TIMESTAMP = {
+    type: ['string', 'number']
+};
+
+var VLAN_ID = {
+    type: 'number',
+    maxDecimal: 0,
+    minimum: 0,
+    maximum: 4094
+};
+
+
+/*
+ * Returns a copy of a schema with `required` set.
+ */
+function required(schema) {
+    var copy = {};
+    Object.keys(schema).forEach(function (k) {
+        copy[k] = schema[k];
+    });
+    copy.required = true;
+    return copy;
+}
+
+
+/*
+ * Returns a copy of a schema that also allows null.
+ */
+function nullable(schema) {
+    var copy = {};
+    Object.keys(schema).forEach(function (k) {
+        copy[k] = schema[k];
+    });
+    copy.type = [].concat(schema.type, 'null');
+    return copy;
+}
+
+
+function arrayOf(items) {
+    return { type: 'array', items: items };
+}
+
+
+
+module.exports = {
+    UUID: UUID,
+    MAC: MAC,
+    IP: IP,
+    SUBNET: SUBNET,
+    INTEGER: INTEGER,
+    COUNT: COUNT,
+    TIMESTAMP: TIMESTAMP,
+    VLAN_ID: VLAN_ID,
+    required: required,
+    nullable: nullable,
+    arrayOf: arrayOf
+};
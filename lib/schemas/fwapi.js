@@ -0,0 +1,60 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Schemas of the FWAPI objects: firewall rules.
+ */
+
+var common = require('./common');
+var required = common.required;
+
+
+
+// --- Schemas
+
+var RULE = {
+    type: 'object',
+    properties: {
+        uuid: required(common.UUID),
+        rule: { type: 'string', required: true },
+        enabled: { type: 'boolean', required: true },
+        owner_uuid: common.UUID,
+        global: { type: 'boolean' },
+        description: { type: 'string' },
+        version: { type: 'string' }
+    }
+};
+
+var CREATE_RULE = {
+    type: 'object',
+    properties: {
+        uuid: common.UUID,
+        rule: { type: 'string', required: true },
+        enabled: { type: 'boolean' },
+        owner_uuid: common.UUID,
+        global: { type: 'boolean' },
+        description: { type: 'string' }
+    }
+};
+
+
+
+module.exports = {
+    SCHEMAS: {
+        rule: RULE,
+        createRule: CREATE_RULE
+    },
+    ROUTES: {
+        'GET /rules': { response: 'rule', list: true },
+        'GET /rules/:uuid': { response: 'rule' },
+        'POST /rules': { request: 'createRule', response: 'rule' },
+        'GET /firewalls/vms/:uuid': { response: 'rule', list: true }
+    }
+};
@@ -0,0 +1,102 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Schemas of the IMGAPI objects: image manifests, and the manifests given
+ * to create images.
+ */
+
+var common = require('./common');
+var arrayOf = common.arrayOf;
+var nullable = common.nullable;
+var required = common.required;
+
+
+
+// --- Schemas
+
+var STATES = ['active', 'unactivated', 'disabled', 'creating', 'failed'];
+
+var TYPES = ['zone-dataset', 'lx-dataset', 'zvol', 'docker', 'other'];
+
+var OSES = ['smartos', 'linux', 'windows', 'bsd', 'illumos', 'other'];
+
+var FILE = {
+    type: 'object',
+    properties: {
+        sha1: { type: 'string', required: true },
+        size: required(common.COUNT),
+        compression: {
+            type: 'string',
+            'enum': ['bzip2', 'gzip', 'none'],
+            required: true
+        }
+    }
+};
+
+var IMAGE = {
+    type: 'object',
+    properties: {
+        v: common.INTEGER,
+        uuid: required(common.UUID),
+        owner: required(common.UUID),
+        name: { type: 'string', required: true },
+        version: { type: 'string', required: true },
+        state: { type: 'string', 'enum': STATES, required: true },
+        type: { type: 'string', 'enum': TYPES },
+        os: { type: 'string', 'enum': OSES },
+        disabled: { type: 'boolean' },
+        activated: { type: 'boolean' },
+        public: { type: 'boolean' },
+        published_at: common.TIMESTAMP,
+        origin: common.UUID,
+        files: arrayOf(FILE),
+        acl: arrayOf(common.UUID),
+        tags: { type: 'object' },
+        error: nullable({ type: 'object' })
+    }
+};
+
+/*
+ * A manifest to create an image with: `name` and `version` are required.
+ * IMGAPI requires `os` and `type` too, but not when creating an image from
+ * a VM, which they are taken from.
+ */
+var CREATE_IMAGE = {
+    type: 'object',
+    properties: {
+        uuid: common.UUID,
+        owner: common.UUID,
+        name: { type: 'string', required: true },
+        version: { type: 'string', required: true },
+        type: { type: 'string', 'enum': TYPES },
+        os: { type: 'string', 'enum': OSES },
+        description: { type: 'string' },
+        public: { type: 'boolean' },
+        origin: common.UUID,
+        acl: arrayOf(common.UUID),
+        tags: { type: 'object' }
+    }
+};
+
+
+
+module.exports = {
+    SCHEMAS: {
+        image: IMAGE,
+        createImage: CREATE_IMAGE
+    },
+    ROUTES: {
+        'GET /images': { response: 'image', list: true },
+        'GET /images/:uuid': { response: 'image' },
+        'POST /images': { request: 'createImage', response: 'image' },
+        'POST /images?action=create-from-vm': { request: 'createImage' }
+    }
+};
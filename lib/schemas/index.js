@@ -0,0 +1,188 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * JSON schemas (draft 03, as the SDC APIs use them) of the main objects of
+ * the APIs, and of the parameters to create them:
+ *
+ *      vm, createVm                    (VMAPI)
+ *      server                          (CNAPI)
+ *      nic, createNic, network, createNetwork  (NAPI)
+ *      image, createImage              (IMGAPI)
+ *      package, createPackage          (PAPI)
+ *      rule, createRule                (FWAPI)
+ *      application, createApplication, service, createService, instance,
+ *      createInstance                  (SAPI)
+ *
+ * The schemas only require the fields that identify an object or that the
+ * API requires, and allow fields they don't know about, so that they hold
+ * for older and newer versions of the APIs.
+ *
+ * With the `validate` option, the clients check the bodies of the requests
+ * they make and of the responses they get against these schemas, for the
+ * endpoints listed in each API's ROUTES (see "jsonclient.js"). They can also
+ * be used directly:
+ *
+ *      var schemas = require('sdc-clients').schemas;
+ *
+ *      var errs = schemas.validate('vm', vm);
+ *      errs.forEach(function (e) {
+ *          console.error('%s: %s', e.field, e.message);
+ *      });
+ */
+
+var assert = require('assert-plus');
+var jsonSchema = require('json-schema');
+var querystring = require('querystring');
+
+var cnapi = require('./cnapi');
+var fwapi = require('./fwapi');
+var imgapi = require('./imgapi');
+var metrics = require('../metrics');
+var napi = require('./napi');
+var papi = require('./papi');
+var sapi = require('./sapi');
+var vmapi = require('./vmapi');
+
+
+
+// --- Globals
+
+var APIS = {
+    cnapi: cnapi,
+    fwapi: fwapi,
+    imgapi: imgapi,
+    napi: napi,
+    papi: papi,
+    sapi: sapi,
+    vmapi: vmapi
+};
+
+// The schemas, by name.
+var SCHEMAS = {};
+
+// The schemas of the requests and responses of the endpoints of each API,
+// by API name and then by route (see `routeKey`).
+var ROUTES = {};
+
+Object.keys(APIS).forEach(function (name) {
+    var api = APIS[name];
+    Object.keys(api.SCHEMAS).forEach(function (k) {
+        SCHEMAS[k] = api.SCHEMAS[k];
+    });
+    ROUTES[name] = api.ROUTES;
+});
+
+var MISSING_MESSAGE = 'is missing and it is required';
+
+
+
+// --- Internal support
+
+/*
+ * The field-level errors of a json-schema validation result, with the
+ * field names under `prefix`.
+ */
+function fieldErrors(result, prefix) {
+    return result.errors.map(function (e) {
+        var missing = (e.message === MISSING_MESSAGE);
+        return {
+            field: (prefix && e.property ?
+                prefix + '.' + e.property : prefix + e.property),
+            code: (missing ? 'MissingParameter' : 'InvalidParameter'),
+            message: e.message
+        };
+    });
+}
+
+
+
+// --- Exported functions
+
+/**
+ * Validate a value against one of the schemas.
+ *
+ * @param {String} name : the name of the schema, e.g. 'vm'.
+ * @param {Object} value : the value to validate.
+ * @param {Object} options : Optional.
+ *    - list {Boolean} Optional. `value` is an array of such objects.
+ *    - partial {Boolean} Optional. Do not require any fields, e.g. for the
+ *      objects of a list call with a `fields` param.
+ * @return {Array} the field-level errors, empty if the value is valid, of
+ *         the form `{field: <name>, code: <code>, message: <message>}`
+ *         where `code` is 'MissingParameter' or 'InvalidParameter' (as in
+ *         the SDC APIs' own validation errors).
+ * @throws {TypeError} if there is no such schema.
+ */
+function validate(name, value, options) {
+    assert.string(name, 'name');
+    assert.optionalObject(options, 'options');
+    if (!SCHEMAS.hasOwnProperty(name)) {
+        throw new TypeError('unknown schema: ' + name);
+    }
+
+    var schema = SCHEMAS[name];
+    if (options && options.partial) {
+        var found = validate(name, value, { list: options.list });
+        return found.filter(function (e) {
+            return (e.code !== 'MissingParameter');
+        });
+    }
+    if (!options || !options.list) {
+        return fieldErrors(jsonSchema.validate(value, schema), '');
+    }
+
+    if (!Array.isArray(value)) {
+        return [ {
+            field: '',
+            code: 'InvalidParameter',
+            message: 'an array is required'
+        } ];
+    }
+
+    var errs = [];
+    value.forEach(function (item, i) {
+        errs = errs.concat(fieldErrors(jsonSchema.validate(item, schema),
+            '[' + i + ']'));
+    });
+    return errs;
+}
+
+
+/**
+ * The key of a request in an API's ROUTES: the method and route template
+ * (see `metrics.routeTemplate`), e.g. 'GET /vms/:uuid', followed by the
+ * `action` query param if there is one, e.g.
+ * 'POST /images?action=create-from-vm'.
+ *
+ * @param {String} method : the HTTP method.
+ * @param {String} path : the request path, which may have a query string.
+ * @param {Object} query : Optional. The request's query params.
+ * @return {String} the key.
+ */
+function routeKey(method, path, query) {
+    assert.string(method, 'method');
+    assert.string(path, 'path');
+
+    var action = (query && query.action) ||
+        querystring.parse(path.split('?')[1] || '').action;
+    var key = method + ' ' + metrics.routeTemplate(path);
+
+    return (action ? key + '?action=' + action : key);
+}
+
+
+
+module.exports = {
+    SCHEMAS: SCHEMAS,
+    ROUTES: ROUTES,
+    routeKey: routeKey,
+    validate: validate
+};
@@ -0,0 +1,123 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Schemas of the NAPI objects: nics and networks, and the parameters to
+ * create them.
+ */
+
+var common = require('./common');
+var arrayOf = common.arrayOf;
+var nullable = common.nullable;
+var required = common.required;
+
+
+
+// --- Schemas
+
+var BELONGS_TO_TYPES = ['other', 'server', 'zone'];
+
+var NIC = {
+    type: 'object',
+    properties: {
+        mac: required(common.MAC),
+        owner_uuid: required(common.UUID),
+        belongs_to_uuid: required(common.UUID),
+        belongs_to_type: {
+            type: 'string',
+            'enum': BELONGS_TO_TYPES,
+            required: true
+        },
+        ip: common.IP,
+        netmask: common.IP,
+        gateway: common.IP,
+        network_uuid: common.UUID,
+        nic_tag: { type: 'string' },
+        vlan_id: common.VLAN_ID,
+        primary: { type: 'boolean' },
+        state: { type: 'string' },
+        resolvers: arrayOf(common.IP)
+    }
+};
+
+var CREATE_NIC = {
+    type: 'object',
+    properties: {
+        mac: common.MAC,
+        owner_uuid: required(common.UUID),
+        belongs_to_uuid: required(common.UUID),
+        belongs_to_type: {
+            type: 'string',
+            'enum': BELONGS_TO_TYPES,
+            required: true
+        },
+        ip: common.IP,
+        network_uuid: common.UUID,
+        nic_tag: { type: 'string' },
+        vlan_id: common.VLAN_ID,
+        primary: { type: 'boolean' },
+        reserved: { type: 'boolean' }
+    }
+};
+
+var NETWORK = {
+    type: 'object',
+    properties: {
+        uuid: required(common.UUID),
+        name: { type: 'string', required: true },
+        subnet: common.SUBNET,
+        netmask: common.IP,
+        gateway: nullable(common.IP),
+        provision_start_ip: common.IP,
+        provision_end_ip: common.IP,
+        nic_tag: { type: 'string', required: true },
+        vlan_id: required(common.VLAN_ID),
+        resolvers: arrayOf(common.IP),
+        owner_uuids: arrayOf(common.UUID),
+        description: { type: 'string' }
+    }
+};
+
+var CREATE_NETWORK = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', required: true },
+        subnet: required(common.SUBNET),
+        provision_start_ip: required(common.IP),
+        provision_end_ip: required(common.IP),
+        nic_tag: { type: 'string', required: true },
+        vlan_id: common.VLAN_ID,
+        gateway: common.IP,
+        resolvers: arrayOf(common.IP),
+        owner_uuids: arrayOf(common.UUID),
+        description: { type: 'string' }
+    }
+};
+
+
+
+module.exports = {
+    SCHEMAS: {
+        nic: NIC,
+        createNic: CREATE_NIC,
+        network: NETWORK,
+        createNetwork: CREATE_NETWORK
+    },
+    ROUTES: {
+        'GET /nics': { response: 'nic', list: true },
+        'GET /nics/:mac': { response: 'nic' },
+        'POST /nics': { request: 'createNic', response: 'nic' },
+        'GET /networks': { response: 'network', list: true },
+        'GET /networks/:uuid': { response: 'network' },
+        'POST /networks': { request: 'createNetwork', response: 'network' },
+        'GET /networks/:uuid/nics': { response: 'nic', list: true },
+        'POST /networks/:uuid/nics': { request: 'createNic', response: 'nic' }
+    }
+};
@@ -0,0 +1,70 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Schemas of the PAPI objects: packages.
+ */
+
+var common = require('./common');
+var arrayOf = common.arrayOf;
+var nullable = common.nullable;
+var required = common.required;
+
+
+
+// --- Schemas
+
+var PROPERTIES = {
+    uuid: common.UUID,
+    name: { type: 'string', required: true },
+    version: { type: 'string', required: true },
+    active: { type: 'boolean' },
+    default: { type: 'boolean' },
+    max_physical_memory: required(common.COUNT),
+    max_swap: required(common.COUNT),
+    quota: required(common.COUNT),
+    max_lwps: common.COUNT,
+    zfs_io_priority: common.COUNT,
+    cpu_cap: common.COUNT,
+    vcpus: common.COUNT,
+    os: { type: 'string' },
+    group: { type: 'string' },
+    description: { type: 'string' },
+    owner_uuids: nullable(arrayOf(common.UUID)),
+    networks: arrayOf(common.UUID)
+};
+
+var PACKAGE = {
+    type: 'object',
+    properties: {}
+};
+var CREATE_PACKAGE = {
+    type: 'object',
+    properties: PROPERTIES
+};
+
+Object.keys(PROPERTIES).forEach(function (k) {
+    PACKAGE.properties[k] = PROPERTIES[k];
+});
+PACKAGE.properties.uuid = required(common.UUID);
+
+
+
+module.exports = {
+    SCHEMAS: {
+        'package': PACKAGE,
+        createPackage: CREATE_PACKAGE
+    },
+    ROUTES: {
+        'GET /packages': { response: 'package', list: true },
+        'GET /packages/:uuid': { response: 'package' },
+        'POST /packages': { request: 'createPackage', response: 'package' }
+    }
+};
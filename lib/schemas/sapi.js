@@ -0,0 +1,100 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Schemas of the SAPI objects: applications, services and instances, and
+ * the parameters to create them.
+ */
+
+var common = require('./common');
+var required = common.required;
+
+
+
+// --- Schemas
+
+// The fields that applications, services and instances have in common.
+function sapiObject(properties) {
+    var schema = {
+        type: 'object',
+        properties: {
+            uuid: common.UUID,
+            params: { type: 'object' },
+            metadata: { type: 'object' },
+            manifests: { type: 'object' }
+        }
+    };
+    Object.keys(properties).forEach(function (k) {
+        schema.properties[k] = properties[k];
+    });
+    return schema;
+}
+
+var APPLICATION = sapiObject({
+    uuid: required(common.UUID),
+    name: { type: 'string', required: true },
+    owner_uuid: required(common.UUID)
+});
+
+var CREATE_APPLICATION = sapiObject({
+    name: { type: 'string', required: true },
+    owner_uuid: required(common.UUID)
+});
+
+var SERVICE = sapiObject({
+    uuid: required(common.UUID),
+    name: { type: 'string', required: true },
+    application_uuid: required(common.UUID),
+    type: { type: 'string', 'enum': ['vm', 'agent'] }
+});
+
+var CREATE_SERVICE = sapiObject({
+    name: { type: 'string', required: true },
+    application_uuid: required(common.UUID),
+    type: { type: 'string', 'enum': ['vm', 'agent'] }
+});
+
+var INSTANCE = sapiObject({
+    uuid: required(common.UUID),
+    service_uuid: required(common.UUID),
+    type: { type: 'string', 'enum': ['vm', 'agent'] },
+    job_uuid: common.UUID
+});
+
+var CREATE_INSTANCE = sapiObject({
+    service_uuid: required(common.UUID)
+});
+
+
+
+module.exports = {
+    SCHEMAS: {
+        application: APPLICATION,
+        createApplication: CREATE_APPLICATION,
+        service: SERVICE,
+        createService: CREATE_SERVICE,
+        instance: INSTANCE,
+        createInstance: CREATE_INSTANCE
+    },
+    ROUTES: {
+        'GET /applications': { response: 'application', list: true },
+        'GET /applications/:uuid': { response: 'application' },
+        'POST /applications': {
+            request: 'createApplication',
+            response: 'application'
+        },
+        'GET /services': { response: 'service', list: true },
+        'GET /services/:uuid': { response: 'service' },
+        'POST /services': { request: 'createService', response: 'service' },
+        'GET /instances': { response: 'instance', list: true },
+        'GET /instances/:uuid': { response: 'instance' },
+        'POST /instances': { request: 'createInstance', response: 'instance' }
+    }
+};
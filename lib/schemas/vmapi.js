@@ -0,0 +1,113 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Schemas of the VMAPI objects: VMs, and the parameters to create them.
+ */
+
+var common = require('./common');
+var arrayOf = common.arrayOf;
+var nullable = common.nullable;
+var required = common.required;
+
+
+
+// --- Schemas
+
+var NIC = {
+    type: 'object',
+    properties: {
+        mac: required(common.MAC),
+        ip: common.IP,
+        netmask: common.IP,
+        gateway: common.IP,
+        network_uuid: common.UUID,
+        nic_tag: { type: 'string' },
+        vlan_id: common.VLAN_ID,
+        primary: { type: 'boolean' }
+    }
+};
+
+var VM = {
+    type: 'object',
+    properties: {
+        uuid: required(common.UUID),
+        owner_uuid: required(common.UUID),
+        brand: { type: 'string', required: true },
+        state: { type: 'string', required: true },
+        alias: nullable({ type: 'string' }),
+        server_uuid: nullable(common.UUID),
+        image_uuid: nullable(common.UUID),
+        billing_id: nullable(common.UUID),
+        ram: common.COUNT,
+        max_physical_memory: common.COUNT,
+        quota: common.COUNT,
+        cpu_cap: nullable(common.COUNT),
+        nics: arrayOf(NIC),
+        tags: { type: 'object' },
+        customer_metadata: { type: 'object' },
+        internal_metadata: { type: 'object' },
+        create_timestamp: nullable(common.TIMESTAMP),
+        destroyed: nullable(common.TIMESTAMP)
+    }
+};
+
+// A network to create a VM on: a UUID, or an object with the UUID and
+// options such as the IP.
+var VM_NETWORK = {
+    type: [ common.UUID, {
+        type: 'object',
+        properties: {
+            uuid: common.UUID,
+            ipv4_uuid: common.UUID,
+            ipv4_ips: arrayOf(common.IP),
+            primary: { type: 'boolean' }
+        }
+    } ]
+};
+
+var CREATE_VM = {
+    type: 'object',
+    properties: {
+        uuid: common.UUID,
+        owner_uuid: required(common.UUID),
+        brand: { type: 'string', required: true },
+        networks: {
+            type: 'array',
+            items: VM_NETWORK,
+            minItems: 1,
+            required: true
+        },
+        alias: { type: 'string' },
+        image_uuid: common.UUID,
+        billing_id: common.UUID,
+        server_uuid: common.UUID,
+        ram: common.COUNT,
+        quota: common.COUNT,
+        cpu_cap: common.COUNT,
+        tags: { type: 'object' },
+        customer_metadata: { type: 'object' },
+        internal_metadata: { type: 'object' }
+    }
+};
+
+
+
+module.exports = {
+    SCHEMAS: {
+        vm: VM,
+        createVm: CREATE_VM
+    },
+    ROUTES: {
+        'GET /vms': { response: 'vm', list: true },
+        'GET /vms/:uuid': { response: 'vm' },
+        'POST /vms': { request: 'createVm' }
+    }
+};
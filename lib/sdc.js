@@ -0,0 +1,204 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Create the clients of all the SDC APIs from one config:
+ *
+ *      var sdc = require('sdc-clients');
+ *
+ *      var clients = sdc.createSdcClients({
+ *          log: log,
+ *          requestId: req.getId(),
+ *          vmapi: {url: 'http://vmapi.coal.joyent.us'},
+ *          CNAPI_SERVICE: 'cnapi.coal.joyent.us'
+ *      });
+ *
+ *      clients.vmapi.listVms(...);
+ *      ...
+ *      clients.close();
+ */
+
+var assert = require('assert-plus');
+var http = require('http');
+
+var Amon = require('./amon');
+var CNAPI = require('./cnapi');
+var FWAPI = require('./fwapi');
+var IMGAPI = require('./imgapi');
+var logging = require('./logging');
+var NAPI = require('./napi');
+var PAPI = require('./papi');
+var SAPI = require('./sapi');
+var VMAPI = require('./vmapi');
+var WFAPI = require('./wfapi');
+
+
+
+// --- Globals
+
+/*
+ * The APIs, by the name of their client in the result of createSdcClients,
+ * with the name of their SAPI metadata key (as in the 'sdc' application's
+ * metadata).
+ */
+var APIS = {
+    amon: { Client: Amon, service: 'AMON_SERVICE' },
+    cnapi: { Client: CNAPI, service: 'CNAPI_SERVICE' },
+    fwapi: { Client: FWAPI, service: 'FWAPI_SERVICE' },
+    imgapi: { Client: IMGAPI, service: 'IMGAPI_SERVICE' },
+    napi: { Client: NAPI, service: 'NAPI_SERVICE' },
+    papi: { Client: PAPI, service: 'PAPI_SERVICE' },
+    sapi: { Client: SAPI, service: 'SAPI_SERVICE' },
+    vmapi: { Client: VMAPI, service: 'VMAPI_SERVICE' },
+    wfapi: { Client: WFAPI, service: 'WORKFLOW_SERVICE' }
+};
+
+/*
+ * The config options given to all the clients.
+ */
+var SHARED_OPTIONS = ['agent', 'cassette', 'connectTimeout', 'log',
+    'metrics', 'requestId', 'retryPolicy', 'userAgent'];
+
+
+
+// --- Internal support
+
+/*
+ * The client options for an API from the config: its `<name>` entry (a URL,
+ * or client options with a `url`), or else its SAPI metadata entry (the
+ * service's domain name). Returns null if the API is not in the config.
+ */
+function apiOptions(config, name) {
+    var entry = config[name];
+    var service = config[APIS[name].service];
+
+    if (typeof (entry) === 'string') {
+        return { url: entry };
+    } else if (entry) {
+        assert.object(entry, 'config.' + name);
+        assert.ok(entry.url, 'config.' + name + '.url');
+        var opts = {};
+        Object.keys(entry).forEach(function (k) {
+            opts[k] = entry[k];
+        });
+        return opts;
+    } else if (service) {
+        assert.string(service, 'config.' + APIS[name].service);
+        return {
+            url: (/^https?:\/\//.test(service) ? service : 'http://' + service)
+        };
+    }
+
+    return null;
+}
+
+
+
+// --- Exported functions
+
+/**
+ * Create the clients of the SDC APIs in a config, sharing an HTTP agent,
+ * a logger, a request id and a retry policy.
+ *
+ * @param {Object} config : the APIs, as either or both of:
+ *    - <api> {String|Object} The API's URL, or its client's options (with a
+ *      `url`), where <api> is one of 'amon', 'cnapi', 'fwapi', 'imgapi',
+ *      'napi', 'papi', 'sapi', 'vmapi' and 'wfapi', as in the configs of
+ *      SDC services.
+ *    - <API>_SERVICE {String} The API's domain name, as in the metadata of
+ *      the 'sdc' SAPI application: AMON_SERVICE, CNAPI_SERVICE,
+ *      FWAPI_SERVICE, IMGAPI_SERVICE, NAPI_SERVICE, PAPI_SERVICE,
+ *      SAPI_SERVICE, VMAPI_SERVICE and WORKFLOW_SERVICE. Its URL is
+ *      'http://<domain>'.
+ *    An API's own entry wins over its metadata. There is no client for the
+ *    APIs in neither. The options for all the clients are:
+ *    - agent {http.Agent|Boolean} Optional. The HTTP agent. By default, the
+ *      clients share a new keep-alive agent, which `close()` destroys. It
+ *      is an HTTP agent: give an https API its own `agent`.
+ *    - log {Object} Optional. Bunyan logger.
+ *    - requestId {String|Function|Object} Optional. See "restifyclient.js".
+ *    - retryPolicy {Object|Boolean} Optional. See "restifyclient.js".
+ *    - metrics, cassette, connectTimeout, userAgent. Optional. See
+ *      "restifyclient.js".
+ *    An API's client options override these.
+ * @return {Object} the clients by API name (e.g. `clients.vmapi`), `agent`,
+ *         `log` and a `close()` method to close them all.
+ * @throws {TypeError} on bad input, or if there are no APIs in the config.
+ */
+function createSdcClients(config) {
+    assert.object(config, 'config');
+    assert.optionalObject(config.log, 'config.log');
+
+    var shared = {};
+    SHARED_OPTIONS.forEach(function (k) {
+        if (config[k] !== undefined) {
+            shared[k] = config[k];
+        }
+    });
+    shared.log = logging.clientLogger(config.log);
+
+    var ownAgent = (config.agent === undefined);
+    if (ownAgent) {
+        shared.agent = new http.Agent({ keepAlive: true });
+    }
+
+    var clients = {
+        agent: shared.agent,
+        log: shared.log
+    };
+    var names = [];
+
+    Object.keys(APIS).forEach(function (name) {
+        var opts = apiOptions(config, name);
+        if (!opts) {
+            return;
+        }
+
+        Object.keys(shared).forEach(function (k) {
+            if (opts[k] === undefined) {
+                opts[k] = shared[k];
+            }
+        });
+        if (name === 'sapi' && !opts.wfapiUrl) {
+            var wfapi = apiOptions(config, 'wfapi');
+            if (wfapi && typeof (wfapi.url) === 'string') {
+                opts.wfapiUrl = wfapi.url;
+            }
+        }
+
+        clients[name] = new APIS[name].Client(opts);
+        names.push(name);
+    });
+
+    if (names.length === 0) {
+        throw new TypeError('config has none of the SDC APIs (' +
+            Object.keys(APIS).join(', ') + ')');
+    }
+
+    /**
+     * Close all the clients, and the agent if it was created for them.
+     */
+    clients.close = function close() {
+        names.forEach(function (name) {
+            clients[name].close();
+        });
+        if (ownAgent && typeof (shared.agent.destroy) === 'function') {
+            shared.agent.destroy();
+        }
+    };
+
+    return clients;
+}
+
+
+
+module.exports = {
+    createSdcClients: createSdcClients
+};
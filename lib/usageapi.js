@@ -0,0 +1,262 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Client library for the SDC Usage API (UsageAPI).
+ *
+ * Usage reports are generated asynchronously: `createReport` queues one, and
+ * its `status` goes from 'queued' to 'processing', then 'done' (when its
+ * results can be downloaded with `getReportResults`) or 'failed'.
+ * `waitForReport` polls a report until it is done.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var abort = require('./abort');
+var errors = require('./errors');
+var promises = require('./promises');
+var RestifyClient = require('./restifyclient');
+
+
+
+// --- Globals
+
+var DEFAULT_INTERVAL = 5000;        // 5 seconds
+var DEFAULT_TIMEOUT = 3600000;      // 1 hour
+
+// Consecutive failed polls after which waitForReport gives up.
+var MAX_POLL_ERRORS = 5;
+
+
+
+// --- Exported Client
+
+/**
+ * Constructor
+ *
+ * See the RestifyClient constructor for details
+ */
+function UsageAPI(options) {
+    RestifyClient.call(this, options);
+}
+
+util.inherits(UsageAPI, RestifyClient);
+
+
+
+// --- Misc methods
+
+/**
+ * Ping UsageAPI server.
+ *
+ * @param {Function} callback : of the form f(err, res).
+ */
+UsageAPI.prototype.ping = function (callback) {
+    assert.func(callback, 'callback');
+    return this.get('/ping', callback);
+};
+
+
+
+// --- Report methods
+
+/**
+ * Queues the generation of a usage report.
+ *
+ * @param {Object} params : the report parameters: `start` and `end` (ISO
+ *        8601 dates, required), and optionally `owners` (an array of account
+ *        UUIDs, by default all of them).
+ * @param {Object} options : Request options (optional).
+ * @param {Function} callback : of the form f(err, report).
+ */
+UsageAPI.prototype.createReport = function (params, options, callback) {
+    assert.object(params, 'params');
+    assert.string(params.start, 'params.start');
+    assert.string(params.end, 'params.end');
+    assert.optionalArrayOfString(params.owners, 'params.owners');
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var opts = { path: '/usage' };
+    this._requestOptions(opts, options);
+
+    return this.post(opts, params, callback);
+};
+
+
+/**
+ * Lists usage reports.
+ *
+ * @param {Object} params : Filter params (optional), e.g. `status`.
+ * @param {Object} options : Request options (optional).
+ * @param {Function} callback : of the form f(err, reports).
+ */
+UsageAPI.prototype.listReports = function (params, options, callback) {
+    if (typeof (params) === 'function') {
+        callback = params;
+        params = {};
+    } else if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    assert.object(params, 'params');
+
+    var opts = { path: '/usage' };
+    this._requestOptions(opts, options);
+
+    return this.get(opts, params, callback);
+};
+
+
+/**
+ * Gets a usage report by UUID.
+ *
+ * @param {String} uuid : the report UUID.
+ * @param {Object} options : Request options (optional).
+ * @param {Function} callback : of the form f(err, report).
+ */
+UsageAPI.prototype.getReport = function (uuid, options, callback) {
+    assert.string(uuid, 'uuid');
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var opts = { path: format('/usage/%s', uuid) };
+    this._requestOptions(opts, options);
+
+    return this.get(opts, callback);
+};
+
+
+/**
+ * Deletes a usage report, and its results.
+ *
+ * @param {String} uuid : the report UUID.
+ * @param {Object} options : Request options (optional).
+ * @param {Function} callback : of the form f(err).
+ */
+UsageAPI.prototype.deleteReport = function (uuid, options, callback) {
+    assert.string(uuid, 'uuid');
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var opts = { path: format('/usage/%s', uuid) };
+    this._requestOptions(opts, options);
+
+    return this.del(opts, callback);
+};
+
+
+/**
+ * Downloads the results of a usage report that is done.
+ *
+ * @param {String} uuid : the report UUID.
+ * @param {Object} options : Request options (optional).
+ * @param {Function} callback : of the form f(err, results).
+ */
+UsageAPI.prototype.getReportResults = function (uuid, options, callback) {
+    assert.string(uuid, 'uuid');
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var opts = { path: format('/usage/%s/results', uuid) };
+    this._requestOptions(opts, options);
+
+    return this.get(opts, callback);
+};
+
+
+/**
+ * Polls a usage report until it is done or failed.
+ *
+ * @param {String} uuid : the report UUID.
+ * @param {Object} options : Request options (optional), plus:
+ *    - interval {Number} Optional. Time in ms between polls. Default 5000.
+ *    - timeout {Number} Optional. Time in ms after which to give up with a
+ *      TimeoutError. Default 3600000 (1 hour).
+ *    - signal {Object} Optional. Cancels the polling, see "abort.js".
+ * @param {Function} callback : of the form f(err, report). If the report
+ *        failed, err is an SdcError.
+ */
+UsageAPI.prototype.waitForReport = function (uuid, options, callback) {
+    var self = this;
+
+    assert.string(uuid, 'uuid');
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    assert.object(options, 'options');
+    assert.optionalNumber(options.interval, 'options.interval');
+    assert.optionalNumber(options.timeout, 'options.timeout');
+    assert.func(callback, 'callback');
+
+    var interval = (options.interval !== undefined ?
+        options.interval : DEFAULT_INTERVAL);
+    var timeout = (options.timeout !== undefined ?
+        options.timeout : DEFAULT_TIMEOUT);
+    var start = Date.now();
+    var pollErrors = 0;
+
+    function next(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        poll();
+    }
+
+    function poll() {
+        self.getReport(uuid, options, function (err, report) {
+            if (err) {
+                pollErrors++;
+                if (pollErrors >= MAX_POLL_ERRORS || err.code === 'Aborted' ||
+                    err.code === 'NotFound') {
+                    callback(err);
+                } else {
+                    abort.sleep(options.signal, interval, next);
+                }
+                return;
+            }
+            pollErrors = 0;
+
+            if (report.status === 'done') {
+                callback(null, report);
+            } else if (report.status === 'failed') {
+                var reason = report.error &&
+                    (report.error.message || String(report.error));
+                callback(new errors.SdcError(format('usage report %s failed%s',
+                    uuid, (reason ? ': ' + reason : ''))), report);
+            } else if (Date.now() - start >= timeout) {
+                callback(new errors.TimeoutError(
+                    format('timed out waiting for usage report %s', uuid)),
+                    report);
+            } else {
+                abort.sleep(options.signal, interval, next);
+            }
+        });
+    }
+
+    poll();
+};
+
+
+promises.promisifyAll(UsageAPI.prototype);
+
+module.exports = UsageAPI;
@@ -15,11 +15,18 @@
 var assert = require('assert-plus');
 var async = require('async');
 var mod_url = require('url');
-var restify = require('restify');
 var util = require('util');
 var format = util.format;
 
+var abort = require('./abort');
+var errors = require('./errors');
+var pager = require('./pager');
+var promises = require('./promises');
 var RestifyClient = require('./restifyclient');
+var schemas = require('./schemas');
+var VmQuery = require('./vmquery').VmQuery;
+var vmwatch = require('./vmwatch');
+var WFAPI = require('./wfapi');
 
 
 
@@ -27,78 +34,121 @@ var RestifyClient = require('./restifyclient');
 
 var METADATA_TYPES = ['customer_metadata', 'internal_metadata', 'tags'];
 
+// The default time in ms after which waitForVmState gives up.
+var DEFAULT_WAIT_TIMEOUT = 3600000;
+
+// The states a VM does not leave, other than by being destroyed.
+var FINAL_STATES = ['destroyed', 'failed'];
+
+// The most VMs fetched by one ListVms call by `uuids`, to keep its URL short.
+var MAX_UUIDS_PER_LIST = 100;
+
+var DEFAULT_BULK_CONCURRENCY = 10;
+
+/*
+ * The actions of bulkVmAction: the method that does the action, and whether
+ * to skip a VM that is in a given state (returning why).
+ */
+var BULK_ACTIONS = {
+    start: {
+        method: 'startVm',
+        skip: function (state) {
+            return (state === 'running' ? 'already running' : null);
+        }
+    },
+    stop: {
+        method: 'stopVm',
+        skip: function (state) {
+            return (state === 'stopped' ? 'already stopped' : null);
+        }
+    },
+    reboot: {
+        method: 'rebootVm',
+        skip: function (state) {
+            return (state !== 'running' ? 'not running' : null);
+        }
+    },
+    kill: {
+        method: 'killVm',
+        skip: function (state) {
+            return (state !== 'running' ? 'not running' : null);
+        }
+    },
+    update: { method: 'updateVm' },
+    reprovision: { method: 'reprovisionVm' },
+    snapshot: { method: 'snapshotVm' },
+    'delete': { method: 'deleteVm' }
+};
+
 
 
 // --- internal support stuff
 
 /*
- * Wait for a job to complete.  Returns an error if the job fails with an error
- * other than the (optional) list of expected errors.
+ * Wait for a job to complete on the Workflow API at `wfapiUrl`. Returns a
+ * JobFailedError if the job fails or is canceled.
  *
- * TODO: add trace logging
+ * `opts` are the options for `WFAPI.waitForJob` (`interval`, `timeout`,
+ * `onProgress` and `signal`), plus `requestId`, sent as the 'x-request-id'
+ * of the polling requests so they can be correlated with the request that
+ * created the job, `log` and `cassette`.
  */
-function waitForJob(wfapiUrl, jobUuid, cb) {
+function waitForJob(wfapiUrl, jobUuid, opts, cb) {
     assert.string(wfapiUrl, 'wfapiUrl');
     assert.string(jobUuid, 'jobUuid');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.requestId, 'opts.requestId');
     assert.func(cb, 'cb');
 
-    var client = restify.createJsonClient({url: wfapiUrl, agent: false});
-    pollJob(client, jobUuid, function (err, job) {
-        if (err)
-            return cb(err, job);
-        var result = job.chain_results.pop();
-        if (result.error) {
-            var errmsg = result.error.message || JSON.stringify(result.error);
-            return cb(new Error(errmsg), job);
-        } else {
-            return cb(null, job);
-        }
+    var wfapi = new WFAPI({
+        url: wfapiUrl,
+        agent: false,
+        log: opts.log,
+        requestId: opts.requestId,
+        cassette: opts.cassette
+    });
+    wfapi.waitForJob(jobUuid, {
+        interval: opts.interval,
+        timeout: opts.timeout,
+        onProgress: opts.onProgress,
+        signal: opts.signal
+    }, function (err, job) {
+        wfapi.close();
+        cb(err, job);
     });
 }
 
 
 /*
- * Poll a job until it reaches either the succeeded or failed state.
- * Taken from SAPI.
- *
- * Note: if a job fails, it's the caller's responsibility to check for a failed
- * job.  The error object will be null even if the job fails.
+ * The list params with the `fields` to ask VMAPI for, as a copy.
  */
-function pollJob(client, jobUuid, cb) {
-    var attempts = 0;
-    var errors = 0;
-
-    var timeout = 5000;  // 5 seconds
-    var limit = 720;     // 1 hour
-
-    var poll = function () {
-        client.get('/jobs/' + jobUuid, function (err, req, res, job) {
-            attempts++;
+function withFields(params, fields) {
+    var copy = {};
+    Object.keys(params).forEach(function (k) {
+        copy[k] = params[k];
+    });
+    copy.fields = fields.join(',');
+    return copy;
+}
 
-            if (err) {
-                errors++;
-                if (errors >= 5) {
-                    return cb(err);
-                } else {
-                    return setTimeout(poll, timeout);
-                }
-            }
 
-            if (job && job.execution === 'succeeded') {
-                return cb(null, job);
-            } else if (job && job.execution === 'failed') {
-                return cb(null, job);
-            } else if (job && job.execution === 'canceled') {
-                return cb(null, job);
-            } else if (attempts > limit) {
-                return cb(new Error('polling for import job timed out'), job);
+/*
+ * Trim listed VMs to `fields`, if given. A VMAPI that supports the `fields`
+ * param has already done so, but an older one returns the whole VMs.
+ */
+function trimVms(vms, fields) {
+    if (!fields || !Array.isArray(vms)) {
+        return vms;
+    }
+    return vms.map(function (vm) {
+        var trimmed = {};
+        fields.forEach(function (field) {
+            if (vm[field] !== undefined) {
+                trimmed[field] = vm[field];
             }
-
-            return setTimeout(poll, timeout);
         });
-    };
-
-    poll();
+        return trimmed;
+    });
 }
 
 
@@ -113,12 +163,18 @@ function pollJob(client, jobUuid, cb) {
 function VMAPI(options) {
     RestifyClient.call(this, options);
     this.url = options.url;
+    this._vmPoller = null;
 }
 
 util.inherits(VMAPI, RestifyClient);
 
+VMAPI.prototype.schemaRoutes = schemas.ROUTES.vmapi;
+
 
 VMAPI.prototype.close = function close() {
+    if (this._vmPoller) {
+        this._vmPoller.close();
+    }
     this.client.close();
 };
 
@@ -128,7 +184,9 @@ VMAPI.prototype.close = function close() {
  *
  * Versions of VMAPI after ZAPI-589 will include a 'workflow-api' response
  * header. The fallback is 'http://workflow.$domain' where `$domain` is
- * infered from this VMAPI client's URL. If that is an IP, then we fail.
+ * infered from the URL of the VMAPI instance that answered (with several
+ * VMAPI URLs, that need not be the first one). If that is an IP, then we
+ * fail.
  *
  */
 VMAPI.prototype._getWorkflowApiUrl = function _getWorkflowApiUrl(res) {
@@ -138,27 +196,129 @@ VMAPI.prototype._getWorkflowApiUrl = function _getWorkflowApiUrl(res) {
     if (res && res.headers && res.headers['workflow-api']) {
         return res.headers['workflow-api'];
     } else {
-        var parsed = mod_url.parse(this.url);
+        var url = this.client.baseUrl;
+        if (res.req && typeof (res.req.getHeader) === 'function' &&
+            res.req.getHeader('host')) {
+            url = 'http://' + res.req.getHeader('host');
+        }
+
+        var parsed = mod_url.parse(url);
         var match = vmapiDomainRe.exec(parsed.hostname);
         if (match) {
             return format('http://workflow.%s', match[1]);
         } else {
             throw new Error(format(
                 'cannot determine Workflow API url from VMAPI url "%s"',
-                this.url));
+                url));
         }
     }
 };
 
 
+/*
+ * The options for waiting on the job started by a call, from the call's
+ * `options`: see the `*AndWait` methods.
+ */
+VMAPI.prototype._waitOptions = function _waitOptions(options) {
+    return {
+        requestId: this.client.getRequestId(options),
+        log: this.client.log,
+        cassette: this.client.cassette,
+        interval: options && options.interval,
+        timeout: options && options.timeout,
+        onProgress: options && options.onProgress,
+        signal: options && options.signal
+    };
+};
+
+
+/*
+ * Wait for the job of a call that answered `jobInfo`, a Job Response Object,
+ * in `res`.
+ */
+VMAPI.prototype._waitForJobOf =
+function _waitForJobOf(jobInfo, res, options, callback) {
+    var wfapiUrl;
+    try {
+        wfapiUrl = this._getWorkflowApiUrl(res);
+    } catch (urlErr) {
+        // This runs in the call's response callback, so a throw would not
+        // reach the caller.
+        callback(urlErr);
+        return;
+    }
+    assert.string(wfapiUrl, 'wfapiUrl');
+    assert.string(jobInfo['job_uuid'], 'job_uuid');
+    assert.string(jobInfo['vm_uuid'], 'vm_uuid');
+
+    waitForJob(wfapiUrl, jobInfo['job_uuid'], this._waitOptions(options),
+        callback);
+};
+
+
+/*
+ * Make a call that starts a job on a VM (`method` is e.g. `this.stopVm`),
+ * wait for the job and get the VM as the job left it: see the `*AndWait`
+ * methods. The Promise form only resolves to the job, so the VM is also its
+ * non-enumerable `vm` property.
+ */
+VMAPI.prototype._andWait =
+function _andWait(method, params, options, callback) {
+    var self = this;
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    assert.func(callback, 'callback');
+
+    method.call(self, params, options, function (err, jobInfo, req, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self._waitForJobOf(jobInfo, res, options, function (jErr, job) {
+            if (jErr) {
+                callback(jErr);
+                return;
+            }
+
+            // Not the call's other options: e.g. its `ifMatch` is for the
+            // VM before the change.
+            self.getVm({
+                uuid: jobInfo['vm_uuid'],
+                owner_uuid: params.owner_uuid
+            }, {
+                requestId: self.client.getRequestId(options),
+                signal: options && options.signal
+            }, function (gErr, vm) {
+                if (gErr) {
+                    callback(gErr);
+                    return;
+                }
+                Object.defineProperty(job, 'vm', {
+                    value: vm,
+                    enumerable: false,
+                    configurable: true,
+                    writable: true
+                });
+                callback(null, job, vm);
+            });
+        });
+    });
+};
+
+
 
 // --- endpoint methods
 
 /**
  * Lists all VMs
  *
- * @param {Object} params : Filter params.
- * @param {Object} options : Request options.
+ * @param {Object} params : Filter params, or a VmQuery (see "vmquery.js").
+ * @param {Object} options : Request options, plus:
+ *        - fields {Array} Optional. The VM fields to list, e.g.
+ *          `['uuid', 'alias', 'state']`, rather than the whole VMs.
  * @param {Function} callback : of the form f(err, vms).
  */
 VMAPI.prototype.listVms = function (params, options, callback) {
@@ -171,16 +331,31 @@ VMAPI.prototype.listVms = function (params, options, callback) {
         callback = options;
         options = undefined;
     }
+    if (params instanceof VmQuery) {
+        params = params.toParams();
+    }
+
+    var fields = options && options.fields;
+    assert.optionalArrayOfString(fields, 'options.fields');
+    if (fields) {
+        params = withFields(params, fields);
+    }
 
     var self = this;
     var reqOpts = { path: '/vms', query: params };
     if (options) {
-        reqOpts.headers = options.headers;
+        this._requestOptions(reqOpts, options);
         reqOpts.log = options.log || this.log;
     }
 
     if (params.limit || params.offset) {
-        self.get(reqOpts, callback);
+        self.get(reqOpts, function (err, vms) {
+            var args = Array.prototype.slice.call(arguments);
+            if (!err) {
+                args[1] = trimVms(vms, fields);
+            }
+            callback.apply(null, args);
+        });
     } else {
         listAllVms(callback);
     }
@@ -241,7 +416,9 @@ VMAPI.prototype.listVms = function (params, options, callback) {
                     return whilstNext();
                 }
 
-                vms = vms.concat(someVms);
+                // Trim each page as it comes, so that the whole VMs are
+                // never all held at once.
+                vms = vms.concat(trimVms(someVms, fields));
                 return whilstNext();
             });
         }
@@ -249,11 +426,51 @@ VMAPI.prototype.listVms = function (params, options, callback) {
 };
 
 
+/**
+ * Lists VMs as a stream, fetching them a page at a time (see "pager.js").
+ *
+ * @param {Object} params : Filter params, or a VmQuery. `limit`, if given,
+ *        is the total number of VMs to list, and `offset` where to start.
+ * @param {Object} options : Request options, plus:
+ *        - pageSize {Number} Optional. VMs per page, default 1000.
+ *        - fields {Array} Optional. The VM fields to list, as for listVms.
+ * @return {ListStream} an object stream of the VMs.
+ */
+VMAPI.prototype.listVmsStream = function listVmsStream(params, options) {
+    var self = this;
+
+    if (params instanceof VmQuery) {
+        params = params.toParams();
+    }
+
+    var fields = options && options.fields;
+    assert.optionalArrayOfString(fields, 'options.fields');
+    if (fields) {
+        params = withFields(params || {}, fields);
+    }
+
+    return pager.createListStream({
+        params: params,
+        pageSize: options && options.pageSize,
+        fetch: function fetchVms(query, cb) {
+            var reqOpts = { path: '/vms', query: query };
+            if (options) {
+                self._requestOptions(reqOpts, options);
+                reqOpts.log = options.log || self.log;
+            }
+            self.get(reqOpts, function (err, vms) {
+                cb(err, trimVms(vms, fields));
+            });
+        }
+    });
+};
+
+
 
 /**
  * Count VMs
  *
- * @param {Object} params : Filter params.
+ * @param {Object} params : Filter params, or a VmQuery.
  * @param {Object} options : Request options.
  * @param {Function} callback : of the form f(err, counter).
  */
@@ -265,10 +482,13 @@ VMAPI.prototype.countVms = function countVms(params, options, callback) {
         callback = options;
         options = undefined;
     }
+    if (params instanceof VmQuery) {
+        params = params.toParams();
+    }
 
     var opts = { path: '/vms', query: params };
     if (options) {
-        opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -302,7 +522,7 @@ VMAPI.prototype.getVmProc = function (params, options, callback) {
 
     var opts = { path: format('/vms/%s/proc', params.uuid), query: query };
     if (options) {
-        opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -339,7 +559,7 @@ VMAPI.prototype.getVm = function (params, options, callback) {
 
     var opts = { path: format('/vms/%s', params.uuid), query: query };
     if (options) {
-        opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -347,6 +567,178 @@ VMAPI.prototype.getVm = function (params, options, callback) {
 };
 
 
+/*
+ * List the VMs with the given UUIDs (and other filter `params`), with a
+ * ListVms call per MAX_UUIDS_PER_LIST of them. VMs that VMAPI does not have
+ * are left out.
+ */
+VMAPI.prototype._listVmsByUuid =
+function _listVmsByUuid(uuids, params, options, callback) {
+    var self = this;
+    var vms = [];
+    var batches = [];
+
+    for (var i = 0; i < uuids.length; i += MAX_UUIDS_PER_LIST) {
+        batches.push(uuids.slice(i, i + MAX_UUIDS_PER_LIST));
+    }
+
+    async.forEachSeries(batches, function listBatch(batch, next) {
+        var query = {};
+        Object.keys(params).forEach(function (k) {
+            query[k] = params[k];
+        });
+        query.uuids = batch.join(',');
+        query.limit = batch.length;
+
+        self.listVms(query, options, function (err, someVms) {
+            if (!err) {
+                vms = vms.concat(someVms);
+            }
+            next(err);
+        });
+    }, function (err) {
+        callback(err, err ? undefined : vms);
+    });
+};
+
+
+/**
+ * Watches a VM for changes (see "vmwatch.js"). The watchers of a client
+ * share their polls: each poll fetches all the VMs that are due at once.
+ *
+ * @param {String} uuid : the UUID of the VM.
+ * @param {Object} options : Optional.
+ *        - interval {Number} Optional. Time in ms between polls. Default
+ *          2000.
+ *        - maxInterval {Number} Optional. The most time in ms between polls,
+ *          which back off while the VM does not change. Default 30000.
+ *        - fields {Array} Optional. The VM fields to emit 'change' events
+ *          for. Default `['state', 'nics', 'disks', 'tags']`.
+ * @return {VmWatcher} an EventEmitter, that emits 'vm' (vm) once the VM is
+ *         first fetched, 'change' (diff, vm, previous) when the watched
+ *         fields change, with `diff` of the form `{field: {from: x, to: y}}`,
+ *         and 'pollError' (err) for failed polls, after which it keeps
+ *         polling. It stops with an 'error' (a NotFoundError) if VMAPI has no
+ *         such VM, or when its `stop()` is called. Its timers do not keep the
+ *         process running.
+ */
+VMAPI.prototype.watchVm = function watchVm(uuid, options) {
+    var self = this;
+
+    if (!self._vmPoller) {
+        self._vmPoller = new vmwatch.VmPoller({
+            list: function listWatchedVms(uuids, cb) {
+                self._listVmsByUuid(uuids, {}, undefined, cb);
+            }
+        });
+    }
+
+    var watcher = new vmwatch.VmWatcher(self._vmPoller, uuid, options || {});
+    self._vmPoller.add(watcher);
+    return watcher;
+};
+
+
+/**
+ * Waits for a VM to be in one of the given states, e.g. 'running', by
+ * watching it (see watchVm).
+ *
+ * @param {String} uuid : the UUID of the VM.
+ * @param {String|Array} states : the state, or states, to wait for.
+ * @param {Object} options : Optional. The `interval` and `maxInterval`
+ *        options of watchVm, plus:
+ *        - timeout {Number} Optional. Time in ms after which to give up with
+ *          a TimeoutError. Default 3600000 (1 hour).
+ *        - onChange {Function} Optional. Called with the 'change' events of
+ *          the watcher, of the form f(diff, vm).
+ *        - signal {Object} Optional. Cancels the wait, see "abort.js".
+ * @param {Function} callback : of the form f(err, vm). If the VM gets to a
+ *        state it does not leave ('destroyed' or 'failed') that is not one of
+ *        `states`, err is a ConflictError, with the VM as `err.vm`. Failed
+ *        polls do not fail the wait, but the TimeoutError says why the last
+ *        one failed.
+ */
+VMAPI.prototype.waitForVmState =
+function waitForVmState(uuid, states, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    if (typeof (states) === 'string') {
+        states = [states];
+    }
+    assert.string(uuid, 'uuid');
+    assert.arrayOfString(states, 'states');
+    assert.object(options, 'options');
+    assert.optionalNumber(options.timeout, 'options.timeout');
+    assert.optionalFunc(options.onChange, 'options.onChange');
+    abort.assertOptionalSignal(options.signal, 'options.signal');
+    assert.func(callback, 'callback');
+
+    var timeout = (options.timeout !== undefined ?
+        options.timeout : DEFAULT_WAIT_TIMEOUT);
+    var finished = false;
+    var pollErr = null;
+
+    if (options.signal && options.signal.aborted) {
+        process.nextTick(function () {
+            callback(new errors.AbortedError());
+        });
+        return;
+    }
+
+    var watcher = this.watchVm(uuid, {
+        interval: options.interval,
+        maxInterval: options.maxInterval
+    });
+    var timer = setTimeout(function onTimeout() {
+        var err = new errors.TimeoutError(format(
+            'timed out waiting for VM %s to be %s%s', uuid,
+            states.join(' or '),
+            (pollErr ? ' (last poll failed: ' + pollErr.message + ')' : '')));
+        err.vm = watcher.vm;
+        done(err);
+    }, timeout);
+    var stopListening = abort.onAbort(options.signal, function () {
+        done(new errors.AbortedError());
+    });
+
+    function done(err, vm) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        stopListening();
+        watcher.stop();
+        callback(err, vm);
+    }
+
+    function check(vm) {
+        if (states.indexOf(vm.state) !== -1) {
+            done(null, vm);
+        } else if (FINAL_STATES.indexOf(vm.state) !== -1) {
+            var err = new errors.ConflictError(
+                format('VM %s is %s', uuid, vm.state));
+            err.vm = vm;
+            done(err);
+        }
+    }
+
+    watcher.on('vm', check);
+    watcher.on('change', function onChange(diff, vm) {
+        if (options.onChange) {
+            options.onChange(diff, vm);
+        }
+        check(vm);
+    });
+    watcher.on('pollError', function onPollError(err) {
+        pollErr = err;
+    });
+    watcher.on('error', done);
+};
+
+
 
 /**
  * Creates a VM. Returns a Job Response Object
@@ -408,8 +800,7 @@ VMAPI.prototype.createVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -421,6 +812,17 @@ VMAPI.prototype.createVm = function (params, options, callback) {
 };
 
 
+/**
+ * Creates a VM and waits for the job to complete.
+ *
+ * See addNicsAndWait for the limitations on finding the Workflow API.
+ *
+ * @param {Object} params : attributes of the VM, as for createVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job: `interval`, `timeout` and `onProgress` (see
+ *        `WFAPI.waitForJob`) and `signal`.
+ * @param {Function} callback : of the form f(err, job).
+ */
 VMAPI.prototype.createVmAndWait =
 function createVmAndWait(params, options, callback) {
     var self = this;
@@ -429,18 +831,13 @@ function createVmAndWait(params, options, callback) {
         options = undefined;
     }
 
-    self.createVm(params, options, function (err, jobInfo, res) {
+    self.createVm(params, options, function (err, jobInfo, req, res) {
         if (err) {
             callback(err, null, res);
             return;
         }
 
-        var wfapiUrl = self._getWorkflowApiUrl(res);
-        assert.string(wfapiUrl, 'wfapiUrl');
-        assert.string(jobInfo['job_uuid'], 'job_uuid');
-        assert.string(jobInfo['vm_uuid'], 'vm_uuid');
-
-        waitForJob(wfapiUrl, jobInfo['job_uuid'], function (jErr, job) {
+        self._waitForJobOf(jobInfo, res, options, function (jErr, job) {
             if (jErr) {
                 callback(jErr);
                 return;
@@ -492,8 +889,7 @@ VMAPI.prototype.stopVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -505,6 +901,22 @@ VMAPI.prototype.stopVm = function (params, options, callback) {
 };
 
 
+/**
+ * Stops a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for stopVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), where `vm` is the
+ *        VM once the job is done. If the job fails, err is a JobFailedError
+ *        with the error of the job.
+ */
+VMAPI.prototype.stopVmAndWait =
+function stopVmAndWait(params, options, callback) {
+    this._andWait(this.stopVm, params, options, callback);
+};
+
+
 
 /**
  * Sends a signal to a VM. Returns a Job Response Object
@@ -552,8 +964,7 @@ VMAPI.prototype.killVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -569,6 +980,21 @@ VMAPI.prototype.killVm = function (params, options, callback) {
 };
 
 
+/**
+ * Sends a signal to a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for killVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.killVmAndWait =
+function killVmAndWait(params, options, callback) {
+    this._andWait(this.killVm, params, options, callback);
+};
+
+
 /**
  * Adds NICs to a VM. Returns a Job Response Object
  *
@@ -607,8 +1033,7 @@ VMAPI.prototype.addNics = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -632,14 +1057,15 @@ VMAPI.prototype.addNics = function (params, options, callback) {
  *
  * Limitations: VMAPI servers before ZAPI-589 do not include a
  * 'workflow-api' response header. We fallback to trying to infer the
- * Workflow API domain from `this.url`. If that isn't possible, then
+ * Workflow API domain from the VMAPI URL. If that isn't possible, then
  * this will throw an error.
  *
  * @param {Object} params : Filter params.
  * @param {String} params.uuid : the UUID of the VM.
  * @param {String} params.owner_uuid : Optional, the owner of the VM.
  * @param {Array} params.networks : array of network objects (see createVM)
- * @param {Object} options : Request options.
+ * @param {Object} options : Request options, plus the options for waiting on
+ *        the job, as for createVmAndWait.
  * @param {Function} callback : of the form f(err, job);
  */
 VMAPI.prototype.addNicsAndWait =
@@ -650,18 +1076,13 @@ function addNicsAndWait(params, options, callback) {
         options = undefined;
     }
 
-    self.addNics(params, options, function (err, jobInfo, res) {
+    self.addNics(params, options, function (err, jobInfo, req, res) {
         if (err) {
             callback(err, null, res);
             return;
         }
 
-        var wfapiUrl = self._getWorkflowApiUrl(res);
-        assert.string(wfapiUrl, 'wfapiUrl');
-        assert.string(jobInfo['job_uuid'], 'job_uuid');
-        assert.string(jobInfo['vm_uuid'], 'vm_uuid');
-
-        waitForJob(wfapiUrl, jobInfo['job_uuid'], function (jErr, job) {
+        self._waitForJobOf(jobInfo, res, options, function (jErr, job) {
             if (jErr) {
                 callback(jErr);
                 return;
@@ -710,8 +1131,7 @@ VMAPI.prototype.updateNics = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -723,6 +1143,21 @@ VMAPI.prototype.updateNics = function (params, options, callback) {
 };
 
 
+/**
+ * Updates NICs on a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for updateNics.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.updateNicsAndWait =
+function updateNicsAndWait(params, options, callback) {
+    this._andWait(this.updateNics, params, options, callback);
+};
+
+
 /**
  * Remove NICs from a VM. Returns a Job Response Object
  *
@@ -761,8 +1196,7 @@ VMAPI.prototype.removeNics = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -774,6 +1208,21 @@ VMAPI.prototype.removeNics = function (params, options, callback) {
 };
 
 
+/**
+ * Removes NICs from a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for removeNics.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.removeNicsAndWait =
+function removeNicsAndWait(params, options, callback) {
+    this._andWait(this.removeNics, params, options, callback);
+};
+
+
 
 
 /**
@@ -816,8 +1265,7 @@ VMAPI.prototype.startVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -832,6 +1280,21 @@ VMAPI.prototype.startVm = function (params, options, callback) {
 };
 
 
+/**
+ * Starts a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for startVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.startVmAndWait =
+function startVmAndWait(params, options, callback) {
+    this._andWait(this.startVm, params, options, callback);
+};
+
+
 
 /**
  * Reboots a VM. Returns a Job Response Object
@@ -875,8 +1338,7 @@ VMAPI.prototype.rebootVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -891,6 +1353,21 @@ VMAPI.prototype.rebootVm = function (params, options, callback) {
 };
 
 
+/**
+ * Reboots a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for rebootVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.rebootVmAndWait =
+function rebootVmAndWait(params, options, callback) {
+    this._andWait(this.rebootVm, params, options, callback);
+};
+
+
 
 /**
  * Reprovisions a VM. Returns a Job Response Object
@@ -933,8 +1410,7 @@ VMAPI.prototype.reprovisionVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -947,6 +1423,21 @@ VMAPI.prototype.reprovisionVm = function (params, options, callback) {
 };
 
 
+/**
+ * Reprovisions a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for reprovisionVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.reprovisionVmAndWait =
+function reprovisionVmAndWait(params, options, callback) {
+    this._andWait(this.reprovisionVm, params, options, callback);
+};
+
+
 
 /**
  * Updates a VM. Returns a Job Response Object
@@ -992,8 +1483,7 @@ VMAPI.prototype.updateVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1005,6 +1495,21 @@ VMAPI.prototype.updateVm = function (params, options, callback) {
 };
 
 
+/**
+ * Updates a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for updateVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.updateVmAndWait =
+function updateVmAndWait(params, options, callback) {
+    this._andWait(this.updateVm, params, options, callback);
+};
+
+
 
 /**
  * Destroys a VM. Returns a Job Response Object
@@ -1043,8 +1548,7 @@ VMAPI.prototype.deleteVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1056,6 +1560,255 @@ VMAPI.prototype.deleteVm = function (params, options, callback) {
 };
 
 
+/**
+ * Deletes a VM and waits for the job to complete. The VM is then
+ * in the 'destroyed' state.
+ *
+ * @param {Object} params : as for deleteVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.deleteVmAndWait =
+function deleteVmAndWait(params, options, callback) {
+    this._andWait(this.deleteVm, params, options, callback);
+};
+
+
+/**
+ * Does an action on many VMs, a few at a time, e.g. to reboot all the VMs of
+ * an owner.
+ *
+ * The VMs that the action does not apply to are skipped: destroyed VMs, and
+ * VMs that are already stopped (for 'stop'), running (for 'start') or not
+ * running (for 'reboot' and 'kill').
+ *
+ * @param {String} action : one of 'start', 'stop', 'reboot', 'kill',
+ *        'update', 'reprovision', 'snapshot' and 'delete'.
+ * @param {Object} params : The VMs, as either:
+ *        - uuids {Array} the UUIDs of the VMs, or
+ *        - filter {Object} the listVms params that select them, or a
+ *          VmQuery.
+ *        The other params are those of the action (e.g. `owner_uuid`, or
+ *        the `payload` of 'update'), for each VM.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the jobs as for createVmAndWait, and:
+ *        - concurrency {Number} Optional. The most VMs acted on at once.
+ *          Default 10.
+ *        - wait {Boolean} Optional. Whether to wait for the jobs. Default
+ *          true.
+ *        - dryRun {Boolean} Optional. Only list the VMs and report what
+ *          would be done: the VMs the action applies to are then skipped
+ *          with a reason of 'dry run'.
+ *        - onResult {Function} Optional. Called as each VM is done, with
+ *          its result (see below) and status ('succeeded', 'failed' or
+ *          'skipped').
+ *        A `signal` cancels the waits, and the VMs not acted on yet are
+ *        skipped with a reason of 'aborted'.
+ * @param {Function} callback : of the form f(err, report), where the report
+ *        has `succeeded`, `failed` and `skipped` arrays of results, in the
+ *        order the VMs were given or listed. A result has the `uuid` of the
+ *        VM and, as relevant: `job` (the finished job, or its Job Response
+ *        Object when not waiting), `vm` (the VM after the job, or as it was
+ *        when skipped), `error` and `reason` (why the VM was skipped). A
+ *        VM that VMAPI does not have fails with a NotFoundError. err is only
+ *        for a failure to list the VMs.
+ */
+VMAPI.prototype.bulkVmAction =
+function bulkVmAction(action, params, options, callback) {
+    var self = this;
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+
+    assert.string(action, 'action');
+    assert.ok(BULK_ACTIONS.hasOwnProperty(action),
+        format('unknown action: %s', action));
+    assert.object(params, 'params');
+    assert.optionalArrayOfString(params.uuids, 'params.uuids');
+    assert.optionalObject(params.filter, 'params.filter');
+    assert.ok(Boolean(params.uuids) !== Boolean(params.filter),
+        'one of params.uuids and params.filter is required');
+    assert.object(options, 'options');
+    assert.optionalNumber(options.concurrency, 'options.concurrency');
+    assert.optionalBool(options.wait, 'options.wait');
+    assert.optionalBool(options.dryRun, 'options.dryRun');
+    assert.optionalFunc(options.onResult, 'options.onResult');
+    abort.assertOptionalSignal(options.signal, 'options.signal');
+    assert.func(callback, 'callback');
+
+    var spec = BULK_ACTIONS[action];
+    var wait = (options.wait !== false);
+    var method = spec.method + (wait ? 'AndWait' : '');
+    var concurrency = options.concurrency || DEFAULT_BULK_CONCURRENCY;
+
+    // The params and options for each call.
+    var actionParams = {};
+    Object.keys(params).forEach(function (k) {
+        if (k !== 'uuids' && k !== 'filter') {
+            actionParams[k] = params[k];
+        }
+    });
+    var callOptions = {};
+    Object.keys(options).forEach(function (k) {
+        if (['concurrency', 'wait', 'dryRun', 'onResult'].indexOf(k) === -1) {
+            callOptions[k] = options[k];
+        }
+    });
+    // The listing only takes the options that apply to any request: not
+    // e.g. an `ifMatch` meant for the actions.
+    var listOptions = {};
+    ['headers', 'requestId', 'retryPolicy', 'signal'].forEach(function (k) {
+        if (options[k] !== undefined) {
+            listOptions[k] = options[k];
+        }
+    });
+
+    var report = { succeeded: [], failed: [], skipped: [] };
+    var statuses = [];
+    var results = [];
+
+    listVms(function (err, targets) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        async.eachLimit(targets, concurrency, doVm, function () {
+            statuses.forEach(function (status, i) {
+                report[status].push(results[i]);
+            });
+            callback(null, report);
+        });
+
+        function doVm(target, next) {
+            var i = target.index;
+            var result = { uuid: target.uuid };
+            var reason = skipReason(target.vm);
+
+            function done(status) {
+                statuses[i] = status;
+                results[i] = result;
+                if (options.onResult) {
+                    options.onResult(result, status);
+                }
+                // Skipped VMs are done synchronously, and async.eachLimit
+                // recurses for each: thousands of them would overflow the
+                // stack.
+                setImmediate(next);
+            }
+
+            if (!target.vm) {
+                result.error = new errors.NotFoundError(
+                    format('VM %s not found', target.uuid));
+                done('failed');
+                return;
+            } else if (reason) {
+                result.vm = target.vm;
+                result.reason = reason;
+                done('skipped');
+                return;
+            }
+
+            var vmParams = { uuid: target.uuid };
+            Object.keys(actionParams).forEach(function (k) {
+                vmParams[k] = actionParams[k];
+            });
+
+            var called = false;
+            try {
+                self[method](vmParams, callOptions, onAction);
+            } catch (callErr) {
+                // The action's own checks of its params (e.g. a missing
+                // `payload` for 'update') throw.
+                if (called) {
+                    throw callErr;
+                }
+                result.error = callErr;
+                done('failed');
+            }
+
+            function onAction(aErr, job, vm) {
+                called = true;
+                if (aErr) {
+                    result.error = aErr;
+                    if (aErr.job) {
+                        result.job = aErr.job;
+                    }
+                    done('failed');
+                    return;
+                }
+                result.job = job;
+                if (wait) {
+                    result.vm = vm;
+                }
+                done('succeeded');
+            }
+        }
+    });
+
+    /*
+     * The VMs to act on, as objects with their `index` in the report, the
+     * `uuid` and the `vm` (null for a VM that VMAPI does not have).
+     */
+    function listVms(cb) {
+        if (params.filter) {
+            // listVms pages by setting `offset` and `limit` on its params,
+            // so it gets a copy of the caller's filter.
+            var listParams = {};
+            var given = (params.filter instanceof VmQuery ?
+                params.filter.toParams() : params.filter);
+            Object.keys(given).forEach(function (k) {
+                listParams[k] = given[k];
+            });
+            self.listVms(listParams, listOptions, function (err, vms) {
+                cb(err, err ? undefined : vms.map(function (vm, i) {
+                    return { index: i, uuid: vm.uuid, vm: vm };
+                }));
+            });
+            return;
+        }
+
+        var filter = {};
+        if (params.owner_uuid) {
+            filter.owner_uuid = params.owner_uuid;
+        }
+        self._listVmsByUuid(params.uuids, filter, listOptions,
+                function (err, vms) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            var byUuid = {};
+            vms.forEach(function (vm) {
+                byUuid[vm.uuid] = vm;
+            });
+            cb(null, params.uuids.map(function (uuid, i) {
+                return { index: i, uuid: uuid, vm: byUuid[uuid] || null };
+            }));
+        });
+    }
+
+    function skipReason(vm) {
+        if (!vm) {
+            return null;
+        } else if (vm.state === 'destroyed') {
+            return (action === 'delete' ? 'already destroyed' : 'destroyed');
+        } else if (spec.skip && spec.skip(vm.state)) {
+            return spec.skip(vm.state);
+        } else if (options.dryRun) {
+            return 'dry run';
+        } else if (options.signal && options.signal.aborted) {
+            return 'aborted';
+        }
+        return null;
+    }
+};
+
+
 
 /**
  * Lists metadata for a VM
@@ -1088,7 +1841,7 @@ VMAPI.prototype.listMetadata = function (type, params, options, callback) {
 
     var opts = { path: format('/vms/%s/%s', params.uuid, type), query: query };
     if (options) {
-        opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1134,7 +1887,7 @@ VMAPI.prototype.getMetadata = function (type, key, params, options, callback) {
         query: query
     };
     if (options) {
-        opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1188,8 +1941,7 @@ VMAPI.prototype.addMetadata = function (type, params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1247,8 +1999,7 @@ VMAPI.prototype.setMetadata = function (type, params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1305,8 +2056,7 @@ function (type, params, key, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1359,8 +2109,7 @@ VMAPI.prototype.deleteAllMetadata = function (type, params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1411,8 +2160,7 @@ VMAPI.prototype.snapshotVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1424,6 +2172,21 @@ VMAPI.prototype.snapshotVm = function (params, options, callback) {
 };
 
 
+/**
+ * Snapshots a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for snapshotVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.snapshotVmAndWait =
+function snapshotVmAndWait(params, options, callback) {
+    this._andWait(this.snapshotVm, params, options, callback);
+};
+
+
 /**
  * Rolls back a VM to a snapshot. Returns a Job Response Object
  *
@@ -1466,8 +2229,7 @@ VMAPI.prototype.rollbackVm = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1479,6 +2241,21 @@ VMAPI.prototype.rollbackVm = function (params, options, callback) {
 };
 
 
+/**
+ * Rolls back a VM to a snapshot and waits for the job to complete.
+ *
+ * @param {Object} params : as for rollbackVm.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.rollbackVmAndWait =
+function rollbackVmAndWait(params, options, callback) {
+    this._andWait(this.rollbackVm, params, options, callback);
+};
+
+
 /**
  * Rolls back a VM to a snapshot. Returns a Job Response Object
  *
@@ -1521,8 +2298,7 @@ VMAPI.prototype.deleteSnapshot = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1534,6 +2310,21 @@ VMAPI.prototype.deleteSnapshot = function (params, options, callback) {
 };
 
 
+/**
+ * Deletes a snapshot of a VM and waits for the job to complete.
+ *
+ * @param {Object} params : as for deleteSnapshot.
+ * @param {Object} options : Request options (optional), plus the options for
+ *        waiting on the job, as for createVmAndWait.
+ * @param {Function} callback : of the form f(err, job, vm), as for
+ *        stopVmAndWait.
+ */
+VMAPI.prototype.deleteSnapshotAndWait =
+function deleteSnapshotAndWait(params, options, callback) {
+    this._andWait(this.deleteSnapshot, params, options, callback);
+};
+
+
 /**
  * Lists all Jobs
  *
@@ -1554,7 +2345,7 @@ VMAPI.prototype.listJobs = function (params, options, callback) {
 
     var opts = { path: '/jobs', query: params };
     if (options) {
-        opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1580,7 +2371,7 @@ VMAPI.prototype.getJob = function (uuid, options, callback) {
 
     var opts = { path: format('/jobs/%s', uuid) };
     if (options) {
-        opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1617,7 +2408,7 @@ VMAPI.prototype.listRoleTags = function (params, options, callback) {
 
     var opts = { path: format('/vms/%s', params.uuid), query: query };
     if (options) {
-        opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1669,8 +2460,7 @@ VMAPI.prototype.addRoleTags = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1721,8 +2511,7 @@ VMAPI.prototype.setRoleTags = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1773,8 +2562,7 @@ VMAPI.prototype.deleteRoleTag = function (params, role_tag, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1822,8 +2610,7 @@ VMAPI.prototype.deleteAllRoleTags = function (params, options, callback) {
     };
 
     if (options) {
-        if (options.headers)
-            opts.headers = options.headers;
+        this._requestOptions(opts, options);
         opts.log = options.log || this.log;
     }
 
@@ -1848,4 +2635,6 @@ VMAPI.prototype.ping = function (callback) {
 };
 
 
+promises.promisifyAll(VMAPI.prototype, ['listVmsStream', 'watchVm']);
+
 module.exports = VMAPI;
@@ -0,0 +1,501 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * A builder for VMAPI ListVms filters.
+ *
+ * Each call of a `VmQuery` ANDs a condition to it, and returns it:
+ *
+ *      var q = new VmQuery()
+ *          .owner(ownerUuid)
+ *          .state(['running', 'stopped'])
+ *          .tag('role', 'db')
+ *          .ram(1024, 8192)
+ *          .not(new VmQuery().alias('test-*'));
+ *
+ *      vmapi.listVms(q, function (err, vms) { ... });
+ *
+ * VMAPI takes a filter in three forms: plain params (`owner_uuid=...`,
+ * which can only be equalities), an LDAP search filter as the `query`
+ * param, or a JSON `predicate`. `toParams()`, which `listVms`, `countVms`
+ * and `listVmsStream` use when given a VmQuery, sends plain params when it
+ * can and a `query` otherwise. `toQuery()` and `toPredicate()` give the
+ * other forms.
+ *
+ * Fields and values are checked as the conditions are added: a field that
+ * VMAPI cannot filter on, or a value of the wrong type, throws a
+ * ValidationError before any request is made. Values are not checked
+ * against the "vm" schema, which is for the VMs VMAPI returns: e.g. a
+ * `uuid` can be a prefix glob.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var errors = require('./errors');
+
+
+
+// --- Globals
+
+/*
+ * The fields that can be filtered on, with their type. Number fields also
+ * take numbers as strings, as in a query.
+ */
+var FIELDS = {
+    uuid: 'string',
+    owner_uuid: 'string',
+    server_uuid: 'string',
+    image_uuid: 'string',
+    billing_id: 'string',
+    brand: 'string',
+    state: 'string',
+    alias: 'string',
+    ram: 'number',
+    max_physical_memory: 'number',
+    quota: 'number',
+    cpu_cap: 'number',
+    // In ms since the epoch.
+    create_timestamp: 'number'
+};
+
+// The states that VMAPI's 'active' state (as a plain param) leaves out.
+var INACTIVE_STATES = ['destroyed', 'failed'];
+
+
+
+// --- Internal support
+
+function invalid(field, message) {
+    return new errors.ValidationError({
+        message: format('invalid VM filter on "%s": %s', field, message),
+        errors: [ { field: field, code: 'InvalidParameter', message: message } ]
+    });
+}
+
+
+/*
+ * Check that `field` can be filtered on (and is of `type`, if given).
+ */
+function checkField(field, type) {
+    assert.string(field, 'field');
+    if (!FIELDS.hasOwnProperty(field)) {
+        throw invalid(field, 'unknown field');
+    }
+    if (type && FIELDS[field] !== type) {
+        throw invalid(field, format('not a %s field', type));
+    }
+}
+
+
+/*
+ * Check a value of `field`, and return it as a number for a number field.
+ */
+function checkValue(field, value) {
+    checkField(field);
+
+    if (FIELDS[field] === 'string') {
+        if (typeof (value) !== 'string') {
+            throw invalid(field, 'a string is required');
+        }
+        return value;
+    }
+
+    var number = (typeof (value) === 'string' && value.trim() !== '' ?
+        Number(value) : value);
+    if (typeof (number) !== 'number' || !isFinite(number)) {
+        throw invalid(field, 'a number is required');
+    }
+    return number;
+}
+
+
+/*
+ * Escape a value for an LDAP filter (RFC 4515).
+ */
+function escapeValue(value) {
+    return String(value).replace(/[\\*()\0]/g, function (c) {
+        return '\\' + ('0' + c.charCodeAt(0).toString(16)).slice(-2);
+    });
+}
+
+
+/*
+ * A node for the conditions of a query: the condition itself if there is
+ * only one, or an 'and' of them.
+ */
+function nodeOf(query) {
+    assert.ok(query instanceof VmQuery, 'query is a VmQuery');
+    var conditions = query._conditions;
+    if (conditions.length === 0) {
+        throw new TypeError('a sub-query must have conditions');
+    }
+    return (conditions.length === 1 ? conditions[0] :
+        { type: 'and', children: conditions });
+}
+
+
+function ldapOf(node) {
+    var parts;
+
+    if (node.type === 'and' || node.type === 'or') {
+        return '(' + (node.type === 'and' ? '&' : '|') +
+            node.children.map(ldapOf).join('') + ')';
+    } else if (node.type === 'not') {
+        return '(!' + ldapOf(node.children[0]) + ')';
+    } else if (node.type === 'eq') {
+        if (node.field === 'state' && node.value === 'active') {
+            return '(!(|' + INACTIVE_STATES.map(function (s) {
+                return '(state=' + s + ')';
+            }).join('') + '))';
+        }
+        return format('(%s=%s)', node.field, escapeValue(node.value));
+    } else if (node.type === 'glob') {
+        return format('(%s=%s)', node.field,
+            node.value.split('*').map(escapeValue).join('*'));
+    } else if (node.type === 'tag') {
+        // VMAPI stores the tags of a VM as a string of "-key=value-".
+        return format('(tags=*-%s=%s-*)', escapeValue(node.key),
+            escapeValue(node.value));
+    }
+
+    // A range.
+    parts = [];
+    if (node.min !== undefined) {
+        parts.push(format('(%s>=%d)', node.field, node.min));
+    }
+    if (node.max !== undefined) {
+        parts.push(format('(%s<=%d)', node.field, node.max));
+    }
+    return (parts.length === 1 ? parts[0] : '(&' + parts.join('') + ')');
+}
+
+
+function combine(op, predicates) {
+    if (predicates.length === 1) {
+        return predicates[0];
+    }
+    var predicate = {};
+    predicate[op] = predicates;
+    return predicate;
+}
+
+
+/*
+ * The predicate for a node, or for its negation if `negated`: predicates
+ * have no 'not', so a negation is pushed down to the comparisons.
+ */
+function predicateOf(node, negated) {
+    var preds;
+
+    if (node.type === 'and' || node.type === 'or') {
+        // De Morgan: a negated 'and' is an 'or' of the negations.
+        return combine((node.type === 'and') === !negated ? 'and' : 'or',
+            node.children.map(function (child) {
+                return predicateOf(child, negated);
+            }));
+    } else if (node.type === 'not') {
+        return predicateOf(node.children[0], !negated);
+    } else if (node.type === 'eq' || node.type === 'glob') {
+        if (node.field === 'state' && node.value === 'active') {
+            return combine(negated ? 'or' : 'and',
+                INACTIVE_STATES.map(function (s) {
+                    return (negated ? { eq: ['state', s] } :
+                        { ne: ['state', s] });
+                }));
+        }
+        return (negated ? { ne: [node.field, node.value] } :
+            { eq: [node.field, node.value] });
+    } else if (node.type === 'tag') {
+        throw invalid('tag.' + node.key,
+            'tags can only be filtered on with a query');
+    }
+
+    // A range.
+    preds = [];
+    if (node.min !== undefined) {
+        preds.push(negated ? { lt: [node.field, node.min] } :
+            { ge: [node.field, node.min] });
+    }
+    if (node.max !== undefined) {
+        preds.push(negated ? { gt: [node.field, node.max] } :
+            { le: [node.field, node.max] });
+    }
+    return combine(negated ? 'or' : 'and', preds);
+}
+
+
+
+// --- Exported VmQuery
+
+/**
+ * Constructor. An empty query, which matches all VMs.
+ */
+function VmQuery() {
+    this._conditions = [];
+}
+
+
+/**
+ * `field` equals `value`.
+ *
+ * @param {String} field : a VM field, e.g. 'brand'.
+ * @param {String|Number} value
+ * @return {VmQuery} this query.
+ * @throws {ValidationError} for an unknown field, or a value of the wrong
+ *         type.
+ */
+VmQuery.prototype.eq = function eq(field, value) {
+    value = checkValue(field, value);
+    this._conditions.push({ type: 'eq', field: field, value: value });
+    return this;
+};
+
+
+/**
+ * The string `field` matches `pattern`, in which '*' matches any string.
+ *
+ * @param {String} field : a VM field with string values, e.g. 'alias'.
+ * @param {String} pattern : e.g. 'web-*'.
+ * @return {VmQuery} this query.
+ */
+VmQuery.prototype.glob = function glob(field, pattern) {
+    checkField(field, 'string');
+    assert.string(pattern, 'pattern');
+    this._conditions.push({ type: 'glob', field: field, value: pattern });
+    return this;
+};
+
+
+/**
+ * The number `field` is between `min` and `max`, inclusive.
+ *
+ * @param {String} field : a VM field with number values, e.g. 'quota'.
+ * @param {Number} min : Optional (null or undefined for no minimum).
+ * @param {Number} max : Optional (null or undefined for no maximum).
+ * @return {VmQuery} this query.
+ */
+VmQuery.prototype.range = function range(field, min, max) {
+    checkField(field, 'number');
+    var node = { type: 'range', field: field };
+    if (min !== null && min !== undefined) {
+        node.min = checkValue(field, min);
+    }
+    if (max !== null && max !== undefined) {
+        node.max = checkValue(field, max);
+    }
+    if (node.min === undefined && node.max === undefined) {
+        throw new TypeError('one of min and max is required');
+    }
+    this._conditions.push(node);
+    return this;
+};
+
+
+/**
+ * The VM has the tag `key` set to `value`.
+ *
+ * @param {String} key
+ * @param {String|Number|Boolean} value
+ * @return {VmQuery} this query.
+ */
+VmQuery.prototype.tag = function tag(key, value) {
+    assert.string(key, 'key');
+    if (['string', 'number', 'boolean'].indexOf(typeof (value)) === -1) {
+        throw invalid('tag.' + key, 'a string, number or boolean is required');
+    }
+    this._conditions.push({ type: 'tag', key: key, value: value });
+    return this;
+};
+
+
+/**
+ * The VM belongs to `uuid`.
+ */
+VmQuery.prototype.owner = function owner(uuid) {
+    return this.eq('owner_uuid', uuid);
+};
+
+
+/**
+ * The VM is on the server `uuid`.
+ */
+VmQuery.prototype.server = function server(uuid) {
+    return this.eq('server_uuid', uuid);
+};
+
+
+/**
+ * The VM is in `state`, or in any of the states if given an array. As in
+ * VMAPI, 'active' is any state but 'destroyed' and 'failed'.
+ *
+ * @param {String|Array} states
+ * @return {VmQuery} this query.
+ */
+VmQuery.prototype.state = function state(states) {
+    return this._anyOf('state', states);
+};
+
+
+/**
+ * The VM is of `brand`, or of any of the brands if given an array.
+ *
+ * @param {String|Array} brands
+ * @return {VmQuery} this query.
+ */
+VmQuery.prototype.brand = function brand(brands) {
+    return this._anyOf('brand', brands);
+};
+
+
+/**
+ * The VM's alias is `alias`, or matches it if it has a '*' (see `glob`).
+ */
+VmQuery.prototype.alias = function alias(pattern) {
+    assert.string(pattern, 'pattern');
+    return (pattern.indexOf('*') === -1 ? this.eq('alias', pattern) :
+        this.glob('alias', pattern));
+};
+
+
+/**
+ * The VM's RAM in MiB is between `min` and `max` (see `range`).
+ */
+VmQuery.prototype.ram = function ram(min, max) {
+    return this.range('ram', min, max);
+};
+
+
+/*
+ * `field` equals one of `values` (or `values`, if not an array).
+ */
+VmQuery.prototype._anyOf = function _anyOf(field, values) {
+    var self = this;
+
+    if (!Array.isArray(values)) {
+        return self.eq(field, values);
+    }
+    assert.ok(values.length > 0, 'at least one value is required');
+
+    var children = values.map(function (value) {
+        return nodeOf(new VmQuery().eq(field, value));
+    });
+    self._conditions.push(children.length === 1 ? children[0] :
+        { type: 'or', children: children });
+    return self;
+};
+
+
+/**
+ * All the conditions of the given queries hold, as if they had been added
+ * to this query.
+ *
+ * @param {VmQuery} query... : one or more queries.
+ * @return {VmQuery} this query.
+ */
+VmQuery.prototype.and = function and() {
+    var self = this;
+    var queries = Array.prototype.slice.call(arguments);
+
+    queries.forEach(function (query) {
+        assert.ok(query instanceof VmQuery, 'query is a VmQuery');
+        self._conditions = self._conditions.concat(query._conditions);
+    });
+    return self;
+};
+
+
+/**
+ * Any of the given queries holds.
+ *
+ * @param {VmQuery} query... : one or more queries.
+ * @return {VmQuery} this query.
+ */
+VmQuery.prototype.or = function or() {
+    var queries = Array.prototype.slice.call(arguments);
+    assert.ok(queries.length > 0, 'at least one query is required');
+
+    var children = queries.map(nodeOf);
+    this._conditions.push(children.length === 1 ? children[0] :
+        { type: 'or', children: children });
+    return this;
+};
+
+
+/**
+ * The given query does not hold.
+ *
+ * @param {VmQuery} query
+ * @return {VmQuery} this query.
+ */
+VmQuery.prototype.not = function not(query) {
+    this._conditions.push({ type: 'not', children: [ nodeOf(query) ] });
+    return this;
+};
+
+
+/**
+ * The query as ListVms (or CountVms) params: plain params if it is only
+ * equalities and tags on distinct fields, and a `query` otherwise.
+ *
+ * @return {Object}
+ */
+VmQuery.prototype.toParams = function toParams() {
+    var params = {};
+
+    var plain = this._conditions.every(function (node) {
+        var name = (node.type === 'tag' ? 'tag.' + node.key : node.field);
+        if ((node.type !== 'eq' && node.type !== 'tag') ||
+            params.hasOwnProperty(name)) {
+            return false;
+        }
+        params[name] = (node.type === 'tag' ? String(node.value) : node.value);
+        return true;
+    });
+
+    return (plain ? params : { query: this.toQuery() });
+};
+
+
+/**
+ * The query as an LDAP search filter, for the `query` param of ListVms,
+ * e.g. "(&(owner_uuid=...)(|(state=running)(state=stopped)))".
+ *
+ * @return {String} the filter, or null for an empty query.
+ */
+VmQuery.prototype.toQuery = function toQuery() {
+    if (this._conditions.length === 0) {
+        return null;
+    }
+    return ldapOf(nodeOf(this));
+};
+
+
+/**
+ * The query as a VMAPI predicate, for the `predicate` param of ListVms
+ * (as JSON), e.g. `{and: [{eq: ['brand', 'kvm']}, {ge: ['ram', 1024]}]}`.
+ *
+ * @return {Object} the predicate, or null for an empty query.
+ * @throws {ValidationError} if the query has tags, which predicates do not
+ *         support.
+ */
+VmQuery.prototype.toPredicate = function toPredicate() {
+    if (this._conditions.length === 0) {
+        return null;
+    }
+    return predicateOf(nodeOf(this), false);
+};
+
+
+
+module.exports = {
+    VmQuery: VmQuery
+};
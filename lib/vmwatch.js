@@ -0,0 +1,323 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Watching VMs for changes, by polling VMAPI.
+ *
+ * `VMAPI.watchVm(uuid)` returns a `VmWatcher`, an EventEmitter:
+ *
+ *      vmapi.watchVm(uuid)
+ *          .on('vm', function (vm) { ... })
+ *          .on('change', function (diff, vm, previous) { ... })
+ *          .on('pollError', function (err) { ... })
+ *          .on('error', function (err) { ... });
+ *
+ * 'vm' is emitted once the VM is first fetched, and 'change' when any of the
+ * watched fields (by default `state`, `nics`, `disks` and `tags`) changed
+ * since, with a diff of the form `{state: {from: 'stopped', to: 'running'}}`.
+ * A failed poll, which may well be transient, is a 'pollError' and the
+ * watcher keeps polling. 'error' is only emitted when the watcher stops
+ * because VMAPI does not have the VM.
+ *
+ * The watchers of a client share a `VmPoller`: each poll fetches all the VMs
+ * whose watchers are due at once, with a ListVms call by `uuids` (per 100
+ * VMs), however many VMs are watched. A watcher polls every `interval` ms,
+ * backing off up to `maxInterval` while its VM does not change, and is back
+ * to `interval` once it does.
+ */
+
+var assert = require('assert-plus');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var format = util.format;
+
+var errors = require('./errors');
+
+
+
+// --- Globals
+
+var DEFAULT_INTERVAL = 2000;
+var DEFAULT_MAX_INTERVAL = 30000;
+var DEFAULT_FIELDS = ['state', 'nics', 'disks', 'tags'];
+
+
+
+// --- Internal support
+
+/*
+ * JSON for `value` with sorted object keys, for comparing field values.
+ */
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonical).join(',') + ']';
+    } else if (value !== null && typeof (value) === 'object') {
+        return '{' + Object.keys(value).sort().map(function (k) {
+            return JSON.stringify(k) + ':' + canonical(value[k]);
+        }).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+
+/*
+ * The changes of the `fields` of a VM, or null if there are none.
+ */
+function diffVms(previous, vm, fields) {
+    var diff = null;
+
+    fields.forEach(function (field) {
+        if (canonical(previous[field]) !== canonical(vm[field])) {
+            diff = diff || {};
+            diff[field] = { from: previous[field], to: vm[field] };
+        }
+    });
+
+    return diff;
+}
+
+
+
+// --- Exported VmWatcher
+
+/**
+ * Constructor. Use `VMAPI.watchVm` rather than this.
+ *
+ * @param {VmPoller} poller : the poller of the client.
+ * @param {String} uuid : the UUID of the VM.
+ * @param {Object} options
+ *    - interval {Number} Optional. Time in ms between polls. Default 2000.
+ *    - maxInterval {Number} Optional. The most time in ms between polls,
+ *      once backed off. Default 30000.
+ *    - fields {Array} Optional. The VM fields to emit 'change' events for.
+ *      Default `['state', 'nics', 'disks', 'tags']`.
+ */
+function VmWatcher(poller, uuid, options) {
+    assert.object(poller, 'poller');
+    assert.string(uuid, 'uuid');
+    assert.object(options, 'options');
+    assert.optionalNumber(options.interval, 'options.interval');
+    assert.optionalNumber(options.maxInterval, 'options.maxInterval');
+    assert.optionalArrayOfString(options.fields, 'options.fields');
+
+    EventEmitter.call(this);
+
+    this.uuid = uuid;
+    this.vm = null;
+    this.stopped = false;
+
+    this._poller = poller;
+    this._interval = (options.interval !== undefined ?
+        options.interval : DEFAULT_INTERVAL);
+    this._maxInterval = Math.max(this._interval,
+        (options.maxInterval !== undefined ?
+        options.maxInterval : DEFAULT_MAX_INTERVAL));
+    this._fields = options.fields || DEFAULT_FIELDS;
+    this._delay = this._interval;
+    this.dueAt = Date.now();
+}
+util.inherits(VmWatcher, EventEmitter);
+
+
+/*
+ * Take the result of a poll: the VM, or null if VMAPI does not have it.
+ */
+VmWatcher.prototype._update = function _update(vm) {
+    if (this.stopped) {
+        return;
+    }
+
+    if (!vm) {
+        this.stop();
+        this.emit('error', new errors.NotFoundError(
+            format('VM %s not found', this.uuid)));
+        return;
+    }
+
+    var previous = this.vm;
+    this.vm = vm;
+
+    if (!previous) {
+        this._reschedule(true);
+        this.emit('vm', vm);
+        return;
+    }
+
+    var diff = diffVms(previous, vm, this._fields);
+    this._reschedule(diff !== null);
+    if (diff) {
+        this.emit('change', diff, vm, previous);
+    }
+};
+
+
+/*
+ * Take a failed poll. The watcher keeps polling, backing off.
+ */
+VmWatcher.prototype._failed = function _failed(err) {
+    if (this.stopped) {
+        return;
+    }
+    this._reschedule(false);
+    this.emit('pollError', err);
+};
+
+
+/*
+ * Set when the next poll is due: after `interval` if the VM changed,
+ * otherwise after twice the last delay, up to `maxInterval`.
+ */
+VmWatcher.prototype._reschedule = function _reschedule(changed) {
+    if (changed) {
+        this._delay = this._interval;
+    } else if (this.vm) {
+        this._delay = Math.min(this._delay * 2, this._maxInterval);
+    }
+    this.dueAt = Date.now() + this._delay;
+};
+
+
+/**
+ * Stop watching the VM. No events are emitted after this.
+ */
+VmWatcher.prototype.stop = function stop() {
+    if (this.stopped) {
+        return;
+    }
+    this.stopped = true;
+    this._poller.remove(this);
+};
+
+
+
+// --- Exported VmPoller
+
+/**
+ * Constructor
+ *
+ * @param {Object} options
+ *    - list {Function} Fetches VMs, of the form f(uuids, callback), with
+ *      callback of the form f(err, vms).
+ */
+function VmPoller(options) {
+    assert.object(options, 'options');
+    assert.func(options.list, 'options.list');
+
+    this._list = options.list;
+    this._watchers = [];
+    this._timer = null;
+    this._polling = false;
+}
+
+
+/**
+ * Start polling for `watcher`.
+ */
+VmPoller.prototype.add = function add(watcher) {
+    this._watchers.push(watcher);
+    this._schedule();
+};
+
+
+/**
+ * Stop polling for `watcher`.
+ */
+VmPoller.prototype.remove = function remove(watcher) {
+    var i = this._watchers.indexOf(watcher);
+    if (i !== -1) {
+        this._watchers.splice(i, 1);
+    }
+    if (this._watchers.length === 0 && this._timer) {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+};
+
+
+/*
+ * Set the timer for the next poll, when the first watcher is due.
+ */
+VmPoller.prototype._schedule = function _schedule() {
+    var self = this;
+
+    if (self._polling || self._watchers.length === 0) {
+        return;
+    }
+
+    var dueAt = Math.min.apply(null, self._watchers.map(function (w) {
+        return w.dueAt;
+    }));
+    if (self._timer) {
+        clearTimeout(self._timer);
+    }
+    self._timer = setTimeout(function onDue() {
+        self._timer = null;
+        self._poll();
+    }, Math.max(0, dueAt - Date.now()));
+    // Watching does not keep the process running by itself.
+    self._timer.unref();
+};
+
+
+/*
+ * Fetch the VMs of the watchers that are due, and give each watcher its VM.
+ */
+VmPoller.prototype._poll = function _poll() {
+    var self = this;
+    var now = Date.now();
+
+    var due = self._watchers.filter(function (w) {
+        return (w.dueAt <= now);
+    });
+    var uuids = [];
+    due.forEach(function (w) {
+        if (uuids.indexOf(w.uuid) === -1) {
+            uuids.push(w.uuid);
+        }
+    });
+
+    self._polling = true;
+    self._list(uuids, function (err, vms) {
+        self._polling = false;
+
+        if (err) {
+            due.forEach(function (w) {
+                w._failed(err);
+            });
+        } else {
+            var byUuid = {};
+            vms.forEach(function (vm) {
+                byUuid[vm.uuid] = vm;
+            });
+            due.forEach(function (w) {
+                w._update(byUuid[w.uuid] || null);
+            });
+        }
+
+        self._schedule();
+    });
+};
+
+
+/**
+ * Stop all the watchers.
+ */
+VmPoller.prototype.close = function close() {
+    this._watchers.slice().forEach(function (w) {
+        w.stop();
+    });
+};
+
+
+
+module.exports = {
+    VmPoller: VmPoller,
+    VmWatcher: VmWatcher
+};
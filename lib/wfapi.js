@@ -0,0 +1,282 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Client library for the SDC Workflow API (WFAPI), which runs the jobs of
+ * the other APIs: e.g. VMAPI, IMGAPI and SAPI calls that provision or
+ * change VMs and images start a job, and their `*AndWait` methods wait for
+ * it with `waitForJob`.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var format = util.format;
+
+var abort = require('./abort');
+var errors = require('./errors');
+var promises = require('./promises');
+var RestifyClient = require('./restifyclient');
+
+
+
+// --- Globals
+
+var DEFAULT_INTERVAL = 5000;        // 5 seconds
+var DEFAULT_TIMEOUT = 3600000;      // 1 hour
+
+// Consecutive failed polls after which waitForJob gives up.
+var MAX_POLL_ERRORS = 5;
+
+var FINISHED_EXECUTIONS = ['succeeded', 'failed', 'canceled'];
+
+
+
+// --- Exported Client
+
+/**
+ * Constructor
+ *
+ * See the RestifyClient constructor for details
+ */
+function WFAPI(options) {
+    RestifyClient.call(this, options);
+}
+
+util.inherits(WFAPI, RestifyClient);
+
+
+
+// --- Misc methods
+
+/**
+ * Ping WFAPI server.
+ *
+ * @param {Function} callback : of the form f(err, res).
+ */
+WFAPI.prototype.ping = function (callback) {
+    assert.func(callback, 'callback');
+    return this.get('/ping', callback);
+};
+
+
+
+// --- Job methods
+
+/**
+ * Lists jobs.
+ *
+ * @param {Object} params : Filter params (optional), e.g. `execution`,
+ *        `name`, `limit` and `offset`.
+ * @param {Object} options : Request options (optional).
+ * @param {Function} callback : of the form f(err, jobs).
+ */
+WFAPI.prototype.listJobs = function (params, options, callback) {
+    if (typeof (params) === 'function') {
+        callback = params;
+        params = {};
+    } else if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    assert.object(params, 'params');
+
+    var opts = { path: '/jobs' };
+    this._requestOptions(opts, options);
+
+    return this.get(opts, params, callback);
+};
+
+
+/**
+ * Gets a job by UUID.
+ *
+ * @param {String} uuid : the job UUID.
+ * @param {Object} options : Request options (optional).
+ * @param {Function} callback : of the form f(err, job).
+ */
+WFAPI.prototype.getJob = function (uuid, options, callback) {
+    assert.string(uuid, 'uuid');
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var opts = { path: format('/jobs/%s', uuid) };
+    this._requestOptions(opts, options);
+
+    return this.get(opts, callback);
+};
+
+
+/**
+ * Cancels a job that has not finished yet.
+ *
+ * @param {String} uuid : the job UUID.
+ * @param {Object} options : Request options (optional).
+ * @param {Function} callback : of the form f(err, job).
+ */
+WFAPI.prototype.cancelJob = function (uuid, options, callback) {
+    assert.string(uuid, 'uuid');
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    var opts = { path: format('/jobs/%s/cancel', uuid) };
+    this._requestOptions(opts, options);
+
+    return this.post(opts, {}, callback);
+};
+
+
+/**
+ * Polls a job until it has finished, i.e. succeeded, failed or was
+ * canceled.
+ *
+ * @param {String} uuid : the job UUID.
+ * @param {Object} options : Request options (optional), plus:
+ *    - interval {Number} Optional. Time in ms between polls. Default 5000.
+ *    - timeout {Number} Optional. Time in ms after which to give up with a
+ *      TimeoutError. Default 3600000 (1 hour).
+ *    - onProgress {Function} Optional. Called as the job's tasks finish, with
+ *      an object with `task` (the task's chain result: `name`, `result`,
+ *      `error`, `started_at` and `finished_at`), `completed` (the number of
+ *      tasks finished), `total` (the number of tasks in the job's chain),
+ *      `execution` and `job` fields.
+ *    - signal {Object} Optional. Cancels the polling (not the job), see
+ *      "abort.js".
+ * @param {Function} callback : of the form f(err, job). If the job failed
+ *        or was canceled, err is a JobFailedError.
+ */
+WFAPI.prototype.waitForJob = function (uuid, options, callback) {
+    var self = this;
+
+    assert.string(uuid, 'uuid');
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    assert.object(options, 'options');
+    assert.optionalNumber(options.interval, 'options.interval');
+    assert.optionalNumber(options.timeout, 'options.timeout');
+    assert.optionalFunc(options.onProgress, 'options.onProgress');
+    assert.func(callback, 'callback');
+
+    var interval = (options.interval !== undefined ?
+        options.interval : DEFAULT_INTERVAL);
+    var timeout = (options.timeout !== undefined ?
+        options.timeout : DEFAULT_TIMEOUT);
+    var start = Date.now();
+    var pollErrors = 0;
+    var completed = 0;
+
+    function next(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        poll();
+    }
+
+    function poll() {
+        self.getJob(uuid, options, function (err, job) {
+            if (err) {
+                pollErrors++;
+                if (pollErrors >= MAX_POLL_ERRORS || err.code === 'Aborted') {
+                    callback(err);
+                } else if (Date.now() - start >= timeout) {
+                    callback(timeoutError());
+                } else {
+                    abort.sleep(options.signal, interval, next);
+                }
+                return;
+            }
+            pollErrors = 0;
+
+            reportProgress(job);
+            if (FINISHED_EXECUTIONS.indexOf(job.execution) !== -1) {
+                callback(jobError(job), job);
+            } else if (Date.now() - start >= timeout) {
+                callback(timeoutError(job), job);
+            } else {
+                abort.sleep(options.signal, interval, next);
+            }
+        });
+    }
+
+    function reportProgress(job) {
+        var results = job.chain_results || [];
+        var total = (job.chain || []).length;
+
+        while (completed < results.length) {
+            var task = results[completed++];
+            self.client.log.debug({
+                job_uuid: uuid,
+                task: task.name,
+                completed: completed,
+                total: total
+            }, 'job task finished');
+
+            if (options.onProgress) {
+                options.onProgress({
+                    task: task,
+                    completed: completed,
+                    total: total,
+                    execution: job.execution,
+                    job: job
+                });
+            }
+        }
+    }
+
+    function timeoutError(job) {
+        var err = new errors.TimeoutError(
+            format('timed out waiting for job %s', uuid));
+        err.job = job;
+        return err;
+    }
+
+    poll();
+};
+
+
+
+// --- Internal support
+
+/*
+ * The error for a finished job, or null if it succeeded.
+ */
+function jobError(job) {
+    if (job.execution === 'canceled') {
+        return new errors.JobFailedError({
+            message: format('job %s was canceled', job.uuid),
+            job: job
+        });
+    }
+
+    var results = job.chain_results || [];
+    var result = results[results.length - 1];
+    if (job.execution === 'failed' || (result && result.error)) {
+        var error = result && result.error;
+        var message = (error && (error.message || JSON.stringify(error))) ||
+            format('job %s failed', job.uuid);
+        return new errors.JobFailedError({
+            message: message,
+            job: job
+        });
+    }
+
+    return null;
+}
+
+
+promises.promisifyAll(WFAPI.prototype);
+
+module.exports = WFAPI;
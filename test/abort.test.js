@@ -0,0 +1,197 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for cancelling calls with the `signal` option. These run against a
+ * local restify server rather than a headnode.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var CNAPI = require('../lib/cnapi');
+var NAPI = require('../lib/napi');
+var VMAPI = require('../lib/vmapi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'abort_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: restify.bunyan.serializers
+});
+
+var SERVER;
+var URL;
+var HITS;
+var CLOSED;
+
+
+
+// --- Helpers
+
+/*
+ * A minimal signal, for node versions without AbortController.
+ */
+function createSignal() {
+    var signal = new EventEmitter();
+    signal.aborted = false;
+    signal.abort = function () {
+        signal.aborted = true;
+        signal.emit('abort');
+    };
+    return signal;
+}
+
+
+function hit(name) {
+    HITS[name] = (HITS[name] || 0) + 1;
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    HITS = {};
+    CLOSED = 0;
+    SERVER = restify.createServer({ name: 'abort_test', log: LOG });
+    SERVER.use(restify.bodyParser());
+
+    // Never answers, until the client goes away.
+    SERVER.get('/networks/:uuid', function (req, res, next) {
+        hit('network');
+        req.on('close', function () {
+            CLOSED++;
+        });
+    });
+    SERVER.get('/networks', function (req, res, next) {
+        hit('networks');
+        res.send(503, { code: 'ServiceUnavailable', message: 'down' });
+        return next();
+    });
+    SERVER.get('/tasks/:id', function (req, res, next) {
+        hit('task');
+        res.send({ status: 'active' });
+        return next();
+    });
+    SERVER.post('/vms', function (req, res, next) {
+        hit('createVm');
+        res.header('workflow-api', URL);
+        res.send(202, { job_uuid: 'job-uuid', vm_uuid: 'vm-uuid' });
+        return next();
+    });
+    SERVER.get('/jobs/:uuid', function (req, res, next) {
+        hit('job');
+        res.send({ uuid: req.params.uuid, execution: 'running' });
+        return next();
+    });
+
+    SERVER.listen(0, '127.0.0.1', function () {
+        URL = 'http://127.0.0.1:' + SERVER.address().port;
+        callback();
+    });
+};
+
+
+exports.tearDown = function (callback) {
+    SERVER.close(callback);
+};
+
+
+exports.test_abort_in_flight = function (t) {
+    var napi = new NAPI({ url: URL, log: LOG, agent: false });
+    var signal = createSignal();
+    var start = Date.now();
+
+    napi.getNetwork('foo', { signal: signal }, function (err) {
+        t.equal(err.code, 'Aborted');
+        t.equal(err.name, 'AbortedError');
+        t.ok(Date.now() - start < 1000, 'aborted promptly');
+        t.equal(HITS.network, 1);
+        setTimeout(function () {
+            t.equal(CLOSED, 1, 'the request was aborted');
+            napi.close();
+            t.done();
+        }, 50);
+    });
+    setTimeout(signal.abort, 100);
+};
+
+
+exports.test_already_aborted = function (t) {
+    var napi = new NAPI({ url: URL, log: LOG, agent: false });
+    var signal = createSignal();
+
+    signal.abort();
+    napi.listNetworks({}, { signal: signal }, function (err) {
+        t.equal(err.code, 'Aborted');
+        t.equal(HITS.networks, undefined, 'no request made');
+        napi.close();
+        t.done();
+    });
+};
+
+
+exports.test_abort_retry_delay = function (t) {
+    var napi = new NAPI({
+        url: URL,
+        log: LOG,
+        agent: false,
+        retryPolicy: { initialDelay: 5000, maxDelay: 10000 }
+    });
+    var signal = createSignal();
+    var start = Date.now();
+
+    napi.listNetworks({}, { signal: signal }, function (err) {
+        t.equal(err.code, 'Aborted');
+        t.ok(Date.now() - start < 1000, 'aborted promptly');
+        t.equal(HITS.networks, 1, 'not retried');
+        napi.close();
+        t.done();
+    });
+    setTimeout(signal.abort, 100);
+};
+
+
+exports.test_abort_poll_task = function (t) {
+    var cnapi = new CNAPI({ url: URL, log: LOG, agent: false });
+    var signal = createSignal();
+
+    cnapi.pollTask('task-id', { signal: signal }, function (err) {
+        t.equal(err.code, 'Aborted');
+        t.equal(HITS.task, 1);
+        cnapi.close();
+        t.done();
+    });
+    setTimeout(signal.abort, 100);
+};
+
+
+exports.test_abort_create_vm_and_wait = function (t) {
+    var vmapi = new VMAPI({ url: URL, log: LOG, agent: false });
+    var signal = createSignal();
+    var start = Date.now();
+
+    vmapi.createVmAndWait({ owner_uuid: 'owner-uuid' }, { signal: signal },
+            function (err) {
+        t.equal(err.code, 'Aborted');
+        t.ok(Date.now() - start < 1000, 'aborted promptly');
+        t.equal(HITS.createVm, 1);
+        t.equal(HITS.job, 1);
+        vmapi.close();
+        t.done();
+    });
+    setTimeout(signal.abort, 200);
+};
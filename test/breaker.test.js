@@ -0,0 +1,212 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the clients' circuit breaker. These run against a local restify
+ * server rather than a headnode.
+ */
+
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var NAPI = require('../lib/napi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'breaker_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: restify.bunyan.serializers
+});
+
+var RESET_TIMEOUT = 50;
+
+var SERVER;
+var URL;
+var DOWN;
+var HITS;
+var napi;
+
+
+
+// --- Helpers
+
+function handler(name, statusCode) {
+    return function (req, res, next) {
+        HITS[name] = (HITS[name] || 0) + 1;
+        if (DOWN) {
+            res.send(503, { code: 'ServiceUnavailable', message: 'down' });
+        } else if (statusCode) {
+            res.send(statusCode, { code: 'ResourceNotFound',
+                message: 'not found' });
+        } else {
+            res.send(200, []);
+        }
+        return next();
+    };
+}
+
+
+function createNAPI() {
+    return new NAPI({
+        url: URL,
+        log: LOG,
+        agent: false,
+        retryPolicy: false,
+        circuitBreaker: {
+            threshold: 2,
+            resetTimeout: RESET_TIMEOUT
+        }
+    });
+}
+
+
+/*
+ * Call listNetworks `n` times in a row, and call back with the errors.
+ */
+function listNetworks(n, callback) {
+    var errs = [];
+
+    function next() {
+        if (errs.length === n) {
+            callback(errs);
+            return;
+        }
+        napi.listNetworks(function (err) {
+            errs.push(err);
+            next();
+        });
+    }
+
+    next();
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    DOWN = false;
+    HITS = {};
+    SERVER = restify.createServer({ name: 'breaker_test', log: LOG });
+
+    SERVER.get('/ping', handler('ping'));
+    SERVER.get('/networks', handler('networks'));
+    SERVER.get('/networks/:uuid', handler('network', 404));
+
+    // Each test gets its own port, and so its own breaker.
+    SERVER.listen(0, '127.0.0.1', function () {
+        URL = 'http://127.0.0.1:' + SERVER.address().port;
+        napi = createNAPI();
+        callback();
+    });
+};
+
+
+exports.tearDown = function (callback) {
+    napi.close();
+    SERVER.close(callback);
+};
+
+
+exports.test_open_after_threshold = function (t) {
+    DOWN = true;
+
+    listNetworks(3, function (errs) {
+        t.equal(errs[0].code, 'Unavailable');
+        t.equal(errs[1].code, 'Unavailable');
+        t.equal(errs[2].code, 'CircuitOpen');
+        t.equal(errs[2].name, 'CircuitOpenError');
+        t.equal(errs[2].url, URL);
+        t.equal(HITS.networks, 2);
+
+        // The breaker is shared by the clients for the same URL.
+        var other = createNAPI();
+        other.listNetworks(function (err) {
+            t.equal(err.code, 'CircuitOpen');
+            t.equal(HITS.networks, 2);
+            other.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_client_errors_do_not_count = function (t) {
+    napi.getNetwork('foo', function (err) {
+        t.equal(err.code, 'NotFound');
+        napi.getNetwork('foo', function (err2) {
+            t.equal(err2.code, 'NotFound');
+            napi.getNetwork('foo', function (err3) {
+                t.equal(err3.code, 'NotFound');
+                t.equal(HITS.network, 3);
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_success_resets_count = function (t) {
+    DOWN = true;
+    napi.listNetworks(function (err) {
+        t.equal(err.code, 'Unavailable');
+        DOWN = false;
+        napi.listNetworks(function (err2) {
+            t.ifError(err2);
+            DOWN = true;
+            napi.listNetworks(function (err3) {
+                t.equal(err3.code, 'Unavailable');
+                t.equal(HITS.networks, 3);
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_half_open_probe = function (t) {
+    DOWN = true;
+
+    // Still down: the call fails fast and the probe fails.
+    function probeFails() {
+        napi.listNetworks(function (err) {
+            t.equal(err.code, 'CircuitOpen');
+            setTimeout(function () {
+                t.equal(HITS.ping, 1);
+                t.equal(HITS.networks, 2);
+                DOWN = false;
+                setTimeout(probeSucceeds, RESET_TIMEOUT);
+            }, 10);
+        });
+    }
+
+    // Back up: the probe succeeds and closes the breaker.
+    function probeSucceeds() {
+        napi.listNetworks(function (err) {
+            t.equal(err.code, 'CircuitOpen');
+            setTimeout(function () {
+                t.equal(HITS.ping, 2);
+                napi.listNetworks(function (err2) {
+                    t.ifError(err2);
+                    t.equal(HITS.networks, 3);
+                    t.done();
+                });
+            }, 10);
+        });
+    }
+
+    listNetworks(2, function () {
+        setTimeout(probeFails, RESET_TIMEOUT + 10);
+    });
+};
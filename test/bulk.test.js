@@ -0,0 +1,372 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for `VMAPI.bulkVmAction`. These run against the fake APIs (see
+ * "lib/fakes").
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var Logger = require('bunyan');
+var util = require('util');
+var format = util.format;
+
+var sdc = require('../lib');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'bulk_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+// The owner of the VMs of these tests.
+var OWNER = '7c2a6f3e-0d7b-4b55-8a54-0e3d1f6b9c10';
+var MISSING_UUID = '7c2a6f3e-0d7b-4b55-8a54-0e3d1f6bffff';
+// A VM of another owner.
+var OTHER_VM = '2f3b8a4c-6a1e-4d2b-9c7f-5e8d0a1b2c3d';
+
+var FAKES;
+var LISTS = 0;
+// The headers of the last ListVms request.
+var LIST_HEADERS;
+var vmapi;
+
+
+
+// --- Helpers
+
+/*
+ * A minimal signal, for node versions without AbortController.
+ */
+function createSignal() {
+    var signal = new EventEmitter();
+    signal.aborted = false;
+    signal.abort = function () {
+        signal.aborted = true;
+        signal.emit('abort');
+    };
+    return signal;
+}
+
+
+/*
+ * Add `n` VMs of OWNER in `state`, returning their UUIDs.
+ */
+function addVms(prefix, n, state) {
+    var uuids = [];
+    for (var i = 0; i < n; i++) {
+        var uuid = format('%s-0000-4000-8000-%s', prefix,
+            ('00000000000' + i).slice(-12));
+        FAKES.vmapi.addVm({ uuid: uuid, owner_uuid: OWNER, state: state });
+        uuids.push(uuid);
+    }
+    return uuids;
+}
+
+
+function uuidsOf(results) {
+    return results.map(function (r) {
+        return r.uuid;
+    });
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        callback();
+        return;
+    }
+    sdc.fakes.startAll({}, function (err, all) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        FAKES = all;
+        FAKES.vmapi.server.pre(function (req, res, next) {
+            if (req.method === 'GET' && /^\/vms(\?|$)/.test(req.url)) {
+                LIST_HEADERS = req.headers;
+            }
+            next();
+        });
+        vmapi = new sdc.VMAPI({
+            url: FAKES.vmapi.url,
+            agent: false,
+            log: LOG,
+            retryPolicy: false,
+            metrics: {
+                onRequestStart: function (info) {
+                    if (info.method === 'GET' && info.route === '/vms') {
+                        LISTS++;
+                    }
+                }
+            }
+        });
+        callback();
+    });
+};
+
+
+exports.test_bulk_stop = function (t) {
+    var running = addVms('a0000001', 5, 'running');
+    var stopped = addVms('a0000002', 1, 'stopped');
+    var destroyed = addVms('a0000003', 1, 'destroyed');
+    var uuids = [running[0], stopped[0], running[1], MISSING_UUID,
+        destroyed[0], running[2], running[3], running[4]];
+    var inFlight = 0;
+    var maxInFlight = 0;
+    var reported = [];
+
+    // Hold each stop a little, to see how many run at once.
+    vmapi.stopVmAndWait = function (params, options, cb) {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(function () {
+            sdc.VMAPI.prototype.stopVmAndWait.call(vmapi, params, options,
+                    function (err, job, vm) {
+                inFlight--;
+                cb(err, job, vm);
+            });
+        }, 20);
+    };
+
+    vmapi.bulkVmAction('stop', { uuids: uuids, owner_uuid: OWNER }, {
+        concurrency: 2,
+        interval: 10,
+        onResult: function (result, status) {
+            reported.push(status);
+        }
+    }, function (err, report) {
+        delete vmapi.stopVmAndWait;
+        t.ifError(err);
+        t.equal(maxInFlight, 2, 'at most 2 at once');
+
+        t.deepEqual(uuidsOf(report.succeeded), running, 'in the given order');
+        report.succeeded.forEach(function (r) {
+            t.equal(r.job.execution, 'succeeded');
+            t.equal(r.vm.state, 'stopped');
+            t.equal(FAKES.vmapi.vms[r.uuid].state, 'stopped');
+        });
+
+        t.deepEqual(uuidsOf(report.skipped), [stopped[0], destroyed[0]]);
+        t.equal(report.skipped[0].reason, 'already stopped');
+        t.equal(report.skipped[0].vm.state, 'stopped');
+        t.equal(report.skipped[1].reason, 'destroyed');
+
+        t.deepEqual(uuidsOf(report.failed), [MISSING_UUID]);
+        t.equal(report.failed[0].error.code, 'NotFound');
+
+        t.equal(reported.length, uuids.length);
+        t.done();
+    });
+};
+
+
+exports.test_bulk_dry_run = function (t) {
+    var uuids = addVms('b0000001', 3, 'running');
+    FAKES.vmapi.addVm({ uuid: OTHER_VM, owner_uuid: sdc.fakes.ADMIN_UUID });
+
+    var filter = { owner_uuid: OWNER, state: 'running' };
+
+    vmapi.bulkVmAction('reboot', {
+        filter: filter
+    }, { dryRun: true }).then(function (report) {
+        t.deepEqual(filter, { owner_uuid: OWNER, state: 'running' },
+            'the filter is left alone');
+        t.equal(report.succeeded.length, 0);
+        t.equal(report.failed.length, 0);
+        t.ok(uuidsOf(report.skipped).indexOf(uuids[2]) !== -1);
+        report.skipped.forEach(function (r) {
+            t.equal(r.reason, 'dry run');
+            t.equal(r.vm.owner_uuid, OWNER, 'only the filtered VMs');
+            t.equal(r.vm.state, 'running');
+        });
+        t.done();
+    }, function (err) {
+        t.ifError(err);
+        t.done();
+    });
+};
+
+
+exports.test_bulk_job_failure = function (t) {
+    var uuids = addVms('c0000001', 2, 'running');
+
+    FAKES.vmapi.failNextJob('no memory');
+    vmapi.bulkVmAction('reboot', { uuids: uuids }, {
+        concurrency: 1,
+        interval: 10
+    }, function (err, report) {
+        t.ifError(err);
+        t.deepEqual(uuidsOf(report.failed), [uuids[0]]);
+        t.equal(report.failed[0].error.code, 'JobFailed');
+        t.equal(report.failed[0].error.message, 'no memory');
+        t.equal(report.failed[0].job.execution, 'failed');
+        t.deepEqual(uuidsOf(report.succeeded), [uuids[1]]);
+        t.done();
+    });
+};
+
+
+exports.test_bulk_no_wait = function (t) {
+    var uuids = addVms('d0000001', 2, 'stopped');
+
+    vmapi.bulkVmAction('start', { uuids: uuids }, { wait: false },
+            function (err, report) {
+        t.ifError(err);
+        t.equal(report.succeeded.length, 2);
+        report.succeeded.forEach(function (r) {
+            t.ok(r.job.job_uuid, 'the job response');
+            t.equal(r.vm, undefined);
+        });
+        t.done();
+    });
+};
+
+
+exports.test_bulk_update_params = function (t) {
+    var uuids = addVms('e0000001', 2, 'running');
+
+    vmapi.bulkVmAction('update', {
+        uuids: uuids,
+        payload: { ram: 2048 }
+    }, { interval: 10 }, function (err, report) {
+        t.ifError(err);
+        t.equal(report.succeeded.length, 2);
+        t.equal(report.succeeded[1].vm.ram, 2048);
+        t.equal(FAKES.vmapi.vms[uuids[0]].ram, 2048);
+        t.done();
+    });
+};
+
+
+exports.test_bulk_bad_action_params = function (t) {
+    var uuids = addVms('a2000001', 2, 'running');
+
+    // 'update' needs a payload.
+    vmapi.bulkVmAction('update', { uuids: uuids }).then(function (report) {
+        t.deepEqual(uuidsOf(report.failed), uuids);
+        report.failed.forEach(function (r) {
+            t.ok(/params.payload/.test(r.error.message), r.error.message);
+        });
+        t.equal(report.succeeded.length, 0);
+        t.done();
+    }, function (err) {
+        t.ifError(err);
+        t.done();
+    });
+};
+
+
+exports.test_bulk_list_options = function (t) {
+    var uuids = addVms('a3000001', 1, 'running');
+
+    vmapi.bulkVmAction('reboot', { uuids: uuids }, {
+        ifMatch: '"not-the-etag"',
+        interval: 10,
+        headers: { 'x-bulk-test': 'yes' }
+    }, function (err, report) {
+        t.ifError(err);
+        t.equal(LIST_HEADERS['if-match'], undefined,
+            'no if-match on the listing');
+        t.equal(LIST_HEADERS['x-bulk-test'], 'yes');
+        t.equal(report.failed[0].error.code, 'PreconditionFailed',
+            'the action got the if-match');
+        t.done();
+    });
+};
+
+
+exports.test_bulk_abort = function (t) {
+    var uuids = addVms('f0000001', 3, 'running');
+    var signal = createSignal();
+
+    vmapi.bulkVmAction('kill', { uuids: uuids }, {
+        concurrency: 1,
+        interval: 10,
+        signal: signal,
+        onResult: function () {
+            signal.abort();
+        }
+    }, function (err, report) {
+        t.ifError(err);
+        t.deepEqual(uuidsOf(report.succeeded), [uuids[0]]);
+        t.deepEqual(uuidsOf(report.skipped), uuids.slice(1));
+        t.equal(report.skipped[0].reason, 'aborted');
+        t.equal(FAKES.vmapi.vms[uuids[2]].state, 'running', 'not killed');
+        t.done();
+    });
+};
+
+
+exports.test_bulk_many_uuids = function (t) {
+    var uuids = addVms('a1000001', 150, 'stopped');
+    var before = LISTS;
+
+    vmapi.bulkVmAction('stop', { uuids: uuids }, function (err, report) {
+        t.ifError(err);
+        t.equal(report.skipped.length, 150);
+        t.equal(LISTS - before, 2, 'listed 100 at a time');
+        t.done();
+    });
+};
+
+
+exports.test_bulk_many_skipped = function (t) {
+    // Another owner, with only these VMs.
+    var owner = '7c2a6f3e-0d7b-4b55-8a54-0e3d1f6b9c11';
+    var n = 5000;
+
+    for (var i = 0; i < n; i++) {
+        FAKES.vmapi.addVm({
+            uuid: format('a4000001-0000-4000-8000-%s',
+                ('00000000000' + i).slice(-12)),
+            owner_uuid: owner,
+            state: 'running'
+        });
+    }
+
+    vmapi.bulkVmAction('start', { filter: { owner_uuid: owner } },
+            function (err, report) {
+        t.ifError(err);
+        t.equal(report.skipped.length, n, 'no stack overflow');
+        t.equal(report.skipped[n - 1].reason, 'already running');
+        t.done();
+    });
+};
+
+
+exports.test_bulk_bad_args = function (t) {
+    t.throws(function () {
+        vmapi.bulkVmAction('explode', { uuids: [] }, function () {});
+    }, /unknown action: explode/);
+    t.throws(function () {
+        vmapi.bulkVmAction('stop', { uuids: [], filter: {} }, function () {});
+    }, /one of params.uuids and params.filter/);
+    t.throws(function () {
+        vmapi.bulkVmAction('stop', {}, function () {});
+    }, /one of params.uuids and params.filter/);
+    t.done();
+};
+
+
+exports.test_close = function (t) {
+    vmapi.close();
+    FAKES.close(function () {
+        t.done();
+    });
+};
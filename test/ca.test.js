@@ -56,7 +56,7 @@ exports.test_create_instrumentation_bad_params = function (test) {
         test.ok(err);
         test.ok(!instrumentation);
         test.equal(err.statusCode, 409);
-        test.equal(err.restCode, 'InvalidArgument');
+        test.equal(err.code, 'Validation');
         test.ok(err.message);
         test.done();
     });
@@ -107,7 +107,7 @@ exports.test_get_instrumentation_bad = function (test) {
         test.ok(err);
         test.ok(!instrumentation);
         test.equal(err.statusCode, 404);
-        test.equal(err.restCode, 'ResourceNotFound');
+        test.equal(err.code, 'NotFound');
         test.ok(err.message);
         test.done();
     });
@@ -137,7 +137,7 @@ exports.test_get_heatmap_bad = function (test) {
         test.ok(err);
         test.ok(!heatmap);
         test.equal(err.statusCode, 404);
-        test.equal(err.restCode, 'ResourceNotFound');
+        test.equal(err.code, 'NotFound');
         test.ok(err.message);
 
         test.done();
@@ -153,7 +153,7 @@ exports.test_get_heatmap_details_bad = function (test) {
         test.ok(err);
         test.ok(!heatmap);
         test.equal(err.statusCode, 404);
-        test.equal(err.restCode, 'ResourceNotFound');
+        test.equal(err.code, 'NotFound');
         test.ok(err.message);
         test.done();
     });
@@ -164,7 +164,7 @@ exports.test_delete_instrumentation_bad = function (test) {
     ca.deleteInstrumentation(customer, uuid(), function (err) {
         test.ok(err);
         test.equal(err.statusCode, 404);
-        test.equal(err.restCode, 'ResourceNotFound');
+        test.equal(err.code, 'NotFound');
         test.ok(err.message);
         test.done();
     });
@@ -0,0 +1,345 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for recording calls to a cassette and replaying them (see
+ * "lib/cassette.js"). The calls are recorded against the fake APIs (see
+ * "lib/fakes"), then replayed with the fakes stopped.
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var Logger = require('bunyan');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+
+var Cassette = require('../lib/cassette').Cassette;
+var fakes = require('../lib/fakes');
+var IMGAPI = require('../lib/imgapi');
+var PAPI = require('../lib/papi');
+var VMAPI = require('../lib/vmapi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'cassette_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+var CASSETTE_PATH = path.join(os.tmpdir(),
+    'sdc-clients-cassette-test-' + process.pid + '.json');
+var FILE_DATA = new Buffer('not really a zfs stream', 'utf8');
+var MISSING_UUID = '4d2ee3b1-54e4-4b05-9b45-c8c07bf2e7ee';
+
+// Nothing listens there: replayed calls make no request.
+var NO_URL = 'http://127.0.0.1:1';
+
+var FAKES;
+// The results of the calls when recorded, to compare with the replayed ones.
+var RECORDED = {};
+
+
+
+// --- Helpers
+
+function manifest(name) {
+    return {
+        name: name,
+        version: '1.0.0',
+        os: 'smartos',
+        type: 'zone-dataset',
+        owner: fakes.ADMIN_UUID
+    };
+}
+
+
+function readAll(res, callback) {
+    var chunks = [];
+    res.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    res.on('end', function () {
+        callback(Buffer.concat(chunks));
+    });
+    res.resume();
+}
+
+
+/*
+ * Make the same calls in record and replay mode, calling back with their
+ * results.
+ */
+function vmapiCalls(vmapi, callback) {
+    var results = {};
+
+    vmapi.listVms({ owner_uuid: fakes.ADMIN_UUID }, function (err, vms) {
+        results.listErr = err;
+        results.vms = vms;
+
+        vmapi.getVm({ uuid: MISSING_UUID }, function (gErr) {
+            results.getErr = gErr;
+
+            vmapi.createVmAndWait({
+                owner_uuid: fakes.ADMIN_UUID,
+                brand: 'joyent-minimal',
+                alias: 'cassette0',
+                networks: [ fakes.EXTERNAL_NETWORK_UUID ]
+            }, { interval: 10 }, function (cErr, job) {
+                results.createErr = cErr;
+                results.job = job;
+                callback(results);
+            });
+        });
+    });
+}
+
+
+function papiCalls(papi, callback) {
+    papi.add({
+        name: 'cassette',
+        version: '1.0.0',
+        active: true,
+        cpu_cap: 100,
+        max_lwps: 1000,
+        max_physical_memory: 128,
+        max_swap: 256,
+        quota: 10240,
+        zfs_io_priority: 10,
+        vcpus: 1,
+        default: false
+    }, {}, function (err, pkg) {
+        callback({ addErr: err, pkg: pkg });
+    });
+}
+
+
+function imgapiCalls(imgapi, callback) {
+    var results = {};
+
+    imgapi.createImage(manifest('cassette'), function (err, image) {
+        results.createErr = err;
+        results.image = image;
+        if (err) {
+            callback(results);
+            return;
+        }
+
+        var file = new stream.PassThrough();
+        file.end(FILE_DATA);
+        imgapi.addImageFile({
+            uuid: image.uuid,
+            file: file,
+            size: FILE_DATA.length,
+            compression: 'none',
+            sha1: crypto.createHash('sha1').update(FILE_DATA).digest('hex')
+        }, function (fErr, image2) {
+            results.fileErr = fErr;
+            results.image2 = image2;
+
+            imgapi.getImageFileStream(image.uuid, function (sErr, res) {
+                results.streamErr = sErr;
+                if (sErr) {
+                    callback(results);
+                    return;
+                }
+                results.md5 = res.headers['content-md5'];
+                readAll(res, function (data) {
+                    results.data = data.toString();
+                    callback(results);
+                });
+            });
+        });
+    });
+}
+
+
+
+// --- Tests
+
+exports.test_record = function (t) {
+    var cassette = new Cassette({ path: CASSETTE_PATH, mode: 'record' });
+
+    fakes.startAll({}, function (err, all) {
+        t.ifError(err);
+        FAKES = all;
+
+        var vmapi = new VMAPI({ url: FAKES.vmapi.url, agent: false,
+            log: LOG, cassette: cassette });
+        var papi = new PAPI({ url: FAKES.papi.url, agent: false, log: LOG,
+            cassette: cassette });
+        var imgapi = new IMGAPI({ url: FAKES.imgapi.url, agent: false,
+            log: LOG, cassette: cassette });
+
+        vmapiCalls(vmapi, function (vmResults) {
+            t.ifError(vmResults.listErr);
+            t.equal(vmResults.getErr.code, 'NotFound');
+            t.ifError(vmResults.createErr);
+            t.equal(vmResults.job.execution, 'succeeded');
+            RECORDED.vmapi = vmResults;
+
+            papiCalls(papi, function (papiResults) {
+                t.ifError(papiResults.addErr);
+                RECORDED.papi = papiResults;
+
+                imgapiCalls(imgapi, function (imgResults) {
+                    t.ifError(imgResults.createErr);
+                    t.ifError(imgResults.fileErr);
+                    t.ifError(imgResults.streamErr);
+                    t.equal(imgResults.data, FILE_DATA.toString());
+                    RECORDED.imgapi = imgResults;
+
+                    vmapi.close();
+                    papi.close();
+                    imgapi.close();
+                    cassette.save(function (sErr) {
+                        t.ifError(sErr);
+                        FAKES.close(function () {
+                            t.done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_cassette_file = function (t) {
+    var cassette = JSON.parse(fs.readFileSync(CASSETTE_PATH, 'utf8'));
+
+    t.equal(cassette.version, 1);
+    t.ok(cassette.interactions.length > 0);
+    cassette.interactions.forEach(function (interaction) {
+        t.ok(interaction.request.method, 'method recorded');
+        t.equal(interaction.request.path.indexOf('?'), -1,
+            'query recorded apart');
+        t.ok(interaction.response, 'response recorded');
+    });
+    t.done();
+};
+
+
+exports.test_replay = function (t) {
+    var cassette = new Cassette({ path: CASSETTE_PATH, mode: 'replay' });
+    var vmapi = new VMAPI({ url: NO_URL, agent: false, log: LOG,
+        cassette: cassette });
+    var papi = new PAPI({ url: NO_URL, agent: false, log: LOG,
+        cassette: cassette });
+    var imgapi = new IMGAPI({ url: NO_URL, agent: false, log: LOG,
+        cassette: cassette });
+
+    vmapiCalls(vmapi, function (vmResults) {
+        t.ifError(vmResults.listErr);
+        t.deepEqual(vmResults.vms, RECORDED.vmapi.vms);
+        t.equal(vmResults.getErr.code, 'NotFound', 'errors are replayed');
+        t.equal(vmResults.getErr.statusCode, 404);
+        t.equal(vmResults.getErr.restCode,
+            RECORDED.vmapi.getErr.restCode);
+        t.ifError(vmResults.createErr);
+        t.deepEqual(vmResults.job, RECORDED.vmapi.job,
+            'job polling is replayed');
+
+        papiCalls(papi, function (papiResults) {
+            t.ifError(papiResults.addErr);
+            t.deepEqual(papiResults.pkg, RECORDED.papi.pkg);
+
+            imgapiCalls(imgapi, function (imgResults) {
+                t.ifError(imgResults.createErr);
+                t.ifError(imgResults.fileErr);
+                t.deepEqual(imgResults.image2, RECORDED.imgapi.image2);
+                t.ifError(imgResults.streamErr);
+                t.equal(imgResults.data, FILE_DATA.toString(),
+                    'file downloads are replayed');
+                t.equal(imgResults.md5, RECORDED.imgapi.md5);
+
+                t.deepEqual(cassette.unplayed(), [],
+                    'all the recorded calls were made');
+                vmapi.close();
+                papi.close();
+                imgapi.close();
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_replay_unmatched = function (t) {
+    var cassette = new Cassette({ path: CASSETTE_PATH, mode: 'replay' });
+    var vmapi = new VMAPI({ url: NO_URL, agent: false, log: LOG,
+        cassette: cassette });
+
+    vmapi.listVms({ owner_uuid: fakes.ADMIN_UUID }, function (err) {
+        t.ifError(err);
+
+        // Each recorded call is played once.
+        vmapi.listVms({ owner_uuid: fakes.ADMIN_UUID }, function (lErr) {
+            t.ok(lErr);
+            t.equal(lErr.code, 'UnmatchedRequest');
+            t.equal(lErr.request.method, 'GET');
+            t.equal(lErr.request.path, '/vms');
+
+            vmapi.getVm({ uuid: MISSING_UUID, owner_uuid: 'other' },
+                    function (gErr) {
+                t.equal(gErr.code, 'UnmatchedRequest',
+                    'the query must match');
+                t.ok(cassette.unplayed().length > 0);
+                vmapi.close();
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_replay_match = function (t) {
+    var cassette = new Cassette({
+        path: CASSETTE_PATH,
+        mode: 'replay',
+        match: function (recorded, request) {
+            return (recorded.method === request.method &&
+                recorded.path === request.path);
+        }
+    });
+    var vmapi = new VMAPI({ url: NO_URL, agent: false, log: LOG,
+        cassette: cassette });
+
+    vmapi.listVms({ alias: 'anything' }, function (err, vms) {
+        t.ifError(err);
+        t.deepEqual(vms, RECORDED.vmapi.vms);
+        vmapi.close();
+        t.done();
+    });
+};
+
+
+exports.test_bad_options = function (t) {
+    t.throws(function () {
+        return new Cassette({ path: CASSETTE_PATH, mode: 'rewind' });
+    }, /options.mode/);
+    t.throws(function () {
+        return new Cassette({ path: CASSETTE_PATH + '.missing',
+            mode: 'replay' });
+    }, /ENOENT/);
+    t.done();
+};
+
+
+exports.test_cleanup = function (t) {
+    fs.unlink(CASSETTE_PATH, function (err) {
+        t.ifError(err);
+        t.done();
+    });
+};
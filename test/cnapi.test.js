@@ -17,18 +17,19 @@ function uuid() {
 }
 
 var CNAPI = require('../lib/index').CNAPI;
+var helper = require('./helper');
 
 
 
 // --- Globals
 
-var CNAPI_URL = 'http://' + (process.env.CNAPI_IP || '10.99.99.22');
+// Without CNAPI_IP, the tests run against a fake CNAPI (see "lib/fakes").
 
 var SERVER = null;
 var ZONE = '0777a40e-8b41-11e2-be6f-7f3bf8fcea65';
 var TASK = null;
 var DATASET_UUID = 'fd2cc906-8938-11e3-beab-4359c665ac99';
-var CUSTOMER = process.env.UFDS_ADMIN_UUID;
+var CUSTOMER = helper.ADMIN_UUID;
 var cnapi;
 
 // --- Helpers
@@ -142,21 +143,28 @@ function waitForTask(callback) {
 // --- Tests
 
 exports.setUp = function (callback) {
-    cnapi = new CNAPI({
-        url: CNAPI_URL,
-        retry: {
-            retries: 1,
-            minTimeout: 1000
-        },
-        log: new Logger({
-            name: 'cnapi_unit_test',
-            stream: process.stderr,
-            level: (process.env.LOG_LEVEL || 'info'),
-            serializers: Logger.stdSerializers
-        }),
-        agent: false
+    helper.apiUrls(function (err, urls) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        cnapi = new CNAPI({
+            url: urls.cnapi,
+            retry: {
+                retries: 1,
+                minTimeout: 1000
+            },
+            log: new Logger({
+                name: 'cnapi_unit_test',
+                stream: process.stderr,
+                level: (process.env.LOG_LEVEL || 'info'),
+                serializers: Logger.stdSerializers
+            }),
+            agent: false
+        });
+        callback();
     });
-    callback();
 };
 
 
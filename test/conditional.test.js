@@ -0,0 +1,219 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for conditional requests: the `etag` of fetched objects and the
+ * `ifMatch` and `ifNoneMatch` options. These run against the fake APIs (see
+ * "lib/fakes").
+ */
+
+var Logger = require('bunyan');
+
+var sdc = require('../lib');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'conditional_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+var VM_UUID = '4d4e3d4e-2b13-4f6b-a3a1-a1e4f5d2c1b7';
+
+var FAKES;
+var vmapi;
+var napi;
+var sapi;
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        callback();
+        return;
+    }
+    sdc.fakes.startAll({}, function (err, all) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        FAKES = all;
+        FAKES.vmapi.addVm({ uuid: VM_UUID, owner_uuid: sdc.fakes.ADMIN_UUID,
+            alias: 'etag0' });
+
+        vmapi = new sdc.VMAPI({ url: FAKES.vmapi.url, agent: false,
+            log: LOG, retryPolicy: false });
+        napi = new sdc.NAPI({ url: FAKES.napi.url, agent: false, log: LOG,
+            retryPolicy: false });
+        sapi = new sdc.SAPI({ url: FAKES.sapi.url, agent: false, log: LOG,
+            retryPolicy: false });
+        callback();
+    });
+};
+
+
+exports.test_etag = function (t) {
+    vmapi.getVm({ uuid: VM_UUID }, function (err, vm, req, res) {
+        t.ifError(err);
+        t.ok(vm.etag, 'has an etag');
+        t.equal(vm.etag, res.headers.etag);
+        t.ok(Object.keys(vm).indexOf('etag') === -1, 'not enumerable');
+        t.equal(JSON.parse(JSON.stringify(vm)).etag, undefined);
+
+        vmapi.getVm({ uuid: VM_UUID }).then(function (again) {
+            t.equal(again.etag, vm.etag, 'same object, same etag');
+            t.done();
+        }, function (pErr) {
+            t.ifError(pErr);
+            t.done();
+        });
+    });
+};
+
+
+exports.test_if_none_match = function (t) {
+    vmapi.getVm({ uuid: VM_UUID }, function (err, vm) {
+        t.ifError(err);
+
+        vmapi.getVm({ uuid: VM_UUID }, { ifNoneMatch: vm.etag },
+                function (gErr, unchanged, req, res) {
+            t.ifError(gErr);
+            t.strictEqual(unchanged, null, 'not modified');
+            t.equal(res.statusCode, 304);
+
+            vmapi.getVm({ uuid: VM_UUID }, { ifNoneMatch: '"other"' },
+                    function (oErr, changed) {
+                t.ifError(oErr);
+                t.equal(changed.uuid, VM_UUID);
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_vmapi_if_match = function (t) {
+    vmapi.getVm({ uuid: VM_UUID }, function (err, vm) {
+        t.ifError(err);
+
+        // Someone else updates the VM in the meantime.
+        vmapi.updateVm({ uuid: VM_UUID, payload: { alias: 'etag1' } },
+                { ifMatch: vm.etag }, function (uErr, job) {
+            t.ifError(uErr);
+            t.ok(job.job_uuid);
+
+            vmapi.updateVm({ uuid: VM_UUID, payload: { alias: 'etag2' } },
+                    { ifMatch: vm.etag }, function (sErr) {
+                t.ok(sErr);
+                t.equal(sErr.code, 'PreconditionFailed');
+                t.ok(sErr instanceof sdc.errors.PreconditionFailedError);
+                t.equal(sErr.statusCode, 412);
+
+                vmapi.deleteVm({ uuid: VM_UUID }, { ifMatch: vm.etag },
+                        function (dErr) {
+                    t.equal(dErr.code, 'PreconditionFailed');
+                    t.equal(FAKES.vmapi.vms[VM_UUID].alias, 'etag1',
+                        'lost update avoided');
+                    t.done();
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_napi_if_match = function (t) {
+    var uuid = sdc.fakes.EXTERNAL_NETWORK_UUID;
+
+    napi.getNetwork(uuid, function (err, net) {
+        t.ifError(err);
+
+        napi.updateNetwork(uuid, { description: 'one' },
+                { ifMatch: [ '"other"', net.etag ] }, function (uErr, updated) {
+            t.ifError(uErr);
+            t.equal(updated.description, 'one');
+            t.ok(updated.etag && updated.etag !== net.etag, 'new etag');
+
+            napi.updateNetwork(uuid, { description: 'two' },
+                    { ifMatch: net.etag }, function (sErr) {
+                t.equal(sErr.code, 'PreconditionFailed');
+
+                napi.updateNetwork(uuid, { description: 'two' },
+                        { ifMatch: updated.etag }, function (u2Err, net2) {
+                    t.ifError(u2Err);
+                    t.equal(net2.description, 'two');
+                    t.done();
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_sapi_if_match = function (t) {
+    sapi.createApplication('etag', sdc.fakes.ADMIN_UUID, function (err, app) {
+        t.ifError(err);
+        sapi.createService('etagsvc', app.uuid, function (cErr, svc) {
+            t.ifError(cErr);
+
+            sapi.getService(svc.uuid, function (gErr, fetched) {
+                t.ifError(gErr);
+
+                sapi.updateService(svc.uuid, { metadata: { A: 1 } },
+                        function (uErr) {
+                    t.ifError(uErr);
+
+                    sapi.updateService(svc.uuid, { metadata: { B: 2 } },
+                            { ifMatch: fetched.etag }, function (sErr) {
+                        t.equal(sErr.code, 'PreconditionFailed');
+
+                        sapi.getService(svc.uuid,
+                                { ifNoneMatch: fetched.etag },
+                                function (nErr, changed) {
+                            t.ifError(nErr);
+                            t.deepEqual(changed.metadata, { A: 1 });
+
+                            sapi.deleteService(svc.uuid,
+                                    { ifMatch: changed.etag },
+                                    function (dErr) {
+                                t.ifError(dErr);
+                                t.done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_bad_options = function (t) {
+    t.throws(function () {
+        vmapi.getVm({ uuid: VM_UUID }, { ifNoneMatch: 42 }, function () {});
+    }, /ifNoneMatch/);
+    t.done();
+};
+
+
+exports.test_close = function (t) {
+    vmapi.close();
+    napi.close();
+    sapi.close();
+    FAKES.close(function () {
+        t.done();
+    });
+};
@@ -0,0 +1,244 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the discovery of the API URLs through SAPI (see
+ * "lib/discovery.js"). These run against the fake APIs (see "lib/fakes").
+ */
+
+var Logger = require('bunyan');
+
+var sdc = require('../lib');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'discovery_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+// Nothing listens there.
+var DEAD_DOMAIN = '127.0.0.1:1';
+
+var FAKES;
+var SAPI_REQUESTS = 0;
+var sapi;
+var app;
+
+
+
+// --- Helpers
+
+// The domain name of a fake, as in SAPI metadata.
+function domain(fake) {
+    return fake.url.replace(/^http:\/\//, '');
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        callback();
+        return;
+    }
+    sdc.fakes.startAll({}, function (err, all) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        FAKES = all;
+        sapi = new sdc.SAPI({
+            url: FAKES.sapi.url,
+            agent: false,
+            log: LOG,
+            metrics: {
+                onRequestStart: function () {
+                    SAPI_REQUESTS++;
+                }
+            }
+        });
+        callback();
+    });
+};
+
+
+exports.test_no_application = function (t) {
+    var discovery = new sdc.Discovery({ sapi: sapi });
+
+    discovery.getUrls(function (err) {
+        t.ok(err);
+        t.equal(err.code, 'NotFound');
+        t.ok(/no SAPI application named sdc/.test(err.message), err.message);
+        t.done();
+    });
+};
+
+
+exports.test_setup = function (t) {
+    sapi.createApplication('sdc', sdc.fakes.ADMIN_UUID, {
+        metadata: {
+            VMAPI_SERVICE: DEAD_DOMAIN,
+            NAPI_SERVICE: domain(FAKES.napi),
+            PAPI_SERVICE: domain(FAKES.papi),
+            WORKFLOW_SERVICE: domain(FAKES.vmapi)
+        }
+    }, function (err, sdcApp) {
+        t.ifError(err);
+        app = sdcApp;
+
+        // CNAPI and IMGAPI are only found through their services.
+        sapi.createService('cnapi', app.uuid, {
+            metadata: { SERVICE_DOMAIN: domain(FAKES.cnapi) }
+        }, function (cErr) {
+            t.ifError(cErr);
+            sapi.createService('imgapi', app.uuid, {
+                metadata: { SERVICE_DOMAIN: FAKES.imgapi.url }
+            }, function (iErr) {
+                t.ifError(iErr);
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_get_urls = function (t) {
+    var discovery = new sdc.Discovery({ sapi: sapi });
+    var before = SAPI_REQUESTS;
+
+    discovery.getUrls(function (err, urls) {
+        t.ifError(err);
+        t.deepEqual(urls, {
+            cnapi: FAKES.cnapi.url,
+            imgapi: FAKES.imgapi.url,
+            napi: FAKES.napi.url,
+            papi: FAKES.papi.url,
+            vmapi: 'http://' + DEAD_DOMAIN,
+            wfapi: FAKES.vmapi.url
+        });
+        t.equal(SAPI_REQUESTS - before, 3, 'list, get app, list services');
+
+        discovery.getUrl('napi', function (nErr, url) {
+            t.ifError(nErr);
+            t.equal(url, FAKES.napi.url);
+            t.equal(SAPI_REQUESTS - before, 3, 'cached');
+
+            discovery.getUrl('amon', function (aErr) {
+                t.ok(aErr);
+                t.equal(aErr.code, 'NotFound');
+                t.throws(function () {
+                    discovery.getUrl('ufds', function () {});
+                }, /unknown API: ufds/);
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_resolver_refresh = function (t) {
+    var discovery = new sdc.Discovery({ url: FAKES.sapi.url, log: LOG,
+        agent: false });
+    var vmapi = new sdc.VMAPI({
+        url: discovery.resolver('vmapi'),
+        agent: false,
+        log: LOG,
+        retry: false,
+        retryPolicy: { maxAttempts: 2, initialDelay: 10 }
+    });
+
+    discovery.getUrl('vmapi', function (err, url) {
+        t.ifError(err);
+        t.equal(url, 'http://' + DEAD_DOMAIN, 'cached the dead URL');
+
+        // VMAPI moved: the failed connection has the client look it up
+        // again before retrying.
+        FAKES.sapi.applications[app.uuid].metadata.VMAPI_SERVICE =
+            domain(FAKES.vmapi);
+
+        vmapi.listVms(function (lErr, vms) {
+            t.ifError(lErr);
+            t.ok(Array.isArray(vms));
+            t.equal(vmapi.client.urls[0], FAKES.vmapi.url);
+
+            discovery.getUrl('vmapi', function (gErr, newUrl) {
+                t.ifError(gErr);
+                t.equal(newUrl, FAKES.vmapi.url, 'cache updated');
+                vmapi.close();
+                discovery.close();
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_old_urls = function (t) {
+    var discovery = new sdc.Discovery({ sapi: sapi, age: 0.01, log: LOG });
+
+    discovery.getUrls(function (err, urls) {
+        t.ifError(err);
+
+        var dead = new sdc.SAPI({ url: 'http://' + DEAD_DOMAIN, log: LOG,
+            agent: false, retry: false, retryPolicy: false });
+        discovery.sapi = dead;
+        setTimeout(function () {
+            discovery.getUrls(function (gErr, oldUrls) {
+                t.ifError(gErr, 'SAPI down: the old URLs are used');
+                t.deepEqual(oldUrls, urls);
+                dead.close();
+                t.done();
+            });
+        }, 20);
+    });
+};
+
+
+exports.test_create_clients = function (t) {
+    var discovery = new sdc.Discovery({ url: FAKES.sapi.url, log: LOG,
+        agent: false });
+
+    discovery.createClients({
+        log: LOG,
+        agent: false,
+        papi: { url: FAKES.papi.url, 'X-Api-Version': '~7.1' }
+    }, function (err, clients) {
+        t.ifError(err);
+        t.ok(clients.vmapi instanceof sdc.VMAPI);
+        t.equal(typeof (clients.vmapi.client.resolver), 'function',
+            'looks the URL up');
+        t.equal(clients.imgapi.url, FAKES.imgapi.url);
+        t.equal(clients.papi.client.url.href, FAKES.papi.url + '/');
+        t.equal(clients.sapi.wfapiUrl, FAKES.vmapi.url);
+        t.ok(!clients.amon, 'not in SAPI');
+
+        clients.cnapi.listServers(function (lErr, servers) {
+            t.ifError(lErr);
+            t.ok(servers.length > 0);
+            clients.close();
+            discovery.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_close = function (t) {
+    sapi.close();
+    FAKES.close(function () {
+        t.done();
+    });
+};
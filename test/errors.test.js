@@ -0,0 +1,150 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the translation of restify errors into the client errors. These
+ * do not need any running service.
+ */
+
+var restify = require('restify');
+var VError = require('verror');
+
+var errors = require('../lib/errors');
+
+
+
+// --- Helpers
+
+/*
+ * An error like the ones the restify client gives for an error response.
+ */
+function httpError(statusCode, body) {
+    var err = new Error(body.message || 'error');
+    err.name = 'HttpError';
+    err.statusCode = statusCode;
+    err.body = body;
+    return err;
+}
+
+
+
+// --- Tests
+
+exports.test_restify_not_found = function (t) {
+    var cause = new restify.ResourceNotFoundError('vm not found');
+    var err = errors.translateError(cause);
+
+    t.ok(err instanceof errors.NotFoundError);
+    t.ok(err instanceof errors.SdcError);
+    t.equal(err.code, 'NotFound');
+    t.equal(err.name, 'NotFoundError');
+    t.equal(err.message, 'vm not found');
+    t.equal(err.statusCode, 404);
+    t.equal(err.restCode, 'ResourceNotFound');
+    t.equal(err.cause(), cause);
+    t.done();
+};
+
+
+exports.test_validation_details = function (t) {
+    var err = errors.translateError(httpError(422, {
+        code: 'InvalidParameters',
+        message: 'Invalid parameters',
+        errors: [ { field: 'ip', code: 'InvalidParameter',
+            message: 'invalid IP address' } ]
+    }));
+
+    t.ok(err instanceof errors.ValidationError);
+    t.equal(err.code, 'Validation');
+    t.equal(err.restCode, 'InvalidParameters');
+    t.equal(err.errors.length, 1);
+    t.equal(err.errors[0].field, 'ip');
+    t.equal(err.body.errors[0].field, 'ip');
+    t.done();
+};
+
+
+exports.test_rest_code_before_status_code = function (t) {
+    // restify's InvalidArgumentError and VMAPI's ValidationFailed are 409s.
+    var err = errors.translateError(
+        new restify.InvalidArgumentError('bad uuid'));
+    t.equal(err.code, 'Validation');
+    t.equal(err.statusCode, 409);
+
+    err = errors.translateError(httpError(409, { message: 'in use' }));
+    t.equal(err.code, 'Conflict');
+    t.done();
+};
+
+
+exports.test_ca_errors = function (t) {
+    var err = errors.translateError(httpError(404, {
+        error: { code: 'ECA_NOENT', message: 'no such instrumentation' }
+    }));
+    t.equal(err.code, 'NotFound');
+    t.equal(err.restCode, 'ECA_NOENT');
+    t.equal(err.message, 'no such instrumentation');
+
+    err = errors.translateError(httpError(409, {
+        error: { code: 'ECA_INVAL', message: 'missing "module"' }
+    }));
+    t.equal(err.code, 'Validation');
+    t.done();
+};
+
+
+exports.test_status_codes = function (t) {
+    t.equal(errors.translateError(httpError(503, {})).code, 'Unavailable');
+    t.equal(errors.translateError(httpError(504, {})).code, 'Timeout');
+    t.equal(errors.translateError(httpError(500, {})).code, 'Internal');
+    t.equal(errors.translateError(httpError(403, {})).code, 'Request');
+    t.equal(errors.translateError(httpError(412, {})).code,
+        'PreconditionFailed');
+    t.done();
+};
+
+
+exports.test_connection_errors = function (t) {
+    var refused = new Error('connect ECONNREFUSED');
+    refused.code = 'ECONNREFUSED';
+    t.equal(errors.translateError(refused).code, 'Unavailable');
+
+    var timeout = new Error('timed out');
+    timeout.name = 'ConnectTimeoutError';
+    t.equal(errors.translateError(timeout).code, 'Timeout');
+    t.done();
+};
+
+
+exports.test_passthrough = function (t) {
+    var other = new TypeError('uuid is required');
+    t.equal(errors.translateError(other), other);
+    t.equal(errors.translateError(null), null);
+
+    var sdcErr = new errors.JobFailedError({ message: 'job failed' });
+    t.equal(errors.translateError(sdcErr), sdcErr);
+    t.done();
+};
+
+
+exports.test_client_errors = function (t) {
+    var err = new errors.ChecksumError('abc', 'def');
+    t.equal(err.code, 'ChecksumError');
+    t.ok(err instanceof VError.WError);
+    t.equal(err.message, 'content-md5 expected to be def, but was abc');
+
+    err = new errors.TaskFailedError({
+        message: 'task failed',
+        task: { id: 'abc' }
+    });
+    t.equal(err.code, 'TaskFailed');
+    t.equal(err.task.id, 'abc');
+    t.done();
+};
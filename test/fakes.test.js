@@ -0,0 +1,475 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the in-process fake APIs (see "lib/fakes"), for the APIs that
+ * have no tests of their own that run against them: IMGAPI, SAPI, FWAPI and
+ * Amon. The VMAPI, NAPI, CNAPI and PAPI tests run against the fakes when no
+ * headnode is given.
+ */
+
+var crypto = require('crypto');
+var Logger = require('bunyan');
+var stream = require('stream');
+
+var Amon = require('../lib/amon');
+var fakes = require('../lib/fakes');
+var FWAPI = require('../lib/fwapi');
+var IMGAPI = require('../lib/imgapi');
+var NAPI = require('../lib/napi');
+var SAPI = require('../lib/sapi');
+var VMAPI = require('../lib/vmapi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'fakes_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+var ADMIN = fakes.ADMIN_UUID;
+var OTHER = '3621c8c3-a5d6-42c6-bcae-f7076353d150';
+var VM_UUID = 'ea3a1e9e-1a35-4e58-86a1-22a0f0d2f9a1';
+var FILE_DATA = new Buffer('not really a zfs stream', 'utf8');
+
+var FAKES;
+var IMAGE;
+var INSTANCE;
+
+
+
+// --- Helpers
+
+function manifest(name) {
+    return {
+        name: name,
+        version: '1.0.0',
+        os: 'smartos',
+        type: 'zone-dataset',
+        owner: ADMIN
+    };
+}
+
+
+function fileStream(data) {
+    var s = new stream.PassThrough();
+    s.end(data);
+    return s;
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        callback();
+        return;
+    }
+    fakes.startAll({}, function (err, all) {
+        FAKES = all;
+        callback(err);
+    });
+};
+
+
+exports.test_imgapi_image = function (t) {
+    var imgapi = new IMGAPI({ url: FAKES.imgapi.url, agent: false,
+        log: LOG });
+
+    imgapi.createImage(manifest('base'), function (err, image) {
+        t.ifError(err);
+        t.equal(image.state, 'unactivated');
+        t.deepEqual(image.files, []);
+
+        imgapi.addImageFile({
+            uuid: image.uuid,
+            file: fileStream(FILE_DATA),
+            size: FILE_DATA.length,
+            compression: 'none',
+            sha1: crypto.createHash('sha1').update(FILE_DATA).digest('hex')
+        }, function (fErr, image2) {
+            t.ifError(fErr);
+            t.equal(image2.files[0].size, FILE_DATA.length);
+
+            imgapi.activateImage(image.uuid, function (aErr, image3) {
+                t.ifError(aErr);
+                t.equal(image3.state, 'active');
+                t.ok(image3.published_at);
+                IMAGE = image3;
+                imgapi.close();
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_imgapi_file = function (t) {
+    var imgapi = new IMGAPI({ url: FAKES.imgapi.url, agent: false,
+        log: LOG });
+
+    imgapi.getImageFileStream(IMAGE.uuid, function (err, res) {
+        t.ifError(err);
+        var chunks = [];
+        res.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+        res.on('end', function () {
+            var data = Buffer.concat(chunks);
+            t.equal(data.toString(), FILE_DATA.toString());
+            t.equal(res.headers['content-md5'],
+                crypto.createHash('md5').update(data).digest('base64'));
+            imgapi.close();
+            t.done();
+        });
+        // The stream is given paused.
+        res.resume();
+    });
+};
+
+
+exports.test_imgapi_list_and_acl = function (t) {
+    var imgapi = new IMGAPI({ url: FAKES.imgapi.url, agent: false,
+        log: LOG });
+
+    imgapi.listImages({ name: 'base' }, function (err, images) {
+        t.ifError(err);
+        t.deepEqual(images.map(function (i) {
+            return i.uuid;
+        }), [IMAGE.uuid]);
+
+        imgapi.getImage(IMAGE.uuid, OTHER, function (gErr) {
+            t.equal(gErr.statusCode, 404, 'private image of another owner');
+
+            imgapi.addImageAcl(IMAGE.uuid, [OTHER], function (aErr, image) {
+                t.ifError(aErr);
+                t.deepEqual(image.acl, [OTHER]);
+
+                imgapi.getImage(IMAGE.uuid, OTHER, function (g2Err, image2) {
+                    t.ifError(g2Err);
+                    t.equal(image2.uuid, IMAGE.uuid);
+                    imgapi.close();
+                    t.done();
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_imgapi_create_from_vm = function (t) {
+    var imgapi = new IMGAPI({ url: FAKES.imgapi.url, agent: false,
+        log: LOG });
+
+    imgapi.createImageFromVmAndWait(manifest('from-vm'), {
+        vm_uuid: VM_UUID,
+        interval: 10
+    }, function (err, image) {
+        t.ifError(err);
+        t.equal(image.name, 'from-vm');
+        t.equal(image.state, 'active');
+
+        FAKES.imgapi.failNextJob('no space left');
+        imgapi.createImageFromVmAndWait(manifest('failed'), {
+            vm_uuid: VM_UUID,
+            interval: 10
+        }, function (fErr) {
+            t.ok(fErr);
+            t.equal(fErr.code, 'JobFailed');
+            imgapi.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_sapi = function (t) {
+    var sapi = new SAPI({
+        url: FAKES.sapi.url,
+        wfapiUrl: FAKES.sapi.url,
+        agent: false,
+        log: LOG
+    });
+
+    sapi.createApplication('sdc', ADMIN, {
+        params: { image_uuid: 'fd2cc906-8938-11e3-beab-4359c665ac99' },
+        metadata: { datacenter_name: 'coal' }
+    }, function (err, app) {
+        t.ifError(err);
+
+        sapi.createService('assets', app.uuid, {
+            metadata: { SERVICE_NAME: 'assets' }
+        }, function (sErr, svc) {
+            t.ifError(sErr);
+
+            sapi.createInstanceAndWait(svc.uuid, {
+                params: { alias: 'assets0' }
+            }, { interval: 10 }, function (iErr, inst) {
+                t.ifError(iErr);
+                t.equal(inst.service_uuid, svc.uuid);
+                INSTANCE = inst;
+                sapi.close();
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_sapi_payload = function (t) {
+    var sapi = new SAPI({ url: FAKES.sapi.url, agent: false, log: LOG });
+
+    sapi.updateApplication(FAKES.sapi.services[INSTANCE.service_uuid]
+        .application_uuid, {
+        metadata: { ufds_domain: 'example.com' }
+    }, function (err, app) {
+        t.ifError(err);
+        t.equal(app.metadata.datacenter_name, 'coal', 'update merges');
+
+        sapi.getInstancePayload(INSTANCE.uuid, function (pErr, payload) {
+            t.ifError(pErr);
+            t.equal(payload.alias, 'assets0');
+            t.equal(payload.image_uuid,
+                'fd2cc906-8938-11e3-beab-4359c665ac99');
+            t.deepEqual(payload.customer_metadata, {
+                datacenter_name: 'coal',
+                ufds_domain: 'example.com',
+                SERVICE_NAME: 'assets'
+            });
+            sapi.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_fwapi = function (t) {
+    var fwapi = new FWAPI({ url: FAKES.fwapi.url, agent: false, log: LOG });
+    var rule = {
+        owner_uuid: ADMIN,
+        enabled: true,
+        rule: 'FROM any TO vm ' + VM_UUID + ' ALLOW tcp PORT 22'
+    };
+
+    fwapi.createRule(rule, function (err, created) {
+        t.ifError(err);
+        t.ok(created.uuid);
+
+        fwapi.getRuleVMs(created.uuid, {}, function (vErr, vms) {
+            t.ifError(vErr);
+            t.deepEqual(vms.map(function (vm) {
+                return vm.uuid;
+            }), [VM_UUID]);
+
+            fwapi.getVMrules(VM_UUID, {}, function (rErr, rules) {
+                t.ifError(rErr);
+                t.deepEqual(rules.map(function (r) {
+                    return r.uuid;
+                }), [created.uuid]);
+
+                fwapi.createRule({ rule: 'ALLOW everything' },
+                        function (bErr) {
+                    t.equal(bErr.statusCode, 422, 'invalid rule');
+                    fwapi.close();
+                    t.done();
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_amon = function (t) {
+    var amon = new Amon({ url: FAKES.amon.url, agent: false, log: LOG });
+    var probe = {
+        name: 'assets-log',
+        type: 'log-scan',
+        agent: VM_UUID,
+        config: { path: '/var/log/assets.log', match: { pattern: 'ERROR' } }
+    };
+
+    amon.createProbe(ADMIN, probe, function (err, created) {
+        t.ifError(err);
+        t.ok(created.uuid);
+
+        var alarm = FAKES.amon.addAlarm({ user: ADMIN, probe: created.uuid });
+        amon.listAlarms(ADMIN, { state: 'open' }, function (lErr, alarms) {
+            t.ifError(lErr);
+            t.equal(alarms.length, 1);
+            t.equal(alarms[0].faults[0].probe, created.uuid);
+
+            amon.closeAlarm(ADMIN, alarm.id, function (cErr) {
+                t.ifError(cErr);
+
+                amon.listAlarms(ADMIN, { state: 'open' },
+                        function (l2Err, alarms2) {
+                    t.ifError(l2Err);
+                    t.equal(alarms2.length, 0);
+                    amon.close();
+                    t.done();
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_vmapi_nics_on_napi = function (t) {
+    var vmapi = new VMAPI({ url: FAKES.vmapi.url, agent: false, log: LOG });
+    var napi = new NAPI({ url: FAKES.napi.url, agent: false, log: LOG });
+
+    vmapi.createVmAndWait({
+        owner_uuid: ADMIN,
+        brand: 'joyent-minimal',
+        networks: [ fakes.EXTERNAL_NETWORK_UUID ]
+    }, { interval: 10 }, function (err, job) {
+        t.ifError(err);
+        t.equal(job.execution, 'succeeded');
+
+        vmapi.getVm({ uuid: job.vm_uuid }, function (gErr, vm) {
+            t.ifError(gErr);
+            t.equal(vm.state, 'running');
+            t.equal(vm.nics.length, 1);
+            t.ok(/^10\.88\.88\./.test(vm.nics[0].ip), 'IP on the network');
+
+            napi.getNic(vm.nics[0].mac, function (nErr, nic) {
+                t.ifError(nErr);
+                t.equal(nic.belongs_to_uuid, vm.uuid);
+
+                vmapi.deleteVm({ uuid: vm.uuid }, function (dErr) {
+                    t.ifError(dErr);
+
+                    napi.getNic(vm.nics[0].mac, function (n2Err) {
+                        t.equal(n2Err.statusCode, 404,
+                            'nic deleted with the VM');
+                        vmapi.close();
+                        napi.close();
+                        t.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_vmapi_and_wait = function (t) {
+    var vmapi = new VMAPI({ url: FAKES.vmapi.url, agent: false, log: LOG });
+    var options = { interval: 10 };
+
+    vmapi.createVmAndWait({
+        owner_uuid: ADMIN,
+        brand: 'joyent-minimal',
+        networks: [ fakes.EXTERNAL_NETWORK_UUID ]
+    }, options, function (err, created) {
+        t.ifError(err);
+        var query = { uuid: created.vm_uuid, owner_uuid: ADMIN };
+
+        vmapi.stopVmAndWait(query, options, function (sErr, job, vm) {
+            t.ifError(sErr);
+            t.equal(job.execution, 'succeeded');
+            t.equal(job.vm_uuid, query.uuid);
+            t.equal(vm.state, 'stopped', 'the VM after the job');
+            t.equal(job.vm, vm);
+            t.ok(Object.keys(job).indexOf('vm') === -1, 'not enumerable');
+
+            vmapi.updateVmAndWait({
+                uuid: query.uuid,
+                payload: { alias: 'and-wait' }
+            }, options).then(function (uJob) {
+                t.equal(uJob.vm.alias, 'and-wait');
+
+                FAKES.vmapi.failNextJob('VM is on fire');
+                return vmapi.startVmAndWait(query, options);
+            }).then(function () {
+                t.ok(false, 'start should fail');
+            }, function (fErr) {
+                t.equal(fErr.code, 'JobFailed');
+                t.equal(fErr.message, 'VM is on fire');
+                t.equal(fErr.job.execution, 'failed');
+
+                return vmapi.snapshotVmAndWait({
+                    uuid: query.uuid,
+                    name: 'snap1'
+                }, options);
+            }).then(function (snJob) {
+                t.equal(snJob.vm.state, 'stopped', 'start failed');
+                t.equal(snJob.vm.snapshots[0].name, 'snap1');
+
+                return vmapi.deleteVmAndWait(query, options);
+            }).then(function (dJob) {
+                t.equal(dJob.vm.state, 'destroyed');
+                vmapi.close();
+                t.done();
+            }).catch(function (pErr) {
+                t.ifError(pErr);
+                vmapi.close();
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_vmapi_and_wait_error = function (t) {
+    var vmapi = new VMAPI({ url: FAKES.vmapi.url, agent: false, log: LOG });
+
+    vmapi.stopVmAndWait({ uuid: '3a5e0c1d-7b2f-4d8e-9a6c-1f0e2d3c4b02' },
+            function (err) {
+        t.equal(err && err.statusCode, 404);
+        t.equal(arguments.length, 1, 'only called back with the error');
+        vmapi.close();
+        t.done();
+    });
+};
+
+
+exports.test_vmapi_and_wait_no_workflow_api = function (t) {
+    var vmapi = new VMAPI({ url: FAKES.vmapi.url, agent: false, log: LOG });
+    var uuid = '3a5e0c1d-7b2f-4d8e-9a6c-1f0e2d3c4b01';
+    var dropHeader = true;
+
+    FAKES.vmapi.addVm({ uuid: uuid, owner_uuid: ADMIN });
+    // An older VMAPI, without the 'workflow-api' header. The fake's URL is
+    // an IP, so the Workflow API URL cannot be guessed either.
+    FAKES.vmapi.server.pre(function (req, res, next) {
+        var header = res.header;
+        res.header = function (name) {
+            if (dropHeader && name === 'workflow-api') {
+                return undefined;
+            }
+            return header.apply(this, arguments);
+        };
+        next();
+    });
+
+    vmapi.stopVmAndWait({ uuid: uuid }).then(function () {
+        t.ok(false, 'stopVmAndWait should fail');
+    }, function (err) {
+        t.ok(/cannot determine Workflow API url/.test(err.message),
+            err.message);
+    }).then(function () {
+        dropHeader = false;
+        vmapi.close();
+        t.done();
+    });
+};
+
+
+exports.test_close = function (t) {
+    FAKES.close(function () {
+        t.done();
+    });
+};
@@ -15,9 +15,17 @@
 
 var Logger = require('bunyan');
 
+var fakes = require('../lib/fakes');
+
 
 // --- Globals
 
+// The APIs that `apiUrls` gives URLs for, by lower-case name.
+var APIS = ['amon', 'cnapi', 'fwapi', 'imgapi', 'napi', 'papi', 'sapi',
+    'vmapi'];
+
+var FAKES = null;
+
 var LOG = new Logger({
     level: (process.env.LOG_LEVEL || 'info'),
     name: process.argv[1],
@@ -27,6 +35,45 @@ var LOG = new Logger({
 });
 
 
+// --- Helpers
+
+/*
+ * The URLs of the APIs to test, by lower-case name: 'http://$<NAME>_IP' if
+ * that variable is set (e.g. 'VMAPI_IP'), else the URL of an in-process fake
+ * of the API (see "lib/fakes"). The fakes are started on the first call.
+ */
+function apiUrls(callback) {
+    function urls() {
+        var result = {};
+        APIS.forEach(function (name) {
+            var ip = process.env[name.toUpperCase() + '_IP'];
+            result[name] = (ip ? 'http://' + ip : FAKES[name].url);
+        });
+        return result;
+    }
+
+    var needFakes = APIS.some(function (name) {
+        return !process.env[name.toUpperCase() + '_IP'];
+    });
+    if (FAKES || !needFakes) {
+        callback(null, urls());
+        return;
+    }
+    fakes.startAll({}, function (err, all) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        // Don't keep the test process running once the tests are done.
+        APIS.forEach(function (name) {
+            all[name].server.server.unref();
+        });
+        FAKES = all;
+        callback(null, urls());
+    });
+}
+
+
 // --- Exports
 
 module.exports = {
@@ -40,7 +87,12 @@ module.exports = {
 
     test: function test(name, tester) {
         module.parent.exports[name] = tester;
-    }
+    },
+
+    apiUrls: apiUrls,
+
+    // The admin user of the headnode tested, or of the fakes.
+    ADMIN_UUID: process.env.UFDS_ADMIN_UUID || fakes.ADMIN_UUID
 };
 
 module.exports.__defineGetter__('log', function () {
@@ -0,0 +1,450 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the JSON client wrapper that all the clients share. These run
+ * against a local restify server rather than a headnode.
+ */
+
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var JsonClient = require('../lib/jsonclient').JsonClient;
+var routeTemplate = require('../lib/metrics').routeTemplate;
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'jsonclient_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: restify.bunyan.serializers
+});
+
+// Keep the tests fast: no real waiting between attempts.
+var FAST_RETRIES = {
+    initialDelay: 1,
+    maxDelay: 10
+};
+
+var SERVER;
+var URL;
+var HITS;
+var client;
+
+
+
+// --- Helpers
+
+/*
+ * Returns a handler that fails with `statusCode` for the first `failures`
+ * requests to it, then succeeds.
+ */
+function failThenSucceed(name, failures, statusCode) {
+    return function (req, res, next) {
+        HITS[name] = (HITS[name] || 0) + 1;
+        if (HITS[name] <= failures) {
+            res.send(statusCode, { code: 'Failed', message: 'failed' });
+        } else {
+            res.send(200, { hits: HITS[name] });
+        }
+        return next();
+    };
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    HITS = {};
+    SERVER = restify.createServer({ name: 'jsonclient_test', log: LOG });
+    SERVER.use(restify.bodyParser());
+
+    SERVER.get('/unavailable', failThenSucceed('unavailable', 2, 503));
+    SERVER.get('/notfound', failThenSucceed('notfound', 1, 404));
+    SERVER.get('/down', failThenSucceed('down', 10, 500));
+    SERVER.post('/unavailable', failThenSucceed('post', 1, 503));
+    SERVER.del('/unavailable', failThenSucceed('del', 1, 503));
+    SERVER.get('/reqid', function (req, res, next) {
+        res.send(200, { requestId: req.headers['x-request-id'] || null });
+        return next();
+    });
+
+    SERVER.listen(0, '127.0.0.1', function () {
+        URL = 'http://127.0.0.1:' + SERVER.address().port;
+        client = new JsonClient({
+            url: URL,
+            log: LOG,
+            agent: false,
+            retryPolicy: FAST_RETRIES
+        });
+        callback();
+    });
+};
+
+
+exports.tearDown = function (callback) {
+    client.close();
+    SERVER.close(callback);
+};
+
+
+exports.test_retry_then_succeed = function (t) {
+    client.get('/unavailable', function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        t.equal(obj.hits, 3);
+        t.done();
+    });
+};
+
+
+exports.test_retry_delete = function (t) {
+    client.del('/unavailable', function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(HITS.del, 2);
+        t.done();
+    });
+};
+
+
+exports.test_no_retry_on_404 = function (t) {
+    client.get('/notfound', function (err, req, res, obj) {
+        t.ok(err);
+        t.equal(err.statusCode, 404);
+        t.equal(err.code, 'NotFound');
+        t.equal(HITS.notfound, 1);
+        t.done();
+    });
+};
+
+
+exports.test_give_up_after_max_attempts = function (t) {
+    client.get('/down', function (err, req, res, obj) {
+        t.ok(err);
+        t.equal(err.statusCode, 500);
+        t.equal(HITS.down, 3);
+        t.done();
+    });
+};
+
+
+exports.test_no_retry_for_post_by_default = function (t) {
+    client.post('/unavailable', {}, function (err, req, res, obj) {
+        t.ok(err);
+        t.equal(err.statusCode, 503);
+        t.equal(HITS.post, 1);
+        t.done();
+    });
+};
+
+
+exports.test_per_call_override = function (t) {
+    var opts = {
+        path: '/unavailable',
+        retryPolicy: { idempotentOnly: false }
+    };
+
+    client.post(opts, {}, function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(HITS.post, 2);
+
+        opts = { path: '/down', retryPolicy: { maxAttempts: 5 } };
+        client.get(opts, function (err2) {
+            t.ok(err2);
+            t.equal(HITS.down, 5);
+            t.done();
+        });
+    });
+};
+
+
+exports.test_retries_disabled = function (t) {
+    var noRetries = new JsonClient({
+        url: URL,
+        log: LOG,
+        agent: false,
+        retryPolicy: false
+    });
+
+    noRetries.get('/unavailable', function (err, req, res, obj) {
+        t.ok(err);
+        t.equal(err.statusCode, 503);
+        t.equal(HITS.unavailable, 1);
+        noRetries.close();
+        t.done();
+    });
+};
+
+
+exports.test_retry_connection_errors = function (t) {
+    // Nothing listens on port 1.
+    var refused = new JsonClient({
+        url: 'http://127.0.0.1:1',
+        log: LOG,
+        agent: false,
+        retry: false,
+        retryPolicy: FAST_RETRIES
+    });
+    var attempts = 0;
+    var get = refused.client.get;
+
+    refused.client.get = function () {
+        attempts++;
+        return get.apply(refused.client, arguments);
+    };
+
+    refused.get('/ping', function (err) {
+        t.ok(err);
+        t.equal(attempts, 3);
+        refused.close();
+        t.done();
+    });
+};
+
+
+exports.test_request_id = function (t) {
+    var withId = new JsonClient({
+        url: URL,
+        log: LOG,
+        agent: false,
+        requestId: 'client-req-id'
+    });
+
+    withId.get('/reqid', function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(obj.requestId, 'client-req-id');
+
+        withId.get({
+            path: '/reqid',
+            requestId: 'call-req-id'
+        }, function (err2, req2, res2, obj2) {
+            t.ifError(err2);
+            t.equal(obj2.requestId, 'call-req-id');
+
+            // An explicit header wins.
+            withId.get({
+                path: '/reqid',
+                requestId: 'call-req-id',
+                headers: { 'X-Request-Id': 'header-req-id' }
+            }, function (err3, req3, res3, obj3) {
+                t.ifError(err3);
+                t.equal(obj3.requestId, 'header-req-id');
+                withId.close();
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_request_id_forms = function (t) {
+    var parentReq = {
+        getId: function () {
+            return 'restify-req-id';
+        }
+    };
+
+    t.equal(client.getRequestId(), undefined);
+    t.equal(client.getRequestId({ requestId: 'a' }), 'a');
+    t.equal(client.getRequestId({
+        requestId: function () {
+            return 'b';
+        }
+    }), 'b');
+    t.equal(client.getRequestId({ requestId: parentReq }), 'restify-req-id');
+    t.equal(client.getRequestId({
+        requestId: { headers: { 'x-request-id': 'c' } }
+    }), 'c');
+    t.equal(client.getRequestId({ requestId: { req_id: 'd' } }), 'd');
+    t.throws(function () {
+        client.getRequestId({ requestId: 42 });
+    }, TypeError);
+
+    client.get({ path: '/reqid' }, function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(obj.requestId, null);
+        t.done();
+    });
+};
+
+
+exports.test_metrics = function (t) {
+    var started = [];
+    var ended = [];
+    var withMetrics = new JsonClient({
+        url: URL,
+        log: LOG,
+        agent: false,
+        requestId: 'metrics-req-id',
+        retryPolicy: FAST_RETRIES,
+        metrics: {
+            onRequestStart: function (info) {
+                started.push(info.route);
+            },
+            onRequestEnd: function (info) {
+                ended.push(info);
+            }
+        }
+    });
+
+    withMetrics.get('/unavailable?foo=bar', function (err) {
+        t.ifError(err);
+        t.deepEqual(started, ['/unavailable']);
+        t.equal(ended.length, 1);
+        t.equal(ended[0].method, 'GET');
+        t.equal(ended[0].url, URL);
+        t.equal(ended[0].path, '/unavailable?foo=bar');
+        t.equal(ended[0].statusCode, 200);
+        t.equal(ended[0].retries, 2);
+        t.equal(ended[0].requestId, 'metrics-req-id');
+        t.equal(typeof (ended[0].latency), 'number');
+
+        withMetrics.del('/notfound', function (err2) {
+            t.ok(err2);
+            t.equal(ended[1].method, 'DELETE');
+            t.equal(ended[1].statusCode, 405);
+            t.equal(ended[1].err, err2);
+            withMetrics.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_route_template = function (t) {
+    t.equal(routeTemplate(
+        '/vms/e4c3e1c6-0ad5-4a4a-a5d5-1d0b5ed41bf5?owner_uuid=x'),
+        '/vms/:uuid');
+    t.equal(routeTemplate('/nics/90b8d0c4e2f1'), '/nics/:mac');
+    t.equal(routeTemplate('/networks/x/ips/10.99.99.7'),
+        '/networks/x/ips/:ip');
+    t.equal(routeTemplate('/tasks/1234'), '/tasks/:id');
+    t.equal(routeTemplate('/ping'), '/ping');
+    t.done();
+};
+
+
+exports.test_failover = function (t) {
+    // Nothing listens on port 1.
+    var deadUrl = 'http://127.0.0.1:1';
+    var multi = new JsonClient({
+        url: [deadUrl, URL],
+        log: LOG,
+        agent: false,
+        retry: false,
+        retryPolicy: false
+    });
+    var deadAttempts = 0;
+    var dead = multi.clients[deadUrl];
+    var get = dead.get;
+
+    dead.get = function () {
+        deadAttempts++;
+        return get.apply(dead, arguments);
+    };
+
+    // Not a retry: POST requests fail over too.
+    multi.post('/unavailable', {}, function (err, req, res, obj) {
+        t.equal(err.statusCode, 503);
+        t.equal(HITS.post, 1);
+
+        multi.get('/unavailable', function (err2) {
+            t.ok(err2);
+            t.equal(deadAttempts, 0, 'sticks to the URL that answered');
+            t.equal(HITS.unavailable, 1);
+            multi.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_round_robin = function (t) {
+    var other = restify.createServer({ name: 'jsonclient_test2', log: LOG });
+    other.get('/unavailable', function (req, res, next) {
+        HITS.other = (HITS.other || 0) + 1;
+        res.send(200, {});
+        return next();
+    });
+
+    other.listen(0, '127.0.0.1', function () {
+        var otherUrl = 'http://127.0.0.1:' + other.address().port;
+        var multi = new JsonClient({
+            url: [URL, otherUrl],
+            log: LOG,
+            agent: false,
+            roundRobin: true,
+            retryPolicy: false
+        });
+
+        multi.get('/unavailable', function () {
+            multi.get('/unavailable', function () {
+                multi.get('/unavailable', function () {
+                    t.equal(HITS.unavailable, 2);
+                    t.equal(HITS.other, 1);
+                    multi.close();
+                    other.close();
+                    t.done();
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_url_resolver = function (t) {
+    var lookups = 0;
+    var resolved = new JsonClient({
+        url: function (cb) {
+            lookups++;
+            // The first lookup gives a dead URL.
+            cb(null, (lookups === 1 ? ['http://127.0.0.1:1'] : [URL]));
+        },
+        log: LOG,
+        agent: false,
+        retry: false,
+        retryPolicy: FAST_RETRIES
+    });
+
+    resolved.get('/reqid', function (err, req, res, obj) {
+        t.ifError(err);
+        t.equal(lookups, 2, 'looked up again after the connection failed');
+
+        resolved.get('/reqid', function (err2) {
+            t.ifError(err2);
+            t.equal(lookups, 2);
+            resolved.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_url_resolver_error = function (t) {
+    var resolved = new JsonClient({
+        url: function (cb) {
+            cb(new Error('no such service'));
+        },
+        log: LOG,
+        agent: false
+    });
+
+    resolved.get('/reqid', function (err) {
+        t.ok(err);
+        t.equal(err.code, 'Unavailable');
+        t.equal(err.cause().message, 'no such service');
+        resolved.close();
+        t.done();
+    });
+};
@@ -0,0 +1,276 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the `rateLimit` and `maxInFlight` client options (see
+ * "lib/limiter.js"). These run against a local restify server rather than a
+ * headnode.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var CNAPI = require('../lib/cnapi');
+var Limiter = require('../lib/limiter').Limiter;
+var NAPI = require('../lib/napi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'limiter_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: restify.bunyan.serializers
+});
+
+// How long the server takes to answer, in ms.
+var DELAY = 50;
+
+var SERVER;
+var URL;
+var SEEN;
+var IN_FLIGHT;
+var MAX_IN_FLIGHT;
+
+
+
+// --- Helpers
+
+/*
+ * A minimal signal, for node versions without AbortController.
+ */
+function createSignal() {
+    var signal = new EventEmitter();
+    signal.aborted = false;
+    signal.abort = function () {
+        signal.aborted = true;
+        signal.emit('abort');
+    };
+    return signal;
+}
+
+
+/*
+ * Answer with the object named by `param` after DELAY, keeping count of the
+ * requests in flight.
+ */
+function slowly(param) {
+    return function (req, res, next) {
+        SEEN.push({ id: req.params[param], at: Date.now() });
+        IN_FLIGHT++;
+        MAX_IN_FLIGHT = Math.max(MAX_IN_FLIGHT, IN_FLIGHT);
+        setTimeout(function () {
+            IN_FLIGHT--;
+            var obj = {};
+            obj[param] = req.params[param];
+            res.send(obj);
+            next();
+        }, DELAY);
+    };
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    SEEN = [];
+    IN_FLIGHT = 0;
+    MAX_IN_FLIGHT = 0;
+    SERVER = restify.createServer({ name: 'limiter_test', log: LOG });
+
+    SERVER.get('/servers/:uuid', slowly('uuid'));
+    SERVER.get('/nics/:mac', slowly('mac'));
+
+    SERVER.listen(0, '127.0.0.1', function () {
+        URL = 'http://127.0.0.1:' + SERVER.address().port;
+        callback();
+    });
+};
+
+
+exports.tearDown = function (callback) {
+    SERVER.close(callback);
+};
+
+
+exports.test_limiter_max_in_flight = function (t) {
+    var limiter = new Limiter({ maxInFlight: 2 });
+    var started = [];
+    var releases = [];
+
+    [0, 1, 2, 3].forEach(function (i) {
+        limiter.acquire(function (release) {
+            started.push(i);
+            releases.push(release);
+        });
+    });
+
+    t.deepEqual(started, [0, 1], 'started synchronously up to the cap');
+    t.deepEqual(limiter.stats(), { queued: 2, inFlight: 2 });
+
+    releases[1]();
+    releases[1]();
+    t.deepEqual(started, [0, 1, 2], 'released once');
+    t.deepEqual(limiter.stats(), { queued: 1, inFlight: 2 });
+
+    releases[0]();
+    releases[2]();
+    releases[3]();
+    t.deepEqual(started, [0, 1, 2, 3]);
+    t.deepEqual(limiter.stats(), { queued: 0, inFlight: 0 });
+    t.done();
+};
+
+
+exports.test_limiter_rate = function (t) {
+    var limiter = new Limiter({ rate: 20, burst: 2 });
+    var start = Date.now();
+    var started = [];
+
+    [0, 1, 2, 3].forEach(function (i) {
+        limiter.acquire(function (release) {
+            started.push({ i: i, after: Date.now() - start });
+            release();
+            if (started.length === 4) {
+                t.deepEqual(started.map(function (s) {
+                    return s.i;
+                }), [0, 1, 2, 3], 'in order');
+                t.ok(started[1].after < 20, 'burst of 2');
+                t.ok(started[2].after >= 40, 'then 1 per 50ms: ' +
+                    started[2].after);
+                t.ok(started[3].after >= 90, 'then 1 per 50ms: ' +
+                    started[3].after);
+                t.deepEqual(limiter.stats(), { queued: 0, inFlight: 0 });
+                t.done();
+            }
+        });
+    });
+    t.deepEqual(limiter.stats(), { queued: 2, inFlight: 0 });
+};
+
+
+exports.test_limiter_cancel = function (t) {
+    var limiter = new Limiter({ maxInFlight: 1 });
+    var started = [];
+    var release;
+
+    limiter.acquire(function (rel) {
+        started.push(0);
+        release = rel;
+    });
+    var cancel = limiter.acquire(function () {
+        started.push(1);
+    });
+    limiter.acquire(function () {
+        started.push(2);
+    });
+
+    cancel();
+    t.deepEqual(limiter.stats(), { queued: 1, inFlight: 1 });
+    release();
+    t.deepEqual(started, [0, 2]);
+    t.done();
+};
+
+
+exports.test_limiter_bad_options = function (t) {
+    t.throws(function () {
+        return new Limiter({ rate: 0 });
+    }, /options\.rate/);
+    t.throws(function () {
+        return new Limiter({ maxInFlight: 0 });
+    }, /options\.maxInFlight/);
+    t.done();
+};
+
+
+exports.test_client_max_in_flight = function (t) {
+    var cnapi = new CNAPI({ url: URL, log: LOG, agent: false,
+        maxInFlight: 2 });
+    var ids = ['s0', 's1', 's2', 's3', 's4'];
+    var done = [];
+
+    t.deepEqual(cnapi.queueStats(), { queued: 0, inFlight: 0 });
+    ids.forEach(function (id) {
+        cnapi.getServer(id, function (err, server) {
+            t.ifError(err);
+            done.push(server.uuid);
+            if (done.length < ids.length) {
+                return;
+            }
+            t.deepEqual(SEEN.map(function (s) {
+                return s.id;
+            }), ids, 'made in order');
+            t.equal(MAX_IN_FLIGHT, 2, 'at most 2 in flight');
+            t.deepEqual(done, ids);
+            t.deepEqual(cnapi.queueStats(), { queued: 0, inFlight: 0 });
+            cnapi.close();
+            t.done();
+        });
+    });
+    t.deepEqual(cnapi.queueStats(), { queued: 3, inFlight: 2 });
+};
+
+
+exports.test_client_rate_limit = function (t) {
+    var napi = new NAPI({ url: URL, log: LOG, agent: false,
+        rateLimit: { rate: 20, burst: 1 } });
+    var start = Date.now();
+    var done = 0;
+
+    ['m0', 'm1', 'm2'].forEach(function (mac) {
+        napi.getNic(mac, function (err, nic) {
+            t.ifError(err);
+            t.equal(nic.mac, mac);
+            if (++done < 3) {
+                return;
+            }
+            t.ok(SEEN[1].at - start >= 40, 'limited: ' + (SEEN[1].at - start));
+            t.ok(SEEN[2].at - start >= 90, 'limited: ' + (SEEN[2].at - start));
+            napi.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_client_abort_queued = function (t) {
+    var cnapi = new CNAPI({ url: URL, log: LOG, agent: false,
+        maxInFlight: 1 });
+    var signal = createSignal();
+
+    cnapi.getServer('first', function (err) {
+        t.ifError(err);
+    });
+    cnapi.getServer('aborted', { signal: signal }, function (err) {
+        t.equal(err.code, 'Aborted');
+        t.deepEqual(cnapi.queueStats(), { queued: 1, inFlight: 1 },
+            'left the queue');
+
+        cnapi.getServer('last', function (lErr) {
+            t.ifError(lErr);
+            t.deepEqual(SEEN.map(function (s) {
+                return s.id;
+            }), ['first', 'next', 'last'], 'aborted call not made');
+            cnapi.close();
+            t.done();
+        });
+    });
+    cnapi.getServer('next', function (err) {
+        t.ifError(err);
+    });
+
+    t.deepEqual(cnapi.queueStats(), { queued: 2, inFlight: 1 });
+    signal.abort();
+};
@@ -0,0 +1,222 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the trace logging of client requests. These run against a local
+ * restify server rather than a headnode.
+ */
+
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var logging = require('../lib/logging');
+var PAPI = require('../lib/papi');
+var RestifyClient = require('../lib/restifyclient');
+var VMAPI = require('../lib/vmapi');
+
+
+
+// --- Globals
+
+var SERVER_LOG = new Logger({
+    name: 'logging_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: restify.bunyan.serializers
+});
+
+var REDACTED = logging.REDACTED;
+
+var SERVER;
+var URL;
+var RECORDS;
+var LOG;
+
+
+
+// --- Helpers
+
+/*
+ * The trace records logged for completed calls.
+ */
+function callRecords() {
+    return RECORDS.filter(function (rec) {
+        return (rec.latency !== undefined);
+    });
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    RECORDS = [];
+    LOG = new Logger({
+        name: 'logging_unit_test',
+        streams: [ {
+            type: 'raw',
+            level: 'trace',
+            stream: {
+                write: function (rec) {
+                    RECORDS.push(rec);
+                }
+            }
+        } ]
+    });
+
+    SERVER = restify.createServer({ name: 'logging_test', log: SERVER_LOG });
+    SERVER.use(restify.queryParser());
+
+    SERVER.get('/ping', function (req, res, next) {
+        res.send({ ping: 'pong' });
+        return next();
+    });
+    SERVER.get('/missing', function (req, res, next) {
+        return next(new restify.ResourceNotFoundError('no such thing'));
+    });
+
+    SERVER.listen(0, '127.0.0.1', function () {
+        URL = 'http://127.0.0.1:' + SERVER.address().port;
+        callback();
+    });
+};
+
+
+exports.tearDown = function (callback) {
+    SERVER.close(callback);
+};
+
+
+exports.test_redact = function (t) {
+    var headers = {
+        Authorization: 'Basic Zm9vOmJhcg==',
+        'x-registry-auth': 'eyJ1c2VybmFtZSI6ImZvbyJ9',
+        'x-request-id': 'abc'
+    };
+
+    t.deepEqual(logging.redactHeaders(headers), {
+        Authorization: REDACTED,
+        'x-registry-auth': REDACTED,
+        'x-request-id': 'abc'
+    });
+    t.equal(headers.Authorization, 'Basic Zm9vOmJhcg==',
+        'headers are not modified');
+    t.deepEqual(logging.redactQuery({
+        login: 'admin',
+        password: 'secret',
+        api_token: 'abc'
+    }), {
+        login: 'admin',
+        password: REDACTED,
+        api_token: REDACTED
+    });
+    t.equal(logging.redactHeaders(undefined), undefined);
+    t.done();
+};
+
+
+exports.test_trace_record = function (t) {
+    var client = new RestifyClient({
+        url: URL,
+        log: LOG,
+        agent: false,
+        username: 'admin',
+        password: 'hunter2',
+        requestId: 'req-1'
+    });
+
+    client.get({
+        path: '/ping',
+        headers: { 'x-registry-auth': 'eyJ1c2VybmFtZSI6ImZvbyJ9' }
+    }, { owner: 'me', password: 'hunter2' }, function (err) {
+        t.ifError(err);
+
+        var recs = callRecords();
+        t.equal(recs.length, 1);
+        t.equal(recs[0].msg, 'GET /ping');
+        t.equal(recs[0].method, 'GET');
+        t.equal(recs[0].url, URL);
+        t.equal(recs[0].path, '/ping');
+        t.deepEqual(recs[0].query, { owner: 'me', password: REDACTED });
+        t.equal(recs[0].headers['x-registry-auth'], REDACTED);
+        t.equal(recs[0].statusCode, 200);
+        t.equal(typeof (recs[0].latency), 'number');
+        t.equal(recs[0].retries, 0);
+        t.equal(recs[0].req_id, 'req-1');
+
+        // restify's own records of the request must not have the
+        // credentials either.
+        var logged = JSON.stringify(RECORDS);
+        t.equal(logged.indexOf('hunter2'), -1, 'no password');
+        t.equal(logged.indexOf('Zm9v'), -1, 'no basic auth');
+        t.equal(logged.indexOf('eyJ1'), -1, 'no registry auth');
+
+        client.close();
+        t.done();
+    });
+};
+
+
+exports.test_trace_record_error = function (t) {
+    var vmapi = new VMAPI({ url: URL, log: LOG, agent: false });
+
+    t.ok(vmapi.log, 'VMAPI has a logger');
+    vmapi.get('/missing', function (err) {
+        t.equal(err.code, 'NotFound');
+
+        var recs = callRecords();
+        t.equal(recs.length, 1);
+        t.equal(recs[0].path, '/missing');
+        t.equal(recs[0].statusCode, 404);
+        t.equal(recs[0].err.code, 'NotFound');
+        vmapi.close();
+        t.done();
+    });
+};
+
+
+exports.test_no_log = function (t) {
+    var written = [];
+    var write = process.stdout.write;
+    var vmapi = new VMAPI({
+        url: function (cb) {
+            cb(new Error('no such service'));
+        },
+        agent: false
+    });
+
+    t.ok(vmapi.log, 'VMAPI has a logger');
+    // The lookup error is logged as a warning.
+    process.stdout.write = function (chunk) {
+        written.push(String(chunk));
+        return true;
+    };
+    vmapi.ping(function (err) {
+        process.stdout.write = write;
+        t.equal(err && err.code, 'Unavailable');
+        t.deepEqual(written, [], 'nothing written to stdout');
+        vmapi.close();
+        t.done();
+    });
+};
+
+
+exports.test_no_trace = function (t) {
+    LOG.level('debug');
+    var papi = PAPI({ url: URL, log: LOG, agent: false });
+
+    t.ok(papi.log, 'PAPI has a logger');
+    papi.client.get('/ping', function (err) {
+        t.ifError(err);
+        t.equal(callRecords().length, 0);
+        papi.close();
+        t.done();
+    });
+};
@@ -13,6 +13,8 @@ var Logger = require('bunyan'),
     util = require('util'),
     NAPI = require('../lib/index').NAPI;
 
+var helper = require('./helper');
+
 var libuuid = require('libuuid');
 function uuid() {
     return (libuuid.create());
@@ -45,7 +47,8 @@ function pseudoRandomMac() {
 
 // --- Globals
 
-var NAPI_URL = 'http://' + (process.env.NAPI_IP || '10.99.99.10');
+// Without NAPI_IP, the tests run against a fake NAPI (see "lib/fakes").
+var CUSTOMER = helper.ADMIN_UUID;
 
 var NETWORKS, ADMIN, EXTERNAL, napi, MAC_1, MAC_2, NIC_UUID, IP;
 
@@ -59,17 +62,24 @@ exports.setUp = function (callback) {
             serializers: Logger.stdSerializers
     });
 
-    napi = new NAPI({
-        url: NAPI_URL,
-        retry: {
-            retries: 1,
-            minTimeout: 1000
-        },
-        log: logger,
-        agent: false
-    });
+    helper.apiUrls(function (err, urls) {
+        if (err) {
+            callback(err);
+            return;
+        }
 
-    callback();
+        napi = new NAPI({
+            url: urls.napi,
+            retry: {
+                retries: 1,
+                minTimeout: 1000
+            },
+            log: logger,
+            agent: false
+        });
+
+        callback();
+    });
 };
 
 
@@ -165,7 +175,7 @@ exports.test_list_nics = function (t) {
 exports.test_provision_nic = function (t) {
     NIC_UUID = uuid();
     napi.provisionNic(ADMIN.uuid, {
-        owner_uuid: process.env.UFDS_ADMIN_UUID,
+        owner_uuid: CUSTOMER,
         belongs_to_uuid: NIC_UUID,
         belongs_to_type: 'zone'
     }, function (err, nic) {
@@ -173,7 +183,7 @@ exports.test_provision_nic = function (t) {
         t.ok(nic);
         t.ok(nic.mac);
         MAC_1 = nic.mac;
-        t.equal(nic.owner_uuid, process.env.UFDS_ADMIN_UUID);
+        t.equal(nic.owner_uuid, CUSTOMER);
         t.equal(nic.belongs_to_uuid, NIC_UUID);
         t.equal(nic.belongs_to_type, 'zone');
         t.done();
@@ -185,7 +195,7 @@ exports.test_create_nic = function (t) {
     var sUUID = uuid(),
         mac = pseudoRandomMac();
     napi.createNic(mac, {
-        owner_uuid: process.env.UFDS_ADMIN_UUID,
+        owner_uuid: CUSTOMER,
         belongs_to_uuid: sUUID,
         belongs_to_type: 'server'
     }, function (err, nic) {
@@ -193,7 +203,7 @@ exports.test_create_nic = function (t) {
         t.ok(nic);
         t.ok(nic.mac);
         MAC_2 = nic.mac;
-        t.equal(nic.owner_uuid, process.env.UFDS_ADMIN_UUID);
+        t.equal(nic.owner_uuid, CUSTOMER);
         t.equal(nic.belongs_to_uuid, sUUID);
         t.equal(nic.belongs_to_type, 'server');
         t.done();
@@ -0,0 +1,228 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the list streams. These run against a local restify server
+ * rather than a headnode.
+ */
+
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var pager = require('../lib/pager');
+var VMAPI = require('../lib/vmapi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'pager_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: restify.bunyan.serializers
+});
+
+var ITEMS = [];
+for (var i = 0; i < 25; i++) {
+    ITEMS.push({ uuid: 'uuid-' + (i < 10 ? '0' : '') + i, index: i });
+}
+
+
+
+// --- Helpers
+
+/*
+ * A page fetcher over ITEMS, paging by offset (or by uuid marker, including
+ * the marker item as IMGAPI does), that records the queries it gets.
+ */
+function fetcher(queries) {
+    return function (query, cb) {
+        queries.push(query);
+        var start = query.offset || 0;
+        if (query.marker) {
+            for (start = 0; start < ITEMS.length; start++) {
+                if (ITEMS[start].uuid === query.marker) {
+                    break;
+                }
+            }
+        }
+        setImmediate(cb, null, ITEMS.slice(start, start + query.limit));
+    };
+}
+
+
+function collect(s, callback) {
+    var items = [];
+    s.on('data', function (item) {
+        items.push(item);
+    });
+    s.on('error', callback);
+    s.on('end', function () {
+        callback(null, items);
+    });
+}
+
+
+
+// --- Tests
+
+exports.test_offset_paging = function (t) {
+    var queries = [];
+    var s = pager.createListStream({
+        params: { state: 'running' },
+        pageSize: 10,
+        fetch: fetcher(queries)
+    });
+
+    collect(s, function (err, items) {
+        t.ifError(err);
+        t.deepEqual(items, ITEMS);
+        t.equal(queries.length, 3);
+        t.deepEqual(queries[1], { state: 'running', limit: 10, offset: 10 });
+        t.done();
+    });
+};
+
+
+exports.test_marker_paging = function (t) {
+    var queries = [];
+    var s = pager.createListStream({
+        pageSize: 10,
+        marker: 'uuid',
+        fetch: fetcher(queries)
+    });
+
+    collect(s, function (err, items) {
+        t.ifError(err);
+        t.deepEqual(items, ITEMS);
+        t.equal(queries[0].marker, undefined);
+        t.equal(queries[1].marker, 'uuid-09');
+        t.done();
+    });
+};
+
+
+exports.test_limit_and_offset = function (t) {
+    var queries = [];
+    var s = pager.createListStream({
+        params: { limit: 12, offset: 5 },
+        pageSize: 10,
+        fetch: fetcher(queries)
+    });
+
+    collect(s, function (err, items) {
+        t.ifError(err);
+        t.deepEqual(items, ITEMS.slice(5, 17));
+        t.equal(queries.length, 2);
+        t.equal(queries[1].limit, 2);
+        t.done();
+    });
+};
+
+
+exports.test_no_paging_support = function (t) {
+    var queries = [];
+    var s = pager.createListStream({
+        pageSize: 10,
+        fetch: function (query, cb) {
+            queries.push(query);
+            setImmediate(cb, null, ITEMS);
+        }
+    });
+
+    collect(s, function (err, items) {
+        t.ifError(err);
+        t.equal(items.length, ITEMS.length);
+        t.equal(queries.length, 1);
+        t.done();
+    });
+};
+
+
+exports.test_backpressure = function (t) {
+    var queries = [];
+    var s = pager.createListStream({
+        pageSize: 5,
+        fetch: fetcher(queries)
+    });
+
+    // Nothing is fetched until the stream is read, and then no more than
+    // the stream's buffer holds while it is paused.
+    t.equal(queries.length, 0);
+    var items = [];
+    s.on('data', function (item) {
+        items.push(item);
+        if (items.length === 1) {
+            s.pause();
+            setTimeout(function () {
+                t.ok(queries.length <= 3,
+                    'fetched ' + queries.length + ' pages');
+                s.resume();
+            }, 50);
+        }
+    });
+    s.on('end', function () {
+        t.equal(items.length, ITEMS.length);
+        t.equal(queries.length, 6);
+        t.done();
+    });
+};
+
+
+exports.test_error = function (t) {
+    var s = pager.createListStream({
+        fetch: function (query, cb) {
+            setImmediate(cb, new Error('boom'));
+        }
+    });
+
+    collect(s, function (err) {
+        t.equal(err.message, 'boom');
+        t.done();
+    });
+};
+
+
+exports.test_list_vms_stream = function (t) {
+    var server = restify.createServer({ name: 'pager_test', log: LOG });
+    var queries = [];
+
+    server.use(restify.queryParser());
+    server.get('/vms', function (req, res, next) {
+        queries.push(req.query);
+        var offset = Number(req.query.offset);
+        res.send(ITEMS.slice(offset, offset + Number(req.query.limit)));
+        return next();
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        var vmapi = new VMAPI({
+            url: 'http://127.0.0.1:' + server.address().port,
+            log: LOG,
+            agent: false
+        });
+
+        var s = vmapi.listVmsStream({ owner_uuid: 'abc' }, {
+            pageSize: 20,
+            requestId: 'list-req-id'
+        });
+        collect(s, function (err, vms) {
+            t.ifError(err);
+            t.equal(vms.length, ITEMS.length);
+            t.equal(queries.length, 2);
+            t.equal(queries[1].owner_uuid, 'abc');
+            t.equal(queries[1].offset, '20');
+            vmapi.close();
+            server.close();
+            t.done();
+        });
+    });
+};
@@ -17,11 +17,12 @@ function uuid() {
 }
 var clone = require('clone');
 
+var helper = require('./helper');
+
 // --- Globals
 
-var PAPI_IP = process.env.PAPI_IP || '10.99.99.30';
-var PAPI_URL = 'http://' + PAPI_IP;
-var CUSTOMER = process.env.UFDS_ADMIN_UUID;
+// Without PAPI_IP, the tests run against a fake PAPI (see "lib/fakes").
+var CUSTOMER = helper.ADMIN_UUID;
 
 var papi;
 
@@ -90,17 +91,24 @@ exports.setUp = function (callback) {
             serializers: Logger.stdSerializers
     });
 
-    papi = PAPI({
-        url: PAPI_URL,
-        retry: {
-            retries: 1,
-            minTimeout: 1000
-        },
-        log: logger,
-        agent: false
-    });
+    helper.apiUrls(function (err, urls) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        papi = PAPI({
+            url: urls.papi,
+            retry: {
+                retries: 1,
+                minTimeout: 1000
+            },
+            log: logger,
+            agent: false
+        });
 
-    callback();
+        callback();
+    });
 };
 
 
@@ -265,6 +273,29 @@ exports.test_search_packages = function (t) {
 };
 
 
+exports.test_options_left_alone = function (t) {
+    var options = {
+        escape: false,
+        headers: { 'x-papi-test': 'yes' },
+        requestId: 'papi-options-test'
+    };
+    var copy = JSON.parse(JSON.stringify(options));
+
+    papi.list({ name: 'regular_*' }, options, function (err, packages) {
+        t.ifError(err);
+        t.ok(packages.length > 0);
+        t.deepEqual(options, copy, 'list options left alone');
+
+        papi.get(PKG.uuid, options, function (err2, pkg) {
+            t.ifError(err2);
+            t.equal(pkg.uuid, PKG.uuid);
+            t.deepEqual(options, copy, 'get options left alone');
+            t.done();
+        });
+    });
+};
+
+
 exports.tearDown = function (callback) {
     papi.close();
     callback();
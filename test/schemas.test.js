@@ -0,0 +1,266 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the schemas of the API objects (see "lib/schemas") and for the
+ * clients' `validate` option. The clients run against the fake APIs (see
+ * "lib/fakes").
+ */
+
+var Logger = require('bunyan');
+
+var fakes = require('../lib/fakes');
+var IMGAPI = require('../lib/imgapi');
+var NAPI = require('../lib/napi');
+var PAPI = require('../lib/papi');
+var schemas = require('../lib/schemas');
+var VMAPI = require('../lib/vmapi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'schemas_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+var ADMIN = fakes.ADMIN_UUID;
+var VM_UUID = 'ea3a1e9e-1a35-4e58-86a1-22a0f0d2f9a1';
+
+var FAKES;
+
+
+
+// --- Helpers
+
+function fields(errs) {
+    return errs.map(function (e) {
+        return e.field + ':' + e.code;
+    }).sort();
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        callback();
+        return;
+    }
+    fakes.startAll({}, function (err, all) {
+        FAKES = all;
+        callback(err);
+    });
+};
+
+
+exports.test_validate = function (t) {
+    t.deepEqual(schemas.validate('createVm', {
+        owner_uuid: ADMIN,
+        brand: 'joyent-minimal',
+        networks: [ fakes.EXTERNAL_NETWORK_UUID,
+            { uuid: fakes.ADMIN_NETWORK_UUID, primary: true } ]
+    }), [], 'valid');
+
+    var errs = schemas.validate('createVm', {
+        owner_uuid: 'admin',
+        networks: [],
+        ram: 'lots'
+    });
+    t.deepEqual(fields(errs), [
+        'brand:MissingParameter',
+        'networks:InvalidParameter',
+        'owner_uuid:InvalidParameter',
+        'ram:InvalidParameter'
+    ]);
+    errs.forEach(function (e) {
+        t.ok(e.message, 'message for ' + e.field);
+    });
+
+    t.deepEqual(fields(schemas.validate('network', [ {} ], { list: true })), [
+        '[0].name:MissingParameter',
+        '[0].nic_tag:MissingParameter',
+        '[0].uuid:MissingParameter',
+        '[0].vlan_id:MissingParameter'
+    ], 'list fields');
+    t.deepEqual(fields(schemas.validate('vm', [ { uuid: 'x', alias: 'a' } ],
+        { list: true, partial: true })), [
+        '[0].uuid:InvalidParameter'
+    ], 'partial objects');
+
+    t.deepEqual(schemas.validate('package', {
+        uuid: '7a8e4c47-fd5f-4b1f-8d3b-d1e3f1fcbc3c',
+        name: 'sample-128M',
+        version: '1.0.0',
+        max_physical_memory: 128,
+        max_swap: 256,
+        quota: 10240,
+        vcpus: 1,
+        billing_tag: 'unknown fields are allowed'
+    }), []);
+
+    t.throws(function () {
+        schemas.validate('flavour', {});
+    }, /unknown schema: flavour/);
+    t.done();
+};
+
+
+exports.test_fake_objects = function (t) {
+    // The objects the fakes start out with are shaped like the real ones.
+    Object.keys(FAKES.vmapi.vms).forEach(function (uuid) {
+        t.deepEqual(schemas.validate('vm', FAKES.vmapi.vms[uuid]), [],
+            'vm ' + uuid);
+    });
+    Object.keys(FAKES.cnapi.servers).forEach(function (uuid) {
+        t.deepEqual(schemas.validate('server', FAKES.cnapi.servers[uuid]), [],
+            'server ' + uuid);
+    });
+    Object.keys(FAKES.napi.networks).forEach(function (uuid) {
+        t.deepEqual(schemas.validate('network', FAKES.napi.networks[uuid]), [],
+            'network ' + uuid);
+    });
+    t.done();
+};
+
+
+exports.test_request_validation = function (t) {
+    var vmapi = new VMAPI({ url: FAKES.vmapi.url, agent: false, log: LOG,
+        validate: true });
+    var count = Object.keys(FAKES.vmapi.vms).length;
+
+    vmapi.createVm({
+        owner_uuid: ADMIN,
+        networks: [ fakes.EXTERNAL_NETWORK_UUID ]
+    }, function (err) {
+        t.ok(err);
+        t.equal(err.code, 'Validation');
+        t.deepEqual(fields(err.errors), [ 'brand:MissingParameter' ]);
+        t.ok(/createVm/.test(err.message), err.message);
+        t.equal(Object.keys(FAKES.vmapi.vms).length, count,
+            'no request made');
+        vmapi.close();
+        t.done();
+    });
+};
+
+
+exports.test_request_validation_off = function (t) {
+    var napi = new NAPI({ url: FAKES.napi.url, agent: false, log: LOG,
+        validate: { requests: false } });
+
+    // Without request validation, the API's own error comes back.
+    napi.createNetwork({ name: 'nosubnet' }, function (err) {
+        t.ok(err);
+        t.equal(err.code, 'Validation');
+        t.equal(err.statusCode, 422, 'the API responded');
+        napi.close();
+        t.done();
+    });
+};
+
+
+exports.test_response_validation = function (t) {
+    var vmapi = new VMAPI({ url: FAKES.vmapi.url, agent: false, log: LOG,
+        validate: true });
+
+    vmapi.getVm({ uuid: VM_UUID }, function (err, vm) {
+        t.ifError(err);
+        t.equal(vm.uuid, VM_UUID);
+
+        var owner = FAKES.vmapi.vms[VM_UUID].owner_uuid;
+        FAKES.vmapi.vms[VM_UUID].owner_uuid = 'nobody';
+
+        vmapi.getVm({ uuid: VM_UUID }, function (gErr) {
+            t.ok(gErr);
+            t.equal(gErr.code, 'InvalidResponse');
+            t.equal(gErr.statusCode, 200);
+            t.deepEqual(fields(gErr.errors),
+                [ 'owner_uuid:InvalidParameter' ]);
+            t.equal(gErr.body.uuid, VM_UUID, 'body kept');
+
+            vmapi.listVms({ uuid: VM_UUID }, function (lErr) {
+                t.equal(lErr.code, 'InvalidResponse', 'list responses');
+                t.deepEqual(fields(lErr.errors),
+                    [ '[0].owner_uuid:InvalidParameter' ]);
+
+                FAKES.vmapi.vms[VM_UUID].owner_uuid = owner;
+                vmapi.close();
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_papi = function (t) {
+    var papi = new PAPI({ url: FAKES.papi.url, agent: false, log: LOG,
+        validate: true });
+
+    papi.add({
+        name: 'sample-256M',
+        version: '1.0.0',
+        max_physical_memory: '256'
+    }, function (err) {
+        t.ok(err);
+        t.equal(err.code, 'Validation');
+        t.deepEqual(fields(err.errors), [
+            'max_physical_memory:InvalidParameter',
+            'max_swap:MissingParameter',
+            'quota:MissingParameter'
+        ]);
+
+        papi.list({}, {}, function (lErr, pkgs) {
+            t.ifError(lErr);
+            t.ok(Array.isArray(pkgs));
+            papi.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_imgapi = function (t) {
+    var imgapi = new IMGAPI({ url: FAKES.imgapi.url, agent: false, log: LOG,
+        validate: true });
+
+    imgapi.createImage({ name: 'base', os: 'plan9' }, function (err) {
+        t.ok(err);
+        t.equal(err.code, 'Validation');
+        t.deepEqual(fields(err.errors), [
+            'os:InvalidParameter',
+            'version:MissingParameter'
+        ]);
+
+        imgapi.createImage({
+            name: 'base',
+            version: '1.0.0',
+            os: 'smartos',
+            type: 'zone-dataset',
+            owner: ADMIN
+        }, function (cErr, image) {
+            t.ifError(cErr);
+            t.equal(image.state, 'unactivated');
+            imgapi.close();
+            t.done();
+        });
+    });
+};
+
+
+exports.test_close = function (t) {
+    FAKES.close(function () {
+        t.done();
+    });
+};
@@ -0,0 +1,179 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for `createSdcClients` (see "lib/sdc.js"). The clients run against
+ * the fake APIs (see "lib/fakes").
+ */
+
+var Logger = require('bunyan');
+var vasync = require('vasync');
+
+var sdc = require('../lib');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'sdc_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+var REQ_ID = '5a4b9f4e-7bd0-4e0b-a3a8-ea77f32ac2a9';
+
+var FAKES;
+
+
+
+// --- Helpers
+
+// The domain name of a fake, as in SAPI metadata.
+function domain(fake) {
+    return fake.url.replace(/^http:\/\//, '');
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        callback();
+        return;
+    }
+    sdc.fakes.startAll({}, function (err, all) {
+        FAKES = all;
+        callback(err);
+    });
+};
+
+
+exports.test_config = function (t) {
+    var calls = [];
+    var clients = sdc.createSdcClients({
+        log: LOG,
+        requestId: REQ_ID,
+        retryPolicy: { maxAttempts: 2 },
+        metrics: {
+            onRequestStart: function (info) {
+                calls.push(info);
+            }
+        },
+        vmapi: { url: FAKES.vmapi.url },
+        imgapi: FAKES.imgapi.url,
+        NAPI_SERVICE: domain(FAKES.napi),
+        PAPI_SERVICE: domain(FAKES.papi),
+        SAPI_SERVICE: domain(FAKES.sapi),
+        WORKFLOW_SERVICE: domain(FAKES.vmapi),
+        // The API's own entry wins.
+        CNAPI_SERVICE: 'cnapi.invalid',
+        cnapi: FAKES.cnapi.url
+    });
+
+    t.ok(clients.vmapi instanceof sdc.VMAPI, 'vmapi');
+    t.ok(clients.cnapi instanceof sdc.CNAPI, 'cnapi');
+    t.ok(clients.napi instanceof sdc.NAPI, 'napi');
+    t.ok(clients.imgapi instanceof sdc.IMGAPI, 'imgapi');
+    t.ok(clients.sapi instanceof sdc.SAPI, 'sapi');
+    t.ok(clients.wfapi instanceof sdc.WFAPI, 'wfapi');
+    t.equal(typeof (clients.papi.list), 'function', 'papi');
+    t.ok(!clients.fwapi, 'no fwapi');
+    t.ok(!clients.amon, 'no amon');
+
+    t.equal(clients.napi.client.url.href, FAKES.napi.url + '/');
+    t.equal(clients.cnapi.client.url.href, FAKES.cnapi.url + '/');
+    t.equal(clients.sapi.wfapiUrl, FAKES.vmapi.url);
+
+    t.ok(clients.agent, 'shared agent');
+    [ clients.vmapi.client, clients.cnapi.client, clients.napi.client,
+        clients.imgapi.client, clients.papi.client, clients.sapi.client
+    ].forEach(function (client) {
+        t.equal(client.client.agent, clients.agent);
+        t.equal(client.log, clients.log);
+        t.equal(client.retryPolicy.maxAttempts, 2);
+    });
+    t.equal(clients.imgapi.rawClient.agent, clients.agent);
+
+    vasync.parallel({
+        funcs: [
+            function (cb) {
+                clients.vmapi.listVms(cb);
+            },
+            function (cb) {
+                clients.napi.listNetworks(cb);
+            },
+            function (cb) {
+                clients.papi.list({}, {}, cb);
+            },
+            function (cb) {
+                clients.imgapi.listImages(cb);
+            },
+            function (cb) {
+                clients.sapi.listApplications(cb);
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        var urls = {};
+        calls.forEach(function (info) {
+            t.equal(info.requestId, REQ_ID, info.url + info.path);
+            urls[info.url] = true;
+        });
+        t.equal(Object.keys(urls).length, 5, 'a call to each API');
+
+        clients.close();
+        t.done();
+    });
+};
+
+
+exports.test_client_options = function (t) {
+    var agent = { fake: 'agent' };
+    var clients = sdc.createSdcClients({
+        agent: false,
+        requestId: REQ_ID,
+        napi: { url: FAKES.napi.url, agent: agent, requestId: 'napi-id' },
+        VMAPI_SERVICE: FAKES.vmapi.url
+    });
+
+    t.equal(clients.agent, false);
+    t.equal(clients.vmapi.client.client.agent, false);
+    t.equal(clients.vmapi.client.url.href, FAKES.vmapi.url + '/',
+        'URLs in metadata are kept');
+    t.equal(clients.vmapi.client.requestId, REQ_ID);
+    t.equal(clients.napi.client.client.agent, agent);
+    t.equal(clients.napi.client.requestId, 'napi-id');
+    clients.close();
+    t.done();
+};
+
+
+exports.test_bad_config = function (t) {
+    t.throws(function () {
+        sdc.createSdcClients({ log: LOG });
+    }, /none of the SDC APIs/);
+    t.throws(function () {
+        sdc.createSdcClients({ vmapi: { agent: false } });
+    }, /config\.vmapi\.url/);
+    t.throws(function () {
+        sdc.createSdcClients({ NAPI_SERVICE: 42 });
+    }, /config\.NAPI_SERVICE/);
+    t.done();
+};
+
+
+exports.test_close = function (t) {
+    FAKES.close(function () {
+        t.done();
+    });
+};
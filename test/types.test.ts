@@ -0,0 +1,434 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Type-check test for the TypeScript declarations ("lib/index.d.ts"): this
+ * is compiled, but never run, by `make types_test`. Misuses that must not
+ * compile are marked with `@ts-expect-error`, so they fail the test if the
+ * declarations accept them.
+ */
+
+import * as sdc from '../lib';
+import {
+    CNAPI, FWAPI, IMGAPI, Image, Job, JobResponse, NAPI, Network, Nic,
+    Package, PAPI, Rule, SAPI, Server, Vm, VmJob, VMAPI, VmPredicate, VmQuery
+} from '../lib';
+
+
+
+// --- Globals
+
+const URL = 'http://127.0.0.1:8080';
+const UUID = 'ea3a1e9e-1a35-4e58-86a1-22a0f0d2f9a1';
+const MAC = '90:b8:d0:5b:c6:2e';
+
+const signal = { aborted: false };
+
+
+
+// --- Helpers
+
+function expectType<T>(value: T): void {
+    return;
+}
+
+
+
+// --- Tests
+
+async function testVmapi(): Promise<void> {
+    const vmapi = new VMAPI({
+        url: [ URL, 'http://127.0.0.2:8080' ],
+        requestId: () => 'fe3d5c2a-9d36-4e6b-b6ad-3f8e2d62b9c1',
+        retryPolicy: { maxAttempts: 3, statusCodes: [ 503 ] },
+        circuitBreaker: { threshold: 5 },
+        validate: { responses: true },
+        metrics: {
+            onRequestEnd: (info) => {
+                expectType<string>(info.route);
+            }
+        }
+    });
+
+    vmapi.listVms({ state: 'running' }, (err, vms) => {
+        if (err) {
+            expectType<string | undefined>(err.code);
+            return;
+        }
+        expectType<Vm[]>(vms);
+        expectType<string>(vms[0].uuid);
+    });
+    vmapi.listVms((err, vms) => {
+        expectType<Vm[]>(vms);
+    });
+
+    expectType<Vm[]>(await vmapi.listVms());
+    expectType<Vm[]>(await vmapi.listVms({ owner_uuid: UUID }, { signal }));
+    const inventory = await vmapi.listVms({ state: 'running' },
+        { fields: [ 'uuid', 'alias', 'state' ] });
+    expectType<string | undefined>(inventory[0].uuid);
+    for await (const vm of vmapi.listVmsStream({}, { fields: [ 'uuid' ] })) {
+        expectType<Partial<Vm>>(vm);
+    }
+    expectType<number>(await vmapi.countVms({ brand: 'joyent' }));
+
+    for await (const vm of vmapi.listVmsStream({}, { pageSize: 100 })) {
+        expectType<Vm>(vm);
+    }
+
+    const vm = await vmapi.getVm({ uuid: UUID, fields: 'uuid,state' });
+    expectType<Vm>(vm);
+    expectType<sdc.VmNic[] | undefined>(vm.nics);
+    expectType<any>(vm.some_new_field);
+
+    const res = await vmapi.createVm({
+        owner_uuid: UUID,
+        brand: 'joyent-minimal',
+        networks: [ UUID, { uuid: UUID, primary: true } ],
+        ram: 128
+    });
+    expectType<JobResponse>(res);
+    expectType<string>(res.job_uuid);
+
+    const job = await vmapi.createVmAndWait({
+        payload: { owner_uuid: UUID, brand: 'kvm', networks: [] },
+        sync: false
+    }, {
+        interval: 500,
+        onProgress: (p) => {
+            expectType<number>(p.completed);
+            expectType<string>(p.task.name);
+        }
+    });
+    expectType<Job>(job);
+    expectType<sdc.JobExecution>(job.execution);
+
+    await vmapi.stopVm({ uuid: UUID, idempotent: true }, { headers: {} });
+    await vmapi.killVm({ uuid: UUID, signal: 'SIGKILL' });
+    await vmapi.updateVm({ uuid: UUID, payload: { alias: 'web0' } });
+    await vmapi.addNicsAndWait({ uuid: UUID, networks: [ UUID ] });
+    const stopped = await vmapi.stopVmAndWait({ uuid: UUID },
+        { interval: 500 });
+    expectType<VmJob>(stopped);
+    expectType<string>(stopped.vm.state);
+    vmapi.deleteSnapshotAndWait({ uuid: UUID, name: 'snap' }, (err, dJob) => {
+        expectType<Vm>(dJob.vm);
+    });
+
+    const watcher = vmapi.watchVm(UUID, { interval: 500, fields: [ 'state' ] });
+    watcher.on('change', (diff, vm, previous) => {
+        expectType<string>(vm.state);
+        expectType<any>(diff.state.from);
+    }).on('pollError', (err) => {
+        expectType<number | undefined>(err.statusCode);
+    }).on('error', (err) => {
+        expectType<string | undefined>(err.code);
+    });
+    watcher.stop();
+    expectType<Vm>(await vmapi.waitForVmState(UUID, [ 'running', 'stopped' ],
+        { timeout: 60000, onChange: (diff) => diff.state }));
+
+    const report = await vmapi.bulkVmAction('reboot', {
+        filter: { owner_uuid: UUID, state: 'running' }
+    }, {
+        concurrency: 5,
+        dryRun: true,
+        onResult: (result, status) => expectType<string>(result.uuid)
+    });
+    expectType<string | undefined>(report.skipped[0].reason);
+    await vmapi.bulkVmAction('update', { uuids: [ UUID ], payload: {} });
+
+    const query = new VmQuery()
+        .owner(UUID)
+        .state([ 'running', 'stopped' ])
+        .tag('role', 'db')
+        .ram(1024, null)
+        .or(new VmQuery().brand('kvm'), new VmQuery().alias('web-*'))
+        .not(new VmQuery().server(UUID));
+    expectType<Vm[]>(await vmapi.listVms(query));
+    expectType<number>(await vmapi.countVms(query, { signal }));
+    await vmapi.bulkVmAction('stop', { filter: query });
+    expectType<string | null>(query.toQuery());
+    expectType<VmPredicate | null>(new VmQuery().ram(1, 2).toPredicate());
+    // @ts-expect-error: tag values are strings, numbers or booleans.
+    query.tag('role', {});
+    // @ts-expect-error: not a bulk action.
+    vmapi.bulkVmAction('explode', { uuids: [ UUID ] });
+    // @ts-expect-error: the VMs are required.
+    vmapi.bulkVmAction('stop', { owner_uuid: UUID });
+    await vmapi.setMetadata('tags', { uuid: UUID, metadata: { role: 'db' } });
+    await vmapi.deleteMetadata('customer_metadata', { uuid: UUID }, 'key');
+    expectType<string[]>(await vmapi.addRoleTags({
+        uuid: UUID, role_tags: [ UUID ] }));
+    expectType<Job[]>(await vmapi.listJobs({ vm_uuid: UUID }));
+
+    // @ts-expect-error: getVm needs a uuid.
+    vmapi.getVm({ owner_uuid: UUID });
+    // @ts-expect-error: not a kind of metadata.
+    vmapi.listMetadata('labels', { uuid: UUID });
+    // @ts-expect-error: updateVm needs a payload.
+    vmapi.updateVm({ uuid: UUID });
+    // @ts-expect-error: the url is required.
+    new VMAPI({ agent: false });
+
+    vmapi.close();
+}
+
+
+async function testCnapi(): Promise<void> {
+    const cnapi = new CNAPI({ url: URL });
+
+    cnapi.listServers({ setup: true }, (err, servers) => {
+        expectType<Server[]>(servers);
+    });
+    const server = await cnapi.getServer(UUID);
+    expectType<Server>(server);
+    expectType<string>(server.hostname);
+
+    const task = await cnapi.rebootServer(UUID);
+    expectType<sdc.Task>(await cnapi.pollTask(task.id, { signal }));
+    await cnapi.commandExecute(UUID, 'uname -a', { args: [] });
+    await cnapi.ensureImage(UUID, UUID);
+    await cnapi.capacity(null);
+
+    // @ts-expect-error: waitTask needs options.
+    cnapi.waitTask(task.id);
+
+    const limited = new CNAPI({ url: URL, rateLimit: { rate: 20, burst: 5 },
+        maxInFlight: 4 });
+    expectType<number>(limited.queueStats().queued);
+    expectType<sdc.QueueStats>(PAPI({ url: URL, maxInFlight: 1 })
+        .queueStats());
+    // @ts-expect-error: a rate limit needs a rate.
+    new CNAPI({ url: URL, rateLimit: { burst: 5 } });
+}
+
+
+async function testNapi(): Promise<void> {
+    const napi = new NAPI({ url: URL });
+
+    const network = await napi.createNetwork({
+        name: 'external',
+        subnet: '10.88.88.0/24',
+        provision_start_ip: '10.88.88.20',
+        provision_end_ip: '10.88.88.250',
+        nic_tag: 'external',
+        vlan_id: 0
+    });
+    expectType<Network>(network);
+    expectType<number>(network.vlan_id);
+
+    const nic = await napi.provisionNic(network.uuid, {
+        owner_uuid: UUID,
+        belongs_to_uuid: UUID,
+        belongs_to_type: 'zone'
+    });
+    expectType<Nic>(nic);
+    expectType<sdc.NicBelongsToType>(nic.belongs_to_type);
+
+    expectType<Nic[]>(await napi.getNics(UUID));
+    napi.listNicsStream({ belongs_to_uuid: UUID }).on('data', (n) => {
+        expectType<Nic>(n);
+    });
+    await napi.deleteNic(MAC);
+    expectType<sdc.IP[]>(await napi.searchIPs('10.88.88.20'));
+
+    napi.createNic(MAC, {
+        owner_uuid: UUID,
+        belongs_to_uuid: UUID,
+        // @ts-expect-error: not a belongs_to_type.
+        belongs_to_type: 'vm'
+    });
+}
+
+
+async function testImgapi(): Promise<void> {
+    const imgapi = new IMGAPI({
+        url: URL,
+        sign: IMGAPI.cliSigner({ user: 'admin', keyId: 'ab:cd' })
+    });
+
+    imgapi.listImages({ state: 'all' }, (err, images, res) => {
+        expectType<Image[]>(images);
+    });
+    expectType<Image[]>(await imgapi.listImages({ os: 'smartos' }));
+
+    const image = await imgapi.getImage(UUID, UUID);
+    expectType<Image>(image);
+    expectType<sdc.ImageState>(image.state);
+    expectType<Image>(await imgapi.getImage(UUID, { headers: {} }));
+
+    const job = await imgapi.createImageFromVm({
+        name: 'base', version: '1.0.0'
+    }, { vm_uuid: UUID, incremental: true });
+    expectType<string>(job.job_uuid);
+    expectType<Image>(await imgapi.createImageFromVmAndWait({
+        name: 'base', version: '1.0.0'
+    }, { vm_uuid: UUID, timeout: 600000 }, UUID));
+
+    expectType<Image>(await imgapi.activateImage(UUID));
+    expectType<Image>(await imgapi.addImageAcl(UUID, [ UUID ], UUID));
+    await imgapi.deleteImage(UUID, { forceAllChannels: true });
+
+    const file = await imgapi.getImageFileStream(UUID);
+    IMGAPI.pauseStream(file);
+    expectType<number | undefined>(file.statusCode);
+
+    const err = new IMGAPI.ChecksumError(null, 'abc', 'def');
+    expectType<sdc.errors.SdcError>(err);
+
+    // @ts-expect-error: not an image state.
+    imgapi.listImages({ state: 'deleted' });
+}
+
+
+async function testPapi(): Promise<void> {
+    const papi = PAPI({ url: URL });
+    const papi2 = new PAPI({ url: URL });
+
+    const pkg = await papi.add({
+        name: 'sample-128M',
+        version: '1.0.0',
+        max_physical_memory: 128,
+        max_swap: 256,
+        quota: 10240
+    });
+    expectType<Package>(pkg);
+
+    papi2.list('(&(name=sample*)(active=true))', {}, (err, pkgs, count) => {
+        expectType<Package[]>(pkgs);
+        expectType<number>(count);
+    });
+    expectType<Package[]>(await papi.list({ active: true }, {}));
+    expectType<Package>(await papi.update(pkg.uuid, { active: false }));
+
+    // @ts-expect-error: a package needs a quota.
+    papi.add({ name: 'x', version: '1', max_physical_memory: 1,
+        max_swap: 1 });
+}
+
+
+async function testFwapiAndSapi(): Promise<void> {
+    const fwapi = new FWAPI({ url: URL });
+    const rule = await fwapi.createRule({
+        rule: 'FROM any TO all vms ALLOW tcp PORT 22',
+        enabled: true,
+        owner_uuid: UUID
+    });
+    expectType<Rule>(rule);
+    expectType<boolean>(rule.enabled);
+    expectType<Vm[]>(await fwapi.getRuleVMs(rule.uuid));
+    expectType<Rule[]>(await fwapi.getVMrules(UUID, { owner_uuid: UUID }));
+
+    const sapi = new SAPI({ url: URL, log: {} as sdc.Logger });
+    const app = await sapi.createApplication('sdc', UUID,
+        { params: { ufds_admin_uuid: UUID } });
+    expectType<sdc.Application>(app);
+    const objs = await sapi.getApplicationObjects(app.uuid);
+    expectType<sdc.Service>(objs.services[UUID]);
+    expectType<sdc.Instance[]>(objs.instances[UUID]);
+    const inst = await sapi.createInstanceAndWait(UUID, {},
+        { timeout: 60000 });
+    expectType<string>(inst.service_uuid);
+
+    const svc = await sapi.getService(UUID);
+    await sapi.updateService(UUID, { params: {} },
+        { ifMatch: svc.etag as string });
+    sapi.deleteService(UUID, { ifMatch: [ '"a"', '"b"' ] }, (err) => {
+        if (err && err.code === 'PreconditionFailed') {
+            expectType<sdc.errors.PreconditionFailedError>(
+                new sdc.errors.PreconditionFailedError('changed'));
+        }
+    });
+    // @ts-expect-error: ETags are strings.
+    sapi.getService(UUID, { ifNoneMatch: 42 });
+
+    // @ts-expect-error: SAPI needs a logger.
+    new SAPI({ url: URL });
+}
+
+
+async function testWfapi(): Promise<void> {
+    const wfapi = new sdc.WFAPI({ url: URL });
+    const job = await wfapi.waitForJob(UUID, { interval: 1000, signal });
+    expectType<Job>(job);
+    expectType<sdc.JobTaskResult[] | undefined>(job.chain_results);
+}
+
+
+function testErrors(): void {
+    const err: Error = new sdc.errors.ValidationError({
+        errors: [ { field: 'ram', code: 'InvalidParameter',
+            message: 'must be a number' } ]
+    });
+    if (err instanceof sdc.errors.ValidationError) {
+        expectType<sdc.errors.FieldError[]>(err.errors);
+    }
+    if (err instanceof sdc.errors.JobFailedError) {
+        expectType<Job | undefined>(err.job);
+    }
+    expectType<Error | null>(sdc.errors.translateError(err));
+}
+
+
+function testSchemasAndFakes(): void {
+    expectType<sdc.errors.FieldError[]>(sdc.schemas.validate('vm', {}));
+    sdc.schemas.validate('network', [], { list: true });
+    // @ts-expect-error: not a schema.
+    sdc.schemas.validate('flavour', {});
+
+    sdc.fakes.startAll({}, (err, all) => {
+        expectType<{ [uuid: string]: Vm }>(all.vmapi.vms);
+        const vmapi = new VMAPI({ url: all.vmapi.url as string });
+        const cassette = new sdc.Cassette({
+            path: '/tmp/vmapi.json',
+            mode: 'record'
+        });
+        const napi = new NAPI({ url: all.napi.url as string, cassette });
+        cassette.save(() => {
+            vmapi.close();
+            napi.close();
+            all.close();
+        });
+    });
+}
+
+
+async function testSdcClients(): Promise<void> {
+    const clients = sdc.createSdcClients({
+        requestId: UUID,
+        retryPolicy: { maxAttempts: 2 },
+        vmapi: { url: URL },
+        imgapi: URL,
+        NAPI_SERVICE: 'napi.coal.joyent.us'
+    });
+    if (clients.vmapi) {
+        expectType<Vm[]>(await clients.vmapi.listVms());
+    }
+    // @ts-expect-error: the client may not have been created.
+    clients.napi.listNetworks();
+    clients.close();
+
+    const discovery = new sdc.Discovery({ url: URL });
+    const napi = new NAPI({ url: discovery.resolver('napi') });
+    discovery.getUrls((err, urls) => {
+        expectType<string | undefined>(urls.vmapi);
+    });
+    // @ts-expect-error: not an API found in SAPI.
+    discovery.getUrl('ufds', () => {});
+    napi.close();
+    discovery.close();
+}
+
+
+export {
+    testVmapi, testCnapi, testNapi, testImgapi, testPapi, testFwapiAndSapi,
+    testWfapi, testErrors, testSchemasAndFakes, testSdcClients
+};
@@ -0,0 +1,208 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the UsageAPI client. These run against a local stub server
+ * rather than a headnode.
+ */
+
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var sdc = require('../lib/index');
+var UsageAPI = require('../lib/usageapi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'usageapi_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: restify.bunyan.serializers
+});
+
+var OWNER = '930896af-bf8c-48d4-885c-6573a94b1853';
+
+var SERVER;
+var REPORTS;
+var COUNT;
+var usageapi;
+
+
+
+// --- Helpers
+
+/*
+ * Reports move on to the next status each time they are fetched.
+ */
+function nextStatus(report) {
+    if (report.status === 'queued') {
+        report.status = 'processing';
+    } else if (report.status === 'processing') {
+        report.status = (report.owners.length ? 'done' : 'failed');
+        if (report.status === 'failed') {
+            report.error = { message: 'no owners' };
+        }
+    }
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    REPORTS = {};
+    COUNT = 0;
+    SERVER = restify.createServer({ name: 'usageapi_test', log: LOG });
+    SERVER.use(restify.queryParser());
+    SERVER.use(restify.bodyParser());
+
+    SERVER.get('/ping', function (req, res, next) {
+        res.send({ ping: 'pong' });
+        return next();
+    });
+    SERVER.post('/usage', function (req, res, next) {
+        var uuid = 'report-' + (++COUNT);
+        REPORTS[uuid] = {
+            uuid: uuid,
+            start: req.body.start,
+            end: req.body.end,
+            owners: req.body.owners || [],
+            status: 'queued'
+        };
+        res.send(202, REPORTS[uuid]);
+        return next();
+    });
+    SERVER.get('/usage', function (req, res, next) {
+        res.send(Object.keys(REPORTS).map(function (k) {
+            return REPORTS[k];
+        }).filter(function (report) {
+            return (!req.query.status || report.status === req.query.status);
+        }));
+        return next();
+    });
+    SERVER.get('/usage/:uuid', function (req, res, next) {
+        var report = REPORTS[req.params.uuid];
+        if (!report) {
+            return next(new restify.ResourceNotFoundError('no such report'));
+        }
+        nextStatus(report);
+        res.send(report);
+        return next();
+    });
+    SERVER.get('/usage/:uuid/results', function (req, res, next) {
+        var report = REPORTS[req.params.uuid];
+        res.send(report.owners.map(function (owner) {
+            return { owner: owner, vms: [ { uuid: 'vm-1', ram: 1024 } ] };
+        }));
+        return next();
+    });
+    SERVER.del('/usage/:uuid', function (req, res, next) {
+        delete REPORTS[req.params.uuid];
+        res.send(204);
+        return next();
+    });
+
+    SERVER.listen(0, '127.0.0.1', function () {
+        usageapi = new UsageAPI({
+            url: 'http://127.0.0.1:' + SERVER.address().port,
+            log: LOG,
+            agent: false
+        });
+        callback();
+    });
+};
+
+
+exports.tearDown = function (callback) {
+    usageapi.close();
+    SERVER.close(callback);
+};
+
+
+exports.test_index = function (t) {
+    t.equal(sdc.UsageAPI, UsageAPI);
+    t.done();
+};
+
+
+exports.test_ping = function (t) {
+    usageapi.ping(function (err, pong) {
+        t.ifError(err);
+        t.equal(pong.ping, 'pong');
+        t.done();
+    });
+};
+
+
+exports.test_report_lifecycle = function (t) {
+    var params = {
+        start: '2015-01-01T00:00:00Z',
+        end: '2015-02-01T00:00:00Z',
+        owners: [OWNER]
+    };
+
+    usageapi.createReport(params, function (err, report) {
+        t.ifError(err);
+        t.equal(report.status, 'queued');
+
+        usageapi.waitForReport(report.uuid, { interval: 10 },
+                function (wErr, done) {
+            t.ifError(wErr);
+            t.equal(done.status, 'done');
+
+            usageapi.getReportResults(report.uuid, function (rErr, results) {
+                t.ifError(rErr);
+                t.equal(results.length, 1);
+                t.equal(results[0].owner, OWNER);
+
+                usageapi.listReports({ status: 'done' },
+                        function (lErr, reports) {
+                    t.ifError(lErr);
+                    t.equal(reports.length, 1);
+
+                    usageapi.deleteReport(report.uuid, function (dErr) {
+                        t.ifError(dErr);
+                        usageapi.getReport(report.uuid, function (gErr) {
+                            t.equal(gErr.code, 'NotFound');
+                            t.done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+
+exports.test_wait_for_failed_report = function (t) {
+    usageapi.createReport({
+        start: '2015-01-01T00:00:00Z',
+        end: '2015-02-01T00:00:00Z'
+    }).then(function (report) {
+        return usageapi.waitForReport(report.uuid, { interval: 10 });
+    }).then(function () {
+        t.ok(false, 'report should fail');
+        t.done();
+    }, function (err) {
+        t.equal(err.message, 'usage report report-1 failed: no owners');
+        t.done();
+    });
+};
+
+
+exports.test_wait_for_missing_report = function (t) {
+    usageapi.waitForReport('nope', { interval: 10 }, function (err) {
+        t.equal(err.code, 'NotFound');
+        t.done();
+    });
+};
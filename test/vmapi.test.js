@@ -18,13 +18,13 @@ var util = require('util');
 var VMAPI = require('../lib/index').VMAPI;
 var NAPI = require('../lib/index').NAPI;
 var CNAPI = require('../lib/index').CNAPI;
+var helper = require('./helper');
 
 
 // --- Globals
 
-var VMAPI_URL = 'http://' + (process.env.VMAPI_IP || '10.99.99.27');
-var NAPI_URL = 'http://' + (process.env.NAPI_IP || '10.99.99.10');
-var CNAPI_URL = 'http://' + (process.env.CNAPI_IP || '10.99.99.22');
+// Without VMAPI_IP, NAPI_IP and CNAPI_IP, the tests run against fakes of
+// those APIs (see "lib/fakes").
 
 var vmapi = null;
 var napi = null;
@@ -32,7 +32,7 @@ var cnapi = null;
 var ZONE = null;
 var QUERY = null;
 var JOB_UUID = null;
-var CUSTOMER = process.env.UFDS_ADMIN_UUID;
+var CUSTOMER = helper.ADMIN_UUID;
 var IMAGE_UUID = 'fd2cc906-8938-11e3-beab-4359c665ac99';
 var ADMIN_NETWORK = null;
 var ADMIN_MAC = null;
@@ -121,37 +121,44 @@ exports.setUp = function (callback) {
             serializers: Logger.stdSerializers
     });
 
-    vmapi = new VMAPI({
-        url: VMAPI_URL,
-        retry: {
-            retries: 1,
-            minTimeout: 1000
-        },
-        log: logger,
-        agent: false
-    });
+    helper.apiUrls(function (err, urls) {
+        if (err) {
+            callback(err);
+            return;
+        }
 
-    napi = new NAPI({
-        url: NAPI_URL,
-        retry: {
-            retries: 1,
-            minTimeout: 1000
-        },
-        log: logger,
-        agent: false
-    });
+        vmapi = new VMAPI({
+            url: urls.vmapi,
+            retry: {
+                retries: 1,
+                minTimeout: 1000
+            },
+            log: logger,
+            agent: false
+        });
 
-    cnapi = new CNAPI({
-        url: CNAPI_URL,
-        retry: {
-            retries: 1,
-            minTimeout: 1000
-        },
-        log: logger,
-        agent: false
-    });
+        napi = new NAPI({
+            url: urls.napi,
+            retry: {
+                retries: 1,
+                minTimeout: 1000
+            },
+            log: logger,
+            agent: false
+        });
 
-    callback();
+        cnapi = new CNAPI({
+            url: urls.cnapi,
+            retry: {
+                retries: 1,
+                minTimeout: 1000
+            },
+            log: logger,
+            agent: false
+        });
+
+        callback();
+    });
 };
 
 
@@ -0,0 +1,173 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the `fields` option of `VMAPI.listVms` and `listVmsStream`.
+ * These run against the fake APIs (see "lib/fakes").
+ */
+
+var Logger = require('bunyan');
+
+var sdc = require('../lib');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'vmfields_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+var OWNER = '3c9d7f1a-2b4e-4c6d-8e0f-1a2b3c4d5e01';
+var FIELDS = ['uuid', 'alias', 'state'];
+
+var FAKES;
+// Whether the fake VMAPI ignores the `fields` param, as older VMAPIs do.
+var IGNORE_FIELDS = false;
+// The `fields` param of the last ListVms request.
+var SENT_FIELDS;
+var vmapi;
+
+
+
+// --- Helpers
+
+function checkTrimmed(t, vms) {
+    t.equal(vms.length, 5);
+    vms.forEach(function (vm) {
+        t.deepEqual(Object.keys(vm).sort(), ['alias', 'state', 'uuid']);
+    });
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        IGNORE_FIELDS = false;
+        SENT_FIELDS = undefined;
+        callback();
+        return;
+    }
+    sdc.fakes.startAll({}, function (err, all) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        FAKES = all;
+        for (var i = 0; i < 5; i++) {
+            FAKES.vmapi.addVm({
+                uuid: '3c9d7f1a-2b4e-4c6d-8e0f-1a2b3c4d5f0' + i,
+                owner_uuid: OWNER,
+                alias: 'inventory' + i,
+                brand: 'joyent'
+            });
+        }
+        FAKES.vmapi.server.pre(function (req, res, next) {
+            var m = /[?&]fields=([^&]*)/.exec(req.url);
+            SENT_FIELDS = m ? decodeURIComponent(m[1]) : undefined;
+            if (IGNORE_FIELDS) {
+                req.url = req.url.replace(/([?&])fields=[^&]*&?/, '$1');
+            }
+            next();
+        });
+
+        vmapi = new sdc.VMAPI({
+            url: FAKES.vmapi.url,
+            agent: false,
+            log: LOG,
+            retryPolicy: false,
+            validate: true
+        });
+        callback();
+    });
+};
+
+
+exports.test_list_fields = function (t) {
+    var params = { owner_uuid: OWNER };
+
+    vmapi.listVms(params, { fields: FIELDS }, function (err, vms) {
+        t.ifError(err, 'no InvalidResponseError for partial VMs');
+        checkTrimmed(t, vms);
+        t.equal(SENT_FIELDS, 'uuid,alias,state');
+        t.deepEqual(params, { owner_uuid: OWNER }, 'params left alone');
+        t.done();
+    });
+};
+
+
+exports.test_list_fields_ignored = function (t) {
+    IGNORE_FIELDS = true;
+
+    vmapi.listVms({ owner_uuid: OWNER }, { fields: FIELDS })
+            .then(function (vms) {
+        checkTrimmed(t, vms);
+        t.done();
+    }, function (err) {
+        t.ifError(err);
+        t.done();
+    });
+};
+
+
+exports.test_list_page_fields = function (t) {
+    IGNORE_FIELDS = true;
+
+    vmapi.listVms({ owner_uuid: OWNER, limit: 2, offset: 3 },
+            { fields: ['uuid'] }, function (err, vms) {
+        t.ifError(err);
+        t.deepEqual(vms, [
+            { uuid: '3c9d7f1a-2b4e-4c6d-8e0f-1a2b3c4d5f03' },
+            { uuid: '3c9d7f1a-2b4e-4c6d-8e0f-1a2b3c4d5f04' }
+        ]);
+        t.done();
+    });
+};
+
+
+exports.test_stream_fields = function (t) {
+    var vms = [];
+    IGNORE_FIELDS = true;
+
+    vmapi.listVmsStream({ owner_uuid: OWNER }, {
+        pageSize: 2,
+        fields: FIELDS
+    }).on('data', function (vm) {
+        vms.push(vm);
+    }).on('error', function (err) {
+        t.ifError(err);
+        t.done();
+    }).on('end', function () {
+        checkTrimmed(t, vms);
+        t.equal(SENT_FIELDS, 'uuid,alias,state');
+        t.done();
+    });
+};
+
+
+exports.test_bad_fields = function (t) {
+    t.throws(function () {
+        vmapi.listVms({}, { fields: 'uuid,alias' }, function () {});
+    }, /options.fields/);
+    t.done();
+};
+
+
+exports.test_close = function (t) {
+    vmapi.close();
+    FAKES.close(function () {
+        t.done();
+    });
+};
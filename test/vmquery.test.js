@@ -0,0 +1,276 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for `VmQuery` (see "lib/vmquery.js"). The listing tests run against
+ * the fake APIs (see "lib/fakes").
+ */
+
+var Logger = require('bunyan');
+
+var sdc = require('../lib');
+var VmQuery = sdc.VmQuery;
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'vmquery_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+var OWNER = '5d8e3a2b-7c4f-4e1a-9b6d-2f0c8a7e1d01';
+var SERVER = '5d8e3a2b-7c4f-4e1a-9b6d-2f0c8a7e1d02';
+
+// The VMs of OWNER, by alias.
+var VMS = {
+    'web-1': { brand: 'joyent', state: 'running', ram: 1024,
+        tags: { role: 'web' } },
+    'web-2': { brand: 'joyent', state: 'stopped', ram: 2048,
+        tags: { role: 'web', env: 'test' } },
+    'db-1': { brand: 'kvm', state: 'running', ram: 8192,
+        tags: { role: 'db' }, server_uuid: SERVER },
+    'db-(old)': { brand: 'kvm', state: 'destroyed', ram: 8192,
+        tags: { role: 'db' } }
+};
+
+var FAKES;
+var vmapi;
+
+
+
+// --- Helpers
+
+function aliases(vms) {
+    return vms.map(function (vm) {
+        return vm.alias;
+    }).sort();
+}
+
+
+function query() {
+    return new VmQuery().owner(OWNER);
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        callback();
+        return;
+    }
+    sdc.fakes.startAll({}, function (err, all) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        FAKES = all;
+        Object.keys(VMS).forEach(function (alias, i) {
+            var vm = VMS[alias];
+            vm.uuid = '5d8e3a2b-7c4f-4e1a-9b6d-2f0c8a7e1e0' + i;
+            vm.owner_uuid = OWNER;
+            vm.alias = alias;
+            FAKES.vmapi.addVm(vm);
+        });
+        vmapi = new sdc.VMAPI({
+            url: FAKES.vmapi.url,
+            agent: false,
+            log: LOG,
+            retryPolicy: false
+        });
+        callback();
+    });
+};
+
+
+exports.test_plain_params = function (t) {
+    var q = query().state('active').brand('kvm').tag('role', 'db');
+
+    t.deepEqual(q.toParams(), {
+        owner_uuid: OWNER,
+        state: 'active',
+        brand: 'kvm',
+        'tag.role': 'db'
+    });
+    t.deepEqual(new VmQuery().toParams(), {});
+
+    vmapi.listVms(q, function (err, vms) {
+        t.ifError(err);
+        t.deepEqual(aliases(vms), ['db-1']);
+        t.done();
+    });
+};
+
+
+exports.test_query = function (t) {
+    var q = query()
+        .state(['running', 'stopped'])
+        .ram(null, 4096)
+        .not(new VmQuery().tag('env', 'test'));
+
+    t.equal(q.toQuery(), '(&(owner_uuid=' + OWNER + ')' +
+        '(|(state=running)(state=stopped))(ram<=4096)' +
+        '(!(tags=*-env=test-*)))');
+    t.deepEqual(q.toParams(), { query: q.toQuery() });
+
+    vmapi.listVms(q, function (err, vms) {
+        t.ifError(err);
+        t.deepEqual(aliases(vms), ['web-1']);
+        t.done();
+    });
+};
+
+
+exports.test_or_and_globs = function (t) {
+    var q = query().or(
+        new VmQuery().alias('web-*').ram(2048),
+        new VmQuery().server(SERVER));
+
+    vmapi.listVms(q, function (err, vms) {
+        t.ifError(err);
+        t.deepEqual(aliases(vms), ['db-1', 'web-2']);
+
+        // Wildcards are only special in globs.
+        t.equal(new VmQuery().alias('db-(old)').toQuery(),
+            '(alias=db-\\28old\\29)');
+        t.equal(new VmQuery().glob('alias', 'db-(*').toQuery(),
+            '(alias=db-\\28*)');
+        vmapi.countVms(query().glob('alias', 'db-(*'), function (cErr, n) {
+            t.ifError(cErr);
+            t.equal(n, 1);
+            t.done();
+        });
+    });
+};
+
+
+exports.test_predicate = function (t) {
+    var q = query()
+        .ram(1024, 4096)
+        .not(new VmQuery().brand(['joyent', 'lx']).alias('web-2'));
+
+    t.deepEqual(q.toPredicate(), {
+        and: [
+            { eq: ['owner_uuid', OWNER] },
+            { and: [ { ge: ['ram', 1024] }, { le: ['ram', 4096] } ] },
+            { or: [
+                { and: [
+                    { ne: ['brand', 'joyent'] },
+                    { ne: ['brand', 'lx'] }
+                ] },
+                { ne: ['alias', 'web-2'] }
+            ] }
+        ]
+    });
+    t.deepEqual(new VmQuery().not(new VmQuery().state('active'))
+        .toPredicate(), { or: [
+            { eq: ['state', 'destroyed'] },
+            { eq: ['state', 'failed'] }
+        ] });
+    t.throws(function () {
+        query().tag('role', 'db').toPredicate();
+    }, /tags can only be filtered on with a query/);
+
+    vmapi.listVms({ predicate: JSON.stringify(q.toPredicate()) },
+            function (err, vms) {
+        t.ifError(err);
+        t.deepEqual(aliases(vms), ['web-1']);
+        t.done();
+    });
+};
+
+
+exports.test_and = function (t) {
+    var q = new VmQuery().and(query(), new VmQuery().state('running'));
+
+    t.deepEqual(q.toParams(), { owner_uuid: OWNER, state: 'running' },
+        'still plain params');
+    t.ok(new VmQuery().state('running').state('stopped').toParams().query,
+        'a field twice needs a query');
+    t.done();
+};
+
+
+exports.test_validation = function (t) {
+    t.throws(function () {
+        new VmQuery().eq('colour', 'red');
+    }, function (err) {
+        t.ok(err instanceof sdc.errors.ValidationError);
+        t.equal(err.message, 'invalid VM filter on "colour": unknown field');
+        t.deepEqual(err.errors, [ { field: 'colour',
+            code: 'InvalidParameter', message: 'unknown field' } ]);
+        return true;
+    });
+    t.throws(function () {
+        new VmQuery().ram('lots');
+    }, /invalid VM filter on "ram": a number is required/);
+    t.throws(function () {
+        new VmQuery().eq('alias', 5);
+    }, /invalid VM filter on "alias": a string is required/);
+    t.throws(function () {
+        new VmQuery().eq('nics', 'x');
+    }, /invalid VM filter on "nics": unknown field/);
+    t.throws(function () {
+        new VmQuery().range('alias', 1, 2);
+    }, /not a number field/);
+    t.throws(function () {
+        new VmQuery().glob('ram', '1*');
+    }, /not a string field/);
+    t.throws(function () {
+        new VmQuery().ram();
+    }, /one of min and max is required/);
+    t.throws(function () {
+        new VmQuery().or(new VmQuery());
+    }, /a sub-query must have conditions/);
+    t.done();
+};
+
+
+exports.test_query_values = function (t) {
+    t.equal(new VmQuery().eq('create_timestamp', 1445000000000).toQuery(),
+        '(create_timestamp=1445000000000)');
+    t.equal(new VmQuery().ram(0.5).toQuery(), '(ram>=0.5)');
+    t.deepEqual(new VmQuery().ram('1024', '2048').toPredicate(),
+        { and: [ { ge: ['ram', 1024] }, { le: ['ram', 2048] } ] },
+        'numbers as strings');
+    t.equal(new VmQuery().eq('uuid', 'web*').toQuery(), '(uuid=web\\2a)');
+    t.deepEqual(new VmQuery().owner('not-a-uuid').toParams(),
+        { owner_uuid: 'not-a-uuid' }, 'no response schema patterns');
+
+    // All of OWNER's VMs, by UUID prefix.
+    vmapi.listVms(new VmQuery().glob('uuid', '5d8e3a2b-7c4f-4e1a-9b6d-*'),
+            function (err, vms) {
+        t.ifError(err);
+        t.deepEqual(aliases(vms), Object.keys(VMS).sort());
+        t.done();
+    });
+};
+
+
+exports.test_bad_query = function (t) {
+    vmapi.listVms({ query: '(&(state=running)' }, function (err) {
+        t.ok(err);
+        t.equal(err.statusCode, 422);
+        t.done();
+    });
+};
+
+
+exports.test_close = function (t) {
+    vmapi.close();
+    FAKES.close(function () {
+        t.done();
+    });
+};
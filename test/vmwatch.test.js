@@ -0,0 +1,326 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for `VMAPI.watchVm` and `VMAPI.waitForVmState` (see
+ * "lib/vmwatch.js"). These run against the fake APIs (see "lib/fakes").
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var sdc = require('../lib');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'vmwatch_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: Logger.stdSerializers
+});
+
+var UUIDS = [
+    '0b0f2b4e-6a3c-4b1e-9d6b-1d6c3f0a9e01',
+    '0b0f2b4e-6a3c-4b1e-9d6b-1d6c3f0a9e02',
+    '0b0f2b4e-6a3c-4b1e-9d6b-1d6c3f0a9e03'
+];
+var MISSING_UUID = '0b0f2b4e-6a3c-4b1e-9d6b-1d6c3f0a9eff';
+
+var FAKES;
+// How many of the next ListVms requests fail.
+var FAILING_POLLS = 0;
+var REQUESTS = 0;
+var vmapi;
+
+
+
+// --- Helpers
+
+/*
+ * A minimal signal, for node versions without AbortController.
+ */
+function createSignal() {
+    var signal = new EventEmitter();
+    signal.aborted = false;
+    signal.abort = function () {
+        signal.aborted = true;
+        signal.emit('abort');
+    };
+    return signal;
+}
+
+
+function fakeVm(i) {
+    return FAKES.vmapi.vms[UUIDS[i]];
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    if (FAKES) {
+        callback();
+        return;
+    }
+    sdc.fakes.startAll({}, function (err, all) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        FAKES = all;
+        UUIDS.forEach(function (uuid, i) {
+            FAKES.vmapi.addVm({ uuid: uuid, owner_uuid: sdc.fakes.ADMIN_UUID,
+                alias: 'watch' + i, state: 'stopped' });
+        });
+        FAKES.vmapi.server.pre(function (req, res, next) {
+            if (FAILING_POLLS > 0 && req.method === 'GET' &&
+                    req.path() === '/vms') {
+                FAILING_POLLS--;
+                next(new restify.ServiceUnavailableError('down'));
+                return;
+            }
+            next();
+        });
+
+        vmapi = new sdc.VMAPI({
+            url: FAKES.vmapi.url,
+            agent: false,
+            log: LOG,
+            retryPolicy: false,
+            metrics: {
+                onRequestStart: function () {
+                    REQUESTS++;
+                }
+            }
+        });
+        callback();
+    });
+};
+
+
+exports.test_watch_vm = function (t) {
+    var watcher = vmapi.watchVm(UUIDS[0], { interval: 10 });
+    var changes = [];
+
+    watcher.on('vm', function (vm) {
+        t.equal(vm.uuid, UUIDS[0]);
+        t.equal(vm.state, 'stopped');
+        t.equal(watcher.vm, vm);
+
+        fakeVm(0).alias = 'not watched';
+        setTimeout(function () {
+            fakeVm(0).state = 'running';
+            fakeVm(0).tags = { role: 'db' };
+        }, 30);
+    });
+
+    watcher.on('change', function (diff, vm, previous) {
+        changes.push(diff);
+        t.deepEqual(diff, {
+            state: { from: 'stopped', to: 'running' },
+            tags: { from: {}, to: { role: 'db' } }
+        });
+        t.equal(vm.state, 'running');
+        t.equal(previous.state, 'stopped');
+
+        watcher.stop();
+        setTimeout(function () {
+            fakeVm(0).state = 'stopped';
+            t.equal(changes.length, 1, 'no events once stopped');
+            t.ok(watcher.stopped);
+            t.done();
+        }, 30);
+    });
+};
+
+
+exports.test_shared_polls = function (t) {
+    var watchers = UUIDS.map(function (uuid) {
+        return vmapi.watchVm(uuid, { interval: 1000 });
+    });
+    // The same VM twice.
+    watchers.push(vmapi.watchVm(UUIDS[1], { interval: 1000 }));
+    var before = REQUESTS;
+    var seen = 0;
+
+    watchers.forEach(function (watcher) {
+        watcher.on('vm', function (vm) {
+            t.equal(vm.uuid, watcher.uuid);
+            if (++seen < watchers.length) {
+                return;
+            }
+            t.equal(REQUESTS - before, 1, 'one ListVms for all the VMs');
+            watchers.forEach(function (w) {
+                w.stop();
+            });
+            t.done();
+        });
+    });
+};
+
+
+exports.test_backoff = function (t) {
+    var watcher = vmapi.watchVm(UUIDS[2], { interval: 10, maxInterval: 40 });
+    var before = REQUESTS;
+
+    setTimeout(function () {
+        var polls = REQUESTS - before;
+        // Without backing off, that would be 30 polls.
+        t.ok(polls >= 3 && polls <= 12, polls + ' polls');
+        watcher.stop();
+        t.done();
+    }, 300);
+};
+
+
+exports.test_watch_missing_vm = function (t) {
+    var watcher = vmapi.watchVm(MISSING_UUID, { interval: 10 });
+
+    watcher.on('error', function (err) {
+        t.equal(err.code, 'NotFound');
+        t.ok(err instanceof sdc.errors.NotFoundError);
+        t.ok(watcher.stopped);
+        t.done();
+    });
+};
+
+
+exports.test_watch_poll_errors = function (t) {
+    // No 'error' listener: failed polls must not throw.
+    var watcher = vmapi.watchVm(UUIDS[0], { interval: 10 });
+    var pollErrors = 0;
+
+    FAILING_POLLS = 2;
+    watcher.on('pollError', function (err) {
+        pollErrors++;
+        t.equal(err.statusCode, 503);
+        t.ok(!watcher.stopped, 'still polling');
+    });
+    watcher.on('vm', function (vm) {
+        t.equal(pollErrors, 2);
+        t.equal(vm.uuid, UUIDS[0]);
+        watcher.stop();
+        t.done();
+    });
+};
+
+
+exports.test_wait_for_vm_state = function (t) {
+    var changes = [];
+
+    fakeVm(1).state = 'provisioning';
+    setTimeout(function () {
+        fakeVm(1).state = 'stopped';
+    }, 20);
+    setTimeout(function () {
+        fakeVm(1).state = 'running';
+    }, 60);
+
+    vmapi.waitForVmState(UUIDS[1], 'running', {
+        interval: 10,
+        onChange: function (diff) {
+            changes.push(diff.state.to);
+        }
+    }, function (err, vm) {
+        t.ifError(err);
+        t.equal(vm.state, 'running');
+        t.deepEqual(changes, ['stopped', 'running']);
+
+        vmapi.waitForVmState(UUIDS[1], ['stopped', 'running'])
+                .then(function (again) {
+            t.equal(again.uuid, UUIDS[1], 'already in the state');
+            t.done();
+        }, function (pErr) {
+            t.ifError(pErr);
+            t.done();
+        });
+    });
+};
+
+
+exports.test_wait_for_vm_state_final = function (t) {
+    fakeVm(2).state = 'failed';
+
+    vmapi.waitForVmState(UUIDS[2], 'running', { interval: 10 },
+            function (err, vm) {
+        t.ok(err);
+        t.equal(err.code, 'Conflict');
+        t.ok(/is failed/.test(err.message), err.message);
+        t.equal(err.vm.state, 'failed');
+        t.equal(vm, undefined);
+
+        vmapi.waitForVmState(UUIDS[2], 'failed', function (fErr, fVm) {
+            t.ifError(fErr);
+            t.equal(fVm.state, 'failed', 'unless waited for');
+            t.done();
+        });
+    });
+};
+
+
+exports.test_wait_for_vm_state_timeout = function (t) {
+    var signal = createSignal();
+
+    vmapi.waitForVmState(UUIDS[0], 'destroyed', {
+        interval: 10,
+        timeout: 50
+    }, function (err) {
+        t.equal(err.code, 'Timeout');
+        t.equal(err.vm.uuid, UUIDS[0]);
+        t.ok(!/last poll failed/.test(err.message), err.message);
+
+        vmapi.waitForVmState(UUIDS[0], 'destroyed', {
+            interval: 10,
+            signal: signal
+        }, function (aErr) {
+            t.equal(aErr.code, 'Aborted');
+            vmapi.waitForVmState(UUIDS[0], 'destroyed', { signal: signal },
+                    function (a2Err) {
+                t.equal(a2Err.code, 'Aborted', 'already aborted');
+                t.done();
+            });
+        });
+        setTimeout(function () {
+            signal.abort();
+        }, 30);
+    });
+};
+
+
+exports.test_wait_for_vm_state_poll_errors = function (t) {
+    FAILING_POLLS = 1000;
+
+    vmapi.waitForVmState(UUIDS[0], 'running', {
+        interval: 10,
+        maxInterval: 10,
+        timeout: 50
+    }, function (err) {
+        FAILING_POLLS = 0;
+        t.equal(err.code, 'Timeout', 'failed polls do not fail the wait');
+        t.ok(/\(last poll failed: down\)$/.test(err.message), err.message);
+        t.done();
+    });
+};
+
+
+exports.test_close = function (t) {
+    var watcher = vmapi.watchVm(UUIDS[0], { interval: 10 });
+
+    vmapi.close();
+    t.ok(watcher.stopped, 'close stops the watchers');
+    FAKES.close(function () {
+        t.done();
+    });
+};
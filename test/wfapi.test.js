@@ -0,0 +1,257 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests for the Workflow API client and the job waiting of the other
+ * clients. These run against a local restify server rather than a headnode.
+ */
+
+var Logger = require('bunyan');
+var restify = require('restify');
+
+var SAPI = require('../lib/sapi');
+var VMAPI = require('../lib/vmapi');
+var WFAPI = require('../lib/wfapi');
+
+
+
+// --- Globals
+
+var LOG = new Logger({
+    name: 'wfapi_unit_test',
+    stream: process.stderr,
+    level: (process.env.LOG_LEVEL || 'info'),
+    serializers: restify.bunyan.serializers
+});
+
+var CHAIN = [ {name: 'one'}, {name: 'two'}, {name: 'three'} ];
+
+var SERVER;
+var URL;
+var JOBS;
+var POLLS;
+var wfapi;
+
+
+
+// --- Helpers
+
+/*
+ * Add a job that runs one more task of its chain each time it is polled,
+ * then ends with the given execution.
+ */
+function addJob(uuid, execution, error) {
+    JOBS[uuid] = {
+        uuid: uuid,
+        name: 'test-job',
+        execution: 'queued',
+        chain: CHAIN,
+        chain_results: [],
+        end: execution,
+        error: error
+    };
+}
+
+
+function advance(job) {
+    if (job.execution === 'queued') {
+        job.execution = 'running';
+    } else if (job.execution === 'running') {
+        var task = job.chain[job.chain_results.length];
+        var last = (job.chain_results.length === job.chain.length - 1);
+        job.chain_results.push({
+            name: task.name,
+            result: 'OK',
+            error: (last && job.error) || ''
+        });
+        if (last) {
+            job.execution = job.end;
+        }
+    }
+}
+
+
+
+// --- Tests
+
+exports.setUp = function (callback) {
+    JOBS = {};
+    POLLS = 0;
+    SERVER = restify.createServer({ name: 'wfapi_test', log: LOG });
+    SERVER.use(restify.queryParser());
+    SERVER.use(restify.bodyParser());
+
+    SERVER.get('/jobs', function (req, res, next) {
+        res.send(Object.keys(JOBS).map(function (k) {
+            return JOBS[k];
+        }).filter(function (job) {
+            return (!req.query.execution ||
+                job.execution === req.query.execution);
+        }));
+        return next();
+    });
+    SERVER.get('/jobs/:uuid', function (req, res, next) {
+        var job = JOBS[req.params.uuid];
+        if (!job) {
+            return next(new restify.ResourceNotFoundError('no such job'));
+        }
+        POLLS++;
+        advance(job);
+        res.send(job);
+        return next();
+    });
+    SERVER.post('/jobs/:uuid/cancel', function (req, res, next) {
+        var job = JOBS[req.params.uuid];
+        job.execution = 'canceled';
+        res.send(job);
+        return next();
+    });
+    SERVER.post('/vms', function (req, res, next) {
+        addJob('vm-job', 'succeeded');
+        res.header('workflow-api', URL);
+        res.send(202, { job_uuid: 'vm-job', vm_uuid: 'vm-uuid' });
+        return next();
+    });
+    SERVER.post('/instances', function (req, res, next) {
+        addJob('inst-job', 'failed', { message: 'provision failed' });
+        res.send({ uuid: 'inst-uuid', job_uuid: 'inst-job' });
+        return next();
+    });
+
+    SERVER.listen(0, '127.0.0.1', function () {
+        URL = 'http://127.0.0.1:' + SERVER.address().port;
+        wfapi = new WFAPI({ url: URL, log: LOG, agent: false });
+        callback();
+    });
+};
+
+
+exports.tearDown = function (callback) {
+    wfapi.close();
+    SERVER.close(callback);
+};
+
+
+exports.test_get_list_cancel = function (t) {
+    addJob('job-a', 'succeeded');
+    addJob('job-b', 'succeeded');
+
+    wfapi.getJob('job-a', function (err, job) {
+        t.ifError(err);
+        t.equal(job.uuid, 'job-a');
+        wfapi.cancelJob('job-b', function (err2, canceled) {
+            t.ifError(err2);
+            t.equal(canceled.execution, 'canceled');
+            wfapi.listJobs({ execution: 'canceled' }, function (err3, jobs) {
+                t.ifError(err3);
+                t.equal(jobs.length, 1);
+                t.equal(jobs[0].uuid, 'job-b');
+                t.done();
+            });
+        });
+    });
+};
+
+
+exports.test_wait_for_job_progress = function (t) {
+    var progress = [];
+    addJob('job-a', 'succeeded');
+
+    wfapi.waitForJob('job-a', {
+        interval: 10,
+        onProgress: function (p) {
+            progress.push([p.task.name, p.completed, p.total]);
+        }
+    }, function (err, job) {
+        t.ifError(err);
+        t.equal(job.execution, 'succeeded');
+        t.deepEqual(progress, [ ['one', 1, 3], ['two', 2, 3],
+            ['three', 3, 3] ]);
+        t.done();
+    });
+};
+
+
+exports.test_wait_for_failed_job = function (t) {
+    addJob('job-a', 'failed', { message: 'boom' });
+
+    wfapi.waitForJob('job-a', { interval: 10 }, function (err, job) {
+        t.equal(err.code, 'JobFailed');
+        t.equal(err.message, 'boom');
+        t.equal(err.job.uuid, 'job-a');
+        t.equal(job.execution, 'failed');
+        t.done();
+    });
+};
+
+
+exports.test_wait_for_canceled_job = function (t) {
+    addJob('job-a', 'succeeded');
+    JOBS['job-a'].execution = 'canceled';
+
+    wfapi.waitForJob('job-a', { interval: 10 }, function (err, job) {
+        t.equal(err.code, 'JobFailed');
+        t.equal(err.message, 'job job-a was canceled');
+        t.equal(POLLS, 1);
+        t.done();
+    });
+};
+
+
+exports.test_wait_for_job_timeout = function (t) {
+    addJob('job-a', 'succeeded');
+    JOBS['job-a'].chain = CHAIN.concat(CHAIN, CHAIN, CHAIN);
+
+    wfapi.waitForJob('job-a', { interval: 20, timeout: 50 },
+            function (err, job) {
+        t.equal(err.code, 'Timeout');
+        t.equal(job.execution, 'running');
+        t.ok(POLLS >= 2 && POLLS <= 5, POLLS + ' polls');
+        t.done();
+    });
+};
+
+
+exports.test_create_vm_and_wait = function (t) {
+    var vmapi = new VMAPI({ url: URL, log: LOG, agent: false });
+    var tasks = [];
+
+    vmapi.createVmAndWait({ owner_uuid: 'owner-uuid' }, {
+        interval: 10,
+        onProgress: function (p) {
+            tasks.push(p.task.name);
+        }
+    }, function (err, job) {
+        t.ifError(err);
+        t.equal(job.uuid, 'vm-job');
+        t.deepEqual(tasks, ['one', 'two', 'three']);
+        vmapi.close();
+        t.done();
+    });
+};
+
+
+exports.test_create_instance_and_wait = function (t) {
+    var sapi = new SAPI({
+        url: URL,
+        log: LOG,
+        agent: false,
+        wfapiUrl: URL
+    });
+
+    sapi.createInstanceAndWait('svc-uuid', {}, { interval: 10 },
+            function (err) {
+        t.equal(err.code, 'JobFailed');
+        t.equal(err.message, 'provision failed');
+        t.equal(err.job.uuid, 'inst-job');
+        sapi.close();
+        t.done();
+    });
+};